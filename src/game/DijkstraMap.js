@@ -0,0 +1,59 @@
+/**
+ * DijkstraMap.js
+ * Distance maps ("flow fields") for monster movement. A single map toward the
+ * player is shared by every monster in a turn: stepping to a lower value
+ * follows a shortest path around walls and corners, stepping to a higher one
+ * runs away. Moves are 8-directional and all cost one step.
+ */
+export class DijkstraMap {
+    /** Value of tiles that no goal can reach. */
+    static UNREACHED = -1;
+
+    static DIRECTIONS = [[0, -1], [0, 1], [-1, 0], [1, 0], [-1, -1], [1, -1], [-1, 1], [1, 1]];
+
+    /**
+     * Steps from every tile to the nearest goal.
+     * @param {number} width
+     * @param {number} height
+     * @param {{x: number, y: number}[]} goals - Distance 0 tiles
+     * @param {(x: number, y: number) => boolean} isPassable - Whether a tile may be walked through
+     * @param {number} [maxDist=Infinity] - Stop spreading beyond this many steps
+     * @returns {Int16Array[]} dist[y][x], or UNREACHED
+     */
+    static compute(width, height, goals, isPassable, maxDist = Infinity) {
+        const dist = Array.from({ length: height }, () => new Int16Array(width).fill(DijkstraMap.UNREACHED));
+        const queue = [];
+        for (const { x, y } of goals) {
+            if (dist[y][x] === DijkstraMap.UNREACHED) { dist[y][x] = 0; queue.push(x, y); }
+        }
+        // Flat queue of x, y pairs; every edge costs 1, so breadth-first order is Dijkstra order
+        for (let head = 0; head < queue.length; head += 2) {
+            const x = queue[head], y = queue[head + 1];
+            const d = dist[y][x];
+            if (d >= maxDist) continue;
+            for (const [dx, dy] of DijkstraMap.DIRECTIONS) {
+                const nx = x + dx, ny = y + dy;
+                if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+                if (dist[ny][nx] !== DijkstraMap.UNREACHED || !isPassable(nx, ny)) continue;
+                dist[ny][nx] = d + 1;
+                queue.push(nx, ny);
+            }
+        }
+        return dist;
+    }
+
+    /**
+     * Reachable neighbours of (x, y) with their distances.
+     * @returns {{x: number, y: number, d: number}[]}
+     */
+    static neighbours(dist, x, y) {
+        const result = [];
+        for (const [dx, dy] of DijkstraMap.DIRECTIONS) {
+            const nx = x + dx, ny = y + dy;
+            if (ny < 0 || ny >= dist.length || nx < 0 || nx >= dist[0].length) continue;
+            const d = dist[ny][nx];
+            if (d !== DijkstraMap.UNREACHED) result.push({ x: nx, y: ny, d });
+        }
+        return result;
+    }
+}
@@ -1,159 +1,744 @@
 /**
  * DungeonGenerator.js
- * BSP-based dungeon generator with rooms, corridors, doors, traps, and secret rooms.
+ * Level generator with pluggable layouts (see LAYOUTS): BSP rooms and
+ * corridors, cellular-automata caves, maze labyrinths, and BSP levels with
+ * guarded vaults, plus the town above them. Prefab vaults and secret rooms are drawn as ASCII in
+ * vaults.js and stamped in by depth and rarity. Every level is flood-fill
+ * checked for connectivity and regenerated if anything is cut off.
  */
-import { TILE, TRAP_TYPES } from './GameData.js';
+import { TILE, TRAP_TYPES, MONSTER_TYPES, RARITY_WEIGHTS, SHOPS } from './GameData.js';
+import { RNG } from './RNG.js';
+import { VAULT_DATA } from './vaults.js';
 
 export class DungeonGenerator {
+    /** Smallest BSP leaf (tiles, walls included) that may hold a room. */
+    static MIN_LEAF_SIZE = 8;
+    static MIN_ROOM_SIZE = 3;
+    static MAX_ROOM_SIZE = 12;
+
+    /**
+     * Layout generators by name, as used by LEVEL_THEMES[].generator. Each is
+     * (width, height, levelNum, rng, params) => { map, rooms, corridors?,
+     * secretDoors?, roomGraph?, vaults?, shops?, safe? }, or null to ask for
+     * another attempt. rooms[0] is where the player starts; `safe` levels get
+     * no traps or portals.
+     */
+    static LAYOUTS = {
+        bsp: (...args) => DungeonGenerator._bspLayout(...args),
+        cave: (...args) => DungeonGenerator._caveLayout(...args),
+        labyrinth: (...args) => DungeonGenerator._labyrinthLayout(...args),
+        vault: (...args) => DungeonGenerator._vaultLayout(...args),
+        town: (...args) => DungeonGenerator._townLayout(...args),
+    };
+
+    /** Prefab vaults and secret rooms from vaults.js, checked once at load. */
+    static PREFABS = DungeonGenerator.parsePrefabs(VAULT_DATA);
+
     /**
-     * Generate a dungeon using BSP tree + room/corridor placement.
+     * Generate a dungeon level.
      * @param {number} width - Map width
      * @param {number} height - Map height
      * @param {number} levelNum - Dungeon depth (affects complexity)
-     * @returns {{ map: number[][], rooms: {x,y,w,h}[], traps: {x,y,type,revealed}[], secretDoors: {x,y}[] }}
+     * @param {RNG} [rng] - Seeded random source (a fresh random one if omitted)
+     * @param {object} [options] - Parameters for the layout, plus:
+     * @param {string} [options.layout='bsp'] - Key of DungeonGenerator.LAYOUTS
+     * @param {number} [options.maxAttempts=10] - Regenerations allowed if validation fails
+     * @returns {{ map: number[][], rooms: {x,y,w,h,lit,secret?,vault?}[], traps: {x,y,type,revealed}[],
+     *             secretDoors: {x,y}[], corridors: {from,to,tiles,secret?}[], roomGraph: number[][],
+     *             vaults: {room,name,x,y,w,h,door,itemSpots,guardSpots,monsters}[], shops: {key,x,y}[],
+     *             exitRoom: number }}
      */
-    static generate(width, height, levelNum) {
+    static generate(width, height, levelNum, rng = new RNG(), options = {}) {
+        const { layout = 'bsp', maxAttempts = 10, ...params } = options;
+        const layoutFn = DungeonGenerator.LAYOUTS[layout];
+        if (!layoutFn) throw new Error(`Unknown dungeon layout: ${layout}`);
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            const level = layoutFn(width, height, levelNum, rng, params);
+            if (level && DungeonGenerator.validate(level.map, level.rooms)) {
+                return DungeonGenerator._finishLevel(level, levelNum, rng);
+            }
+        }
+        throw new Error(`Could not generate a connected ${layout} level at depth ${levelNum}`);
+    }
+
+    /** Features common to every layout: traps, portals, lighting and metadata. */
+    static _finishLevel(level, levelNum, rng) {
+        const { map, rooms } = level;
+        const corridors = level.corridors || [];
+        const traps = level.traps || [];
+        // Secret and vault rooms keep their own contents
+        const openRooms = rooms.filter(r => !r.secret && !r.vault);
+
+        // Place traps (more on deeper levels)
+        const trapCount = level.safe ? 0 : Math.floor(1 + levelNum * 0.6);
+        DungeonGenerator._placeTraps(map, openRooms, traps, trapCount, levelNum, rng);
+
+        // Place portals (rare, chance increases with depth)
+        if (!level.safe && levelNum >= 3 && rng.chance(0.2)) {
+            DungeonGenerator._placePortals(map, openRooms, 1 + Math.floor(levelNum / 5), rng);
+        }
+
+        // Lit rooms are revealed in full on entry; they get rarer with depth
+        DungeonGenerator._lightRooms(rooms, levelNum, rng);
+
+        return {
+            map, rooms, traps, corridors,
+            secretDoors: level.secretDoors || [],
+            roomGraph: level.roomGraph || DungeonGenerator._buildRoomGraph(rooms, corridors),
+            vaults: level.vaults || [],
+            shops: level.shops || [],
+            exitRoom: DungeonGenerator._farthestRoom(map, rooms),
+        };
+    }
+
+    static _lightRooms(rooms, levelNum, rng) {
+        for (const room of rooms) {
+            // Layouts may settle this themselves (caves and mazes stay dark)
+            room.lit ??= !room.secret && levelNum <= rng.range(1, 15);
+        }
+    }
+
+    static _createSolidMap(width, height) {
+        return Array.from({ length: height }, () => Array(width).fill(TILE.WALL));
+    }
+
+    // ─── BSP layout ──────────────────────────────────────────────────
+    /**
+     * Rooms in the leaves of a binary space partition, joined by corridors.
+     * @param {object} params
+     * @param {number} [params.splitDepth] - BSP recursion depth (up to 2^n rooms); defaults by depth
+     */
+    static _bspLayout(width, height, levelNum, rng, params = {}) {
+        const splitDepth = params.splitDepth ?? Math.min(5, 3 + Math.floor(levelNum / 5));
         const map = DungeonGenerator._createSolidMap(width, height);
         const rooms = [];
-        const traps = [];
+        const corridors = [];
         const secretDoors = [];
+        const vaults = [];
+        const traps = [];
 
-        // BSP split to create room areas
-        const minRoomSize = 4;
-        const maxRoomSize = Math.min(12, Math.floor(Math.min(width, height) / 3));
-        const roomCount = Math.min(12, 4 + Math.floor(levelNum * 0.8));
-
-        // Generate rooms
-        DungeonGenerator._generateRooms(map, rooms, width, height, roomCount, minRoomSize, maxRoomSize);
+        // Partition, put a room in each leaf, then join sibling subtrees
+        const root = DungeonGenerator._split({ x: 1, y: 1, w: width - 2, h: height - 2 }, splitDepth, rng);
+        DungeonGenerator._placeRooms(map, root, rooms, rng);
+        DungeonGenerator._connectTree(map, root, rooms, corridors);
 
-        // Connect rooms with corridors
-        DungeonGenerator._connectRooms(map, rooms);
+        // A few extra corridors between near neighbours make loops
+        DungeonGenerator._addLoops(map, rooms, corridors, rng);
 
         // Place doors at room entrances
-        DungeonGenerator._placeDoors(map, rooms);
-
-        // Place traps (more on deeper levels)
-        const trapCount = Math.floor(1 + levelNum * 0.6);
-        DungeonGenerator._placeTraps(map, rooms, traps, trapCount, levelNum);
-
-        // Place secret rooms (chance increases with depth)
-        if (levelNum >= 2 && Math.random() < 0.3 + levelNum * 0.04) {
-            DungeonGenerator._placeSecretRoom(map, rooms, secretDoors, width, height);
+        DungeonGenerator._placeDoors(map, rooms, rng);
+
+        // Place secret rooms (chance increases with depth), furnished from a prefab when one fits
+        if (levelNum >= 2 && rng.chance(0.3 + levelNum * 0.04)) {
+            const secret = DungeonGenerator._placeSecretRoom(map, rooms, secretDoors, corridors, width, height, rng);
+            const room = rooms[secret];
+            const prefab = room && DungeonGenerator.pickPrefab('secret', levelNum, room.w, room.h, rng);
+            if (prefab) {
+                const door = corridors.find(c => c.to === secret && c.secret).tiles[0];
+                vaults.push(DungeonGenerator._furnishRoom(map, room, secret, prefab, door, secretDoors, traps, rng));
+            }
         }
+        return { map, rooms, corridors, secretDoors, vaults, traps };
+    }
 
-        // Place portals (rare, chance increases with depth)
-        if (levelNum >= 3 && Math.random() < 0.2) {
-            DungeonGenerator._placePortals(map, rooms, 1 + Math.floor(levelNum / 5));
+    /** Recursively split an area; returns a tree of { x, y, w, h, left?, right? }. */
+    static _split(area, depth, rng) {
+        const node = { ...area };
+        if (depth <= 0) return node;
+        const min = DungeonGenerator.MIN_LEAF_SIZE;
+        const canSplitX = area.w >= min * 2;
+        const canSplitY = area.h >= min * 2;
+        if (!canSplitX && !canSplitY) return node;
+
+        // Prefer cutting across the long side so leaves stay roughly square
+        let vertical;
+        if (canSplitX && !canSplitY) vertical = true;
+        else if (canSplitY && !canSplitX) vertical = false;
+        else if (area.w > area.h * 1.25) vertical = true;
+        else if (area.h > area.w * 1.25) vertical = false;
+        else vertical = rng.chance(0.5);
+
+        if (vertical) {
+            const cut = rng.range(min, area.w - min);
+            node.left = DungeonGenerator._split({ x: area.x, y: area.y, w: cut, h: area.h }, depth - 1, rng);
+            node.right = DungeonGenerator._split({ x: area.x + cut, y: area.y, w: area.w - cut, h: area.h }, depth - 1, rng);
+        } else {
+            const cut = rng.range(min, area.h - min);
+            node.left = DungeonGenerator._split({ x: area.x, y: area.y, w: area.w, h: cut }, depth - 1, rng);
+            node.right = DungeonGenerator._split({ x: area.x, y: area.y + cut, w: area.w, h: area.h - cut }, depth - 1, rng);
         }
+        return node;
+    }
 
-        return { map, rooms, traps, secretDoors };
+    /** Carve one room inside every leaf, keeping a wall margin so rooms never touch. */
+    static _placeRooms(map, node, rooms, rng) {
+        if (node.left) {
+            DungeonGenerator._placeRooms(map, node.left, rooms, rng);
+            DungeonGenerator._placeRooms(map, node.right, rooms, rng);
+            return;
+        }
+        const maxW = Math.min(DungeonGenerator.MAX_ROOM_SIZE, node.w - 2);
+        const maxH = Math.min(DungeonGenerator.MAX_ROOM_SIZE, node.h - 2);
+        if (maxW < DungeonGenerator.MIN_ROOM_SIZE || maxH < DungeonGenerator.MIN_ROOM_SIZE) return;
+        const w = rng.range(DungeonGenerator.MIN_ROOM_SIZE, maxW);
+        const h = rng.range(DungeonGenerator.MIN_ROOM_SIZE, maxH);
+        const x = node.x + 1 + rng.int(node.w - w - 1);
+        const y = node.y + 1 + rng.int(node.h - h - 1);
+        for (let ry = y; ry < y + h; ry++) {
+            for (let rx = x; rx < x + w; rx++) map[ry][rx] = TILE.FLOOR;
+        }
+        node.room = rooms.length;
+        rooms.push({ x, y, w, h });
     }
 
-    static _createSolidMap(width, height) {
-        return Array.from({ length: height }, () => Array(width).fill(TILE.WALL));
+    /** Room indices in a subtree. */
+    static _roomsIn(node) {
+        if (!node.left) return node.room === undefined ? [] : [node.room];
+        return [...DungeonGenerator._roomsIn(node.left), ...DungeonGenerator._roomsIn(node.right)];
     }
 
-    static _generateRooms(map, rooms, mapW, mapH, count, minSize, maxSize) {
-        let attempts = 0;
-        while (rooms.length < count && attempts < 200) {
-            attempts++;
-            const w = minSize + Math.floor(Math.random() * (maxSize - minSize + 1));
-            const h = minSize + Math.floor(Math.random() * (maxSize - minSize + 1));
-            const x = 1 + Math.floor(Math.random() * (mapW - w - 2));
-            const y = 1 + Math.floor(Math.random() * (mapH - h - 2));
-
-            // Check overlap with existing rooms (with 1-tile buffer)
-            const overlaps = rooms.some(r =>
-                x - 1 < r.x + r.w && x + w + 1 > r.x &&
-                y - 1 < r.y + r.h && y + h + 1 > r.y
-            );
-            if (overlaps) continue;
-
-            // Carve room
-            for (let ry = y; ry < y + h && ry < mapH - 1; ry++) {
-                for (let rx = x; rx < x + w && rx < mapW - 1; rx++) {
-                    map[ry][rx] = TILE.FLOOR;
-                }
-            }
-            rooms.push({ x, y, w, h });
-        }
-    }
-
-    static _connectRooms(map, rooms) {
-        // Connect each room to the next with an L-shaped corridor
-        for (let i = 0; i < rooms.length - 1; i++) {
-            const a = rooms[i];
-            const b = rooms[i + 1];
-            const ax = Math.floor(a.x + a.w / 2);
-            const ay = Math.floor(a.y + a.h / 2);
-            const bx = Math.floor(b.x + b.w / 2);
-            const by = Math.floor(b.y + b.h / 2);
-
-            // Randomly choose horizontal-first or vertical-first
-            if (Math.random() < 0.5) {
-                DungeonGenerator._carveHCorridor(map, ax, bx, ay);
-                DungeonGenerator._carveVCorridor(map, ay, by, bx);
-            } else {
-                DungeonGenerator._carveVCorridor(map, ay, by, ax);
-                DungeonGenerator._carveHCorridor(map, ax, bx, by);
+    /** Join the two halves of every split with the closest pair of rooms — a spanning tree. */
+    static _connectTree(map, node, rooms, corridors) {
+        if (!node.left) return;
+        DungeonGenerator._connectTree(map, node.left, rooms, corridors);
+        DungeonGenerator._connectTree(map, node.right, rooms, corridors);
+        const a = DungeonGenerator._roomsIn(node.left);
+        const b = DungeonGenerator._roomsIn(node.right);
+        let best = null;
+        for (const i of a) {
+            for (const j of b) {
+                const d = DungeonGenerator._roomDistance(rooms[i], rooms[j]);
+                if (!best || d < best.d) best = { i, j, d };
             }
         }
+        if (best) DungeonGenerator._carveCorridor(map, rooms, corridors, best.i, best.j, node.w >= node.h);
+    }
 
-        // Extra corridors for connectivity (connect some random room pairs)
-        const extraCorridors = Math.floor(rooms.length * 0.3);
-        for (let i = 0; i < extraCorridors; i++) {
-            const a = rooms[Math.floor(Math.random() * rooms.length)];
-            const b = rooms[Math.floor(Math.random() * rooms.length)];
-            if (a === b) continue;
-            const ax = Math.floor(a.x + a.w / 2);
-            const ay = Math.floor(a.y + a.h / 2);
-            const bx = Math.floor(b.x + b.w / 2);
-            const by = Math.floor(b.y + b.h / 2);
-            DungeonGenerator._carveHCorridor(map, ax, bx, ay);
-            DungeonGenerator._carveVCorridor(map, ay, by, bx);
+    static _addLoops(map, rooms, corridors, rng) {
+        const extra = Math.floor(rooms.length * 0.2);
+        for (let n = 0; n < extra; n++) {
+            const i = rng.int(rooms.length);
+            // Nearest room not already joined to this one
+            let best = null;
+            for (let j = 0; j < rooms.length; j++) {
+                if (j === i || corridors.some(c => (c.from === i && c.to === j) || (c.from === j && c.to === i))) continue;
+                const d = DungeonGenerator._roomDistance(rooms[i], rooms[j]);
+                if (!best || d < best.d) best = { j, d };
+            }
+            if (best) DungeonGenerator._carveCorridor(map, rooms, corridors, i, best.j, rng.chance(0.5));
         }
     }
 
+    static _roomCenter(room) {
+        return { x: Math.floor(room.x + room.w / 2), y: Math.floor(room.y + room.h / 2) };
+    }
+
+    static _roomDistance(a, b) {
+        const ca = DungeonGenerator._roomCenter(a);
+        const cb = DungeonGenerator._roomCenter(b);
+        return Math.abs(ca.x - cb.x) + Math.abs(ca.y - cb.y);
+    }
+
+    /** L-shaped corridor between two room centres, recorded in `corridors`. */
+    static _carveCorridor(map, rooms, corridors, from, to, horizontalFirst) {
+        const a = DungeonGenerator._roomCenter(rooms[from]);
+        const b = DungeonGenerator._roomCenter(rooms[to]);
+        const tiles = horizontalFirst
+            ? [...DungeonGenerator._carveHCorridor(map, a.x, b.x, a.y), ...DungeonGenerator._carveVCorridor(map, a.y, b.y, b.x)]
+            : [...DungeonGenerator._carveVCorridor(map, a.y, b.y, a.x), ...DungeonGenerator._carveHCorridor(map, a.x, b.x, b.y)];
+        corridors.push({ from, to, tiles });
+    }
+
     static _carveHCorridor(map, x1, x2, y) {
-        const start = Math.min(x1, x2);
-        const end = Math.max(x1, x2);
-        for (let x = start; x <= end; x++) {
+        const tiles = [];
+        const step = x2 >= x1 ? 1 : -1;
+        for (let x = x1; x !== x2 + step; x += step) {
             if (y > 0 && y < map.length - 1 && x > 0 && x < map[0].length - 1) {
-                if (map[y][x] === TILE.WALL) {
-                    map[y][x] = TILE.FLOOR;
-                }
+                if (map[y][x] === TILE.WALL) map[y][x] = TILE.FLOOR;
+                tiles.push({ x, y });
             }
         }
+        return tiles;
     }
 
     static _carveVCorridor(map, y1, y2, x) {
-        const start = Math.min(y1, y2);
-        const end = Math.max(y1, y2);
-        for (let y = start; y <= end; y++) {
+        const tiles = [];
+        const step = y2 >= y1 ? 1 : -1;
+        for (let y = y1; y !== y2 + step; y += step) {
             if (y > 0 && y < map.length - 1 && x > 0 && x < map[0].length - 1) {
-                if (map[y][x] === TILE.WALL) {
-                    map[y][x] = TILE.FLOOR;
+                if (map[y][x] === TILE.WALL) map[y][x] = TILE.FLOOR;
+                tiles.push({ x, y });
+            }
+        }
+        return tiles;
+    }
+
+    // ─── Cave layout ─────────────────────────────────────────────────
+    /**
+     * Cellular-automata caverns: random fill smoothed by the 4-5 rule, with
+     * only the largest open region kept. Open 3x3 pockets serve as "rooms"
+     * for stairs, traps and spawning; they all share one cave, so roomGraph
+     * links every pair.
+     * @param {object} params
+     * @param {number} [params.fill=0.45] - Initial chance of a tile being rock
+     * @param {number} [params.iterations=4] - Smoothing passes
+     * @param {number} [params.chambers=8] - Most pockets to mark as rooms
+     * @param {number} [params.minOpen=0.3] - Smallest share of the map the cave may cover
+     */
+    static _caveLayout(width, height, levelNum, rng, params = {}) {
+        const fill = params.fill ?? 0.45;
+        const iterations = params.iterations ?? 4;
+        const chambers = params.chambers ?? 8;
+        const minOpen = params.minOpen ?? 0.3;
+
+        let rock = Array.from({ length: height }, (_, y) => Array.from({ length: width }, (_, x) =>
+            x === 0 || y === 0 || x === width - 1 || y === height - 1 || rng.chance(fill)));
+        for (let i = 0; i < iterations; i++) {
+            rock = rock.map((row, y) => row.map((wall, x) => {
+                if (x === 0 || y === 0 || x === width - 1 || y === height - 1) return true;
+                let n = 0;
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) if ((dx || dy) && rock[y + dy][x + dx]) n++;
                 }
+                return n >= 5 || (n === 4 && wall);
+            }));
+        }
+        const map = rock.map(row => row.map(wall => (wall ? TILE.WALL : TILE.FLOOR)));
+
+        // Keep the largest connected region; seal off the rest
+        const region = DungeonGenerator._largestRegion(map);
+        if (!region || region.size < width * height * minOpen) return null;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) if (!region.tiles[y][x]) map[y][x] = TILE.WALL;
+        }
+
+        const rooms = DungeonGenerator._findPockets(map, 3, chambers, rng);
+        if (rooms.length < 2) return null;
+        for (const room of rooms) room.lit = false;
+        return { map, rooms, roomGraph: DungeonGenerator._completeGraph(rooms) };
+    }
+
+    /** The biggest 8-connected open area: { tiles: boolean[][], size }, or null if all rock. */
+    static _largestRegion(map) {
+        const height = map.length, width = map[0].length;
+        const claimed = Array.from({ length: height }, () => Array(width).fill(false));
+        let best = null;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (claimed[y][x] || map[y][x] === TILE.WALL) continue;
+                const tiles = DungeonGenerator.floodFill(map, x, y);
+                let size = 0;
+                for (let ty = 0; ty < height; ty++) {
+                    for (let tx = 0; tx < width; tx++) {
+                        if (tiles[ty][tx]) { claimed[ty][tx] = true; size++; }
+                    }
+                }
+                if (!best || size > best.size) best = { tiles, size };
+            }
+        }
+        return best;
+    }
+
+    /** Up to `count` well-spread, fully open size×size squares, as rooms. */
+    static _findPockets(map, size, count, rng) {
+        const height = map.length, width = map[0].length;
+        const candidates = [];
+        for (let y = 1; y + size < height; y++) {
+            for (let x = 1; x + size < width; x++) {
+                let open = true;
+                for (let dy = 0; dy < size && open; dy++) {
+                    for (let dx = 0; dx < size && open; dx++) open = map[y + dy][x + dx] === TILE.FLOOR;
+                }
+                if (open) candidates.push({ x, y, w: size, h: size });
             }
         }
+        const rooms = [];
+        const spacing = Math.max(size * 2, Math.floor(Math.min(width, height) / 3));
+        for (const room of rng.shuffle(candidates)) {
+            if (rooms.length >= count) break;
+            if (rooms.every(r => DungeonGenerator._roomDistance(r, room) >= spacing)) rooms.push(room);
+        }
+        return rooms;
+    }
+
+    /** Every room adjacent to every other — for layouts without corridors. */
+    static _completeGraph(rooms) {
+        return rooms.map((_, i) => rooms.map((__, j) => j).filter(j => j !== i));
+    }
+
+    // ─── Labyrinth layout ────────────────────────────────────────────
+    /**
+     * A perfect maze (recursive backtracker on the odd grid cells) with a few
+     * extra openings and some small rooms knocked through it.
+     * @param {object} params
+     * @param {number} [params.loopChance=0.05] - Chance to open each remaining inner wall
+     * @param {number} [params.rooms=3] - Rooms carved into the maze
+     */
+    static _labyrinthLayout(width, height, levelNum, rng, params = {}) {
+        const loopChance = params.loopChance ?? 0.05;
+        const roomCount = params.rooms ?? 3;
+        const map = DungeonGenerator._createSolidMap(width, height);
+        const cellsW = Math.floor((width - 1) / 2);
+        const cellsH = Math.floor((height - 1) / 2);
+        const visited = Array.from({ length: cellsH }, () => Array(cellsW).fill(false));
+
+        const stack = [{ cx: rng.int(cellsW), cy: rng.int(cellsH) }];
+        visited[stack[0].cy][stack[0].cx] = true;
+        map[stack[0].cy * 2 + 1][stack[0].cx * 2 + 1] = TILE.FLOOR;
+        while (stack.length > 0) {
+            const { cx, cy } = stack[stack.length - 1];
+            const next = [[1, 0], [-1, 0], [0, 1], [0, -1]]
+                .map(([dx, dy]) => ({ cx: cx + dx, cy: cy + dy, dx, dy }))
+                .filter(n => n.cx >= 0 && n.cy >= 0 && n.cx < cellsW && n.cy < cellsH && !visited[n.cy][n.cx]);
+            if (next.length === 0) { stack.pop(); continue; }
+            const n = rng.pick(next);
+            visited[n.cy][n.cx] = true;
+            map[cy * 2 + 1 + n.dy][cx * 2 + 1 + n.dx] = TILE.FLOOR;
+            map[n.cy * 2 + 1][n.cx * 2 + 1] = TILE.FLOOR;
+            stack.push({ cx: n.cx, cy: n.cy });
+        }
+
+        // Knock through some walls between cells so there is more than one way round
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                if (map[y][x] !== TILE.WALL || (x % 2) === (y % 2)) continue;
+                const horizontal = map[y][x - 1] === TILE.FLOOR && map[y][x + 1] === TILE.FLOOR;
+                const vertical = map[y - 1][x] === TILE.FLOOR && map[y + 1][x] === TILE.FLOOR;
+                if ((horizontal || vertical) && rng.chance(loopChance)) map[y][x] = TILE.FLOOR;
+            }
+        }
+
+        // Rooms are aligned to the cell grid, so they always open onto the maze
+        const rooms = [];
+        for (let attempt = 0; attempt < roomCount * 10 && rooms.length < roomCount; attempt++) {
+            const w = rng.pick([3, 5]);
+            const h = rng.pick([3, 5]);
+            const x = rng.int(cellsW - (w - 1) / 2) * 2 + 1;
+            const y = rng.int(cellsH - (h - 1) / 2) * 2 + 1;
+            if (x + w >= width || y + h >= height) continue;
+            const room = { x, y, w, h, lit: false };
+            if (rooms.some(r => x <= r.x + r.w && r.x <= x + w && y <= r.y + r.h && r.y <= y + h)) continue;
+            for (let ry = y; ry < y + h; ry++) {
+                for (let rx = x; rx < x + w; rx++) map[ry][rx] = TILE.FLOOR;
+            }
+            rooms.push(room);
+        }
+        if (rooms.length < 2) return null;
+        return { map, rooms, roomGraph: DungeonGenerator._completeGraph(rooms) };
+    }
+
+    // ─── Vault layout ────────────────────────────────────────────────
+    /**
+     * A BSP level where the largest rooms hold a vault, keeping a one-tile
+     * moat inside the room. Prefab vaults are used where one fits; otherwise
+     * an inner walled chamber with a single (sometimes secret) door, loot
+     * spots inside and guard spots inside and at the door. The host room is
+     * marked `vault`.
+     * @param {object} params - As for the BSP layout, plus:
+     * @param {number} [params.vaults=1] - Vaults to build
+     * @param {number} [params.secretChance=0.3] - Chance a plain vault's door is secret
+     */
+    static _vaultLayout(width, height, levelNum, rng, params = {}) {
+        const level = DungeonGenerator._bspLayout(width, height, levelNum, rng, params);
+        const count = params.vaults ?? 1;
+        const secretChance = params.secretChance ?? 0.3;
+        const hosts = level.rooms
+            .map((room, i) => ({ room, i }))
+            .filter(({ room, i }) => i > 0 && !room.secret && room.w >= 7 && room.h >= 7)
+            .sort((a, b) => b.room.w * b.room.h - a.room.w * a.room.h)
+            .slice(0, count);
+        for (const { room, i } of hosts) {
+            const prefab = DungeonGenerator.pickPrefab('vault', levelNum, room.w - 2, room.h - 2, rng);
+            level.vaults.push(prefab
+                ? DungeonGenerator._furnishRoom(level.map, room, i, prefab, null, level.secretDoors, level.traps, rng)
+                : DungeonGenerator._buildVault(level.map, room, i, level.secretDoors, secretChance, rng));
+            room.vault = true;
+        }
+        return level;
+    }
+
+    /** Wall off the middle of a room, leaving a one-tile moat around it. */
+    static _buildVault(map, room, index, secretDoors, secretChance, rng) {
+        const x = room.x + 2, y = room.y + 2;
+        const w = room.w - 4, h = room.h - 4;
+        const inside = [];
+        for (let vy = y; vy < y + h; vy++) {
+            for (let vx = x; vx < x + w; vx++) {
+                const edge = vx === x || vy === y || vx === x + w - 1 || vy === y + h - 1;
+                map[vy][vx] = edge ? TILE.WALL : TILE.FLOOR;
+                if (!edge) inside.push({ x: vx, y: vy });
+            }
+        }
+
+        // One way in, through the middle of a random side
+        const side = rng.int(4);
+        const door = [
+            { x: x + Math.floor(w / 2), y, outside: { dx: 0, dy: -1 } },
+            { x: x + Math.floor(w / 2), y: y + h - 1, outside: { dx: 0, dy: 1 } },
+            { x, y: y + Math.floor(h / 2), outside: { dx: -1, dy: 0 } },
+            { x: x + w - 1, y: y + Math.floor(h / 2), outside: { dx: 1, dy: 0 } },
+        ][side];
+        if (rng.chance(secretChance)) {
+            map[door.y][door.x] = TILE.SECRET_WALL;
+            secretDoors.push({ x: door.x, y: door.y });
+        } else {
+            map[door.y][door.x] = TILE.DOOR_CLOSED;
+        }
+
+        const spots = rng.shuffle(inside);
+        const lootCount = Math.max(1, Math.floor(spots.length / 3));
+        const itemSpots = spots.slice(0, lootCount);
+        const guardSpots = spots.slice(lootCount, lootCount + Math.max(1, Math.floor(spots.length / 4)));
+        guardSpots.push({ x: door.x + door.outside.dx, y: door.y + door.outside.dy });
+        return { room: index, name: 'Inner Room', x, y, w, h, door: { x: door.x, y: door.y }, itemSpots, guardSpots, monsters: [] };
+    }
+
+    // ─── Town layout ─────────────────────────────────────────────────
+    /**
+     * The town: one lit square inside the outer wall, with a building for
+     * each of SHOPS in shuffled order, alternately north and south of a
+     * street through the middle, entrances facing it.
+     */
+    static _townLayout(width, height, levelNum, rng) {
+        const map = DungeonGenerator._createSolidMap(width, height);
+        const square = { x: 1, y: 1, w: width - 2, h: height - 2, lit: true };
+        for (let y = square.y; y < square.y + square.h; y++) {
+            for (let x = square.x; x < square.x + square.w; x++) map[y][x] = TILE.FLOOR;
+        }
+
+        const street = DungeonGenerator._roomCenter(square).y;
+        const keys = rng.shuffle(Object.keys(SHOPS));
+        const span = Math.floor(square.w / keys.length);
+        const shops = keys.map((key, i) => {
+            const w = Math.min(9, span - 2), h = rng.range(4, 6);
+            const x = square.x + i * span + Math.floor((span - w) / 2);
+            const north = i % 2 === 0;
+            const y = north ? street - 2 - h : street + 3;
+            for (let by = y; by < y + h; by++) {
+                for (let bx = x; bx < x + w; bx++) map[by][bx] = TILE.WALL;
+            }
+            const door = { key, x: x + rng.range(1, w - 2), y: north ? y + h - 1 : y };
+            map[door.y][door.x] = TILE.SHOP;
+            return door;
+        });
+        return { map, rooms: [square], shops, safe: true };
+    }
+
+    // ─── Prefabs ─────────────────────────────────────────────────────
+    /**
+     * Check and normalise prefab data shaped like vaults.js: a `glyphs` table
+     * (glyph → wall, floor, door, secretDoor, trap, item, guard or keep) and a
+     * `vaults` list of { name, kind: 'vault'|'secret', minDepth, maxDepth,
+     * rarity, monsters?: { glyph: monsterKey }, rows: string[] }.
+     * Throws, naming the prefab, on anything the stamper could not place.
+     */
+    static parsePrefabs({ glyphs, vaults }) {
+        const meanings = ['wall', 'floor', 'door', 'secretDoor', 'trap', 'item', 'guard', 'keep'];
+        for (const [glyph, meaning] of Object.entries(glyphs)) {
+            if (!meanings.includes(meaning)) throw new Error(`Vault glyph '${glyph}': unknown meaning ${meaning}`);
+        }
+        return vaults.map(v => {
+            const fail = (msg) => { throw new Error(`Vault "${v.name}": ${msg}`); };
+            if (!['vault', 'secret'].includes(v.kind)) fail(`unknown kind ${v.kind}`);
+            if (!RARITY_WEIGHTS[v.rarity]) fail(`unknown rarity ${v.rarity}`);
+            const monsters = v.monsters || {};
+            for (const [glyph, key] of Object.entries(monsters)) {
+                if (glyphs[glyph]) fail(`monster glyph '${glyph}' already means ${glyphs[glyph]}`);
+                if (!MONSTER_TYPES[key]) fail(`unknown monster ${key}`);
+            }
+            const rows = v.rows || [];
+            const w = rows[0]?.length || 0;
+            if (w === 0) fail('no rows');
+            for (const row of rows) {
+                if (row.length !== w) fail('rows differ in width');
+                for (const glyph of row) if (!glyphs[glyph] && !monsters[glyph]) fail(`unknown glyph '${glyph}'`);
+            }
+            if (v.kind === 'vault' && ![...rows.join('')].some(g => glyphs[g] === 'door' || glyphs[g] === 'secretDoor')) {
+                fail('a vault needs a door');
+            }
+            return {
+                name: v.name, kind: v.kind, rarity: v.rarity,
+                minDepth: v.minDepth ?? 1, maxDepth: v.maxDepth ?? Infinity,
+                glyphs, monsters, rows, w, h: rows.length,
+            };
+        });
+    }
+
+    /**
+     * Pick a prefab of the given kind that suits the depth and fits in w×h,
+     * weighted by RARITY_WEIGHTS. Returns null if none fits.
+     */
+    static pickPrefab(kind, levelNum, w, h, rng, prefabs = DungeonGenerator.PREFABS) {
+        const fits = prefabs.filter(p => p.kind === kind && p.minDepth <= levelNum && levelNum <= p.maxDepth
+            && p.w <= w && p.h <= h);
+        if (fits.length === 0) return null;
+        let roll = rng.next() * fits.reduce((sum, p) => sum + RARITY_WEIGHTS[p.rarity], 0);
+        for (const prefab of fits) {
+            roll -= RARITY_WEIGHTS[prefab.rarity];
+            if (roll < 0) return prefab;
+        }
+        return fits[fits.length - 1];
+    }
+
+    /**
+     * Stamp a prefab into the middle of a room. If `entrance` (a door into the
+     * room) is given, the tile just inside it is kept open.
+     * @returns {{room,name,x,y,w,h,door,itemSpots,guardSpots,monsters:{x,y,key}[]}}
+     */
+    static _furnishRoom(map, room, index, prefab, entrance, secretDoors, traps, rng) {
+        const x0 = room.x + Math.floor((room.w - prefab.w) / 2);
+        const y0 = room.y + Math.floor((room.h - prefab.h) / 2);
+        const vault = {
+            room: index, name: prefab.name, x: x0, y: y0, w: prefab.w, h: prefab.h,
+            door: null, itemSpots: [], guardSpots: [], monsters: [],
+        };
+        const trapKeys = Object.keys(TRAP_TYPES);
+        prefab.rows.forEach((row, dy) => [...row].forEach((glyph, dx) => {
+            const x = x0 + dx, y = y0 + dy;
+            const pos = { x, y };
+            if (prefab.monsters[glyph]) {
+                map[y][x] = TILE.FLOOR;
+                vault.monsters.push({ x, y, key: prefab.monsters[glyph] });
+                return;
+            }
+            switch (prefab.glyphs[glyph]) {
+                case 'keep': break;
+                case 'wall': map[y][x] = TILE.WALL; break;
+                case 'floor': map[y][x] = TILE.FLOOR; break;
+                case 'door':
+                    map[y][x] = TILE.DOOR_CLOSED;
+                    vault.door ??= pos;
+                    break;
+                case 'secretDoor':
+                    map[y][x] = TILE.SECRET_WALL;
+                    secretDoors.push(pos);
+                    vault.door ??= pos;
+                    break;
+                case 'trap':
+                    map[y][x] = TILE.TRAP_HIDDEN;
+                    traps.push({ x, y, type: rng.pick(trapKeys), revealed: false });
+                    break;
+                case 'item':
+                    map[y][x] = TILE.FLOOR;
+                    vault.itemSpots.push(pos);
+                    break;
+                case 'guard':
+                    map[y][x] = TILE.FLOOR;
+                    vault.guardSpots.push(pos);
+                    break;
+            }
+        }));
+
+        if (entrance) {
+            const x = Math.min(Math.max(entrance.x, room.x), room.x + room.w - 1);
+            const y = Math.min(Math.max(entrance.y, room.y), room.y + room.h - 1);
+            if (map[y][x] === TILE.WALL) map[y][x] = TILE.FLOOR;
+        }
+        return vault;
+    }
+
+    // ─── Metadata / validation ──────────────────────────────────────
+    /** Adjacency lists: roomGraph[i] holds the rooms joined to room i by a corridor. */
+    static _buildRoomGraph(rooms, corridors) {
+        const graph = rooms.map(() => []);
+        for (const c of corridors) {
+            if (!graph[c.from].includes(c.to)) graph[c.from].push(c.to);
+            if (!graph[c.to].includes(c.from)) graph[c.to].push(c.from);
+        }
+        return graph;
+    }
+
+    /**
+     * The room farthest on foot from the player start (where the down stairs go).
+     * Secret and vault rooms are never picked.
+     */
+    static _farthestRoom(map, rooms) {
+        const height = map.length, width = map[0].length;
+        const dist = Array.from({ length: height }, () => Array(width).fill(-1));
+        const start = DungeonGenerator._roomCenter(rooms[0]);
+        dist[start.y][start.x] = 0;
+        const queue = [start];
+        for (let head = 0; head < queue.length; head++) {
+            const { x, y } = queue[head];
+            for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]]) {
+                const nx = x + dx, ny = y + dy;
+                if (nx < 0 || ny < 0 || nx >= width || ny >= height || dist[ny][nx] >= 0) continue;
+                if (map[ny][nx] === TILE.WALL) continue;
+                dist[ny][nx] = dist[y][x] + 1;
+                queue.push({ x: nx, y: ny });
+            }
+        }
+        let far = 0;
+        let farDist = 0;
+        rooms.forEach((room, i) => {
+            if (room.secret || room.vault) return;
+            const c = DungeonGenerator._roomCenter(room);
+            if (dist[c.y][c.x] > farDist) { far = i; farDist = dist[c.y][c.x]; }
+        });
+        return far;
+    }
+
+    /**
+     * Tiles reachable on foot from (x, y). Closed and secret doors count as
+     * passable — they can be opened or found.
+     * @returns {boolean[][]}
+     */
+    static floodFill(map, x, y) {
+        const height = map.length, width = map[0].length;
+        const seen = Array.from({ length: height }, () => Array(width).fill(false));
+        if (map[y][x] === TILE.WALL) return seen;
+        const stack = [[x, y]];
+        seen[y][x] = true;
+        while (stack.length > 0) {
+            const [cx, cy] = stack.pop();
+            for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]]) {
+                const nx = cx + dx, ny = cy + dy;
+                if (nx < 0 || ny < 0 || nx >= width || ny >= height || seen[ny][nx]) continue;
+                if (map[ny][nx] === TILE.WALL) continue;
+                seen[ny][nx] = true;
+                stack.push([nx, ny]);
+            }
+        }
+        return seen;
+    }
+
+    /** True if every room can be reached from the first room (the player start). */
+    static validate(map, rooms) {
+        if (rooms.length === 0) return false;
+        const start = DungeonGenerator._roomCenter(rooms[0]);
+        const reach = DungeonGenerator.floodFill(map, start.x, start.y);
+        return rooms.every(r => {
+            const c = DungeonGenerator._roomAnchor(map, r);
+            return reach[c.y][c.x];
+        });
+    }
+
+    /** The room centre, or its first open tile if a prefab put a wall there. */
+    static _roomAnchor(map, room) {
+        const c = DungeonGenerator._roomCenter(room);
+        if (map[c.y][c.x] !== TILE.WALL) return c;
+        for (let y = room.y; y < room.y + room.h; y++) {
+            for (let x = room.x; x < room.x + room.w; x++) if (map[y][x] !== TILE.WALL) return { x, y };
+        }
+        return c;
     }
 
-    static _placeDoors(map, rooms) {
+    static _placeDoors(map, rooms, rng) {
         // Place doors where corridors meet room edges
         for (const room of rooms) {
             // Check each edge tile of the room
             for (let x = room.x; x < room.x + room.w; x++) {
-                DungeonGenerator._tryPlaceDoor(map, x, room.y - 1, x, room.y);
-                DungeonGenerator._tryPlaceDoor(map, x, room.y + room.h, x, room.y + room.h - 1);
+                DungeonGenerator._tryPlaceDoor(map, x, room.y - 1, x, room.y, rng);
+                DungeonGenerator._tryPlaceDoor(map, x, room.y + room.h, x, room.y + room.h - 1, rng);
             }
             for (let y = room.y; y < room.y + room.h; y++) {
-                DungeonGenerator._tryPlaceDoor(map, room.x - 1, y, room.x, y);
-                DungeonGenerator._tryPlaceDoor(map, room.x + room.w, y, room.x + room.w - 1, y);
+                DungeonGenerator._tryPlaceDoor(map, room.x - 1, y, room.x, y, rng);
+                DungeonGenerator._tryPlaceDoor(map, room.x + room.w, y, room.x + room.w - 1, y, rng);
             }
         }
     }
 
-    static _tryPlaceDoor(map, corridorX, corridorY, roomX, roomY) {
+    static _tryPlaceDoor(map, corridorX, corridorY, roomX, roomY, rng) {
         if (corridorY < 0 || corridorY >= map.length || corridorX < 0 || corridorX >= map[0].length) return;
         if (roomY < 0 || roomY >= map.length || roomX < 0 || roomX >= map[0].length) return;
 
@@ -169,7 +754,7 @@ export class DungeonGenerator {
                 if (cy > 0 && cy < map.length - 1) {
                     const above = map[cy - 1][cx];
                     const below = map[cy + 1][cx];
-                    if (above === TILE.WALL && below === TILE.WALL && Math.random() < 0.5) {
+                    if (above === TILE.WALL && below === TILE.WALL && rng.chance(0.5)) {
                         map[cy][cx] = TILE.DOOR_CLOSED;
                     }
                 }
@@ -179,7 +764,7 @@ export class DungeonGenerator {
                 if (cx > 0 && cx < map[0].length - 1) {
                     const left = map[cy][cx - 1];
                     const right = map[cy][cx + 1];
-                    if (left === TILE.WALL && right === TILE.WALL && Math.random() < 0.5) {
+                    if (left === TILE.WALL && right === TILE.WALL && rng.chance(0.5)) {
                         map[cy][cx] = TILE.DOOR_CLOSED;
                     }
                 }
@@ -187,7 +772,7 @@ export class DungeonGenerator {
         }
     }
 
-    static _placeTraps(map, rooms, traps, count, levelNum) {
+    static _placeTraps(map, rooms, traps, count, levelNum, rng) {
         const trapKeys = Object.keys(TRAP_TYPES);
         let placed = 0;
         let attempts = 0;
@@ -195,12 +780,12 @@ export class DungeonGenerator {
         while (placed < count && attempts < 100) {
             attempts++;
             // Place traps in corridors or rooms
-            const room = rooms[Math.floor(Math.random() * rooms.length)];
-            const x = room.x + Math.floor(Math.random() * room.w);
-            const y = room.y + Math.floor(Math.random() * room.h);
+            const room = rng.pick(rooms);
+            const x = room.x + rng.int(room.w);
+            const y = room.y + rng.int(room.h);
 
             if (map[y][x] === TILE.FLOOR) {
-                const trapKey = trapKeys[Math.floor(Math.random() * trapKeys.length)];
+                const trapKey = rng.pick(trapKeys);
                 map[y][x] = TILE.TRAP_HIDDEN;
                 traps.push({ x, y, type: trapKey, revealed: false });
                 placed++;
@@ -208,39 +793,41 @@ export class DungeonGenerator {
         }
     }
 
-    static _placeSecretRoom(map, rooms, secretDoors, mapW, mapH) {
+    /** Attach a hidden room behind a secret door; returns its index, or -1 if none fit. */
+    static _placeSecretRoom(map, rooms, secretDoors, corridors, mapW, mapH, rng) {
         // Try to attach a secret room to an existing room
         for (let attempt = 0; attempt < 20; attempt++) {
-            const room = rooms[Math.floor(Math.random() * rooms.length)];
+            const host = rng.int(rooms.length);
+            const room = rooms[host];
 
             // Pick a wall side
-            const side = Math.floor(Math.random() * 4); // 0=north, 1=south, 2=west, 3=east
-            const secretW = 3 + Math.floor(Math.random() * 3);
-            const secretH = 3 + Math.floor(Math.random() * 3);
+            const side = rng.int(4); // 0=north, 1=south, 2=west, 3=east
+            const secretW = 3 + rng.int(3);
+            const secretH = 3 + rng.int(3);
             let sx, sy, doorX, doorY;
 
             switch (side) {
                 case 0: // north
-                    sx = room.x + Math.floor(Math.random() * Math.max(1, room.w - secretW));
+                    sx = room.x + rng.int(Math.max(1, room.w - secretW));
                     sy = room.y - secretH - 1;
                     doorX = sx + Math.floor(secretW / 2);
                     doorY = room.y - 1;
                     break;
                 case 1: // south
-                    sx = room.x + Math.floor(Math.random() * Math.max(1, room.w - secretW));
+                    sx = room.x + rng.int(Math.max(1, room.w - secretW));
                     sy = room.y + room.h + 1;
                     doorX = sx + Math.floor(secretW / 2);
                     doorY = room.y + room.h;
                     break;
                 case 2: // west
                     sx = room.x - secretW - 1;
-                    sy = room.y + Math.floor(Math.random() * Math.max(1, room.h - secretH));
+                    sy = room.y + rng.int(Math.max(1, room.h - secretH));
                     doorX = room.x - 1;
                     doorY = sy + Math.floor(secretH / 2);
                     break;
                 case 3: // east
                     sx = room.x + room.w + 1;
-                    sy = room.y + Math.floor(Math.random() * Math.max(1, room.h - secretH));
+                    sy = room.y + rng.int(Math.max(1, room.h - secretH));
                     doorX = room.x + room.w;
                     doorY = sy + Math.floor(secretH / 2);
                     break;
@@ -270,19 +857,21 @@ export class DungeonGenerator {
             // Place secret door
             map[doorY][doorX] = TILE.SECRET_WALL;
             secretDoors.push({ x: doorX, y: doorY });
+            corridors.push({ from: host, to: rooms.length, tiles: [{ x: doorX, y: doorY }], secret: true });
             rooms.push({ x: sx, y: sy, w: secretW, h: secretH, secret: true });
-            break;
+            return rooms.length - 1;
         }
+        return -1;
     }
 
     /**
      * Find a random floor tile in the map.
      */
-    static findRandomFloor(map, width, height) {
+    static findRandomFloor(map, width, height, rng = new RNG()) {
         let attempts = 0;
         while (attempts < 1000) {
-            const x = 1 + Math.floor(Math.random() * (width - 2));
-            const y = 1 + Math.floor(Math.random() * (height - 2));
+            const x = 1 + rng.int(width - 2);
+            const y = 1 + rng.int(height - 2);
             if (map[y][x] === TILE.FLOOR) return { x, y };
             attempts++;
         }
@@ -298,23 +887,23 @@ export class DungeonGenerator {
     /**
      * Find a random floor tile inside a specific room.
      */
-    static findFloorInRoom(map, room) {
+    static findFloorInRoom(map, room, rng = new RNG()) {
         for (let attempt = 0; attempt < 50; attempt++) {
-            const x = room.x + Math.floor(Math.random() * room.w);
-            const y = room.y + Math.floor(Math.random() * room.h);
+            const x = room.x + rng.int(room.w);
+            const y = room.y + rng.int(room.h);
             if (map[y][x] === TILE.FLOOR) return { x, y };
         }
         return { x: room.x, y: room.y };
     }
 
-    static _placePortals(map, rooms, count) {
+    static _placePortals(map, rooms, count, rng) {
         let placed = 0;
         let attempts = 0;
         while (placed < count && attempts < 50) {
             attempts++;
-            const room = rooms[Math.floor(Math.random() * rooms.length)];
-            const x = room.x + Math.floor(Math.random() * room.w);
-            const y = room.y + Math.floor(Math.random() * room.h);
+            const room = rng.pick(rooms);
+            const x = room.x + rng.int(room.w);
+            const y = room.y + rng.int(room.h);
             if (map[y][x] === TILE.FLOOR) {
                 map[y][x] = TILE.PORTAL;
                 placed++;
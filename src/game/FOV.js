@@ -0,0 +1,59 @@
+/**
+ * FOV.js
+ * Symmetric recursive shadowcasting (after Albert Ford). A floor tile is
+ * visible from the origin exactly when the origin is visible from it, there
+ * are no holes at range, and walls are lit wherever a floor beside them would be.
+ * Slopes are kept as exact fractions so the symmetry test never rounds.
+ */
+export class FOV {
+    /** Map (depth, col) in each quadrant to grid coordinates. */
+    static QUADRANTS = [
+        (ox, oy, depth, col) => [ox + col, oy - depth], // north
+        (ox, oy, depth, col) => [ox + col, oy + depth], // south
+        (ox, oy, depth, col) => [ox + depth, oy + col], // east
+        (ox, oy, depth, col) => [ox - depth, oy + col], // west
+    ];
+
+    /**
+     * Compute the field of view around an origin.
+     * @param {number} ox - Origin x
+     * @param {number} oy - Origin y
+     * @param {number} radius - Maximum distance (tiles, Euclidean)
+     * @param {(x: number, y: number) => boolean} isBlocking - True for walls/closed doors and out-of-bounds
+     * @param {(x: number, y: number) => void} reveal - Called for every visible tile (may repeat)
+     */
+    static compute(ox, oy, radius, isBlocking, reveal) {
+        reveal(ox, oy);
+        const maxDist2 = radius * radius + radius; // rounder circle than r²
+        for (const transform of FOV.QUADRANTS) {
+            const rows = [{ depth: 1, start: { n: -1, d: 1 }, end: { n: 1, d: 1 } }];
+            while (rows.length > 0) {
+                const row = rows.pop();
+                const { depth } = row;
+                // Round ties up at the start and down at the end
+                const minCol = Math.floor((2 * depth * row.start.n + row.start.d) / (2 * row.start.d));
+                const maxCol = Math.ceil((2 * depth * row.end.n - row.end.d) / (2 * row.end.d));
+                let prevWall = null;
+                for (let col = minCol; col <= maxCol; col++) {
+                    const [x, y] = transform(ox, oy, depth, col);
+                    const wall = isBlocking(x, y);
+                    const symmetric = col * row.start.d >= depth * row.start.n && col * row.end.d <= depth * row.end.n;
+                    if ((wall || symmetric) && depth * depth + col * col <= maxDist2) reveal(x, y);
+                    if (prevWall === true && !wall) row.start = FOV._slope(depth, col);
+                    if (prevWall === false && wall && depth < radius) {
+                        rows.push({ depth: depth + 1, start: row.start, end: FOV._slope(depth, col) });
+                    }
+                    prevWall = wall;
+                }
+                if (prevWall === false && depth < radius) {
+                    rows.push({ depth: depth + 1, start: row.start, end: row.end });
+                }
+            }
+        }
+    }
+
+    /** Slope of the left edge of a tile, as a fraction. */
+    static _slope(depth, col) {
+        return { n: 2 * col - 1, d: 2 * depth };
+    }
+}
@@ -4,103 +4,179 @@
  * Separated from RoguelikeGame.js for clarity.
  */
 
+// ─── Elements ───────────────────────────────────────────────────────
+// Every hit carries an element ('physical' for plain blows). Races, monster
+// types, equipment and status effects may carry an `elements` table mapping
+// element → 'resist' (a third of the damage), 'immune' (none) or 'vulnerable'
+// (half as much again). `hurt` finishes "X is …" when a vulnerable target is hit.
+export const ELEMENTS = {
+    physical: { name: 'Physical', icon: '⚔️', hurt: 'badly wounded' },
+    fire: { name: 'Fire', icon: '🔥', hurt: 'badly burned' },
+    ice: { name: 'Ice', icon: '❄️', hurt: 'frozen to the bone' },
+    lightning: { name: 'Lightning', icon: '⚡', hurt: 'badly shocked' },
+    poison: { name: 'Poison', icon: '🤢', hurt: 'badly poisoned' },
+    arcane: { name: 'Arcane', icon: '✴️', hurt: 'torn by raw mana' },
+    holy: { name: 'Holy', icon: '☀️', hurt: 'seared by holy light' },
+    nature: { name: 'Nature', icon: '🌿', hurt: 'lashed by thorns' },
+    psychic: { name: 'Psychic', icon: '🧠', hurt: 'racked with pain' },
+    nether: { name: 'Nether', icon: '💀', hurt: 'chilled to the soul' },
+    light: { name: 'Light', icon: '💡', hurt: 'seared by the light' },
+    dark: { name: 'Darkness', icon: '🌑', hurt: 'swallowed by darkness' },
+};
+
 // ─── Races ──────────────────────────────────────────────────────────
+// `infravision` adds tiles to the light radius; `immune` lists status effects;
+// `elements` is an ELEMENTS affinity table.
 export const RACES = {
     human: { name: 'Human', hp: 10, mp: 8, str: 5, dex: 5, int: 5, desc: 'Allrounders with no weaknesses', color: 0xddbb88 },
     halfElf: { name: 'Half-Elf', hp: 9, mp: 10, str: 4, dex: 6, int: 6, desc: 'Smarter and faster than humans', color: 0xaaddbb },
-    elf: { name: 'Elf', hp: 8, mp: 12, str: 3, dex: 6, int: 7, desc: 'Immortal and magical, resist light', color: 0x88ddaa },
+    elf: { name: 'Elf', hp: 8, mp: 12, str: 3, dex: 6, int: 7, desc: 'Immortal and magical, resist light', color: 0x88ddaa, elements: { light: 'resist' } },
     hobbit: { name: 'Hobbit', hp: 8, mp: 6, str: 3, dex: 8, int: 5, desc: 'Excellent rogues, stealthy', color: 0xccaa77 },
-    gnome: { name: 'Gnome', hp: 9, mp: 10, str: 4, dex: 7, int: 7, desc: 'Protected from paralysis', color: 0xbb9977 },
-    dwarf: { name: 'Dwarf', hp: 14, mp: 4, str: 7, dex: 3, int: 3, desc: 'Headstrong miners and fighters', color: 0xaa7744 },
-    halfOrc: { name: 'Half-Orc', hp: 13, mp: 4, str: 7, dex: 5, int: 4, desc: 'Great constitution', color: 0x668844 },
-    halfTroll: { name: 'Half-Troll', hp: 16, mp: 3, str: 9, dex: 2, int: 2, desc: 'Strong, regenerate, but slow', color: 0x556644 },
+    gnome: { name: 'Gnome', hp: 9, mp: 10, str: 4, dex: 7, int: 7, desc: 'Protected from paralysis', color: 0xbb9977, immune: ['paralyzed'], infravision: 1 },
+    dwarf: { name: 'Dwarf', hp: 14, mp: 4, str: 7, dex: 3, int: 3, desc: 'Headstrong miners and fighters', color: 0xaa7744, infravision: 1 },
+    halfOrc: { name: 'Half-Orc', hp: 13, mp: 4, str: 7, dex: 5, int: 4, desc: 'Great constitution', color: 0x668844, infravision: 1 },
+    halfTroll: { name: 'Half-Troll', hp: 16, mp: 3, str: 9, dex: 2, int: 2, desc: 'Strong, regenerate, but slow', color: 0x556644, infravision: 1, elements: { fire: 'vulnerable' }, specials: ['regen'] },
     dunadan: { name: 'Dunadan', hp: 12, mp: 8, str: 6, dex: 7, int: 7, desc: 'Elder hardy men', color: 0xccbbaa },
-    highElf: { name: 'High-Elf', hp: 10, mp: 14, str: 6, dex: 8, int: 8, desc: 'See invisible, master skills', color: 0xeeeedd },
-    darkElf: { name: 'Dark-Elf', hp: 10, mp: 10, str: 5, dex: 8, int: 7, desc: 'Resist darkness', color: 0x6644aa },
-    draconian: { name: 'Draconian', hp: 14, mp: 10, str: 9, dex: 6, int: 7, desc: 'Breathe elements', color: 0xdd4422 },
+    highElf: { name: 'High-Elf', hp: 10, mp: 14, str: 6, dex: 8, int: 8, desc: 'See invisible, master skills', color: 0xeeeedd, infravision: 1, specials: ['seeInvisible'] },
+    darkElf: { name: 'Dark-Elf', hp: 10, mp: 10, str: 5, dex: 8, int: 7, desc: 'Resist darkness', color: 0x6644aa, infravision: 2, elements: { dark: 'resist' } },
+    draconian: { name: 'Draconian', hp: 14, mp: 10, str: 9, dex: 6, int: 7, desc: 'Breathe elements', color: 0xdd4422, elements: { fire: 'resist' } },
 };
 
 // ─── Classes ────────────────────────────────────────────────────────
+// `spells` maps spell key → character level at which the class learns it;
+// `kit` lists EQUIPMENT_TYPES keys the class starts with equipped;
+// `device` is the class's skill with wands, staffs and rods.
 export const CLASSES = {
-    warrior: { name: 'Warrior', hpMult: 1.5, mpMult: 0.3, strMult: 1.5, dexMult: 1.0, intMult: 0.4, desc: 'Hack-and-slash fighter', maxBpR: 6 },
-    istar: { name: 'Istar', hpMult: 0.6, mpMult: 2.0, strMult: 0.5, dexMult: 0.8, intMult: 1.6, desc: 'Devastating spells', maxBpR: 1 },
-    priest: { name: 'Priest', hpMult: 0.9, mpMult: 1.5, strMult: 0.8, dexMult: 0.7, intMult: 1.2, desc: 'Holy devotion', maxBpR: 4 },
-    rogue: { name: 'Rogue', hpMult: 0.9, mpMult: 1.0, strMult: 0.9, dexMult: 1.5, intMult: 1.0, desc: 'Master of traps and stealth', maxBpR: 5 },
-    paladin: { name: 'Paladin', hpMult: 1.3, mpMult: 0.8, strMult: 1.3, dexMult: 0.9, intMult: 0.8, desc: 'Holy knight', maxBpR: 5 },
-    ranger: { name: 'Ranger', hpMult: 1.1, mpMult: 1.2, strMult: 1.0, dexMult: 1.2, intMult: 1.1, desc: 'Bow and magic', maxBpR: 5 },
-    archer: { name: 'Archer', hpMult: 0.8, mpMult: 0.6, strMult: 0.8, dexMult: 1.6, intMult: 0.7, desc: 'Ranged damage', maxBpR: 3 },
-    druid: { name: 'Druid', hpMult: 0.9, mpMult: 1.4, strMult: 0.9, dexMult: 0.8, intMult: 1.3, desc: 'Nature powers', maxBpR: 4 },
-    mindcrafter: { name: 'Mindcrafter', hpMult: 1.1, mpMult: 1.2, strMult: 1.1, dexMult: 1.0, intMult: 1.2, desc: 'Psychic powers', maxBpR: 5 },
-    adventurer: { name: 'Adventurer', hpMult: 1.0, mpMult: 1.0, strMult: 1.0, dexMult: 1.0, intMult: 1.0, desc: 'Jack-of-all-trades', maxBpR: 4 },
+    warrior: { name: 'Warrior', hpMult: 1.5, mpMult: 0.3, strMult: 1.5, dexMult: 1.0, intMult: 0.4, desc: 'Hack-and-slash fighter', maxBpR: 6, device: 18, spells: {} },
+    istar: { name: 'Istar', hpMult: 0.6, mpMult: 2.0, strMult: 0.5, dexMult: 0.8, intMult: 1.6, desc: 'Devastating spells', maxBpR: 1, device: 40, spells: { magicMissile: 1, fireball: 3, frostNova: 5, lightning: 7, manaStorm: 12 } },
+    priest: { name: 'Priest', hpMult: 0.9, mpMult: 1.5, strMult: 0.8, dexMult: 0.7, intMult: 1.2, desc: 'Holy devotion', maxBpR: 4, device: 32, spells: { heal: 1, orbOfDraining: 3, smite: 5, healingPrayer: 8, holyWord: 12 } },
+    rogue: { name: 'Rogue', hpMult: 0.9, mpMult: 1.0, strMult: 0.9, dexMult: 1.5, intMult: 1.0, desc: 'Master of traps and stealth', maxBpR: 5, device: 34, spells: { magicMissile: 3, lightning: 10 } },
+    paladin: { name: 'Paladin', hpMult: 1.3, mpMult: 0.8, strMult: 1.3, dexMult: 0.9, intMult: 0.8, desc: 'Holy knight', maxBpR: 5, device: 24, spells: { heal: 3, smite: 7, orbOfDraining: 12 } },
+    ranger: { name: 'Ranger', hpMult: 1.1, mpMult: 1.2, strMult: 1.0, dexMult: 1.2, intMult: 1.1, desc: 'Bow and magic', maxBpR: 5, device: 30, spells: { stingingSwarm: 1, regrowth: 4, lightning: 9 }, kit: ['shortBow', 'arrow'] },
+    archer: { name: 'Archer', hpMult: 0.8, mpMult: 0.6, strMult: 0.8, dexMult: 1.6, intMult: 0.7, desc: 'Ranged damage', maxBpR: 3, device: 24, spells: {}, kit: ['longBow', 'arrow'] },
+    druid: { name: 'Druid', hpMult: 0.9, mpMult: 1.4, strMult: 0.9, dexMult: 0.8, intMult: 1.3, desc: 'Nature powers', maxBpR: 4, device: 34, spells: { stingingSwarm: 1, regrowth: 3, thornBurst: 5, lightning: 9, frostNova: 13 } },
+    mindcrafter: { name: 'Mindcrafter', hpMult: 1.1, mpMult: 1.2, strMult: 1.1, dexMult: 1.0, intMult: 1.2, desc: 'Psychic powers', maxBpR: 5, device: 32, spells: { mindBlast: 1, cellAdjust: 3, psychicScream: 6, mindWave: 10 } },
+    adventurer: { name: 'Adventurer', hpMult: 1.0, mpMult: 1.0, strMult: 1.0, dexMult: 1.0, intMult: 1.0, desc: 'Jack-of-all-trades', maxBpR: 4, device: 28, spells: { magicMissile: 1, heal: 4, fireball: 9 } },
 };
 
 // ─── Spells ─────────────────────────────────────────────────────────
+// type: 'self' (heal), 'aoe' (ball on the target), 'line' (bolt at the target), 'nova' (burst around caster)
 export const SPELLS = {
-    fireball: { name: 'Fireball', key: '1', mpCost: 8, damage: 15, range: 4, radius: 1, type: 'aoe', element: 'fire', desc: 'Explosive ball of fire', cooldown: 3, color: 0xff4400 },
-    heal: { name: 'Heal', key: '2', mpCost: 6, healAmount: 20, type: 'self', element: 'holy', desc: 'Restores health', cooldown: 2, color: 0x44ff88 },
-    lightning: { name: 'Lightning Bolt', key: '3', mpCost: 10, damage: 22, range: 6, type: 'line', element: 'lightning', desc: 'Crackling bolt of electricity', cooldown: 4, color: 0xffff00 },
-    frostNova: { name: 'Frost Nova', key: '4', mpCost: 12, damage: 12, range: 0, radius: 2, type: 'nova', element: 'ice', desc: 'Freezes all nearby enemies', cooldown: 5, color: 0x00ccff },
+    // Arcane — Istar
+    magicMissile: { name: 'Magic Missile', mpCost: 3, damage: 8, range: 6, type: 'line', element: 'arcane', desc: 'A bolt of raw mana', cooldown: 1, color: 0xaa66ff, icon: '✴️' },
+    fireball: { name: 'Fireball', mpCost: 8, damage: 15, range: 4, radius: 1, type: 'aoe', element: 'fire', desc: 'Explosive ball of fire', cooldown: 3, color: 0xff4400, icon: '🔥' },
+    lightning: { name: 'Lightning Bolt', mpCost: 10, damage: 22, range: 6, type: 'line', element: 'lightning', desc: 'Crackling bolt of electricity', cooldown: 4, color: 0xffff00, icon: '⚡' },
+    frostNova: { name: 'Frost Nova', mpCost: 12, damage: 12, range: 0, radius: 2, type: 'nova', element: 'ice', desc: 'Freezes all nearby enemies', cooldown: 5, color: 0x00ccff, icon: '❄️' },
+    manaStorm: { name: 'Mana Storm', mpCost: 25, damage: 40, range: 0, radius: 3, type: 'nova', element: 'arcane', desc: 'A storm of pure magic', cooldown: 8, color: 0xff66ff, icon: '🌀' },
+    // Holy — Priest, Paladin
+    heal: { name: 'Heal', mpCost: 6, healAmount: 20, type: 'self', element: 'holy', desc: 'Restores health', cooldown: 2, color: 0x44ff88, icon: '💚' },
+    orbOfDraining: { name: 'Orb of Draining', mpCost: 7, damage: 14, range: 5, radius: 1, type: 'aoe', element: 'holy', desc: 'Holy orb that sears the unholy', cooldown: 2, color: 0xffffaa, icon: '🔆' },
+    smite: { name: 'Holy Smite', mpCost: 8, damage: 18, range: 4, type: 'line', element: 'holy', desc: 'A lance of divine light', cooldown: 3, color: 0xffee88, icon: '☀️' },
+    healingPrayer: { name: 'Healing Prayer', mpCost: 14, healAmount: 50, type: 'self', element: 'holy', desc: 'Greatly restores health', cooldown: 5, color: 0x88ffcc, icon: '💖' },
+    holyWord: { name: 'Holy Word', mpCost: 20, damage: 30, range: 0, radius: 2, type: 'nova', element: 'holy', desc: 'Words of power burn all around', cooldown: 7, color: 0xffffff, icon: '✨' },
+    // Nature — Druid, Ranger
+    stingingSwarm: { name: 'Stinging Swarm', mpCost: 4, damage: 9, range: 5, type: 'line', element: 'poison', desc: 'A cloud of angry insects', cooldown: 1, status: { key: 'poisoned', turns: 5 }, color: 0xccaa22, icon: '🐝' },
+    regrowth: { name: 'Regrowth', mpCost: 5, healAmount: 15, type: 'self', element: 'nature', desc: 'Nature mends your wounds', cooldown: 2, color: 0x66dd44, icon: '🌿' },
+    thornBurst: { name: 'Thorn Burst', mpCost: 9, damage: 14, range: 0, radius: 2, type: 'nova', element: 'nature', desc: 'Thorns erupt from the ground', cooldown: 4, color: 0x448822, icon: '🌵' },
+    // Psychic — Mindcrafter
+    mindBlast: { name: 'Mind Blast', mpCost: 4, damage: 10, range: 5, type: 'line', element: 'psychic', desc: 'A psychic spike', cooldown: 1, color: 0xff88ff, icon: '🧠' },
+    cellAdjust: { name: 'Cell Adjustment', mpCost: 6, healAmount: 18, type: 'self', element: 'psychic', desc: 'Will your body to heal', cooldown: 3, color: 0xdd88ff, icon: '🧬' },
+    psychicScream: { name: 'Psychic Scream', mpCost: 10, damage: 16, range: 0, radius: 2, type: 'nova', element: 'psychic', desc: 'Assaults every nearby mind', cooldown: 4, status: { key: 'confused', turns: 4 }, color: 0xcc44ff, icon: '💫' },
+    mindWave: { name: 'Mind Wave', mpCost: 14, damage: 24, range: 6, radius: 2, type: 'aoe', element: 'psychic', desc: 'A crushing wave of thought', cooldown: 5, color: 0x9966ff, icon: '🔮' },
 };
 
 // ─── Monster Types (25+ types across 15 levels) ────────────────────
+// `ai`: 'wander' (until the player is seen), 'chase', 'pack' (surround the
+// player, lurk while they hold a corridor), 'guard' (stay near the spawn room),
+// 'stationary' (never moves). `fleeAt` is the share of HP at which it runs;
+// `spells` lists MONSTER_SPELLS keys. `element` is what its blows deal
+// (default 'physical') and `elements` its ELEMENTS affinity table. `kind`
+// ('orc', 'undead', 'dragon', 'demon') is what slaying weapons key on;
+// `invisible` monsters can only be seen with see invisible. Slain monsters may
+// leave a corpse to eat, except undead and demons.
 export const MONSTER_TYPES = {
     // Depth 1-3: Easy
-    floatingEye: { name: 'Floating Eye', symbol: 'e', hp: 5, atk: 0, def: 0, xp: 3, speed: 1, color: 0xff8800, shape: 'sphere', minLevel: 1, ai: 'wander', ability: 'paralyze', desc: 'Paralyzing gaze' },
-    rat: { name: 'Giant Rat', symbol: 'r', hp: 8, atk: 2, def: 0, xp: 5, speed: 1, color: 0x886644, shape: 'icosahedron', minLevel: 1, ai: 'wander' },
-    kobold: { name: 'Kobold', symbol: 'k', hp: 10, atk: 3, def: 0, xp: 8, speed: 1, color: 0x997755, shape: 'dodecahedron', minLevel: 1, ai: 'chase' },
-    goblin: { name: 'Goblin', symbol: 'g', hp: 15, atk: 4, def: 1, xp: 12, speed: 1, color: 0x22aa22, shape: 'dodecahedron', minLevel: 1, ai: 'chase' },
-    giantSpider: { name: 'Giant Spider', symbol: 'S', hp: 12, atk: 5, def: 0, xp: 14, speed: 2, color: 0x554422, shape: 'icosahedron', minLevel: 2, ai: 'chase', ability: 'poison' },
-    skeleton: { name: 'Skeleton', symbol: 's', hp: 20, atk: 6, def: 2, xp: 20, speed: 1, color: 0xcccccc, shape: 'octahedron', minLevel: 2, ai: 'chase' },
-    warg: { name: 'Warg', symbol: 'C', hp: 22, atk: 7, def: 1, xp: 25, speed: 2, color: 0x554433, shape: 'icosahedron', minLevel: 2, ai: 'chase' },
+    floatingEye: { name: 'Floating Eye', symbol: 'e', hp: 5, atk: 0, def: 0, xp: 3, speed: 1, color: 0xff8800, shape: 'sphere', minLevel: 1, ai: 'stationary', ability: 'paralyze', desc: 'Paralyzing gaze', immune: ['paralyzed'] },
+    rat: { name: 'Giant Rat', symbol: 'r', hp: 8, atk: 2, def: 0, xp: 5, speed: 1, color: 0x886644, shape: 'icosahedron', minLevel: 1, ai: 'wander', fleeAt: 0.5 },
+    kobold: { name: 'Kobold', symbol: 'k', hp: 10, atk: 3, def: 0, xp: 8, speed: 1, color: 0x997755, shape: 'dodecahedron', minLevel: 1, ai: 'chase', fleeAt: 0.3 },
+    goblin: { name: 'Goblin', kind: 'orc', symbol: 'g', hp: 15, atk: 4, def: 1, xp: 12, speed: 1, color: 0x22aa22, shape: 'dodecahedron', minLevel: 1, ai: 'chase', fleeAt: 0.3 },
+    giantSpider: { name: 'Giant Spider', symbol: 'S', hp: 12, atk: 5, def: 0, xp: 14, speed: 2, color: 0x554422, shape: 'icosahedron', minLevel: 2, ai: 'chase', ability: 'poison', elements: { poison: 'resist' } },
+    skeleton: { name: 'Skeleton', kind: 'undead', symbol: 's', hp: 20, atk: 6, def: 2, xp: 20, speed: 1, color: 0xcccccc, shape: 'octahedron', minLevel: 2, ai: 'chase', immune: ['poisoned'], elements: { holy: 'vulnerable', poison: 'immune' } },
+    warg: { name: 'Warg', symbol: 'C', hp: 22, atk: 7, def: 1, xp: 25, speed: 2, color: 0x554433, shape: 'icosahedron', minLevel: 2, ai: 'pack', fleeAt: 0.25 },
     // Depth 3-5: Medium
-    hillOrc: { name: 'Hill Orc', symbol: 'o', hp: 30, atk: 8, def: 3, xp: 35, speed: 1, color: 0x447722, shape: 'torusknot', minLevel: 3, ai: 'chase' },
-    wight: { name: 'Wight', symbol: 'W', hp: 35, atk: 10, def: 3, xp: 45, speed: 1, color: 0x8888aa, shape: 'octahedron', minLevel: 3, ai: 'chase', ability: 'drain', desc: 'Drains life' },
+    hillOrc: { name: 'Hill Orc', kind: 'orc', symbol: 'o', hp: 30, atk: 8, def: 3, xp: 35, speed: 1, color: 0x447722, shape: 'torusknot', minLevel: 3, ai: 'chase', fleeAt: 0.2 },
+    wight: { name: 'Wight', kind: 'undead', symbol: 'W', hp: 35, atk: 10, def: 3, xp: 45, speed: 1, color: 0x8888aa, shape: 'octahedron', minLevel: 3, ai: 'chase', ability: 'drain', desc: 'Drains life', element: 'ice', elements: { holy: 'vulnerable', nether: 'immune', ice: 'resist' } },
     naga: { name: 'Naga', symbol: 'n', hp: 40, atk: 9, def: 4, xp: 50, speed: 1, color: 0x44aaaa, shape: 'cone', minLevel: 3, ai: 'chase' },
-    darkElf: { name: 'Dark Elf', symbol: 'h', hp: 32, atk: 11, def: 3, xp: 55, speed: 1, color: 0x6644aa, shape: 'gomboc', minLevel: 4, ai: 'chase', ability: 'teleport' },
-    caveTroll: { name: 'Cave Troll', symbol: 'T', hp: 55, atk: 14, def: 5, xp: 70, speed: 1, color: 0x556644, shape: 'oloid', minLevel: 4, ai: 'chase' },
+    darkElf: { name: 'Dark Elf', symbol: 'h', hp: 32, atk: 11, def: 3, xp: 55, speed: 1, color: 0x6644aa, shape: 'gomboc', minLevel: 4, ai: 'chase', ability: 'teleport', fleeAt: 0.25, spells: ['magicBolt', 'blind'], elements: { dark: 'resist', light: 'vulnerable' } },
+    caveTroll: { name: 'Cave Troll', symbol: 'T', hp: 55, atk: 14, def: 5, xp: 70, speed: 1, color: 0x556644, shape: 'oloid', minLevel: 4, ai: 'chase', elements: { fire: 'vulnerable' } },
     // Depth 5-8: Hard
-    shade: { name: 'Shade', symbol: 'G', hp: 45, atk: 11, def: 2, xp: 55, speed: 2, color: 0x443366, shape: 'tetrahedron', minLevel: 5, ai: 'chase', desc: 'Nether damage' },
-    vampire: { name: 'Vampire', symbol: 'V', hp: 50, atk: 13, def: 4, xp: 80, speed: 1, color: 0xaa2233, shape: 'octahedron', minLevel: 5, ai: 'chase', ability: 'drain', desc: 'Drains life force' },
-    golem: { name: 'Stone Golem', symbol: 'g', hp: 80, atk: 16, def: 8, xp: 100, speed: 1, color: 0x888877, shape: 'gomboc', minLevel: 6, ai: 'chase' },
-    wraith: { name: 'Wraith', symbol: 'W', hp: 55, atk: 14, def: 3, xp: 90, speed: 2, color: 0x334455, shape: 'oloid', minLevel: 6, ai: 'chase', ability: 'paralyze' },
-    hydra: { name: 'Multi-Headed Hydra', symbol: 'M', hp: 90, atk: 18, def: 5, xp: 120, speed: 1, color: 0x228844, shape: 'torusknot', minLevel: 7, ai: 'chase' },
+    shade: { name: 'Shade', kind: 'undead', invisible: true, symbol: 'G', hp: 45, atk: 11, def: 2, xp: 55, speed: 2, color: 0x443366, shape: 'tetrahedron', minLevel: 5, ai: 'chase', desc: 'Nether damage', immune: ['poisoned'], spells: ['blink', 'blind'], element: 'nether', elements: { holy: 'vulnerable', nether: 'immune' } },
+    vampire: { name: 'Vampire', kind: 'undead', symbol: 'V', hp: 50, atk: 13, def: 4, xp: 80, speed: 1, color: 0xaa2233, shape: 'octahedron', minLevel: 5, ai: 'chase', ability: 'drain', desc: 'Drains life force', spells: ['blink', 'healSelf'], elements: { holy: 'vulnerable', light: 'vulnerable', nether: 'resist' } },
+    golem: { name: 'Stone Golem', symbol: 'g', hp: 80, atk: 16, def: 8, xp: 100, speed: 1, color: 0x888877, shape: 'gomboc', minLevel: 6, ai: 'chase', immune: ['poisoned', 'confused'], elements: { poison: 'immune', lightning: 'resist', psychic: 'immune' } },
+    wraith: { name: 'Wraith', kind: 'undead', symbol: 'W', hp: 55, atk: 14, def: 3, xp: 90, speed: 2, color: 0x334455, shape: 'oloid', minLevel: 6, ai: 'chase', ability: 'paralyze', immune: ['poisoned'], element: 'ice', elements: { holy: 'vulnerable', nether: 'immune', ice: 'resist' } },
+    hydra: { name: 'Multi-Headed Hydra', symbol: 'M', hp: 90, atk: 18, def: 5, xp: 120, speed: 1, color: 0x228844, shape: 'torusknot', minLevel: 7, ai: 'chase', spells: ['poisonBreath'], elements: { poison: 'immune', fire: 'vulnerable' } },
     // Depth 8-11: Very Hard
-    demonImp: { name: 'Demon Imp', symbol: 'u', hp: 40, atk: 15, def: 3, xp: 85, speed: 2, color: 0xcc3322, shape: 'tetrahedron', minLevel: 8, ai: 'chase', ability: 'summon' },
-    ancientDragon: { name: 'Ancient Dragon', symbol: 'D', hp: 120, atk: 22, def: 8, xp: 200, speed: 1, color: 0xff4400, shape: 'dragon', minLevel: 9, ai: 'chase' },
-    lich: { name: 'Lich', symbol: 'L', hp: 80, atk: 20, def: 6, xp: 180, speed: 1, color: 0x886688, shape: 'octahedron', minLevel: 9, ai: 'chase', ability: 'summon', desc: 'Summons undead' },
-    deathKnight: { name: 'Death Knight', symbol: 'p', hp: 100, atk: 24, def: 9, xp: 220, speed: 1, color: 0x334444, shape: 'torusknot', minLevel: 10, ai: 'chase', ability: 'drain' },
+    demonImp: { name: 'Demon Imp', kind: 'demon', symbol: 'u', hp: 40, atk: 15, def: 3, xp: 85, speed: 2, color: 0xcc3322, shape: 'tetrahedron', minLevel: 8, ai: 'chase', ability: 'summon', spells: ['fireBolt', 'blink'], element: 'fire', elements: { fire: 'immune', holy: 'vulnerable' } },
+    ancientDragon: { name: 'Ancient Dragon', kind: 'dragon', symbol: 'D', hp: 120, atk: 22, def: 8, xp: 200, speed: 1, color: 0xff4400, shape: 'dragon', minLevel: 9, ai: 'chase', spells: ['fireBreath'], spellChance: 0.2, elements: { fire: 'immune', ice: 'vulnerable' } },
+    lich: { name: 'Lich', kind: 'undead', symbol: 'L', hp: 80, atk: 20, def: 6, xp: 180, speed: 1, color: 0x886688, shape: 'octahedron', minLevel: 9, ai: 'chase', ability: 'summon', desc: 'Summons undead', immune: ['poisoned', 'confused'], spells: ['frostBolt', 'blink', 'healSelf', 'blind'], spellChance: 0.35, elements: { ice: 'resist', nether: 'immune', poison: 'immune', holy: 'vulnerable' } },
+    deathKnight: { name: 'Death Knight', kind: 'undead', symbol: 'p', hp: 100, atk: 24, def: 9, xp: 220, speed: 1, color: 0x334444, shape: 'torusknot', minLevel: 10, ai: 'chase', ability: 'drain', spells: ['netherBolt'], element: 'nether', elements: { nether: 'immune', holy: 'vulnerable' } },
     // Depth 11-15: Extreme
-    greatWyrm: { name: 'Great Wyrm', symbol: 'D', hp: 160, atk: 28, def: 10, xp: 350, speed: 1, color: 0xddaa00, shape: 'dragon', minLevel: 11, ai: 'chase' },
-    pitFiend: { name: 'Pit Fiend', symbol: 'U', hp: 140, atk: 26, def: 9, xp: 300, speed: 1, color: 0xbb2200, shape: 'dragon', minLevel: 12, ai: 'chase', ability: 'summon' },
-    archLich: { name: 'Arch-Lich', symbol: 'L', hp: 120, atk: 24, def: 7, xp: 280, speed: 1, color: 0xaa88cc, shape: 'octahedron', minLevel: 13, ai: 'chase', ability: 'teleport' },
+    greatWyrm: { name: 'Great Wyrm', kind: 'dragon', symbol: 'D', hp: 160, atk: 28, def: 10, xp: 350, speed: 1, color: 0xddaa00, shape: 'dragon', minLevel: 11, ai: 'chase', spells: ['fireBreath', 'frostBreath'], spellChance: 0.25, elements: { fire: 'immune', ice: 'immune' } },
+    pitFiend: { name: 'Pit Fiend', kind: 'demon', symbol: 'U', hp: 140, atk: 26, def: 9, xp: 300, speed: 1, color: 0xbb2200, shape: 'dragon', minLevel: 12, ai: 'chase', ability: 'summon', spells: ['fireBolt'], element: 'fire', elements: { fire: 'immune', holy: 'vulnerable' } },
+    archLich: { name: 'Arch-Lich', kind: 'undead', symbol: 'L', hp: 120, atk: 24, def: 7, xp: 280, speed: 1, color: 0xaa88cc, shape: 'octahedron', minLevel: 13, ai: 'chase', ability: 'teleport', immune: ['poisoned', 'confused'], spells: ['netherBolt', 'frostBolt', 'blink', 'healSelf', 'blind'], spellChance: 0.4, elements: { ice: 'resist', nether: 'immune', poison: 'immune', holy: 'vulnerable' } },
     // ─── Zone Bosses (every 3 levels) ───
-    orc_king: { name: 'Azog the Orc King', symbol: 'O', hp: 100, atk: 16, def: 6, xp: 150, speed: 1, color: 0x448822, shape: 'torusknot', minLevel: 3, ai: 'chase', boss: true, desc: 'King of the Orcs' },
-    witch_king: { name: 'The Witch-King', symbol: 'W', hp: 160, atk: 22, def: 8, xp: 250, speed: 1, color: 0x333366, shape: 'octahedron', minLevel: 6, ai: 'chase', boss: true, ability: 'paralyze', desc: 'Lord of the Nazgûl' },
-    smaug: { name: 'Smaug the Golden', symbol: 'D', hp: 250, atk: 30, def: 12, xp: 500, speed: 1, color: 0xffaa00, shape: 'gomboc', minLevel: 9, ai: 'chase', boss: true, desc: 'The last great dragon' },
-    sauron: { name: 'Sauron', symbol: 'P', hp: 400, atk: 35, def: 14, xp: 800, speed: 1, color: 0xff4400, shape: 'oloid', minLevel: 12, ai: 'chase', boss: true, ability: 'summon', desc: 'The Dark Lord' },
-    morgoth: { name: 'Morgoth, Lord of Darkness', symbol: 'P', hp: 600, atk: 45, def: 18, xp: 1500, speed: 1, color: 0xff2200, shape: 'dragon', minLevel: 15, ai: 'chase', boss: true, desc: 'He who arises in might' },
+    orc_king: { name: 'Azog the Orc King', kind: 'orc', symbol: 'O', hp: 100, atk: 16, def: 6, xp: 150, speed: 1, color: 0x448822, shape: 'torusknot', minLevel: 3, ai: 'guard', boss: true, desc: 'King of the Orcs' },
+    witch_king: { name: 'The Witch-King', kind: 'undead', symbol: 'W', hp: 160, atk: 22, def: 8, xp: 250, speed: 1, color: 0x333366, shape: 'octahedron', minLevel: 6, ai: 'guard', boss: true, ability: 'paralyze', desc: 'Lord of the Nazgûl', spells: ['netherBolt', 'blind'], element: 'nether', elements: { nether: 'immune', ice: 'resist', holy: 'vulnerable' } },
+    smaug: { name: 'Smaug the Golden', kind: 'dragon', symbol: 'D', hp: 250, atk: 30, def: 12, xp: 500, speed: 1, color: 0xffaa00, shape: 'gomboc', minLevel: 9, ai: 'guard', boss: true, desc: 'The last great dragon', spells: ['fireBreath'], spellChance: 0.3, elements: { fire: 'immune', ice: 'vulnerable' } },
+    sauron: { name: 'Sauron', symbol: 'P', hp: 400, atk: 35, def: 14, xp: 800, speed: 1, color: 0xff4400, shape: 'oloid', minLevel: 12, ai: 'guard', boss: true, ability: 'summon', desc: 'The Dark Lord', spells: ['fireBolt', 'netherBolt', 'healSelf'], elements: { fire: 'immune', dark: 'immune', nether: 'resist' } },
+    morgoth: { name: 'Morgoth, Lord of Darkness', symbol: 'P', hp: 600, atk: 45, def: 18, xp: 1500, speed: 1, color: 0xff2200, shape: 'dragon', minLevel: 15, ai: 'guard', boss: true, desc: 'He who arises in might', spells: ['fireBreath', 'netherBolt', 'blind'], elements: { fire: 'immune', dark: 'immune', nether: 'immune', poison: 'immune' } },
+};
+
+// ─── Monster Spells ─────────────────────────────────────────────────
+// Listed per monster in MONSTER_TYPES[].spells and tried with `spellChance`
+// (default 0.25) each turn. Bolts, breaths and blindness need line of sight.
+// `kind`: bolt (stops at the first creature), breath (a cone that hits
+// everything; damage is the breather's HP / hpDivisor, capped), blink (short
+// hop), heal (self), blind. `cooldown` is in the caster's turns.
+export const MONSTER_SPELLS = {
+    magicBolt: { name: 'Magic Bolt', kind: 'bolt', damage: 8, range: 7, cooldown: 3, element: 'arcane', color: 0x8866ff, icon: '✨' },
+    fireBolt: { name: 'Fire Bolt', kind: 'bolt', damage: 14, range: 7, cooldown: 3, element: 'fire', color: 0xff5500, icon: '🔥' },
+    frostBolt: { name: 'Frost Bolt', kind: 'bolt', damage: 12, range: 7, cooldown: 3, element: 'ice', color: 0x66ccff, icon: '❄️' },
+    netherBolt: { name: 'Nether Bolt', kind: 'bolt', damage: 20, range: 8, cooldown: 4, element: 'nether', color: 0x553377, icon: '💀' },
+    fireBreath: { name: 'Fire Breath', kind: 'breath', hpDivisor: 4, maxDamage: 120, range: 6, cooldown: 6, element: 'fire', color: 0xff3300, icon: '🔥' },
+    frostBreath: { name: 'Frost Breath', kind: 'breath', hpDivisor: 4, maxDamage: 120, range: 6, cooldown: 6, element: 'ice', color: 0x88ddff, icon: '❄️' },
+    poisonBreath: { name: 'Poison Breath', kind: 'breath', hpDivisor: 5, maxDamage: 60, range: 5, cooldown: 6, element: 'poison', status: { key: 'poisoned', turns: 6 }, color: 0x66cc22, icon: '🤢' },
+    blink: { name: 'Blink', kind: 'blink', range: 5, cooldown: 5, color: 0xcc88ff, icon: '✨' },
+    healSelf: { name: 'Heal Self', kind: 'heal', healFraction: 0.3, cooldown: 8, color: 0x44ff88, icon: '💚' },
+    blind: { name: 'Blindness', kind: 'blind', range: 7, turns: 5, cooldown: 8, color: 0x333333, icon: '🌑' },
 };
 
 // ─── Level Themes (15 levels) ───────────────────────────────────────
+// `generator` names a DungeonGenerator.LAYOUTS entry ('bsp', 'cave', 'labyrinth',
+// 'vault'); `generatorParams` are passed through to it.
 export const LEVEL_THEMES = [
-    { name: 'Barrow-Downs', wallColor: 0x334455, floorColor: 0x0a0a14, ambientColor: 0x1a1a2a, monsterDensity: 0.015, desc: 'Ancient burial mounds', bossKey: null },
-    { name: 'Goblin Tunnels', wallColor: 0x443322, floorColor: 0x0e0a08, ambientColor: 0x1e1a18, monsterDensity: 0.02, desc: 'Twisting goblin warrens' },
-    { name: 'Orc Stronghold', wallColor: 0x336633, floorColor: 0x0a140a, ambientColor: 0x1a2a1a, monsterDensity: 0.05, desc: 'Stronghold of the orcs', bossKey: 'orc_king' },
-    { name: 'Trollshaws', wallColor: 0x445533, floorColor: 0x0c0e08, ambientColor: 0x1c1e18, monsterDensity: 0.04, desc: 'Troll-infested forest caves' },
-    { name: 'Paths of the Dead', wallColor: 0x555566, floorColor: 0x0e0e12, ambientColor: 0x1e1e22, monsterDensity: 0.06, desc: 'Haunted by spirits' },
-    { name: 'Minas Morgul', wallColor: 0x334455, floorColor: 0x080a10, ambientColor: 0x181a20, monsterDensity: 0.06, desc: 'Tower of dark sorcery', bossKey: 'witch_king' },
-    { name: 'Shelob\'s Lair', wallColor: 0x332222, floorColor: 0x0a0808, ambientColor: 0x1a1818, monsterDensity: 0.05, desc: 'Webs and darkness' },
-    { name: 'Cirith Ungol', wallColor: 0x443333, floorColor: 0x0e0a0a, ambientColor: 0x1e1a1a, monsterDensity: 0.06, desc: 'Stairs of shadow' },
-    { name: 'Angband – Upper', wallColor: 0x662211, floorColor: 0x140a08, ambientColor: 0x2a1a18, monsterDensity: 0.07, desc: 'The Iron Fortress', bossKey: 'smaug' },
-    { name: 'Angband – Deep', wallColor: 0x551100, floorColor: 0x100806, ambientColor: 0x201816, monsterDensity: 0.07, desc: 'Deeper into darkness' },
-    { name: 'Angband – Abyss', wallColor: 0x440000, floorColor: 0x0c0604, ambientColor: 0x1c1614, monsterDensity: 0.08, desc: 'Where the fires burn' },
-    { name: 'Morgoth\'s Domain', wallColor: 0x552200, floorColor: 0x0e0800, ambientColor: 0x1e1810, monsterDensity: 0.08, desc: 'Domain of the enemy', bossKey: 'sauron' },
-    { name: 'The Void Gate', wallColor: 0x660033, floorColor: 0x100008, ambientColor: 0x201018, monsterDensity: 0.07, desc: 'Between worlds' },
-    { name: 'Throne of Iron', wallColor: 0x773300, floorColor: 0x120a00, ambientColor: 0x221a10, monsterDensity: 0.06, desc: 'The Iron Crown awaits' },
-    { name: 'Morgoth\'s Fortress', wallColor: 0x885500, floorColor: 0x1a1200, ambientColor: 0x2a2210, monsterDensity: 0.05, desc: 'Seat of the Dark Lord', bossKey: 'morgoth' },
+    { name: 'Barrow-Downs', wallColor: 0x334455, floorColor: 0x0a0a14, ambientColor: 0x1a1a2a, monsterDensity: 0.015, desc: 'Ancient burial mounds', bossKey: null, generator: 'bsp', generatorParams: {} },
+    { name: 'Goblin Tunnels', wallColor: 0x443322, floorColor: 0x0e0a08, ambientColor: 0x1e1a18, monsterDensity: 0.02, desc: 'Twisting goblin warrens', generator: 'labyrinth', generatorParams: { loopChance: 0.12, rooms: 4 } },
+    { name: 'Orc Stronghold', wallColor: 0x336633, floorColor: 0x0a140a, ambientColor: 0x1a2a1a, monsterDensity: 0.05, desc: 'Stronghold of the orcs', bossKey: 'orc_king', generator: 'vault', generatorParams: { vaults: 1, secretChance: 0.2 } },
+    { name: 'Trollshaws', wallColor: 0x445533, floorColor: 0x0c0e08, ambientColor: 0x1c1e18, monsterDensity: 0.04, desc: 'Troll-infested forest caves', generator: 'cave', generatorParams: { fill: 0.42, iterations: 4 } },
+    { name: 'Paths of the Dead', wallColor: 0x555566, floorColor: 0x0e0e12, ambientColor: 0x1e1e22, monsterDensity: 0.06, desc: 'Haunted by spirits', generator: 'labyrinth', generatorParams: { loopChance: 0.03, rooms: 3 } },
+    { name: 'Minas Morgul', wallColor: 0x334455, floorColor: 0x080a10, ambientColor: 0x181a20, monsterDensity: 0.06, desc: 'Tower of dark sorcery', bossKey: 'witch_king', generator: 'vault', generatorParams: { vaults: 1, secretChance: 0.4 } },
+    { name: 'Shelob\'s Lair', wallColor: 0x332222, floorColor: 0x0a0808, ambientColor: 0x1a1818, monsterDensity: 0.05, desc: 'Webs and darkness', generator: 'cave', generatorParams: { fill: 0.47, iterations: 3, minOpen: 0.25 } },
+    { name: 'Cirith Ungol', wallColor: 0x443333, floorColor: 0x0e0a0a, ambientColor: 0x1e1a1a, monsterDensity: 0.06, desc: 'Stairs of shadow', generator: 'bsp', generatorParams: { splitDepth: 5 } },
+    { name: 'Angband – Upper', wallColor: 0x662211, floorColor: 0x140a08, ambientColor: 0x2a1a18, monsterDensity: 0.07, desc: 'The Iron Fortress', bossKey: 'smaug', generator: 'vault', generatorParams: { vaults: 2, secretChance: 0.3 } },
+    { name: 'Angband – Deep', wallColor: 0x551100, floorColor: 0x100806, ambientColor: 0x201816, monsterDensity: 0.07, desc: 'Deeper into darkness', generator: 'cave', generatorParams: { fill: 0.44, iterations: 5 } },
+    { name: 'Angband – Abyss', wallColor: 0x440000, floorColor: 0x0c0604, ambientColor: 0x1c1614, monsterDensity: 0.08, desc: 'Where the fires burn', generator: 'cave', generatorParams: { fill: 0.4, iterations: 5, chambers: 10 } },
+    { name: 'Morgoth\'s Domain', wallColor: 0x552200, floorColor: 0x0e0800, ambientColor: 0x1e1810, monsterDensity: 0.08, desc: 'Domain of the enemy', bossKey: 'sauron', generator: 'vault', generatorParams: { vaults: 2, secretChance: 0.5 } },
+    { name: 'The Void Gate', wallColor: 0x660033, floorColor: 0x100008, ambientColor: 0x201018, monsterDensity: 0.07, desc: 'Between worlds', generator: 'labyrinth', generatorParams: { loopChance: 0.08, rooms: 5 } },
+    { name: 'Throne of Iron', wallColor: 0x773300, floorColor: 0x120a00, ambientColor: 0x221a10, monsterDensity: 0.06, desc: 'The Iron Crown awaits', generator: 'vault', generatorParams: { vaults: 2, secretChance: 0.5 } },
+    { name: 'Morgoth\'s Fortress', wallColor: 0x885500, floorColor: 0x1a1200, ambientColor: 0x2a2210, monsterDensity: 0.05, desc: 'Seat of the Dark Lord', bossKey: 'morgoth', generator: 'vault', generatorParams: { vaults: 3, secretChance: 0.6 } },
 ];
 
+// Depth 0: the town on the surface, where the SHOPS are
+export const TOWN_THEME = { name: 'Bree', wallColor: 0x665544, floorColor: 0x14140c, ambientColor: 0x3a3a30, monsterDensity: 0, desc: 'A village at the crossroads', generator: 'town', generatorParams: {} };
+
 // ─── Items ──────────────────────────────────────────────────────────
+// Every item kind has a `cost`: what one is worth in gold, for the shops.
 // Potion appearance names — randomized each game session
 export const POTION_APPEARANCES = [
     'Bubbly', 'Shimmering', 'Murky', 'Glowing', 'Smoky',
@@ -114,61 +190,281 @@ export const POTION_COLORS = [
     0xcccc33, 0xff66cc, 0x33ffcc, 0xcc6633, 0x9999ff,
 ];
 
+// Scroll titles, ring materials, rod metals and wand and staff woods — also
+// dealt out anew each game.
+// Materials and woods carry the colour the item is drawn in.
+export const SCROLL_TITLES = [
+    'abra ka dabra', 'ashrak nar', 'blarg viro', 'elbereth', 'fiat lux',
+    'gorth ilan', 'ix ul thrak', 'lorem ipsum', 'mor dun', 'nix zarg',
+    'oops alfa', 'pra gnu', 'snarl oth', 'thor mul', 'zun ka rhee',
+];
+
+export const RING_MATERIALS = {
+    Jade: 0x00a86b, Ruby: 0xe0115f, Opal: 0xddeeff, 'Tiger Eye': 0xb8860b,
+    Obsidian: 0x332244, Sapphire: 0x0f52ba, Bone: 0xe3dac9, Copper: 0xb87333,
+    Moonstone: 0xbbccdd, Garnet: 0x9a2a2a, Onyx: 0x222222, Amethyst: 0x9966cc,
+};
+
+export const ROD_METALS = {
+    Aluminium: 0xccccdd, Brass: 0xb5a642, Bronze: 0xcd7f32, Iron: 0x777777,
+    Mithril: 0xddeeff, Nickel: 0xaaaaaa, Pewter: 0x99a0a0, Silver: 0xc0c0c0,
+    Steel: 0x8899aa, Tin: 0xbbbbbb, Zinc: 0x9eadb0, Gold: 0xffd700,
+};
+
+export const WAND_WOODS = {
+    Aspen: 0xd8cfa8, Birch: 0xeeeedd, Ebony: 0x3a2a1a, Hawthorn: 0x8b5a2b,
+    Ironwood: 0x5a4a3a, Mallorn: 0xddcc66, Oak: 0x9b7653, Rowan: 0xaa4433,
+    Willow: 0x99aa77, Yew: 0x7a3b1f, Elder: 0x665544, Cedar: 0xa0522d,
+};
+
+// ─── Flavours ───────────────────────────────────────────────────────
+// Item kinds that hide behind a per-game appearance until identified, and
+// the name an unknown one goes by (`%` is the appearance).
+export const FLAVOURS = {
+    potion: { name: 'Potions', unknown: '% Potion' },
+    scroll: { name: 'Scrolls', unknown: 'Scroll titled "%"' },
+    ring: { name: 'Rings', unknown: '% Ring' },
+    wand: { name: 'Wands', unknown: '% Wand' },
+    staff: { name: 'Staffs', unknown: '% Staff' },
+    rod: { name: 'Rods', unknown: '% Rod' },
+};
+
+// ─── Magic Devices ──────────────────────────────────────────────────
+// Wands and staffs hold `charges` ([min, max] when found); rods need
+// `recharge` game turns between uses instead. `type`, `damage`, `range`,
+// `radius`, `healAmount`, `element` and `status` work as for SPELLS, with
+// 'teleport' and 'map' besides. A higher `level` makes a device harder to use.
+export const DEVICE_TYPES = {
+    // Wands — aimed like bolt and ball spells
+    wandMagicMissile: { name: 'Wand of Magic Missile', device: 'wand', type: 'line', damage: 12, range: 8, element: 'arcane', level: 2, charges: [8, 14], weight: 1, cost: 100, icon: '✴️', color: 0xaa66ff, rarity: 'common', minLevel: 1 },
+    wandStinkingCloud: { name: 'Wand of Stinking Cloud', device: 'wand', type: 'aoe', damage: 12, range: 6, radius: 1, element: 'poison', status: { key: 'poisoned', turns: 4 }, level: 5, charges: [6, 12], weight: 1, cost: 150, icon: '☁️', color: 0x88cc44, rarity: 'common', minLevel: 2 },
+    wandFrostBolt: { name: 'Wand of Frost Bolt', device: 'wand', type: 'line', damage: 22, range: 8, element: 'ice', level: 12, charges: [6, 10], weight: 1, cost: 400, icon: '❄️', color: 0x00ccff, rarity: 'uncommon', minLevel: 5 },
+    wandFireBall: { name: 'Wand of Fire Ball', device: 'wand', type: 'aoe', damage: 34, range: 6, radius: 2, element: 'fire', level: 22, charges: [4, 8], weight: 1, cost: 1200, icon: '🔥', color: 0xff4400, rarity: 'rare', minLevel: 10 },
+    // Staffs — work on the user or all around them
+    staffCureLight: { name: 'Staff of Cure Light Wounds', device: 'staff', type: 'self', healAmount: 20, element: 'holy', level: 3, charges: [5, 10], weight: 5, cost: 200, icon: '💚', color: 0x44ff88, rarity: 'common', minLevel: 1 },
+    staffStarlight: { name: 'Staff of Starlight', device: 'staff', type: 'nova', damage: 14, radius: 2, element: 'light', level: 8, charges: [6, 10], weight: 5, cost: 300, icon: '💡', color: 0xffffcc, rarity: 'common', minLevel: 3 },
+    staffTeleport: { name: 'Staff of Teleportation', device: 'staff', type: 'teleport', level: 12, charges: [4, 8], weight: 5, cost: 800, icon: '🌀', color: 0x88ccff, rarity: 'uncommon', minLevel: 4 },
+    staffMapping: { name: 'Staff of Magic Mapping', device: 'staff', type: 'map', level: 14, charges: [5, 10], weight: 5, cost: 900, icon: '🗺️', color: 0xaaffaa, rarity: 'uncommon', minLevel: 5 },
+    // Rods — never run out, but recharge between uses
+    rodCuring: { name: 'Rod of Curing', device: 'rod', type: 'self', healAmount: 30, element: 'holy', level: 10, recharge: 30, weight: 1.5, cost: 1000, icon: '💖', color: 0x88ffcc, rarity: 'uncommon', minLevel: 4 },
+    rodLightningBolt: { name: 'Rod of Lightning Bolts', device: 'rod', type: 'line', damage: 24, range: 8, element: 'lightning', level: 14, recharge: 12, weight: 1.5, cost: 1500, icon: '⚡', color: 0xffff00, rarity: 'uncommon', minLevel: 6 },
+    rodIllumination: { name: 'Rod of Illumination', device: 'rod', type: 'nova', damage: 10, radius: 3, element: 'light', level: 6, recharge: 20, weight: 1.5, cost: 500, icon: '💡', color: 0xffffaa, rarity: 'common', minLevel: 2 },
+};
+
+// Potions and scrolls stack in the pack; `weight` (lb) is for one.
 export const POTION_TYPES = {
-    healPotion: { name: 'Potion of Healing', effect: 'heal', value: 30, symbol: '!', rarity: 'common' },
-    bigHealPotion: { name: 'Potion of *Healing*', effect: 'heal', value: 80, symbol: '!', rarity: 'uncommon', minLevel: 4 },
-    manaPotion: { name: 'Potion of Restore Mana', effect: 'mana', value: 25, symbol: '!', rarity: 'common' },
-    strengthPotion: { name: 'Potion of Strength', effect: 'str_boost', value: 1, symbol: '!', rarity: 'rare', minLevel: 5 },
-    dexterityPotion: { name: 'Potion of Dexterity', effect: 'dex_boost', value: 1, symbol: '!', rarity: 'rare', minLevel: 5 },
-    poisonPotion: { name: 'Potion of Poison', effect: 'poison', value: -15, symbol: '!', rarity: 'common' },
-    speedPotion: { name: 'Potion of Speed', effect: 'speed', value: 5, symbol: '!', rarity: 'uncommon', minLevel: 3 },
-    resistPotion: { name: 'Potion of Resistance', effect: 'resist', value: 10, symbol: '!', rarity: 'uncommon', minLevel: 6 },
+    healPotion: { name: 'Potion of Healing', effect: 'heal', value: 30, symbol: '!', weight: 0.4, cost: 20, rarity: 'common' },
+    bigHealPotion: { name: 'Potion of *Healing*', effect: 'heal', value: 80, symbol: '!', weight: 0.4, cost: 120, rarity: 'uncommon', minLevel: 4 },
+    manaPotion: { name: 'Potion of Restore Mana', effect: 'mana', value: 25, symbol: '!', weight: 0.4, cost: 35, rarity: 'common' },
+    strengthPotion: { name: 'Potion of Strength', effect: 'str_boost', value: 1, symbol: '!', weight: 0.4, cost: 800, rarity: 'rare', minLevel: 5 },
+    dexterityPotion: { name: 'Potion of Dexterity', effect: 'dex_boost', value: 1, symbol: '!', weight: 0.4, cost: 800, rarity: 'rare', minLevel: 5 },
+    poisonPotion: { name: 'Potion of Poison', effect: 'poison', value: 12, symbol: '!', weight: 0.4, cost: 5, rarity: 'common' },
+    speedPotion: { name: 'Potion of Speed', effect: 'speed', value: 20, symbol: '!', weight: 0.4, cost: 75, rarity: 'uncommon', minLevel: 3 },
+    resistPotion: { name: 'Potion of Resistance', effect: 'resist', value: 30, symbol: '!', weight: 0.4, cost: 100, rarity: 'uncommon', minLevel: 6 },
 };
 
+// `needsItem` scrolls are read on an item the player picks.
 export const SCROLL_TYPES = {
-    identify: { name: 'Scroll of Identify', effect: 'identify', symbol: '?', rarity: 'common', color: 0xeeddaa },
-    teleport: { name: 'Scroll of Teleportation', effect: 'teleport', symbol: '?', rarity: 'uncommon', color: 0x88ccff, minLevel: 2 },
-    magicMapping: { name: 'Scroll of Magic Mapping', effect: 'magic_map', symbol: '?', rarity: 'rare', color: 0xaaffaa, minLevel: 3 },
-    enchant: { name: 'Scroll of Enchant Weapon', effect: 'enchant_wep', symbol: '?', rarity: 'rare', color: 0xffaa44, minLevel: 5 },
-    summon: { name: 'Scroll of Summon Monster', effect: 'summon_bad', symbol: '?', rarity: 'common', color: 0xff6644 },
+    identify: { name: 'Scroll of Identify', effect: 'identify', symbol: '?', weight: 0.5, cost: 25, rarity: 'common', color: 0xeeddaa, needsItem: true },
+    teleport: { name: 'Scroll of Teleportation', effect: 'teleport', symbol: '?', weight: 0.5, cost: 40, rarity: 'uncommon', color: 0x88ccff, minLevel: 2 },
+    magicMapping: { name: 'Scroll of Magic Mapping', effect: 'magic_map', symbol: '?', weight: 0.5, cost: 100, rarity: 'rare', color: 0xaaffaa, minLevel: 3 },
+    enchant: { name: 'Scroll of Enchant Weapon', effect: 'enchant_wep', symbol: '?', weight: 0.5, cost: 125, rarity: 'rare', color: 0xffaa44, minLevel: 5 },
+    recharge: { name: 'Scroll of Recharging', effect: 'recharge', symbol: '?', weight: 0.5, cost: 150, rarity: 'uncommon', color: 0x66ffcc, minLevel: 3, needsItem: true },
+    removeCurse: { name: 'Scroll of Remove Curse', effect: 'remove_curse', symbol: '?', weight: 0.5, cost: 100, rarity: 'uncommon', color: 0xddddff, minLevel: 3 },
+    starRemoveCurse: { name: 'Scroll of *Remove Curse*', effect: 'remove_curse_heavy', symbol: '?', weight: 0.5, cost: 500, rarity: 'rare', color: 0xffffff, minLevel: 8 },
+    summon: { name: 'Scroll of Summon Monster', effect: 'summon_bad', symbol: '?', weight: 0.5, cost: 1, rarity: 'common', color: 0xff6644 },
 };
 
+// ─── Food ───────────────────────────────────────────────────────────
+// Eaten from the pack, stacking like potions; `food` is how much it feeds.
+export const FOOD_TYPES = {
+    jerky: { name: 'Strip of Jerky', food: 1500, symbol: ',', weight: 0.2, cost: 1, color: 0xaa6644, rarity: 'common' },
+    ration: { name: 'Ration of Food', food: 5000, symbol: ',', weight: 0.8, cost: 3, color: 0xcc9955, rarity: 'common' },
+    waybread: { name: 'Slice of Elvish Waybread', food: 7500, symbol: ',', weight: 0.3, cost: 25, color: 0xeeeecc, rarity: 'uncommon', minLevel: 3 },
+};
+
+// ─── Hunger ─────────────────────────────────────────────────────────
+// How fed the character is, from full down to starving: the first state whose
+// `min` the food counter reaches. `speed` adds to speed, `faint` is the chance
+// per game turn of passing out, and `damage` is HP lost every game turn.
+export const HUNGER_STATES = {
+    full: { name: 'Full', min: 10000, icon: '🍖', color: 0x44ff88 },
+    fed: { name: 'Fed', min: 2000, color: 0xaaaaaa },
+    hungry: { name: 'Hungry', min: 1000, icon: '🍞', color: 0xffcc44, onEnter: 'You are getting hungry.' },
+    weak: { name: 'Weak', min: 500, icon: '🥄', speed: -2, color: 0xff8844, onEnter: 'You are getting weak from hunger!' },
+    fainting: { name: 'Fainting', min: 1, icon: '😩', speed: -2, faint: 0.1, color: 0xff4444, onEnter: 'You are getting faint from hunger!' },
+    starving: { name: 'Starving', min: 0, icon: '💀', speed: -2, faint: 0.1, damage: 1, color: 0xaa0000, onEnter: 'You are starving!' },
+};
+
+// ─── Equipment Slots ────────────────────────────────────────────────
+// Where a character wears things, in paperdoll order. `accepts` is the item
+// `slot` that fits; both ring fingers take rings.
+export const EQUIPMENT_SLOTS = {
+    weapon: { name: 'Weapon', accepts: 'weapon' },
+    armor: { name: 'Body', accepts: 'armor' },
+    ring: { name: 'Left Ring', accepts: 'ring' },
+    launcher: { name: 'Launcher', accepts: 'launcher' },
+    ammo: { name: 'Quiver', accepts: 'ammo' },
+    helm: { name: 'Head', accepts: 'helm' },
+    shield: { name: 'Shield', accepts: 'shield' },
+    cloak: { name: 'Cloak', accepts: 'cloak' },
+    gloves: { name: 'Hands', accepts: 'gloves' },
+    boots: { name: 'Feet', accepts: 'boots' },
+    amulet: { name: 'Neck', accepts: 'amulet' },
+    ring2: { name: 'Right Ring', accepts: 'ring' },
+    light: { name: 'Light', accepts: 'light' },
+};
+
+// `elements` (an ELEMENTS affinity table) applies while the item is worn;
+// `throwable` items also make good missiles; `light` adds to the light radius.
+// `weight` is in pounds and counts toward the carrying capacity.
 export const EQUIPMENT_TYPES = {
-    // Weapons
-    dagger: { name: 'Dagger', slot: 'weapon', atk: 2, def: 0, symbol: '|', color: 0xaaaaaa, rarity: 'common', minLevel: 1 },
-    shortSword: { name: 'Short Sword', slot: 'weapon', atk: 4, def: 0, symbol: '|', color: 0xbbbbbb, rarity: 'common', minLevel: 2 },
-    longSword: { name: 'Long Sword', slot: 'weapon', atk: 7, def: 0, symbol: '|', color: 0xcccccc, rarity: 'uncommon', minLevel: 4 },
-    battleAxe: { name: 'Battle Axe', slot: 'weapon', atk: 10, def: 0, symbol: '/', color: 0xdd8833, rarity: 'uncommon', minLevel: 6 },
-    mace: { name: 'Mace', slot: 'weapon', atk: 8, def: 1, symbol: '\\', color: 0x999988, rarity: 'uncommon', minLevel: 5 },
-    warhammer: { name: 'War Hammer', slot: 'weapon', atk: 12, def: 0, symbol: '|', color: 0x776655, rarity: 'rare', minLevel: 8 },
+    // Weapons — weight (lb) limits blows per round
+    dagger: { name: 'Dagger', slot: 'weapon', atk: 2, def: 0, weight: 1.2, cost: 10, symbol: '|', color: 0xaaaaaa, rarity: 'common', minLevel: 1, throwable: true },
+    shortSword: { name: 'Short Sword', slot: 'weapon', atk: 4, def: 0, weight: 8, cost: 40, symbol: '|', color: 0xbbbbbb, rarity: 'common', minLevel: 2 },
+    longSword: { name: 'Long Sword', slot: 'weapon', atk: 7, def: 0, weight: 13, cost: 150, symbol: '|', color: 0xcccccc, rarity: 'uncommon', minLevel: 4 },
+    battleAxe: { name: 'Battle Axe', slot: 'weapon', atk: 10, def: 0, weight: 17, cost: 300, symbol: '/', color: 0xdd8833, rarity: 'uncommon', minLevel: 6 },
+    mace: { name: 'Mace', slot: 'weapon', atk: 8, def: 1, weight: 12, cost: 130, symbol: '\\', color: 0x999988, rarity: 'uncommon', minLevel: 5 },
+    warhammer: { name: 'War Hammer', slot: 'weapon', atk: 12, def: 0, weight: 20, cost: 450, symbol: '|', color: 0x776655, rarity: 'rare', minLevel: 8 },
+    // Launchers — `multiplier` scales the damage of the `ammo` kind they shoot
+    sling: { name: 'Sling', slot: 'launcher', atk: 0, def: 0, weight: 0.5, cost: 5, multiplier: 2, range: 10, ammo: 'shot', symbol: '}', color: 0x997755, rarity: 'common', minLevel: 1 },
+    shortBow: { name: 'Short Bow', slot: 'launcher', atk: 0, def: 0, weight: 3, cost: 50, multiplier: 2, range: 12, ammo: 'arrow', symbol: '}', color: 0xaa8844, rarity: 'common', minLevel: 1 },
+    longBow: { name: 'Long Bow', slot: 'launcher', atk: 0, def: 0, weight: 4, cost: 120, multiplier: 3, range: 14, ammo: 'arrow', symbol: '}', color: 0x886633, rarity: 'uncommon', minLevel: 4 },
+    lightCrossbow: { name: 'Light Crossbow', slot: 'launcher', atk: 0, def: 0, weight: 6, cost: 150, multiplier: 3, range: 12, ammo: 'bolt', symbol: '}', color: 0x777777, rarity: 'uncommon', minLevel: 5 },
+    // Ammunition — found in stacks; `breakChance` is the chance a missile is lost
+    ironShot: { name: 'Iron Shots', slot: 'ammo', ammo: 'shot', atk: 3, def: 0, weight: 0.4, cost: 1, breakChance: 0.1, symbol: '{', color: 0x888888, rarity: 'common', minLevel: 1 },
+    arrow: { name: 'Arrows', slot: 'ammo', ammo: 'arrow', atk: 3, def: 0, weight: 0.2, cost: 1, breakChance: 0.35, symbol: '{', color: 0xccaa66, rarity: 'common', minLevel: 1 },
+    bolt: { name: 'Bolts', slot: 'ammo', ammo: 'bolt', atk: 4, def: 0, weight: 0.3, cost: 2, breakChance: 0.25, symbol: '{', color: 0xaaaaaa, rarity: 'uncommon', minLevel: 5 },
     // Armor
-    leatherArmor: { name: 'Leather Armor', slot: 'armor', atk: 0, def: 2, symbol: '[', color: 0x886633, rarity: 'common', minLevel: 1 },
-    chainMail: { name: 'Chain Mail', slot: 'armor', atk: 0, def: 4, symbol: '[', color: 0xaaaaaa, rarity: 'uncommon', minLevel: 3 },
-    plateMail: { name: 'Plate Mail', slot: 'armor', atk: 0, def: 7, symbol: '[', color: 0xbbbbcc, rarity: 'rare', minLevel: 6 },
-    dragonArmor: { name: 'Dragon Scale Mail', slot: 'armor', atk: 0, def: 10, symbol: '[', color: 0xff6644, rarity: 'epic', minLevel: 10 },
+    leatherArmor: { name: 'Leather Armor', slot: 'armor', atk: 0, def: 2, weight: 8, cost: 18, symbol: '[', color: 0x886633, rarity: 'common', minLevel: 1 },
+    chainMail: { name: 'Chain Mail', slot: 'armor', atk: 0, def: 4, weight: 22, cost: 300, symbol: '[', color: 0xaaaaaa, rarity: 'uncommon', minLevel: 3 },
+    plateMail: { name: 'Plate Mail', slot: 'armor', atk: 0, def: 7, weight: 38, cost: 700, symbol: '[', color: 0xbbbbcc, rarity: 'rare', minLevel: 6 },
+    dragonArmor: { name: 'Dragon Scale Mail', slot: 'armor', atk: 0, def: 10, weight: 12, cost: 3000, symbol: '[', color: 0xff6644, rarity: 'epic', minLevel: 10, elements: { fire: 'resist' } },
+    // Helms, shields, cloaks, gloves and boots
+    leatherCap: { name: 'Hard Leather Cap', slot: 'helm', atk: 0, def: 1, weight: 1.5, cost: 12, symbol: ']', color: 0x886633, rarity: 'common', minLevel: 1 },
+    ironHelm: { name: 'Iron Helm', slot: 'helm', atk: 0, def: 3, weight: 7.5, cost: 75, symbol: ']', color: 0x999999, rarity: 'uncommon', minLevel: 4 },
+    buckler: { name: 'Leather Buckler', slot: 'shield', atk: 0, def: 1, weight: 6, cost: 10, symbol: ')', color: 0x886633, rarity: 'common', minLevel: 1 },
+    towerShield: { name: 'Tower Shield', slot: 'shield', atk: 0, def: 4, weight: 12, cost: 180, symbol: ')', color: 0xaaaaaa, rarity: 'uncommon', minLevel: 5 },
+    cloak: { name: 'Cloak', slot: 'cloak', atk: 0, def: 1, weight: 1, cost: 3, symbol: '(', color: 0x556644, rarity: 'common', minLevel: 1 },
+    elvenCloak: { name: 'Elven Cloak', slot: 'cloak', atk: 0, def: 3, weight: 1, cost: 1500, symbol: '(', color: 0x88aa88, rarity: 'rare', minLevel: 7, elements: { dark: 'resist' } },
+    leatherGloves: { name: 'Leather Gloves', slot: 'gloves', atk: 0, def: 1, weight: 1, cost: 5, symbol: ']', color: 0x886633, rarity: 'common', minLevel: 1 },
+    gauntlets: { name: 'Gauntlets', slot: 'gloves', atk: 1, def: 2, weight: 2.5, cost: 35, symbol: ']', color: 0x999999, rarity: 'uncommon', minLevel: 4 },
+    leatherBoots: { name: 'Soft Leather Boots', slot: 'boots', atk: 0, def: 1, weight: 2, cost: 4, symbol: ']', color: 0x886633, rarity: 'common', minLevel: 1 },
+    ironBoots: { name: 'Iron Shod Boots', slot: 'boots', atk: 0, def: 2, weight: 4, cost: 50, symbol: ']', color: 0x999999, rarity: 'uncommon', minLevel: 4 },
     // Rings
-    ringProtect: { name: 'Ring of Protection', slot: 'ring', atk: 0, def: 2, symbol: '=', color: 0xcccc44, rarity: 'uncommon', minLevel: 3 },
-    ringPower: { name: 'Ring of Power', slot: 'ring', atk: 3, def: 0, symbol: '=', color: 0xff4444, rarity: 'rare', minLevel: 7 },
-    ringRegen: { name: 'Ring of Regeneration', slot: 'ring', atk: 0, def: 0, symbol: '=', color: 0x44ff44, rarity: 'rare', minLevel: 5, special: 'regen' },
+    ringProtect: { name: 'Ring of Protection', slot: 'ring', atk: 0, def: 2, weight: 0.1, cost: 400, symbol: '=', color: 0xcccc44, rarity: 'uncommon', minLevel: 3 },
+    ringPower: { name: 'Ring of Power', slot: 'ring', atk: 3, def: 0, weight: 0.1, cost: 1500, symbol: '=', color: 0xff4444, rarity: 'rare', minLevel: 7 },
+    ringRegen: { name: 'Ring of Regeneration', slot: 'ring', atk: 0, def: 0, weight: 0.1, cost: 1200, symbol: '=', color: 0x44ff44, rarity: 'rare', minLevel: 5, specials: ['regen'] },
+    ringResFire: { name: 'Ring of Resist Fire', slot: 'ring', atk: 0, def: 0, weight: 0.1, cost: 300, symbol: '=', color: 0xff8844, rarity: 'uncommon', minLevel: 4, elements: { fire: 'resist' } },
+    ringResCold: { name: 'Ring of Resist Cold', slot: 'ring', atk: 0, def: 0, weight: 0.1, cost: 300, symbol: '=', color: 0x88ccff, rarity: 'uncommon', minLevel: 4, elements: { ice: 'resist' } },
+    // Amulets
+    amuletResLightning: { name: 'Amulet of Resist Lightning', slot: 'amulet', atk: 0, def: 0, weight: 0.3, cost: 300, symbol: '"', color: 0xffff88, rarity: 'uncommon', minLevel: 3, elements: { lightning: 'resist' } },
+    amuletWarding: { name: 'Amulet of Warding', slot: 'amulet', atk: 0, def: 3, weight: 0.3, cost: 900, symbol: '"', color: 0x88ffff, rarity: 'rare', minLevel: 6 },
+    amuletSlowDigest: { name: 'Amulet of Slow Digestion', slot: 'amulet', atk: 0, def: 0, weight: 0.3, cost: 200, symbol: '"', color: 0xccaa88, rarity: 'common', minLevel: 2, specials: ['slowDigest'] },
+    // Light sources
+    woodenTorch: { name: 'Wooden Torch', slot: 'light', atk: 0, def: 0, weight: 3, cost: 1, light: 1, symbol: '~', color: 0xffaa44, rarity: 'common', minLevel: 1 },
+    brassLantern: { name: 'Brass Lantern', slot: 'light', atk: 0, def: 0, weight: 5, cost: 100, light: 2, symbol: '~', color: 0xddbb55, rarity: 'uncommon', minLevel: 3 },
 };
 
 // Legendary uniques — one-of-a-kind
 export const LEGENDARY_ITEMS = {
-    glamdring: { name: '★ Glamdring, Foe-hammer', slot: 'weapon', atk: 18, def: 2, symbol: '|', color: 0x88aaff, rarity: 'legendary', minLevel: 8, desc: 'Glows blue near orcs' },
-    sting: { name: '★ Sting', slot: 'weapon', atk: 12, def: 0, symbol: '|', color: 0x88ddff, rarity: 'legendary', minLevel: 5, desc: 'Glows blue near orcs', special: 'seeInvisible' },
-    mithrilCoat: { name: '★ Mithril Coat', slot: 'armor', atk: 0, def: 14, symbol: '[', color: 0xeeeeff, rarity: 'legendary', minLevel: 10, desc: 'As light as a feather, as hard as dragon scales' },
-    oneRing: { name: '★ The One Ring', slot: 'ring', atk: 5, def: 5, symbol: '=', color: 0xffdd00, rarity: 'legendary', minLevel: 14, desc: 'One ring to rule them all', special: 'invisible' },
-    anduril: { name: '★ Andúril, Flame of the West', slot: 'weapon', atk: 25, def: 3, symbol: '|', color: 0xffcc44, rarity: 'legendary', minLevel: 12, desc: 'Reforged from the shards of Narsil' },
+    glamdring: { name: '★ Glamdring, Foe-hammer', slot: 'weapon', atk: 18, def: 2, weight: 15, cost: 40000, symbol: '|', color: 0x88aaff, rarity: 'legendary', minLevel: 8, desc: 'Glows blue near orcs', specials: ['detectOrcs'], slay: { orc: 3 } },
+    sting: { name: '★ Sting', slot: 'weapon', atk: 12, def: 0, weight: 7.5, cost: 20000, symbol: '|', color: 0x88ddff, rarity: 'legendary', minLevel: 5, desc: 'Glows blue near orcs', specials: ['seeInvisible', 'detectOrcs'], slay: { orc: 2 } },
+    mithrilCoat: { name: '★ Mithril Coat', slot: 'armor', atk: 0, def: 14, weight: 15, cost: 50000, symbol: '[', color: 0xeeeeff, rarity: 'legendary', minLevel: 10, desc: 'As light as a feather, as hard as dragon scales', elements: { lightning: 'resist', ice: 'resist' } },
+    oneRing: { name: '★ The One Ring', slot: 'ring', atk: 5, def: 5, weight: 0.1, cost: 100000, symbol: '=', color: 0xffdd00, rarity: 'legendary', minLevel: 14, desc: 'One ring to rule them all', specials: ['invisible'] },
+    phial: { name: '★ Phial of Galadriel', slot: 'light', atk: 0, def: 0, weight: 1, cost: 10000, light: 3, symbol: '~', color: 0xeeffff, rarity: 'legendary', minLevel: 6, desc: 'The light of Eärendil\'s star', elements: { dark: 'resist' } },
+    anduril: { name: '★ Andúril, Flame of the West', slot: 'weapon', atk: 25, def: 3, weight: 13, cost: 80000, light: 1, symbol: '|', color: 0xffcc44, rarity: 'legendary', minLevel: 12, desc: 'Reforged from the shards of Narsil', elements: { dark: 'resist' } },
+};
+
+// ─── Shops ──────────────────────────────────────────────────────────
+// The town's stores. A shop `sells` kinds from the item tables (keyed by
+// table) and `buys` items of its trade: equipment slots, device kinds or
+// item categories. Each has its own entrance colour.
+export const SHOPS = {
+    general: {
+        name: 'General Store', color: 0xcc9955,
+        sells: { equipment: ['woodenTorch', 'cloak', 'sling', 'ironShot', 'arrow', 'bolt'], potion: ['healPotion'], food: ['jerky', 'ration'] },
+        buys: ['light', 'cloak', 'ammo', 'food'],
+    },
+    armoury: {
+        name: 'Armoury', color: 0x8899aa,
+        sells: { equipment: ['dagger', 'shortSword', 'mace', 'shortBow', 'leatherArmor', 'chainMail', 'leatherCap', 'ironHelm', 'buckler', 'leatherGloves', 'leatherBoots', 'ironBoots'] },
+        buys: ['weapon', 'launcher', 'armor', 'helm', 'shield', 'gloves', 'boots'],
+    },
+    alchemist: {
+        name: 'Alchemist', color: 0x44cc88,
+        sells: { potion: ['healPotion', 'bigHealPotion', 'manaPotion', 'speedPotion'], scroll: ['identify', 'teleport', 'removeCurse', 'recharge'] },
+        buys: ['potion', 'scroll'],
+    },
+    magic: {
+        name: 'Magic Shop', color: 0xaa66ff,
+        sells: { equipment: ['ringProtect', 'ringResFire', 'ringResCold', 'amuletResLightning'], device: ['wandMagicMissile', 'wandStinkingCloud', 'staffCureLight', 'staffTeleport', 'rodIllumination'] },
+        buys: ['ring', 'amulet', 'wand', 'staff', 'rod'],
+    },
+};
+
+// ─── Curses ─────────────────────────────────────────────────────────
+// A cursed item cannot be taken off until the curse is removed. Some carry
+// one of these on top, working every game turn while worn; `chance` is per turn.
+export const CURSES = {
+    aggravate: { name: 'aggravation', desc: 'Nearby monsters notice you and give chase', minLevel: 1 },
+    teleport: { name: 'teleportation', desc: 'Teleports you at random', chance: 0.02, minLevel: 2 },
+    drainXp: { name: 'experience drain', desc: 'Slowly drains experience', chance: 0.1, minLevel: 4 },
+};
+
+// ─── Item Specials ──────────────────────────────────────────────────
+// Powers listed in an item's (or race's) `specials` while it is worn.
+export const ITEM_SPECIALS = {
+    regen: { name: 'Regeneration', desc: 'Heal a little every turn, but grow hungry faster' },
+    slowDigest: { name: 'Slow Digestion', desc: 'Grow hungry more slowly' },
+    seeInvisible: { name: 'See Invisible', desc: 'Invisible monsters are revealed' },
+    invisible: { name: 'Invisibility', desc: 'Monsters lose track of you unless close by' },
+    detectOrcs: { name: 'Orc Detection', desc: 'The weapon glows blue when orcs are near' },
+};
+
+// ─── Ego Items ──────────────────────────────────────────────────────
+// Extra powers rolled onto found equipment, named as a suffix ("Dagger of
+// Slay Orc"). `slots` are the item slots an ego can appear on. Its `atk`,
+// `def`, `light`, `speed`, `elements` and `specials` add to the item's; `slay`
+// multiplies melee damage against monsters of a `kind`, and `element` brands
+// a weapon's blows with an ELEMENTS key. `cost` adds to the item's worth.
+export const EGO_ITEMS = {
+    slaying: { name: 'of Slaying', slots: ['weapon'], cost: 300, atk: 3, rarity: 'uncommon', minLevel: 2 },
+    slayOrc: { name: 'of Slay Orc', slots: ['weapon'], cost: 200, slay: { orc: 2 }, rarity: 'common', minLevel: 1 },
+    slayUndead: { name: 'of Slay Undead', slots: ['weapon'], cost: 300, slay: { undead: 2 }, rarity: 'uncommon', minLevel: 3 },
+    slayDragon: { name: 'of Slay Dragon', slots: ['weapon'], cost: 600, slay: { dragon: 2 }, rarity: 'rare', minLevel: 7 },
+    burning: { name: 'of Burning', slots: ['weapon'], cost: 400, element: 'fire', rarity: 'uncommon', minLevel: 3 },
+    freezing: { name: 'of Freezing', slots: ['weapon'], cost: 400, element: 'ice', rarity: 'uncommon', minLevel: 4 },
+    speed: { name: 'of Speed', slots: ['boots', 'ring'], cost: 5000, speed: 5, rarity: 'epic', minLevel: 8 },
+    light: { name: 'of Light', slots: ['helm', 'light'], cost: 150, light: 1, elements: { light: 'resist' }, rarity: 'uncommon', minLevel: 2 },
+    seeing: { name: 'of Seeing', slots: ['helm', 'amulet'], cost: 300, specials: ['seeInvisible'], rarity: 'uncommon', minLevel: 4 },
+    regeneration: { name: 'of Regeneration', slots: ['amulet', 'cloak'], cost: 800, specials: ['regen'], rarity: 'rare', minLevel: 5 },
+    slowDigestion: { name: 'of Slow Digestion', slots: ['cloak', 'helm'], cost: 150, specials: ['slowDigest'], rarity: 'common', minLevel: 1 },
+    shadows: { name: 'of the Shadows', slots: ['cloak'], cost: 4000, specials: ['invisible'], rarity: 'epic', minLevel: 10 },
+    resistFire: { name: 'of Resist Fire', slots: ['armor', 'shield', 'cloak'], cost: 250, elements: { fire: 'resist' }, rarity: 'uncommon', minLevel: 3 },
 };
 
 // ─── Trap Types ─────────────────────────────────────────────────────
 export const TRAP_TYPES = {
     teleport: { name: 'Teleport Trap', effect: 'teleport', damage: 0, color: 0x8844ff, desc: 'Teleports you randomly!' },
-    pit: { name: 'Pit Trap', effect: 'pit', damage: 15, color: 0x553311, desc: 'You fall into a pit!' },
-    poison: { name: 'Poison Trap', effect: 'poison', damage: 8, color: 0x44aa22, desc: 'A cloud of poison gas!' },
+    pit: { name: 'Pit Trap', effect: 'pit', damage: 15, element: 'physical', color: 0x553311, desc: 'You fall into a pit!' },
+    poison: { name: 'Poison Trap', effect: 'poison', damage: 8, element: 'poison', duration: 10, color: 0x44aa22, desc: 'A cloud of poison gas!' },
     alarm: { name: 'Alarm Trap', effect: 'alarm', damage: 0, color: 0xff4444, desc: 'An alarm sounds! Monsters rush toward you!' },
-    fire: { name: 'Fire Trap', effect: 'fire', damage: 20, color: 0xff6600, desc: 'Flames erupt beneath you!' },
-    confusion: { name: 'Confusion Trap', effect: 'confusion', damage: 0, color: 0xcc44cc, desc: 'You feel disoriented!' },
+    fire: { name: 'Fire Trap', effect: 'fire', damage: 20, element: 'fire', color: 0xff6600, desc: 'Flames erupt beneath you!' },
+    confusion: { name: 'Confusion Trap', effect: 'confusion', damage: 0, duration: 12, color: 0xcc44cc, desc: 'You feel disoriented!' },
+};
+
+// ─── Status Effects ─────────────────────────────────────────────────
+// Timed effects on the character or monsters. Durations are counted in
+// normal-speed game turns. `stack`: 'add' sums durations (up to maxTurns),
+// 'max' keeps the longer one, 'none' cannot be reapplied while active.
+export const STATUS_EFFECTS = {
+    poisoned: { name: 'Poisoned', icon: '🤢', stack: 'add', maxTurns: 40, damage: 1, resistedBy: 'poison', color: 0x44aa22, onApply: 'You are poisoned!', onEnd: 'You are no longer poisoned.' },
+    confused: { name: 'Confused', icon: '😵', stack: 'max', maxTurns: 20, color: 0xcc44cc, onApply: 'You are confused!', onEnd: 'You feel less confused now.' },
+    paralyzed: { name: 'Paralyzed', icon: '🧊', stack: 'none', maxTurns: 5, color: 0x88ccff, onApply: 'You are paralyzed!', onEnd: 'You can move again.' },
+    hasted: { name: 'Hasted', icon: '⚡', stack: 'max', maxTurns: 50, speed: 10, color: 0xffff44, onApply: 'You feel yourself moving faster!', onEnd: 'You feel yourself slow down.' },
+    resistant: { name: 'Resistant', icon: '🛡️', stack: 'max', maxTurns: 50, elements: { fire: 'resist', ice: 'resist', lightning: 'resist', poison: 'resist' }, color: 0xffaa44, onApply: 'You feel resistant to the elements!', onEnd: 'You feel less resistant to the elements.' },
+    blinded: { name: 'Blind', icon: '🌑', stack: 'max', maxTurns: 20, color: 0x444444, onApply: 'You are blind!', onEnd: 'You can see again.' },
 };
 
 // ─── Tile Types ─────────────────────────────────────────────────────
@@ -181,6 +477,7 @@ export const TILE = {
     TRAP_HIDDEN: 5,    // Looks like floor
     TRAP_REVEALED: 6,  // Trap that has been seen
     PORTAL: 7,         // Advanced portal tile
+    SHOP: 8,           // Shop entrance in the town
 };
 
 // ─── XP Table ───────────────────────────────────────────────────────
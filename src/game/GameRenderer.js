@@ -5,7 +5,7 @@
  * items, stairs, HP bars, and smooth camera following.
  */
 import * as THREE from 'three';
-import { TILE, TRAP_TYPES } from './GameData.js';
+import { TILE, TRAP_TYPES, STATUS_EFFECTS, ELEMENTS, SHOPS } from './GameData.js';
 import { Oloid3D } from '../controls/Oloid3D.js';
 import { Gomboc3D } from '../controls/Gomboc3D.js';
 
@@ -38,9 +38,15 @@ export class GameRenderer {
         this.itemMeshes = {};     // id -> THREE.Mesh
         this.doorMeshes = [];     // THREE.Mesh[]
         this.trapMeshes = [];     // THREE.Mesh[]
+        this.shopMeshes = [];     // THREE.Mesh[]
         this.stairsMeshDown = null;
         this.stairsMeshUp = null;
         this.spellEffects = [];   // temporary visual effects
+        this.targetMarker = null; // ring under the targeted monster or tile
+        this.targetId = null;
+        this.targetTile = null;
+        this.targetPreview = null; // highlighted tiles while aiming
+        this.weaponMesh = null;   // blade beside the player
         this.hpBars = {};         // id -> THREE.Group (floating bars)
         this.ambientLight = null;
         this.pointLight = null;
@@ -153,6 +159,10 @@ export class GameRenderer {
             this.portalMeshes = [];
         }
 
+        // Remove shop entrances
+        this.shopMeshes.forEach(m => this.scene.remove(m));
+        this.shopMeshes = [];
+
         // Remove stairs
         if (this.stairsMeshDown) { this.scene.remove(this.stairsMeshDown); this.stairsMeshDown = null; }
         if (this.stairsMeshUp) { this.scene.remove(this.stairsMeshUp); this.stairsMeshUp = null; }
@@ -164,15 +174,17 @@ export class GameRenderer {
         // Remove spell effects
         this.spellEffects.forEach(e => this.scene.remove(e.mesh));
         this.spellEffects = [];
+
+        // Targets and the aiming preview belong to the old level
+        this.targetTile = null;
+        this.showTargetPreview(null);
     }
 
     renderMap() {
         this.clearScene();
 
         const map = this.game.state.map;
-        const levelNum = this.game.state.currentLevel;
-        const themes = this.game.constructor.getLevelThemes();
-        const theme = themes[levelNum - 1] || themes[0];
+        const theme = this.game.constructor.themeFor(this.game.state.currentLevel);
         this.setTheme(theme);
 
         // Walls - Instanced Rendering (walls + secret walls)
@@ -180,6 +192,7 @@ export class GameRenderer {
         const doorPositions = [];
         const trapPositions = [];
         const portalPositions = [];
+        const shopPositions = [];
         for (let y = 0; y < this.game.height; y++) {
             for (let x = 0; x < this.game.width; x++) {
                 const tile = map[y][x];
@@ -191,6 +204,8 @@ export class GameRenderer {
                     trapPositions.push({ x, y });
                 } else if (tile === TILE.PORTAL) {
                     portalPositions.push({ x, y });
+                } else if (tile === TILE.SHOP) {
+                    shopPositions.push({ x, y });
                 }
             }
         }
@@ -257,6 +272,9 @@ export class GameRenderer {
         // Render portals
         this.renderPortals(portalPositions);
 
+        // Render shop entrances
+        this.renderShops(shopPositions);
+
         // Render stairs
         this.renderStairs();
 
@@ -342,6 +360,24 @@ export class GameRenderer {
         }
     }
 
+    // ─── Shops ──────────────────────────────────────────────────────
+    /** A glowing doorway in the shop's colour at each entrance. */
+    renderShops(shopPositions) {
+        const shops = this.game.state.shops || {};
+        for (const p of shopPositions) {
+            const key = Object.keys(shops).find(k => shops[k].x === p.x && shops[k].y === p.y);
+            const color = SHOPS[key]?.color ?? 0xcc9955;
+            const pos = this.get3DPos(p.x, p.y);
+            const geo = new THREE.BoxGeometry(this.tileSize * 0.8, this.tileSize * 1.0, this.tileSize * 0.8);
+            const mat = new THREE.MeshStandardMaterial({ color, emissive: color, emissiveIntensity: 0.5, roughness: 0.6 });
+            const mesh = new THREE.Mesh(geo, mat);
+            mesh.position.set(pos.x, this.tileSize * 0.5, pos.z);
+            mesh.userData = { type: 'shop', name: SHOPS[key]?.name ?? 'Shop', gx: p.x, gy: p.y };
+            this.scene.add(mesh);
+            this.shopMeshes.push(mesh);
+        }
+    }
+
     // ─── Stairs ─────────────────────────────────────────────────────
     renderStairs() {
         const state = this.game.state;
@@ -521,6 +557,16 @@ export class GameRenderer {
             wire.position.y = 0.5;
             group.add(wire);
 
+            // Wielded weapon: a blade at the side, glowing blue while it senses orcs
+            const blade = new THREE.Mesh(
+                new THREE.BoxGeometry(0.06, 0.6, 0.12),
+                new THREE.MeshStandardMaterial({ color: 0xcccccc, emissive: 0x3388ff, emissiveIntensity: 0, metalness: 0.9, roughness: 0.3 }),
+            );
+            blade.position.set(0.55, 0.6, 0);
+            blade.rotation.z = -0.3;
+            group.add(blade);
+            this.weaponMesh = blade;
+
             group.position.copy(targetPos);
             this.scene.add(group);
             this.entityMeshes[player.id] = group;
@@ -535,6 +581,10 @@ export class GameRenderer {
             group.position.lerp(targetPos, 0.3);
         }
 
+        const weapon = this.game.state.character.equipment.weapon;
+        this.weaponMesh.visible = !!weapon;
+        if (weapon) this.weaponMesh.material.color.setHex(weapon.color ?? 0xcccccc);
+
         // Update camera & torch to follow player
         this.updateCamera(targetPos);
     }
@@ -547,9 +597,10 @@ export class GameRenderer {
         this.camera.position.lerp(this.cameraTarget, 0.08);
         this.camera.lookAt(this.cameraLookTarget);
 
-        // Update torch light
+        // Update torch light — reach follows the hero's light radius
         if (this.pointLight) {
             this.pointLight.position.set(playerPos.x, 3, playerPos.z);
+            this.pointLight.distance = (this.game.getLightRadius() + 1) * this.tileSize;
         }
     }
 
@@ -703,22 +754,21 @@ export class GameRenderer {
 
     // ─── Spell Effects ──────────────────────────────────────────────
     createSpellEffect(data) {
-        if (data.spell === 'fireball') {
-            this.createFireballEffect(data);
-        } else if (data.spell === 'heal') {
-            this.createHealEffect(data);
-        } else if (data.spell === 'lightning') {
-            this.createLightningEffect(data);
-        } else if (data.spell === 'frostNova') {
-            this.createFrostNovaEffect(data);
+        // Effects are chosen by spell shape; data.color tints them per spell
+        switch (data.type) {
+            case 'aoe': this.createFireballEffect(data); break;
+            case 'self': this.createHealEffect(data); break;
+            case 'line': this.createLightningEffect(data); break;
+            case 'nova': this.createFrostNovaEffect(data); break;
         }
     }
 
     createFireballEffect(data) {
         const pos = this.get3DPos(data.x, data.y);
         const geo = new THREE.SphereGeometry(0.5, 12, 8);
+        const color = data.color ?? 0xff4400;
         const mat = new THREE.MeshBasicMaterial({
-            color: 0xff4400,
+            color,
             transparent: true,
             opacity: 0.9,
         });
@@ -727,14 +777,14 @@ export class GameRenderer {
         this.scene.add(mesh);
 
         // Point light for dramatic effect
-        const light = new THREE.PointLight(0xff4400, 3, 8);
+        const light = new THREE.PointLight(color, 3, 8);
         light.position.copy(mesh.position);
         this.scene.add(light);
 
         this.spellEffects.push({
             mesh, light, startTime: Date.now(), duration: 600,
             animate: (t) => {
-                const scale = 1 + t * 2;
+                const scale = (1 + t * 2) * (data.radius || 1);
                 mesh.scale.setScalar(scale);
                 mesh.material.opacity = 1 - t;
                 light.intensity = 3 * (1 - t);
@@ -749,7 +799,7 @@ export class GameRenderer {
         for (let i = 0; i < 12; i++) {
             const geo = new THREE.SphereGeometry(0.08);
             const mat = new THREE.MeshBasicMaterial({
-                color: 0x44ff88,
+                color: data.color ?? 0x44ff88,
                 transparent: true,
                 opacity: 0.9,
             });
@@ -791,7 +841,7 @@ export class GameRenderer {
 
         const lineGeo = new THREE.BufferGeometry().setFromPoints(points);
         const lineMat = new THREE.LineBasicMaterial({
-            color: 0xffff44,
+            color: data.color ?? 0xffff44,
             transparent: true,
             opacity: 1,
             linewidth: 3,
@@ -799,7 +849,7 @@ export class GameRenderer {
         const line = new THREE.Line(lineGeo, lineMat);
         this.scene.add(line);
 
-        const light = new THREE.PointLight(0xffff00, 4, 10);
+        const light = new THREE.PointLight(data.color ?? 0xffff00, 4, 10);
         const midTile = data.tiles[Math.floor(data.tiles.length / 2)];
         const midPos = this.get3DPos(midTile.x, midTile.y);
         light.position.set(midPos.x, 2, midPos.z);
@@ -818,7 +868,7 @@ export class GameRenderer {
         const pos = this.get3DPos(data.x, data.y);
         const geo = new THREE.RingGeometry(0.2, data.radius * this.tileSize, 32);
         const mat = new THREE.MeshBasicMaterial({
-            color: 0x00ccff,
+            color: data.color ?? 0x00ccff,
             transparent: true,
             opacity: 0.8,
             side: THREE.DoubleSide,
@@ -838,6 +888,87 @@ export class GameRenderer {
     }
 
     // ─── Death Effect ───────────────────────────────────────────────
+    // ─── Missiles & Targeting ───────────────────────────────────────
+    /** A missile flies along its path in a shallow arc; thrown potions burst where they stop. */
+    createProjectileEffect(data) {
+        if (!data.path || data.path.length === 0) return;
+        const points = [this.get3DPos(data.startX, data.startY), ...data.path.map(t => this.get3DPos(t.x, t.y))];
+        const mesh = new THREE.Mesh(
+            new THREE.SphereGeometry(0.12, 8, 6),
+            new THREE.MeshBasicMaterial({ color: data.color ?? 0xdddddd }),
+        );
+        mesh.position.set(points[0].x, 0.8, points[0].z);
+        this.scene.add(mesh);
+
+        const duration = 60 * data.path.length;
+        this.spellEffects.push({
+            mesh, startTime: Date.now(), duration,
+            animate: (t) => {
+                const f = t * (points.length - 1);
+                const i = Math.min(points.length - 2, Math.floor(f));
+                mesh.position.x = THREE.MathUtils.lerp(points[i].x, points[i + 1].x, f - i);
+                mesh.position.z = THREE.MathUtils.lerp(points[i].z, points[i + 1].z, f - i);
+                mesh.position.y = 0.8 + Math.sin(t * Math.PI) * 0.4;
+            }
+        });
+        if (data.shatter) {
+            const end = data.path[data.path.length - 1];
+            setTimeout(() => this.createFireballEffect({ x: end.x, y: end.y, radius: 0.5, color: data.color }), duration);
+        }
+    }
+
+    /** Show the ring under a monster, or under a tile (id null), or hide it (no tile either). */
+    setTargetMarker({ id, x, y }) {
+        this.targetId = id;
+        this.targetTile = id == null && x != null ? { x, y } : null;
+        if (!this.targetMarker) {
+            this.targetMarker = new THREE.Mesh(
+                new THREE.RingGeometry(0.55, 0.7, 24),
+                new THREE.MeshBasicMaterial({ color: 0xff3333, transparent: true, opacity: 0.8, side: THREE.DoubleSide }),
+            );
+            this.targetMarker.rotation.x = -Math.PI / 2;
+            this.scene.add(this.targetMarker);
+        }
+        this.updateTargetMarker();
+    }
+
+    updateTargetMarker() {
+        if (!this.targetMarker) return;
+        const target = this.game.state.entities[this.targetId] || this.targetTile;
+        this.targetMarker.visible = !!target;
+        if (!target) return;
+        const pos = this.get3DPos(target.x, target.y);
+        this.targetMarker.position.set(pos.x, 0.05, pos.z);
+    }
+
+    /**
+     * Highlight the tiles an aimed action would fly through (path) and catch
+     * in its blast (area), as given by game.getTargetPreview(); null clears it.
+     */
+    showTargetPreview(preview) {
+        if (this.targetPreview) {
+            this.scene.remove(this.targetPreview);
+            this.targetPreview = null;
+        }
+        if (!preview) return;
+        const group = new THREE.Group();
+        const geo = new THREE.PlaneGeometry(this.tileSize * 0.9, this.tileSize * 0.9);
+        const layers = [[preview.path, 0xffcc33], [preview.area, 0xff5522]];
+        layers.forEach(([tiles, color], layer) => {
+            const mat = new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.3, depthWrite: false, side: THREE.DoubleSide });
+            for (const tile of tiles) {
+                const mesh = new THREE.Mesh(geo, mat);
+                const pos = this.get3DPos(tile.x, tile.y);
+                mesh.rotation.x = -Math.PI / 2;
+                // The blast sits just above the path where they overlap
+                mesh.position.set(pos.x, 0.03 + layer * 0.01, pos.z);
+                group.add(mesh);
+            }
+        });
+        this.scene.add(group);
+        this.targetPreview = group;
+    }
+
     createDeathEffect(monsterId) {
         const group = this.entityMeshes[monsterId];
         if (!group) return;
@@ -890,12 +1021,22 @@ export class GameRenderer {
                 break;
             case 'spell_cast':
                 this.createSpellEffect(data);
+                if (data.caster) this.flashEntity(data.caster);
+                break;
+            case 'projectile':
+                this.createProjectileEffect(data);
+                break;
+            case 'target_change':
+                this.setTargetMarker(data);
+                break;
+            case 'weapon_glow':
+                if (this.weaponMesh) this.weaponMesh.material.emissiveIntensity = data.glowing ? 1.5 : 0;
                 break;
             case 'monster_killed':
                 this.createDeathEffect(data.monster);
                 break;
             case 'combat':
-                if (data.type === 'melee') {
+                if (data.type === 'melee' || data.type === 'ranged') {
                     this.flashEntity(data.defender);
                 } else if (data.type === 'monster_attack') {
                     this.flashPlayer();
@@ -955,6 +1096,13 @@ export class GameRenderer {
         });
     }
 
+    /** Tooltip rows for element affinities ({ element: 'resist' | 'immune' | 'vulnerable' }). */
+    affinityRows(affinities) {
+        const labels = { resist: 'Resists', immune: 'Immune', vulnerable: 'Vulnerable' };
+        return Object.entries(affinities).map(([element, affinity]) =>
+            `<div class="stat"><span>${ELEMENTS[element].icon} ${ELEMENTS[element].name}</span><span>${labels[affinity]}</span></div>`).join('');
+    }
+
     updateTooltip(clientX, clientY) {
         this.raycaster.setFromCamera(this.mouse, this.camera);
         const intersects = this.raycaster.intersectObjects(this.scene.children, true);
@@ -985,6 +1133,10 @@ export class GameRenderer {
                             <div class="stat"><span>HP</span><span>${monster.hp}/${monster.maxHp}</span></div>
                             <div class="stat"><span>Level</span><span>${Math.floor(monster.maxHp / 10)}</span></div>
                             <div class="desc">${monster.ai === 'chase' ? 'Aggressive' : 'Wandering'}</div>`;
+                    for (const [key, turns] of Object.entries(monster.effects || {})) {
+                        html += `<div class="stat"><span>${STATUS_EFFECTS[key].icon} ${STATUS_EFFECTS[key].name}</span><span>${turns}</span></div>`;
+                    }
+                    html += this.affinityRows(this.game.getKnownAffinities(monster));
                 }
             } else if (data.type === 'player') {
                 const p = this.game.state.character;
@@ -992,6 +1144,7 @@ export class GameRenderer {
                         <div class="stat"><span>HP</span><span>${p.hp}/${p.maxHp}</span></div>
                         <div class="stat"><span>MP</span><span>${p.mp}/${p.maxMp}</span></div>
                         <div class="stat"><span>XP</span><span>${p.xp}</span></div>`;
+                html += this.affinityRows(this.game.getKnownAffinities(p));
             } else if (data.type === 'item') {
                 const item = data.item;
                 html = `<h3>${item.name}</h3>
@@ -999,6 +1152,9 @@ export class GameRenderer {
             } else if (data.type === 'stairs') {
                 html = `<h3>Stairs ${data.direction === 'down' ? 'Down' : 'Up'}</h3>
                         <div class="desc">${data.desc}</div>`;
+            } else if (data.type === 'shop') {
+                html = `<h3>${data.name}</h3>
+                        <div class="desc">Step inside to buy, sell and identify.</div>`;
             }
 
             if (html) {
@@ -1055,6 +1211,8 @@ export class GameRenderer {
             this.stairsMeshUp.children.forEach(c => { c.rotation.y += 0.02; });
         }
 
+        this.updateTargetMarker();
+
         // ── Fog of War visibility ────────────────────────────────────
         this.updateFogOfWar();
     }
@@ -1101,16 +1259,16 @@ export class GameRenderer {
             if (this.wallInstances.instanceColor) this.wallInstances.instanceColor.needsUpdate = true;
         }
 
-        // Monsters: only visible when in LOS
+        // Monsters: only visible when in LOS, and invisible ones only with see invisible
         for (const [id, group] of Object.entries(this.entityMeshes)) {
             if (id.startsWith('monster_')) {
                 const entity = this.game.state.entities[id];
                 if (entity) {
-                    const isVis = vis[entity.y] && vis[entity.y][entity.x];
-                    group.visible = !!isVis;
+                    const isVis = this.game.canSeeMonster(entity);
+                    group.visible = isVis;
                     // HP bars
                     if (this.hpBars[id]) {
-                        this.hpBars[id].visible = !!isVis;
+                        this.hpBars[id].visible = isVis;
                     }
                 }
             }
@@ -0,0 +1,77 @@
+/**
+ * RNG.js
+ * Seedable pseudo-random number generator (mulberry32) used by every game-rule
+ * decision, so that the same seed and the same actions replay the same game.
+ * Visual-only randomness in the renderer stays on Math.random().
+ */
+export class RNG {
+    /**
+     * @param {number|string} [seed] - Numeric seed or any string (hashed). Random if omitted.
+     */
+    constructor(seed = RNG.randomSeed()) {
+        this.seed = RNG.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    /** Generate a fresh 32-bit seed from Math.random(). */
+    static randomSeed() {
+        return Math.floor(Math.random() * 0xffffffff) >>> 0;
+    }
+
+    /** Turn a number or string into an unsigned 32-bit seed. */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) return seed >>> 0;
+        const str = String(seed);
+        if (/^\d+$/.test(str)) return Number(str) >>> 0;
+        // FNV-1a hash for text seeds
+        let h = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            h ^= str.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+        return h >>> 0;
+    }
+
+    /** Float in [0, 1) — drop-in replacement for Math.random(). */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /** Integer in [0, n). */
+    int(n) {
+        return Math.floor(this.next() * n);
+    }
+
+    /** Integer in [min, max] (inclusive). */
+    range(min, max) {
+        return min + this.int(max - min + 1);
+    }
+
+    /** True with probability p. */
+    chance(p) {
+        return this.next() < p;
+    }
+
+    /** Random element of an array (undefined if empty). */
+    pick(arr) {
+        return arr[this.int(arr.length)];
+    }
+
+    /** Fisher–Yates shuffle; returns a new array. */
+    shuffle(arr) {
+        const out = [...arr];
+        for (let i = out.length - 1; i > 0; i--) {
+            const j = this.int(i + 1);
+            [out[i], out[j]] = [out[j], out[i]];
+        }
+        return out;
+    }
+
+    /** Internal state, for save/restore. */
+    getState() { return this.state; }
+    setState(state) { this.state = state >>> 0; }
+}
@@ -1,17 +1,112 @@
 /**
  * RoguelikeGame.js
- * Classic roguelike engine with BSP dungeons, identification, auto-movement,
- * traps, secret rooms, and 15 depth levels. Uses GameData.js and DungeonGenerator.js.
+ * Classic roguelike engine with themed dungeon layouts, identification, auto-movement,
+ * traps, secret rooms, 15 depth levels and a town with shops above them. Uses GameData.js and DungeonGenerator.js.
+ * All randomness is drawn from a seeded RNG (config.seed) so runs are reproducible.
  */
 import {
-    RACES, CLASSES, SPELLS, MONSTER_TYPES, LEVEL_THEMES,
-    POTION_TYPES, POTION_APPEARANCES, POTION_COLORS,
-    SCROLL_TYPES, EQUIPMENT_TYPES, LEGENDARY_ITEMS,
-    TRAP_TYPES, TILE, XP_TABLE, RARITY_WEIGHTS
+    RACES, CLASSES, SPELLS, MONSTER_TYPES, LEVEL_THEMES, TOWN_THEME, SHOPS,
+    POTION_TYPES, POTION_APPEARANCES, POTION_COLORS, SCROLL_TITLES, RING_MATERIALS, ROD_METALS, WAND_WOODS, FLAVOURS,
+    DEVICE_TYPES, FOOD_TYPES, HUNGER_STATES,
+    SCROLL_TYPES, EQUIPMENT_TYPES, EQUIPMENT_SLOTS, LEGENDARY_ITEMS, EGO_ITEMS, CURSES,
+    TRAP_TYPES, STATUS_EFFECTS, MONSTER_SPELLS, ELEMENTS, TILE, XP_TABLE, RARITY_WEIGHTS
 } from './GameData.js';
 import { DungeonGenerator } from './DungeonGenerator.js';
+import { RNG } from './RNG.js';
+import { FOV } from './FOV.js';
+import { DijkstraMap } from './DijkstraMap.js';
 
 export class RoguelikeGame {
+    /** Bump when the serialized shape changes; older saves are migrated in deserialize(). */
+    static SAVE_VERSION = 13;
+    /** Ticks in one normal-speed game turn (speed 10, 100 energy per action). */
+    static TURN_TICKS = 10;
+    /** Light radius of the torch every hero carries. */
+    static BASE_LIGHT_RADIUS = 3;
+    /** How far lit rooms can be seen along a line of sight. */
+    static MAX_SIGHT = 20;
+    /** Vault loot and guards are drawn from this many levels deeper. */
+    static VAULT_DEPTH_BONUS = 3;
+    /** How far a guard posted outside any room may stray from its post. */
+    static GUARD_RADIUS = 5;
+    /** Resisted elemental damage is divided by this. */
+    static RESIST_DIVISOR = 3;
+    /** Damage against a vulnerability is multiplied by this. */
+    static VULNERABLE_MULTIPLIER = 1.5;
+    /** How far an item can be thrown. */
+    static THROW_RANGE = 10;
+    /** Thrown `throwable` weapons hit this many times harder than other items. */
+    static THROW_MULTIPLIER = 2;
+    /** Missiles in a found stack of ammunition: [min, max]. */
+    static AMMO_STACK = [12, 30];
+    /** Chance per turn that a spellcaster tries a spell, unless its type sets `spellChance`. */
+    static MONSTER_SPELL_CHANCE = 0.25;
+    /** Chance a found, uncursed piece of equipment carries an ego. */
+    static EGO_CHANCE = 0.15;
+    /** HP a regenerating character heals each game turn. */
+    static REGEN_HP = 1;
+    /** Monsters further than this lose track of an invisible player. */
+    static INVISIBLE_SENSE_RANGE = 2;
+    /** How close an orc must be for an orc-detecting weapon to glow. */
+    static ORC_DETECT_RADIUS = 10;
+    /** Chance a cursed find also carries one of CURSES. */
+    static CURSE_VARIANT_CHANCE = 0.5;
+    /** Chance a curse is heavy: only *Remove Curse* breaks it. */
+    static HEAVY_CURSE_CHANCE = 0.25;
+    /** Chance per game turn of getting a feeling about each unknown piece of equipment carried. */
+    static SENSE_CHANCE = 0.02;
+    /** How far an aggravating curse wakes monsters. */
+    static AGGRAVATE_RADIUS = 20;
+    /** XP an experience-draining curse takes each time it works. */
+    static DRAIN_XP = 2;
+    /** Bounds on the chance of getting a magic device to work. */
+    static MIN_DEVICE_CHANCE = 0.2;
+    static MAX_DEVICE_CHANCE = 0.95;
+    /** Least chance a Scroll of Recharging blows the device up. */
+    static RECHARGE_BACKFIRE = 0.05;
+    /** Gold a new character starts with. */
+    static STARTING_GOLD = 100;
+    /** Chance a slain monster drops gold, and how much per level of depth. */
+    static GOLD_DROP_CHANCE = 0.3;
+    static GOLD_PER_DEPTH = [4, 16];
+    /** Gold each point of bonus adds to a piece of equipment's value (a tenth of it for a missile). */
+    static BONUS_VALUE = 50;
+    /** Share of an item's value a shop pays for it. */
+    static SELL_RATE = 0.5;
+    /** What a shop charges to identify an item. */
+    static IDENTIFY_PRICE = 25;
+    /** Wares a shop sets out when it restocks. */
+    static SHOP_STOCK = 8;
+    /**
+     * Shops restock every RESTOCK_TURNS game turns, selling off each ware
+     * with RESTOCK_TURNOVER chance; at most MAX_RESTOCKS pile up while the
+     * player is away.
+     */
+    static RESTOCK_TURNS = 500;
+    static RESTOCK_TURNOVER = 0.3;
+    static MAX_RESTOCKS = 3;
+    /** Separate entries (stacks count once) the pack holds. */
+    static PACK_SLOTS = 23;
+    /** Carrying capacity in pounds: BASE plus PER_STR for each point of STR. */
+    static CAPACITY_BASE = 30;
+    static CAPACITY_PER_STR = 10;
+    /** Every this many pounds over capacity costs one point of speed. */
+    static BURDEN_STEP = 10;
+    /** Food counter of a new character, and the most it holds (see HUNGER_STATES). */
+    static STARTING_FOOD = 6000;
+    static FOOD_MAX = 15000;
+    /** Food digested each game turn; regeneration doubles it and slow digestion halves it. */
+    static DIGEST_RATE = 2;
+    /** Game turns a character who faints from hunger stays down. */
+    static FAINT_TURNS = 3;
+    /** Chance a slain monster leaves a corpse, and how much it feeds per point of the monster's HP. */
+    static CORPSE_CHANCE = 0.4;
+    static CORPSE_FOOD_PER_HP = 50;
+    /** Game turns before a corpse goes bad; eating a bad one poisons for ROTTEN_POISON turns. */
+    static CORPSE_FRESH_TURNS = 1000;
+    static ROTTEN_POISON = 10;
+    static DIRECTIONS = [[0, -1], [0, 1], [-1, 0], [1, 0], [-1, -1], [1, -1], [-1, 1], [1, 1]];
+
     constructor(config = {}) {
         this.width = config.width || 60;
         this.height = config.height || 40;
@@ -21,52 +116,119 @@ export class RoguelikeGame {
         this.nextEntityId = 100;
         this.charRace = config.race || 'human';
         this.charClass = config.class || 'warrior';
+        this.charName = config.name || 'Olloid';
+
+        // Headless mode: no timers, follow-up steps run synchronously (Node tests, simulations)
+        this.headless = !!config.headless;
+        this._taskQueue = [];
+        this._drainingTasks = false;
+
+        // Seeded RNG — every game-rule roll goes through this.rng
+        this.rng = new RNG(config.seed ?? RNG.randomSeed());
+        this.seed = this.rng.seed;
 
         // Auto-run state
         this.autoRun = { active: false, dx: 0, dy: 0 };
         // Path-walk state (for click-to-move)
         this.autoPath = [];
 
-        // Identification system — randomized each game
-        this.potionIdentity = this._generatePotionIdentity();
-        this.identifiedPotions = new Set();
+        // Identification system — appearances dealt out anew each game
+        this.flavours = this._generateFlavours();
+        this.knownFlavours = Object.fromEntries(Object.keys(FLAVOURS).map(kind => [kind, new Set()]));
 
         // Dungeon metadata
         this.rooms = [];
         this.traps = [];
         this.secretDoors = [];
+        this.corridors = [];
+        this.roomGraph = [];
+
+        // Levels the player has left, keyed by depth (current level lives in state)
+        this.levelCache = {};
+
+        // Tiles marked visible last turn, so updateVisibility() can clear just those
+        this._visibleTiles = [];
+        // Distance map toward the player shared by all monsters (see _playerFlow)
+        this._flow = null;
+        // Distance maps back to guard posts on this level (see _postFlow)
+        this._postFlows = null;
+        // What missiles, thrown items and aimed spells fly at: a monster id,
+        // or a tile when no monster is targeted. Kept between shots.
+        this.targetId = null;
+        this.targetTile = null;
+        // Whether the wielded weapon is glowing at nearby orcs (see _updateWeaponGlow)
+        this.weaponGlow = false;
 
         this.state = this._createInitialState();
-        this.initialize();
-    }
-
-    _generatePotionIdentity() {
-        // Shuffle appearances/colors and map them to potion types
-        const keys = Object.keys(POTION_TYPES);
-        const appearances = [...POTION_APPEARANCES].sort(() => Math.random() - 0.5);
-        const colors = [...POTION_COLORS].sort(() => Math.random() - 0.5);
-        const identity = {};
-        keys.forEach((key, i) => {
-            identity[key] = {
-                appearance: appearances[i % appearances.length],
-                color: colors[i % colors.length],
-            };
-        });
-        return identity;
+        this._learnSpells(true);
+        // deserialize() fills in state itself before starting the loop
+        if (config.autoStart !== false) this.initialize();
+    }
+
+    /** The data table of the item kinds behind a FLAVOURS entry. */
+    static flavourTable(kind) {
+        switch (kind) {
+            case 'potion': return POTION_TYPES;
+            case 'scroll': return SCROLL_TYPES;
+            case 'ring': return Object.fromEntries(Object.entries(EQUIPMENT_TYPES).filter(([, e]) => e.slot === 'ring'));
+            default: return Object.fromEntries(Object.entries(DEVICE_TYPES).filter(([, d]) => d.device === kind));
+        }
+    }
+
+    /**
+     * Shuffle appearances onto every flavoured item kind:
+     * { potion: { healPotion: { appearance, color }, ... }, scroll: { ... }, ... }
+     */
+    _generateFlavours() {
+        const deal = (kind, appearances, colorOf) => {
+            const identity = {};
+            Object.keys(RoguelikeGame.flavourTable(kind)).forEach((key, i) => {
+                const appearance = appearances[i % appearances.length];
+                identity[key] = { appearance, color: colorOf(appearance, i) };
+            });
+            return identity;
+        };
+        const potionNames = this.rng.shuffle(POTION_APPEARANCES);
+        const potionColors = this.rng.shuffle(POTION_COLORS);
+        return {
+            potion: deal('potion', potionNames, (_, i) => potionColors[i % potionColors.length]),
+            // Unread scrolls all look like plain parchment
+            scroll: deal('scroll', this.rng.shuffle(SCROLL_TITLES), () => 0xeeddaa),
+            ring: deal('ring', this.rng.shuffle(Object.keys(RING_MATERIALS)), name => RING_MATERIALS[name]),
+            wand: deal('wand', this.rng.shuffle(Object.keys(WAND_WOODS)), name => WAND_WOODS[name]),
+            staff: deal('staff', this.rng.shuffle(Object.keys(WAND_WOODS)), name => WAND_WOODS[name]),
+            rod: deal('rod', this.rng.shuffle(Object.keys(ROD_METALS)), name => ROD_METALS[name]),
+        };
+    }
+
+    /**
+     * Starting HP/MP/STR/DEX/INT for a race + class combination.
+     * Shared by the engine and the character creation screen.
+     */
+    static deriveStats(raceKey, classKey) {
+        const race = RACES[raceKey];
+        const cls = CLASSES[classKey];
+        return {
+            hp: Math.floor(race.hp * cls.hpMult * 3),
+            mp: Math.floor(race.mp * cls.mpMult * 3),
+            str: Math.floor(race.str * cls.strMult),
+            dex: Math.floor(race.dex * cls.dexMult),
+            int: Math.floor(race.int * cls.intMult),
+        };
     }
 
     _createInitialState() {
         const race = RACES[this.charRace];
         const cls = CLASSES[this.charClass];
-        const maxHp = Math.floor(race.hp * cls.hpMult * 3);
-        const maxMp = Math.floor(race.mp * cls.mpMult * 3);
+        const base = RoguelikeGame.deriveStats(this.charRace, this.charClass);
+        const maxHp = base.hp;
+        const maxMp = base.mp;
 
         return {
             tick: 0,
             map: [],
             visibility: [],
             explored: [],
-            sightRange: 7,
             entities: {},
             items: [],
             player: null,
@@ -74,10 +236,14 @@ export class RoguelikeGame {
             stairsUp: null,
             currentLevel: 1,
             maxLevel: 15,
+            // The town's shops by SHOPS key, {x, y, stock, stockedAt}, once it has been visited
+            shops: null,
             status: 'playing',
             lastAction: null,
+            // Element affinities seen per monster type, for the tooltip
+            monsterLore: {},
             character: {
-                name: 'Olloid',
+                name: this.charName,
                 race: race.name,
                 class: cls.name,
                 level: 1,
@@ -86,58 +252,185 @@ export class RoguelikeGame {
                 hp: maxHp, maxHp,
                 mp: maxMp, maxMp,
                 energy: 0, speed: 10,
-                stats: {
-                    str: Math.floor(race.str * cls.strMult),
-                    dex: Math.floor(race.dex * cls.dexMult),
-                    int: Math.floor(race.int * cls.intMult),
-                },
+                stats: { str: base.str, dex: base.dex, int: base.int },
                 kills: 0,
-                spellCooldowns: { fireball: 0, heal: 0, lightning: 0, frostNova: 0 },
+                gold: RoguelikeGame.STARTING_GOLD,
+                food: RoguelikeGame.STARTING_FOOD,
+                spells: [],
+                spellCooldowns: {},
+                effects: {},
                 inventory: [],
-                equipment: { weapon: null, armor: null, ring: null },
+                equipment: this._kitEquipment(cls),
             }
         };
     }
 
+    /** Every EQUIPMENT_SLOTS slot, empty. */
+    static emptyEquipment() {
+        return Object.fromEntries(Object.keys(EQUIPMENT_SLOTS).map(slot => [slot, null]));
+    }
+
+    /**
+     * The equipment slot an item goes into: the first free slot that accepts
+     * it, else the first whose item is not cursed, else the first one.
+     */
+    static slotFor(item, equipment) {
+        const slots = Object.keys(EQUIPMENT_SLOTS).filter(slot => EQUIPMENT_SLOTS[slot].accepts === item.slot);
+        return slots.find(slot => !equipment[slot])
+            ?? slots.find(slot => equipment[slot].enchantment !== 'cursed')
+            ?? slots[0];
+    }
+
+    /** Empty equipment slots, filled with the class's starting `kit`. */
+    _kitEquipment(cls) {
+        const equipment = RoguelikeGame.emptyEquipment();
+        for (const key of cls.kit || []) {
+            const item = this._equipmentItem(key);
+            item.identified = true;
+            if (item.slot === 'ammo') item.quantity = RoguelikeGame.AMMO_STACK[1];
+            equipment[RoguelikeGame.slotFor(item, equipment)] = item;
+        }
+        return equipment;
+    }
+
     // ─── Initialization ──────────────────────────────────────────────
     initialize() {
         this.generateLevel(this.state.currentLevel);
         this.startLoop();
     }
 
-    generateLevel(levelNum) {
+    /** The LEVEL_THEMES entry for a depth, or the TOWN_THEME at depth 0. */
+    static themeFor(levelNum) {
+        return levelNum === 0 ? TOWN_THEME : LEVEL_THEMES[levelNum - 1] || LEVEL_THEMES[0];
+    }
+
+    /** How the log names a level on arrival. */
+    static levelTitle(levelNum) {
+        const { name } = RoguelikeGame.themeFor(levelNum);
+        return levelNum === 0 ? name : `${name} — Depth ${levelNum}`;
+    }
+
+    /**
+     * Build a fresh level at the given depth.
+     * @param {number} levelNum - Depth
+     * @param {'up'|'down'|null} [arriveOn] - Staircase to place the player on
+     */
+    generateLevel(levelNum, arriveOn = null) {
         this.state.currentLevel = levelNum;
         this.state.entities = {};
         this.state.items = [];
         this.autoRun = { active: false, dx: 0, dy: 0 };
         this.autoPath = [];
+        this.targetTile = null;
+        this._postFlows = null;
 
-        // BSP Dungeon Generation
-        const result = DungeonGenerator.generate(this.width, this.height, levelNum);
+        // Each theme names its own layout generator
+        const theme = RoguelikeGame.themeFor(levelNum);
+        const result = DungeonGenerator.generate(this.width, this.height, levelNum, this.rng, {
+            layout: theme.generator || 'bsp', ...theme.generatorParams,
+        });
         this.state.map = result.map;
         this.rooms = result.rooms;
         this.traps = result.traps;
         this.secretDoors = result.secretDoors;
+        this.corridors = result.corridors;
+        this.roomGraph = result.roomGraph;
 
         // Init fog of war
         this.state.visibility = Array.from({ length: this.height }, () => Array(this.width).fill(0));
         this.state.explored = Array.from({ length: this.height }, () => Array(this.width).fill(0));
 
         this.spawnPlayer();
-        this.spawnStairs(levelNum);
+        this.spawnStairs(levelNum, this.rooms[result.exitRoom]);
+        if (arriveOn) this._placePlayerOnStairs(arriveOn);
         this.spawnMonsters(levelNum);
-        this.spawnItems(levelNum);
+        // The town has shops instead of loot
+        if (levelNum > 0) this.spawnItems(levelNum);
+        else this._openShops(result.shops);
+        this.spawnVaults(levelNum, result.vaults);
         this.updateVisibility();
 
-        const theme = LEVEL_THEMES[levelNum - 1] || LEVEL_THEMES[0];
-        this.log(`⚔️ You enter ${theme.name} — Depth ${levelNum}`);
+        this.log(`⚔️ You enter ${RoguelikeGame.levelTitle(levelNum)}`);
         this.notifyObservers('level_change', { level: levelNum, theme });
     }
 
+    /**
+     * Move to another depth, caching the level being left and restoring the
+     * target level from the cache if it was visited before.
+     */
+    changeLevel(levelNum, arriveOn) {
+        this._cacheCurrentLevel();
+        const cached = this.levelCache[levelNum];
+        if (cached) {
+            delete this.levelCache[levelNum];
+            this._restoreLevel(levelNum, cached, arriveOn);
+        } else {
+            this.generateLevel(levelNum, arriveOn);
+        }
+    }
+
+    _cacheCurrentLevel() {
+        const s = this.state;
+        const monsters = {};
+        for (const [id, e] of Object.entries(s.entities)) {
+            if (e.type === 'monster') monsters[id] = e;
+        }
+        this.levelCache[s.currentLevel] = {
+            map: s.map, explored: s.explored,
+            entities: monsters, items: s.items,
+            stairs: s.stairs, stairsUp: s.stairsUp,
+            rooms: this.rooms, traps: this.traps, secretDoors: this.secretDoors,
+            corridors: this.corridors, roomGraph: this.roomGraph,
+        };
+    }
+
+    _restoreLevel(levelNum, cached, arriveOn) {
+        const player = this.state.player;
+        this.state.currentLevel = levelNum;
+        this.state.map = cached.map;
+        this.state.explored = cached.explored;
+        this.state.items = cached.items;
+        this.state.stairs = cached.stairs;
+        this.state.stairsUp = cached.stairsUp;
+        this.state.entities = { ...cached.entities, [player.id]: player };
+        this.rooms = cached.rooms;
+        this.traps = cached.traps;
+        this.secretDoors = cached.secretDoors;
+        this.corridors = cached.corridors || [];
+        this.roomGraph = cached.roomGraph || [];
+        this.autoRun = { active: false, dx: 0, dy: 0 };
+        this.autoPath = [];
+        this.targetTile = null;
+        this._postFlows = null;
+
+        this.state.visibility = Array.from({ length: this.height }, () => Array(this.width).fill(0));
+        this._placePlayerOnStairs(arriveOn);
+        if (levelNum === 0) this._restockShops();
+        this.updateVisibility();
+
+        const theme = RoguelikeGame.themeFor(levelNum);
+        this.log(`⚔️ You return to ${RoguelikeGame.levelTitle(levelNum)}`);
+        this.notifyObservers('level_change', { level: levelNum, theme, revisit: true });
+    }
+
+    _placePlayerOnStairs(direction) {
+        const stairs = direction === 'up' ? this.state.stairsUp : this.state.stairs;
+        if (!stairs) return;
+        // Shove aside anything camping on the staircase
+        const blocker = this._getMonsterAt(stairs.x, stairs.y);
+        if (blocker) {
+            const pos = this.findRandomFloor();
+            blocker.x = pos.x;
+            blocker.y = pos.y;
+        }
+        this.state.player.x = stairs.x;
+        this.state.player.y = stairs.y;
+    }
+
     // ─── Spawning ───────────────────────────────────────────────────
     spawnPlayer() {
         const room = this.rooms[0] || { x: 1, y: 1, w: 3, h: 3 };
-        const pos = DungeonGenerator.findFloorInRoom(this.state.map, room);
+        const pos = DungeonGenerator.findFloorInRoom(this.state.map, room, this.rng);
         if (this.state.player) {
             this.state.player.x = pos.x;
             this.state.player.y = pos.y;
@@ -152,16 +445,21 @@ export class RoguelikeGame {
         }
     }
 
-    spawnStairs(levelNum) {
+    /**
+     * @param {number} levelNum
+     * @param {object} [exitRoom] - Room for the down stairs (the generator picks the one farthest from the start)
+     */
+    spawnStairs(levelNum, exitRoom = this.rooms[this.rooms.length - 1] || this.rooms[0]) {
         if (levelNum < this.state.maxLevel) {
-            const room = this.rooms[this.rooms.length - 1] || this.rooms[0];
-            const pos = DungeonGenerator.findFloorInRoom(this.state.map, room);
+            const room = exitRoom;
+            const pos = DungeonGenerator.findFloorInRoom(this.state.map, room, this.rng);
             this.state.stairs = { x: pos.x, y: pos.y, direction: 'down' };
         } else {
             this.state.stairs = null;
         }
-        if (levelNum > 1) {
-            const pos = DungeonGenerator.findFloorInRoom(this.state.map, this.rooms[0]);
+        // Depth 1 leads up to the town
+        if (levelNum > 0) {
+            const pos = DungeonGenerator.findFloorInRoom(this.state.map, this.rooms[0], this.rng);
             this.state.stairsUp = { x: pos.x, y: pos.y, direction: 'up' };
         } else {
             this.state.stairsUp = null;
@@ -169,7 +467,7 @@ export class RoguelikeGame {
     }
 
     spawnMonsters(levelNum) {
-        const theme = LEVEL_THEMES[levelNum - 1] || LEVEL_THEMES[0];
+        const theme = RoguelikeGame.themeFor(levelNum);
         const monsterCount = Math.floor((this.width * this.height) * theme.monsterDensity);
         const eligible = Object.entries(MONSTER_TYPES)
             .filter(([, m]) => m.minLevel <= levelNum && !m.boss)
@@ -181,22 +479,8 @@ export class RoguelikeGame {
             if (this.state.stairs && pos.x === this.state.stairs.x && pos.y === this.state.stairs.y) continue;
             if (eligible.length === 0) break;
 
-            const type = eligible[Math.floor(Math.random() * eligible.length)];
-            const scaleFactor = 1 + (levelNum - type.minLevel) * 0.15;
-            const id = `monster_${this.nextEntityId++}`;
-            this.state.entities[id] = {
-                id, type: 'monster', monsterType: type.key,
-                name: type.name, x: pos.x, y: pos.y,
-                hp: Math.floor(type.hp * scaleFactor),
-                maxHp: Math.floor(type.hp * scaleFactor),
-                atk: Math.floor(type.atk * scaleFactor),
-                def: type.def, xp: Math.floor(type.xp * scaleFactor),
-                speed: type.speed * 10, energy: 0,
-                color: type.color, shape: type.shape,
-                ai: type.ai, boss: false, rotation: 0,
-                ability: type.ability || null,
-                symbol: type.symbol,
-            };
+            const type = this.rng.pick(eligible);
+            this._spawnMonster(type.key, pos, levelNum);
         }
 
         // Spawn zone boss if this level has one
@@ -214,11 +498,79 @@ export class RoguelikeGame {
                 ai: bossType.ai, boss: true, rotation: 0,
                 ability: bossType.ability || null,
                 symbol: bossType.symbol,
+                home: this._guardPost(pos.x, pos.y),
             };
             this.log(`🔥 You sense a terrible presence: ${bossType.name}...`);
         }
     }
 
+    /** A regular (non-boss) monster, scaled up for every level deeper than its native one. */
+    _spawnMonster(typeKey, pos, levelNum) {
+        const type = MONSTER_TYPES[typeKey];
+        const scaleFactor = 1 + Math.max(0, levelNum - type.minLevel) * 0.15;
+        const id = `monster_${this.nextEntityId++}`;
+        const monster = {
+            id, type: 'monster', monsterType: typeKey,
+            name: type.name, x: pos.x, y: pos.y,
+            hp: Math.floor(type.hp * scaleFactor),
+            maxHp: Math.floor(type.hp * scaleFactor),
+            atk: Math.floor(type.atk * scaleFactor),
+            def: type.def, xp: Math.floor(type.xp * scaleFactor),
+            speed: type.speed * 10, energy: 0,
+            color: type.color, shape: type.shape,
+            ai: type.ai, boss: false, rotation: 0,
+            ability: type.ability || null,
+            symbol: type.symbol,
+        };
+        this.state.entities[id] = monster;
+        return monster;
+    }
+
+    /**
+     * Stock each vault with loot from deeper down and monsters to guard it.
+     * @param {number} levelNum
+     * @param {{itemSpots: {x,y}[], guardSpots: {x,y}[], monsters?: {x,y,key}[]}[]} vaults - From DungeonGenerator.generate
+     */
+    spawnVaults(levelNum, vaults = []) {
+        const lootLevel = levelNum + RoguelikeGame.VAULT_DEPTH_BONUS;
+        const guards = Object.entries(MONSTER_TYPES)
+            .filter(([, m]) => m.minLevel <= lootLevel && !m.boss)
+            .map(([key]) => key);
+        for (const vault of vaults) {
+            for (const spot of vault.itemSpots) {
+                const item = this._generateVaultItem(lootLevel);
+                if (!item) continue;
+                item.x = spot.x;
+                item.y = spot.y;
+                item.id = `item_${this.nextEntityId++}`;
+                this.state.items.push(item);
+            }
+            // Monsters named by the prefab, then random guards from deeper down
+            const keepers = [];
+            for (const { key, ...spot } of vault.monsters || []) {
+                if (!this._getMonsterAt(spot.x, spot.y)) keepers.push(this._spawnMonster(key, spot, lootLevel));
+            }
+            for (const spot of vault.guardSpots) {
+                if (guards.length === 0 || this._getMonsterAt(spot.x, spot.y)) continue;
+                keepers.push(this._spawnMonster(this.rng.pick(guards), spot, lootLevel));
+            }
+            for (const m of keepers) {
+                if (m.ai === 'stationary') continue;
+                m.ai = 'guard';
+                m.home = this._guardPost(m.x, m.y);
+            }
+        }
+    }
+
+    /** Vaults hold equipment and artifacts rather than consumables. */
+    _generateVaultItem(levelNum) {
+        if (levelNum >= 5 && this.rng.chance(0.25)) {
+            const legendary = this._generateLegendary(levelNum);
+            if (legendary) return legendary;
+        }
+        return this.rng.chance(0.7) ? this._generateEquipment(levelNum) : this._generateRandomItem(levelNum);
+    }
+
     spawnItems(levelNum) {
         const itemCount = 3 + Math.floor(levelNum * 0.8);
         for (let i = 0; i < itemCount; i++) {
@@ -234,9 +586,11 @@ export class RoguelikeGame {
     }
 
     _generateRandomItem(levelNum) {
-        const roll = Math.random();
-        if (roll < 0.35) return this._generatePotion(levelNum);
-        if (roll < 0.55) return this._generateScroll(levelNum);
+        const roll = this.rng.next();
+        if (roll < 0.26) return this._generatePotion(levelNum);
+        if (roll < 0.32) return this._generateFood(levelNum);
+        if (roll < 0.50) return this._generateScroll(levelNum);
+        if (roll < 0.58) return this._generateDevice(levelNum);
         if (roll < 0.80) return this._generateEquipment(levelNum);
         // Small chance for legendary
         if (roll < 0.85 && levelNum >= 5) return this._generateLegendary(levelNum);
@@ -247,17 +601,44 @@ export class RoguelikeGame {
         const eligible = Object.entries(POTION_TYPES)
             .filter(([, p]) => !p.minLevel || p.minLevel <= levelNum);
         if (eligible.length === 0) return null;
-        const [key, potion] = eligible[Math.floor(Math.random() * eligible.length)];
-        const identity = this.potionIdentity[key];
-        const identified = this.identifiedPotions.has(key);
+        const [key] = this.rng.pick(eligible);
+        return this._potionItem(key);
+    }
 
-        return {
+    _potionItem(key) {
+        const potion = POTION_TYPES[key];
+        return this._nameItem({
             category: 'potion', potionKey: key,
-            name: identified ? potion.name : `${identity.appearance} Potion`,
-            trueName: potion.name,
             effect: potion.effect, value: potion.value,
-            color: identified ? 0xff3366 : identity.color,
-            symbol: '!', identified,
+            symbol: '!', quantity: 1, weight: potion.weight,
+        });
+    }
+
+    _generateFood(levelNum) {
+        const eligible = Object.entries(FOOD_TYPES)
+            .filter(([, f]) => !f.minLevel || f.minLevel <= levelNum);
+        const [key] = this.rng.pick(eligible);
+        return this._foodItem(key);
+    }
+
+    _foodItem(key) {
+        const food = FOOD_TYPES[key];
+        return {
+            category: 'food', foodKey: key, name: food.name, food: food.food,
+            symbol: food.symbol, color: food.color, quantity: 1, weight: food.weight, identified: true,
+        };
+    }
+
+    /** What a slain monster leaves to eat, if anything: undead and demons leave nothing. */
+    _corpseItem(monster) {
+        const type = MONSTER_TYPES[monster.monsterType];
+        if (!type || type.kind === 'undead' || type.kind === 'demon') return null;
+        const turn = Math.floor(this.state.tick / RoguelikeGame.TURN_TICKS);
+        return {
+            category: 'food', foodKey: 'corpse', monsterType: monster.monsterType,
+            name: `${type.name} Corpse`, food: type.hp * RoguelikeGame.CORPSE_FOOD_PER_HP,
+            symbol: '%', color: type.color, quantity: 1, weight: Math.ceil(type.hp / 2), identified: true,
+            rotsAt: turn + RoguelikeGame.CORPSE_FRESH_TURNS,
         };
     }
 
@@ -265,59 +646,273 @@ export class RoguelikeGame {
         const eligible = Object.entries(SCROLL_TYPES)
             .filter(([, s]) => !s.minLevel || s.minLevel <= levelNum);
         if (eligible.length === 0) return null;
-        const [key, scroll] = eligible[Math.floor(Math.random() * eligible.length)];
-        return {
-            category: 'scroll', scrollKey: key,
-            name: scroll.name, effect: scroll.effect,
-            color: scroll.color, symbol: '?', identified: true,
-        };
+        const [key] = this.rng.pick(eligible);
+        return this._scrollItem(key);
+    }
+
+    _scrollItem(key) {
+        const scroll = SCROLL_TYPES[key];
+        return this._nameItem({
+            category: 'scroll', scrollKey: key, effect: scroll.effect,
+            symbol: '?', quantity: 1, weight: scroll.weight,
+        });
+    }
+
+    _generateDevice(levelNum) {
+        const eligible = Object.entries(DEVICE_TYPES)
+            .filter(([, d]) => !d.minLevel || d.minLevel <= levelNum);
+        if (eligible.length === 0) return null;
+        const [key] = this.rng.pick(eligible);
+        return this._deviceItem(key);
+    }
+
+    /** A wand or staff with some charges, or a rod ready to zap. */
+    _deviceItem(key) {
+        const device = DEVICE_TYPES[key];
+        return this._nameItem({
+            category: 'device', deviceKey: key, device: device.device,
+            charges: device.charges ? this.rng.range(...device.charges) : 0, timeout: 0,
+            color: this.flavours[device.device][key].color,
+            symbol: device.device === 'rod' ? '-' : '_', weight: device.weight,
+        });
     }
 
     _generateEquipment(levelNum) {
         const eligible = Object.entries(EQUIPMENT_TYPES)
             .filter(([, e]) => !e.minLevel || e.minLevel <= levelNum);
         if (eligible.length === 0) return null;
-        const [key, equip] = eligible[Math.floor(Math.random() * eligible.length)];
+        const [key] = this.rng.pick(eligible);
         // Random bonus based on depth, with chance of curse
-        const curseRoll = Math.random();
-        let bonus = Math.floor(Math.random() * (levelNum / 3));
+        const curseRoll = this.rng.next();
+        let bonus = this.rng.int(levelNum / 3);
         let enchantment = 'normal';
         if (curseRoll < 0.08) {
             // 8% chance cursed — negative bonus
-            bonus = -(Math.floor(Math.random() * 3) + 1);
+            bonus = -(this.rng.int(3) + 1);
             enchantment = 'cursed';
         } else if (bonus > 0) {
             enchantment = 'enchanted';
         }
 
-        // Items start unidentified (bonus hidden)
-        return {
+        const item = this._equipmentItem(key, bonus, enchantment);
+        if (enchantment === 'cursed') this._applyCurse(item, levelNum);
+        if (item.slot === 'ammo') item.quantity = this.rng.range(...RoguelikeGame.AMMO_STACK);
+        if (enchantment !== 'cursed' && this.rng.chance(RoguelikeGame.EGO_CHANCE)) {
+            const ego = this._rollEgo(item.slot, levelNum);
+            if (ego) this._applyEgo(item, ego);
+        }
+        return item;
+    }
+
+    /** Decide how strong a cursed find's curse is and whether it carries one of CURSES. */
+    _applyCurse(item, levelNum) {
+        item.heavyCurse = this.rng.chance(RoguelikeGame.HEAVY_CURSE_CHANCE);
+        const eligible = Object.keys(CURSES).filter(key => CURSES[key].minLevel <= levelNum);
+        if (eligible.length > 0 && this.rng.chance(RoguelikeGame.CURSE_VARIANT_CHANCE)) {
+            item.curse = this.rng.pick(eligible);
+        }
+        return item;
+    }
+
+    /** An EGO_ITEMS key that fits the slot at this depth, weighted by rarity, or null. */
+    _rollEgo(slot, levelNum) {
+        const fits = Object.entries(EGO_ITEMS).filter(([, e]) => e.slots.includes(slot) && e.minLevel <= levelNum);
+        let roll = this.rng.next() * fits.reduce((sum, [, e]) => sum + RARITY_WEIGHTS[e.rarity], 0);
+        for (const [key, ego] of fits) {
+            roll -= RARITY_WEIGHTS[ego.rarity];
+            if (roll < 0) return key;
+        }
+        return null;
+    }
+
+    /** Add an ego's powers to an item. Its name only shows once the item is identified. */
+    _applyEgo(item, key) {
+        const ego = EGO_ITEMS[key];
+        item.ego = key;
+        item.atk += ego.atk || 0;
+        item.def += ego.def || 0;
+        if (ego.light) item.light = (item.light || 0) + ego.light;
+        if (ego.speed) item.speed = (item.speed || 0) + ego.speed;
+        if (ego.elements) item.elements = { ...item.elements, ...ego.elements };
+        if (ego.specials) item.specials = [...(item.specials || []), ...ego.specials];
+        if (ego.slay) item.slay = { ...item.slay, ...ego.slay };
+        if (ego.element) item.element = ego.element;
+        if (item.identified) item.name = `${item.name} ${ego.name}`;
+        return item;
+    }
+
+    /** A fresh EQUIPMENT_TYPES item. Items start unidentified (bonus hidden). */
+    _equipmentItem(key, bonus = 0, enchantment = 'normal') {
+        const equip = EQUIPMENT_TYPES[key];
+        const item = {
             category: 'equipment', equipKey: key,
             name: equip.name,
             bonus: bonus,
             slot: equip.slot, atk: equip.atk + bonus, def: equip.def + bonus,
+            weight: equip.weight || 0, elements: equip.elements,
             color: equip.color, symbol: equip.symbol, identified: false,
             rarity: equip.rarity, enchantment,
         };
+        // Launchers and ammunition are matched by `ammo` kind
+        for (const field of ['ammo', 'multiplier', 'range', 'breakChance', 'throwable', 'light', 'specials', 'slay', 'element']) {
+            if (equip[field] !== undefined) item[field] = equip[field];
+        }
+        // Rings go by their material until the kind is known
+        const flavour = this._flavourOf(item);
+        if (flavour) {
+            item.color = this.flavours[flavour.kind][key].color;
+            this._nameItem(item);
+        }
+        return item;
     }
 
     _generateLegendary(levelNum) {
         const eligible = Object.entries(LEGENDARY_ITEMS)
             .filter(([, l]) => l.minLevel <= levelNum);
         if (eligible.length === 0) return null;
-        const [key, item] = eligible[Math.floor(Math.random() * eligible.length)];
+        const [key, item] = this.rng.pick(eligible);
         return {
             category: 'equipment', equipKey: key,
             name: item.name, slot: item.slot,
-            atk: item.atk, def: item.def,
+            atk: item.atk, def: item.def, weight: item.weight || 0, light: item.light || 0,
             color: item.color, symbol: item.symbol,
             identified: true, rarity: 'legendary',
-            desc: item.desc, special: item.special,
+            desc: item.desc, specials: item.specials, slay: item.slay,
+            elements: item.elements, element: item.element,
         };
     }
 
+    // ─── Identification ────────────────────────────────────────────
+    /** What sort of thing an item is: its equipment slot, its device kind or else its category. */
+    static kindOf(item) {
+        return item.category === 'equipment' ? item.slot
+            : item.category === 'device' ? item.device
+            : item.category;
+    }
+
+    /** The FLAVOURS kind and item key an item hides behind, or null if it has none. */
+    _flavourOf(item) {
+        const kind = RoguelikeGame.kindOf(item);
+        const key = item.potionKey ?? item.scrollKey ?? item.deviceKey ?? item.equipKey;
+        return this.flavours[kind]?.[key] ? { kind, key } : null;
+    }
+
+    isFlavourKnown(kind, key) {
+        return this.knownFlavours[kind].has(key);
+    }
+
+    /** What an item of a flavoured kind is called while the kind is unknown. */
+    _unknownName(kind, key) {
+        return FLAVOURS[kind].unknown.replace('%', this.flavours[kind][key].appearance);
+    }
+
+    /**
+     * Name an item from what is known about it: its appearance while the kind
+     * is unknown, then the kind's name, and for identified equipment its ego,
+     * bonus and curse, or a device's charges. Returns the item.
+     */
+    _nameItem(item) {
+        const flavour = this._flavourOf(item);
+        const known = !flavour || this.isFlavourKnown(flavour.kind, flavour.key);
+        const unknown = flavour && this._unknownName(flavour.kind, flavour.key);
+        if (item.category === 'potion') {
+            item.identified = known;
+            item.name = known ? POTION_TYPES[item.potionKey].name : unknown;
+            item.color = known ? 0xff3366 : this.flavours.potion[item.potionKey].color;
+        } else if (item.category === 'scroll') {
+            item.identified = known;
+            item.name = known ? SCROLL_TYPES[item.scrollKey].name : unknown;
+            item.color = known ? SCROLL_TYPES[item.scrollKey].color : this.flavours.scroll[item.scrollKey].color;
+        } else if (item.category === 'device') {
+            const device = DEVICE_TYPES[item.deviceKey];
+            item.identified = known;
+            let name = known ? device.name : unknown;
+            if (known && !device.recharge) name = `${name} (${item.charges} charge${item.charges === 1 ? '' : 's'})`;
+            if (item.timeout > 0) name = `${name} (charging)`;
+            item.name = name;
+        } else if (item.category === 'equipment' && item.rarity !== 'legendary') {
+            let name = known ? EQUIPMENT_TYPES[item.equipKey].name : unknown;
+            if (item.identified && item.ego) name = `${name} ${EGO_ITEMS[item.ego].name}`;
+            if (item.identified && item.bonus) name = `${name} (${item.bonus > 0 ? '+' : ''}${item.bonus})`;
+            // A sensed item shows whether it is cursed; an identified one also what the curse does
+            if (item.identified && item.enchantment === 'cursed') {
+                name = `${name} {${item.curse ? `cursed: ${CURSES[item.curse].name}` : 'cursed'}}`;
+            } else if (!item.identified && item.sensed) {
+                name = `${name} {${item.enchantment === 'cursed' ? 'cursed' : 'uncursed'}}`;
+            }
+            item.name = name;
+        }
+        return item;
+    }
+
+    /**
+     * Learn what a flavour is. Every item of the kind, carried or lying on
+     * any level, goes by its true name from now on.
+     */
+    _learnFlavour(kind, key) {
+        if (this.isFlavourKnown(kind, key)) return;
+        this.knownFlavours[kind].add(key);
+        const { inventory, equipment } = this.state.character;
+        const levels = [this.state, ...Object.values(this.levelCache)];
+        const wares = Object.values(this.state.shops || {}).flatMap(shop => shop.stock);
+        for (const item of [...inventory, ...Object.values(equipment), ...levels.flatMap(l => l.items), ...wares]) {
+            const flavour = item && this._flavourOf(item);
+            if (flavour?.kind === kind && flavour.key === key) this._nameItem(item);
+        }
+        this.notifyObservers('flavour_learned', { kind, key });
+    }
+
+    /** Reveal all of an item: its kind and, for equipment, its bonus and ego. */
+    _identifyItem(item) {
+        const flavour = this._flavourOf(item);
+        if (flavour) this._learnFlavour(flavour.kind, flavour.key);
+        if (item.category === 'equipment' && !item.identified) {
+            item.identified = true;
+            this._nameItem(item);
+        }
+    }
+
+    /** Items in the pack or worn, other than `scroll` itself, that a scroll with this effect works on. */
+    _itemTargets(effect, scroll) {
+        const { inventory, equipment } = this.state.character;
+        const items = [...inventory, ...Object.values(equipment)].filter(i => i && i !== scroll);
+        switch (effect) {
+            case 'identify': return items.filter(i => !i.identified);
+            // Rods recharge by themselves
+            case 'recharge': return items.filter(i => i.category === 'device' && !DEVICE_TYPES[i.deviceKey].recharge);
+            default: return [];
+        }
+    }
+
+    /** True if the inventory item at `idx` is a known scroll that is read on an item the player picks. */
+    needsItemTarget(idx) {
+        const item = this.state.character.inventory[idx];
+        return item?.category === 'scroll' && item.identified && !!SCROLL_TYPES[item.scrollKey]?.needsItem;
+    }
+
+    /** Items the `needsItem` scroll at inventory index `idx` can be read on. */
+    getItemTargets(idx) {
+        const scroll = this.state.character.inventory[idx];
+        return scroll ? this._itemTargets(scroll.effect, scroll) : [];
+    }
+
+    /**
+     * Identified flavours for the Knowledge screen, one group per FLAVOURS
+     * kind: [{ kind, name, entries: [{ appearance, name }] }].
+     */
+    getKnowledge() {
+        return Object.entries(FLAVOURS).map(([kind, flavour]) => {
+            const table = RoguelikeGame.flavourTable(kind);
+            return {
+                kind, name: flavour.name,
+                entries: Object.keys(table).filter(key => this.isFlavourKnown(kind, key))
+                    .map(key => ({ appearance: this._unknownName(kind, key), name: table[key].name })),
+            };
+        });
+    }
+
     findRandomFloor() {
-        return DungeonGenerator.findRandomFloor(this.state.map, this.width, this.height);
+        return DungeonGenerator.findRandomFloor(this.state.map, this.width, this.height, this.rng);
     }
 
     // ─── Game Loop ─────────────────────────────────────────────────
@@ -511,9 +1106,8 @@ export class RoguelikeGame {
     _shouldInterruptAutoRun(nx, ny) {
         const p = this.state.player;
         // Monster in FOV
-        const vis = this.state.visibility;
         for (const e of Object.values(this.state.entities)) {
-            if (e.type === 'monster' && vis[e.y] && vis[e.y][e.x]) {
+            if (e.type === 'monster' && this.canSeeMonster(e)) {
                 this.log('⚠️ You see a monster!');
                 return true;
             }
@@ -548,71 +1142,174 @@ export class RoguelikeGame {
     }
 
     processTurnLoop() {
+        const char = this.state.character;
         let safety = 0;
-        while (this.state.character.energy < 100 && safety < 1000) {
+        while (safety < 1000) {
+            if (char.energy >= 100) {
+                if (!this._hasStatus(char, 'paralyzed')) break;
+                char.energy -= 100; // Helpless — the turn passes
+            }
             this.state.tick++;
-            this.state.character.energy += this.state.character.speed;
+            char.energy += this._speedOf(char);
 
             for (const id in this.state.entities) {
                 const m = this.state.entities[id];
                 if (m.type === 'monster') {
-                    m.energy += m.speed;
+                    m.energy += this._speedOf(m);
                     while (m.energy >= 100) {
-                        this._processMonsterAI(m);
+                        if (!this._hasStatus(m, 'paralyzed')) this._processMonsterAI(m);
                         m.energy -= 100;
                         if (this.state.status !== 'playing') return;
                     }
                 }
             }
 
+            if (this.state.tick % RoguelikeGame.TURN_TICKS === 0) {
+                this._regenerate();
+                this._tickHunger();
+                if (this.state.status !== 'playing') return;
+                this._tickCurses();
+                this._senseItems();
+                this._tickDevices();
+                this._tickStatusEffects();
+                if (this.state.status !== 'playing') return;
+            }
+
             const cd = this.state.character.spellCooldowns;
             for (const spell in cd) { if (cd[spell] > 0) cd[spell]--; }
             safety++;
         }
 
         this.updateVisibility();
+        this._updateWeaponGlow();
         this.notifyObservers('tick', this.state);
 
         // Continue auto-run after turn
         if (this.autoRun.active) {
-            setTimeout(() => this._doAutoStep(), 80);
+            this._schedule(() => this._doAutoStep());
         }
         // Continue path-walk after turn
         if (this.autoPath.length > 0) {
-            setTimeout(() => this._doPathStep(), 80);
+            this._schedule(() => this._doPathStep());
+        }
+    }
+
+    /**
+     * Run a follow-up step: after a short delay in the browser (so movement is
+     * animated), or synchronously in headless mode. Headless tasks are queued
+     * and drained in a loop rather than recursing, so long auto-explores
+     * don't grow the stack.
+     */
+    _schedule(fn) {
+        if (!this.headless) {
+            setTimeout(fn, 80);
+            return;
         }
+        this._taskQueue.push(fn);
+        if (this._drainingTasks) return;
+        this._drainingTasks = true;
+        while (this._taskQueue.length > 0) this._taskQueue.shift()();
+        this._drainingTasks = false;
     }
 
     // ─── Visibility ─────────────────────────────────────────────────
+    /** Light radius in tiles: carried torch + race infravision + lit equipment. */
+    getLightRadius() {
+        const char = this.state.character;
+        let radius = RoguelikeGame.BASE_LIGHT_RADIUS + (RACES[this.charRace].infravision || 0);
+        for (const item of Object.values(char.equipment)) {
+            if (item?.light) radius += item.light;
+        }
+        return radius;
+    }
+
+    /** Whether the player can see a monster: it is in view, and not invisible unless they see invisible. */
+    canSeeMonster(monster) {
+        if (!this.state.visibility[monster.y]?.[monster.x]) return false;
+        return !MONSTER_TYPES[monster.monsterType]?.invisible || this.hasSpecial('seeInvisible');
+    }
+
+    /**
+     * Recompute what the player can see. Tiles within the light radius are
+     * seen by shadowcasting; lit rooms are seen from any distance in line of
+     * sight. A blind player only makes out the tiles next to them.
+     */
     updateVisibility() {
         const p = this.state.player;
         if (!p) return;
         const vis = this.state.visibility;
         const expl = this.state.explored;
-        const range = this.state.sightRange;
-
-        for (let y = 0; y < this.height; y++)
-            for (let x = 0; x < this.width; x++)
-                vis[y][x] = 0;
-
-        vis[p.y][p.x] = 1;
-        expl[p.y][p.x] = 1;
-
-        const numRays = 240;
-        for (let i = 0; i < numRays; i++) {
-            const angle = (i / numRays) * Math.PI * 2;
-            const dx = Math.cos(angle);
-            const dy = Math.sin(angle);
-            for (let step = 1; step <= range; step++) {
-                const tx = Math.round(p.x + dx * step);
-                const ty = Math.round(p.y + dy * step);
-                if (tx < 0 || tx >= this.width || ty < 0 || ty >= this.height) break;
-                vis[ty][tx] = 1;
-                expl[ty][tx] = 1;
-                const tile = this.state.map[ty][tx];
-                if (tile === TILE.WALL || tile === TILE.SECRET_WALL || tile === TILE.DOOR_CLOSED) break;
+        const blind = this._hasStatus(this.state.character, 'blinded');
+        const light = blind ? 1 : this.getLightRadius();
+        const lightDist2 = light * light + light;
+        const lit = blind ? null : this._getLitGrid();
+
+        // Only clear what was visible last turn
+        for (const [x, y] of this._visibleTiles) if (vis[y]) vis[y][x] = 0;
+        this._visibleTiles = [];
+
+        const reveal = (x, y) => {
+            if (x < 0 || x >= this.width || y < 0 || y >= this.height || vis[y][x]) return;
+            const dx = x - p.x, dy = y - p.y;
+            if (dx * dx + dy * dy > lightDist2 && !lit?.[y][x]) return;
+            vis[y][x] = 1;
+            expl[y][x] = 1;
+            this._visibleTiles.push([x, y]);
+        };
+        FOV.compute(p.x, p.y, blind ? 1 : RoguelikeGame.MAX_SIGHT, (x, y) => this._blocksSight(x, y), reveal);
+
+        // Entering a lit room maps all of it, walls included
+        const room = !blind && this.rooms.find(r => r.lit && p.x >= r.x && p.x < r.x + r.w && p.y >= r.y && p.y < r.y + r.h);
+        if (room) {
+            for (let y = room.y - 1; y <= room.y + room.h; y++) {
+                for (let x = room.x - 1; x <= room.x + room.w; x++) {
+                    if (expl[y] && x >= 0 && x < this.width) expl[y][x] = 1;
+                }
+            }
+        }
+    }
+
+    /** Walls, secret doors, closed doors and the map edge stop sight (and bolts). */
+    _blocksSight(x, y) {
+        if (x < 0 || x >= this.width || y < 0 || y >= this.height) return true;
+        const tile = this.state.map[y][x];
+        return tile === TILE.WALL || tile === TILE.SECRET_WALL || tile === TILE.DOOR_CLOSED;
+    }
+
+    /** Tiles on a Bresenham line from (x0, y0) to (x1, y1), excluding the start. */
+    _lineBetween(x0, y0, x1, y1) {
+        const tiles = [];
+        const dx = Math.abs(x1 - x0), dy = -Math.abs(y1 - y0);
+        const sx = x0 < x1 ? 1 : -1, sy = y0 < y1 ? 1 : -1;
+        let err = dx + dy;
+        let x = x0, y = y0;
+        while (x !== x1 || y !== y1) {
+            const e2 = 2 * err;
+            if (e2 >= dy) { err += dy; x += sx; }
+            if (e2 <= dx) { err += dx; y += sy; }
+            tiles.push({ x, y });
+        }
+        return tiles;
+    }
+
+    /** True if nothing between the two tiles blocks sight. */
+    _hasLineOfSight(x0, y0, x1, y1) {
+        return this._lineBetween(x0, y0, x1, y1).slice(0, -1).every(t => !this._blocksSight(t.x, t.y));
+    }
+
+    /** Grid of tiles inside (or bounding) a lit room, rebuilt when the room list changes. */
+    _getLitGrid() {
+        if (this._litGrid && this._litRooms === this.rooms) return this._litGrid;
+        const grid = Array.from({ length: this.height }, () => Array(this.width).fill(false));
+        for (const r of this.rooms) {
+            if (!r.lit) continue;
+            for (let y = Math.max(0, r.y - 1); y <= Math.min(this.height - 1, r.y + r.h); y++) {
+                for (let x = Math.max(0, r.x - 1); x <= Math.min(this.width - 1, r.x + r.w); x++) grid[y][x] = true;
             }
         }
+        this._litGrid = grid;
+        this._litRooms = this.rooms;
+        return grid;
     }
 
     // ─── Player Actions ────────────────────────────────────────────
@@ -625,8 +1322,12 @@ export class RoguelikeGame {
         else if (action === 'ascend') { this._tryAscend(); }
         else if (action === 'wait') { this.log('You wait...'); }
         else if (action === 'pickup') { this._pickupItem(); }
+        else if (action === 'pickup_all') { this._pickupAll(); }
         else if (action === 'auto_explore') { this.autoExplore(); }
         else if (action === 'search') { this._searchWalls(); }
+        else if (action === 'fire') { this._fireMissile(); }
+        else if (action.startsWith('throw_')) { this._throwItem(Number(action.replace('throw_', ''))); }
+        else if (action.startsWith('zap_')) { this._useDevice(Number(action.replace('zap_', ''))); }
         else if (action === 'use_item') { /* handled externally */ }
     }
 
@@ -652,6 +1353,16 @@ export class RoguelikeGame {
             }
         }
 
+        // Confusion: stop any auto-movement and sometimes stagger off course
+        if (this._hasStatus(this.state.character, 'confused')) {
+            this.autoRun.active = false;
+            this.autoPath = [];
+            if (this.rng.chance(0.4)) {
+                [dx, dy] = this.rng.pick(RoguelikeGame.DIRECTIONS);
+                this.log('😵 You stumble in confusion.');
+            }
+        }
+
         const player = this.state.player;
         const newX = player.x + dx;
         const newY = player.y + dy;
@@ -663,6 +1374,8 @@ export class RoguelikeGame {
         // Open closed door and walk through
         if (this.state.map[newY] && this.state.map[newY][newX] === TILE.DOOR_CLOSED) {
             this.state.map[newY][newX] = TILE.DOOR_OPEN;
+            // The way back to a post may lead through it now
+            this._postFlows = null;
             this.log('🚪 You open the door.');
             this.notifyObservers('door_open', { x: newX, y: newY });
             // Continue — now walk through the opened door
@@ -684,13 +1397,16 @@ export class RoguelikeGame {
             this._checkStairsHint();
             // Check portals
             this._checkPortal(newX, newY);
+            // Check shop entrances
+            this._checkShop(newX, newY);
         }
     }
 
     _isWalkable(x, y) {
         if (x < 0 || x >= this.width || y < 0 || y >= this.height) return false;
         const tile = this.state.map[y][x];
-        return tile === TILE.FLOOR || tile === TILE.DOOR_OPEN || tile === TILE.TRAP_HIDDEN || tile === TILE.TRAP_REVEALED || tile === TILE.PORTAL;
+        return tile === TILE.FLOOR || tile === TILE.DOOR_OPEN || tile === TILE.TRAP_HIDDEN || tile === TILE.TRAP_REVEALED
+            || tile === TILE.PORTAL || tile === TILE.SHOP;
     }
 
     isValidMove(x, y) { return this._isWalkable(x, y); }
@@ -699,7 +1415,7 @@ export class RoguelikeGame {
     _checkPortal(x, y) {
         if (this.state.map[y][x] === TILE.PORTAL) {
             this.log('🌀 You step into the portal... Everything warps!');
-            const target = DungeonGenerator.findRandomFloor(this.state.map, this.width, this.height);
+            const target = this.findRandomFloor();
             this.state.player.x = target.x;
             this.state.player.y = target.y;
             this.notifyObservers('teleport', { x: target.x, y: target.y });
@@ -724,7 +1440,7 @@ export class RoguelikeGame {
                 }
                 // Also reveal traps
                 const trap = this.traps.find(t => t.x === x && t.y === y && !t.revealed);
-                if (trap && Math.random() < 0.4) {
+                if (trap && this.rng.chance(0.4)) {
                     trap.revealed = true;
                     this.state.map[y][x] = TILE.TRAP_REVEALED;
                     this.log(`🔍 You notice a ${TRAP_TYPES[trap.type].name}!`);
@@ -758,16 +1474,21 @@ export class RoguelikeGame {
                 break;
             }
             case 'pit':
-            case 'fire':
-                char.hp -= trapDef.damage;
-                this.log(`💥 You take ${trapDef.damage} damage!`);
+            case 'fire': {
+                const damage = this._elementalDamage(char, trapDef.damage, trapDef.element);
+                char.hp -= damage;
+                this.log(`💥 You take ${damage} damage!`);
                 if (char.hp <= 0) this._playerDeath();
                 break;
-            case 'poison':
-                char.hp -= trapDef.damage;
-                this.log(`🤢 Poison! You take ${trapDef.damage} damage!`);
-                if (char.hp <= 0) this._playerDeath();
+            }
+            case 'poison': {
+                const damage = this._elementalDamage(char, trapDef.damage, trapDef.element);
+                char.hp -= damage;
+                this.log(`🤢 Poison! You take ${damage} damage!`);
+                if (char.hp <= 0) { this._playerDeath(); break; }
+                this._applyStatus(char, 'poisoned', trapDef.duration);
                 break;
+            }
             case 'alarm':
                 this.log('🔔 Monsters are alerted!');
                 // Wake nearby wandering monsters
@@ -779,7 +1500,7 @@ export class RoguelikeGame {
                 }
                 break;
             case 'confusion':
-                this.log('😵 You feel confused! Directions may be random for a few turns.');
+                this._applyStatus(char, 'confused', trapDef.duration);
                 break;
         }
     }
@@ -804,51 +1525,115 @@ export class RoguelikeGame {
     }
 
     // ─── Combat ────────────────────────────────────────────────────
+    /**
+     * Melee blows per round, TomeNET style: STR against weapon weight and
+     * DEX each add blows, capped by the class maximum.
+     * @param {string} classKey
+     * @param {{str:number, dex:number}} stats
+     * @param {number} weaponWeight - In pounds (0 when unarmed)
+     */
+    static blowsPerRound(classKey, stats, weaponWeight = 0) {
+        const maxBlows = CLASSES[classKey]?.maxBpR || 1;
+        const strBonus = Math.min(3, Math.max(0, Math.floor((stats.str * 2 - weaponWeight) / 8)));
+        const dexBonus = Math.min(3, Math.max(0, Math.floor((stats.dex - 3) / 4)));
+        return Math.max(1, Math.min(maxBlows, 1 + strBonus + dexBonus));
+    }
+
+    /**
+     * Sum of an item stat ('atk' or 'def') over everything worn. Launchers
+     * and ammunition only count when shooting.
+     */
+    getEquipmentStat(stat) {
+        let total = 0;
+        for (const [slot, item] of Object.entries(this.state.character.equipment)) {
+            if (item && slot !== 'launcher' && slot !== 'ammo') total += item[stat] || 0;
+        }
+        return total;
+    }
+
+    /** How many times harder a weapon hits this monster: its `slay` for the monster's kind. */
+    _slayMultiplier(weapon, monster) {
+        return weapon?.slay?.[MONSTER_TYPES[monster.monsterType]?.kind] || 1;
+    }
+
+    /** Blows per round with the currently wielded weapon. */
+    getBlows() {
+        const char = this.state.character;
+        const weapon = char.equipment.weapon;
+        const weight = weapon ? (weapon.weight ?? EQUIPMENT_TYPES[weapon.equipKey]?.weight ?? LEGENDARY_ITEMS[weapon.equipKey]?.weight ?? 0) : 0;
+        return RoguelikeGame.blowsPerRound(this.charClass, char.stats, weight);
+    }
+
     _meleeAttack(attacker, defender) {
         const char = this.state.character;
-        const weaponAtk = char.equipment.weapon ? char.equipment.weapon.atk : 0;
-        const damage = Math.max(1, char.stats.str + weaponAtk + Math.floor(Math.random() * char.stats.str) - defender.def);
-        defender.hp -= damage;
-        this.log(`⚔️ You hit ${defender.name} for ${damage} damage!`);
-        this.notifyObservers('combat', { type: 'melee', attacker: 'player', defender: defender.id, damage });
+        const weaponAtk = this.getEquipmentStat('atk');
+        const element = char.equipment.weapon?.element || 'physical';
+        const affinity = this.getElementAffinity(defender, element);
+        if (affinity) this._logAffinity(defender, element, affinity);
+        const blows = this.getBlows();
+        let hits = 0, total = 0;
+        // Each blow rolls its own damage; stop once the target is dead
+        const slay = this._slayMultiplier(char.equipment.weapon, defender);
+        while (hits < blows && defender.hp > 0) {
+            const roll = Math.max(1, char.stats.str + weaponAtk + this.rng.int(char.stats.str) - defender.def);
+            const damage = RoguelikeGame.scaleDamage(roll * slay, affinity);
+            defender.hp -= damage;
+            total += damage;
+            hits++;
+        }
+        if (hits === 1) this.log(`⚔️ You hit ${defender.name} for ${total} damage!`);
+        else this.log(`⚔️ You hit ${defender.name} ${hits} times for ${total} damage!`);
+        this.notifyObservers('combat', { type: 'melee', attacker: 'player', defender: defender.id, damage: total, blows: hits });
         if (defender.hp <= 0) this._killMonster(defender);
     }
 
     _monsterAttack(monster) {
         const char = this.state.character;
-        const armorDef = char.equipment.armor ? char.equipment.armor.def : 0;
-        const ringDef = char.equipment.ring ? char.equipment.ring.def : 0;
+        const armorDef = this.getEquipmentStat('def');
         const dexReduction = Math.floor(char.stats.dex * 0.3);
-        const damage = Math.max(1, monster.atk + Math.floor(Math.random() * 3) - dexReduction - armorDef - ringDef);
+        const element = monster.element || MONSTER_TYPES[monster.monsterType]?.element || 'physical';
+        const roll = Math.max(1, monster.atk + this.rng.int(3) - dexReduction - armorDef);
+        const damage = this._elementalDamage(char, roll, element);
         char.hp -= damage;
-        this.log(`💥 ${monster.name} hits you for ${damage} damage!`);
+        if (element === 'physical') this.log(`💥 ${monster.name} hits you for ${damage} damage!`);
+        else this.log(`💥 ${monster.name} hits you for ${damage} ${element} damage!`);
         this.notifyObservers('combat', { type: 'monster_attack', attacker: monster.id, damage });
 
         // Special abilities
-        if (monster.ability === 'drain' && Math.random() < 0.3) {
+        if (monster.ability === 'drain' && this.rng.chance(0.3)) {
             const drain = Math.floor(damage * 0.5);
             monster.hp = Math.min(monster.maxHp, monster.hp + drain);
             this.log(`🩸 ${monster.name} drains your life!`);
         }
-        if (monster.ability === 'paralyze' && Math.random() < 0.2) {
-            this.log(`😵 ${monster.name}'s gaze paralyzes you!`);
-            // Skip player's next turn
-            this.state.character.energy = 0;
+        if (monster.ability === 'paralyze' && this.rng.chance(0.2)) {
+            this.log(`👁️ ${monster.name} gazes at you!`);
+            this._applyStatus(char, 'paralyzed', 3);
+        }
+        if (monster.ability === 'poison' && this.rng.chance(0.3)) {
+            this._applyStatus(char, 'poisoned', 5);
         }
 
         if (char.hp <= 0) this._playerDeath();
     }
 
-    _killMonster(monster) {
+    /**
+     * Remove a slain monster and drop what it leaves behind. Only a kill `byPlayer`
+     * earns experience and counts toward the kills and victory.
+     */
+    _killMonster(monster, byPlayer = true) {
         const char = this.state.character;
-        char.xp += monster.xp;
-        char.kills++;
-        this.log(`💀 ${monster.name} is destroyed! (+${monster.xp} XP)`);
-        this.notifyObservers('monster_killed', { monster: monster.id, xp: monster.xp, monsterType: monster.monsterType });
+        if (byPlayer) {
+            char.xp += monster.xp;
+            char.kills++;
+            this.log(`💀 ${monster.name} is destroyed! (+${monster.xp} XP)`);
+        } else {
+            this.log(`💀 ${monster.name} is destroyed!`);
+        }
+        this.notifyObservers('monster_killed', { monster: monster.id, xp: byPlayer ? monster.xp : 0, monsterType: monster.monsterType });
 
         // Drop loot (higher chance from bosses)
         const dropChance = monster.boss ? 0.9 : 0.35;
-        if (Math.random() < dropChance) {
+        if (this.rng.chance(dropChance)) {
             const item = this._generateRandomItem(this.state.currentLevel);
             if (item) {
                 item.x = monster.x;
@@ -858,8 +1643,17 @@ export class RoguelikeGame {
                 this.log(`✨ ${monster.name} dropped ${item.name}!`);
             }
         }
+        // Gold, more of it deeper down
+        if (this.rng.chance(RoguelikeGame.GOLD_DROP_CHANCE)) {
+            const amount = this.rng.range(...RoguelikeGame.GOLD_PER_DEPTH) * Math.max(1, this.state.currentLevel);
+            this._dropAt(this._goldItem(amount), monster.x, monster.y);
+            this.log(`💰 ${monster.name} dropped ${amount} gold!`);
+        }
+        const corpse = this.rng.chance(RoguelikeGame.CORPSE_CHANCE) && this._corpseItem(monster);
+        if (corpse) this._dropAt(corpse, monster.x, monster.y);
 
         delete this.state.entities[monster.id];
+        if (!byPlayer) return;
         this._checkLevelUp();
 
         if (monster.boss && this.state.currentLevel === this.state.maxLevel) {
@@ -883,62 +1677,135 @@ export class RoguelikeGame {
             char.xpToNext = XP_TABLE[char.level] || char.xpToNext * 2;
             this.log(`🌟 LEVEL UP! You are now level ${char.level}!`);
             this.notifyObservers('level_up', { level: char.level });
+            this._learnSpells();
         }
     }
 
     _playerDeath() {
+        this.stopLoop();
         this.state.status = 'dead';
         this.state.character.hp = 0;
         this.autoRun.active = false;
-        this.stopLoop();
         this.log('💀 You have been slain...');
-        this.notifyObservers('game_over', { status: 'dead', stats: { ...this.state.character, level: this.state.currentLevel } });
+        this.notifyObservers('game_over', { status: 'dead', stats: { ...this.state.character, level: this.state.currentLevel, seed: this.seed } });
     }
 
     _victory() {
+        this.stopLoop();
         this.state.status = 'won';
         this.autoRun.active = false;
-        this.stopLoop();
         this.log('🏆 VICTORY! You have vanquished Morgoth and saved Middle-earth!');
-        this.notifyObservers('game_over', { status: 'won', stats: { ...this.state.character, level: this.state.currentLevel } });
+        this.notifyObservers('game_over', { status: 'won', stats: { ...this.state.character, level: this.state.currentLevel, seed: this.seed } });
     }
 
     // ─── Items ─────────────────────────────────────────────────────
     _pickupItem() {
         const p = this.state.player;
-        const idx = this.state.items.findIndex(i => i.x === p.x && i.y === p.y);
-        if (idx === -1) { this.log('Nothing to pick up here.'); return; }
+        const item = this.state.items.find(i => i.x === p.x && i.y === p.y);
+        if (!item) { this.log('Nothing to pick up here.'); return; }
+        const burdened = this.getBurden() > 0;
+        if (!this._takeItem(item)) this.log(`🎒 Your pack is full — ${item.name} stays on the floor.`);
+        this._noteBurden(burdened);
+    }
 
-        const item = this.state.items[idx];
-        // All items (including equipment) now go to inventory first
-        this.state.character.inventory.push(item);
-        this.log(`📦 ${item.name} added to inventory`);
+    /** Pick up everything on the player's tile that fits in the pack. */
+    _pickupAll() {
+        const p = this.state.player;
+        const here = this.state.items.filter(i => i.x === p.x && i.y === p.y);
+        if (here.length === 0) { this.log('Nothing to pick up here.'); return; }
+        const burdened = this.getBurden() > 0;
+        const left = here.filter(item => !this._takeItem(item));
+        if (left.length > 0) this.log(`🎒 Your pack is full — ${left.length} item(s) stay on the floor.`);
+        this._noteBurden(burdened);
+    }
 
-        this.state.items.splice(idx, 1);
+    /**
+     * Move a floor item into the pack, or gold into the purse. Returns false,
+     * leaving the item where it is, when the pack is full.
+     */
+    _takeItem(item) {
+        if (item.category === 'gold') {
+            this.state.character.gold += item.amount;
+            this.log(`💰 You pick up ${item.amount} gold.`);
+        } else if (this._hasRoomFor(item)) {
+            this._addToPack(item);
+        } else {
+            return false;
+        }
+        this.state.items.splice(this.state.items.indexOf(item), 1);
         this.notifyObservers('item_pickup', { item: item.name });
+        return true;
+    }
+
+    /** Whether an item fits in the pack: onto a stack it matches, or in a free slot. */
+    _hasRoomFor(item) {
+        const { inventory, equipment } = this.state.character;
+        return inventory.length < RoguelikeGame.PACK_SLOTS
+            || [equipment.ammo, ...inventory].some(i => i && this._sameStack(i, item));
+    }
+
+    /** Put an item in the pack, onto a matching stack if there is one. Check _hasRoomFor first. */
+    _addToPack(item) {
+        const { inventory, equipment } = this.state.character;
+        // Missiles go back in the quiver; missiles, potions and scrolls onto a matching stack
+        const stack = [equipment.ammo, ...inventory].find(i => i && this._sameStack(i, item));
+        if (stack) {
+            stack.quantity += item.quantity;
+            this.log(stack === equipment.ammo
+                ? `🏹 ${item.quantity} ${item.name} added to your quiver`
+                : `📦 ${item.name} added to inventory (x${stack.quantity})`);
+        } else {
+            // All items (including equipment) go to inventory first
+            inventory.push(item);
+            this.log(`📦 ${item.name} added to inventory`);
+        }
     }
 
-    useInventoryItem(idx) {
+    /**
+     * Drink, read or wear an inventory item. A known `needsItem` scroll is
+     * read on `target` (see getItemTargets), or on the first item it can
+     * work on; with none it is not used up.
+     */
+    useInventoryItem(idx, target = null) {
         const inv = this.state.character.inventory;
         if (idx < 0 || idx >= inv.length) return;
         const item = inv[idx];
+        if (item.category === 'scroll' && this._hasStatus(this.state.character, 'blinded')) {
+            this.log('🌑 You cannot see to read!');
+            return;
+        }
+        if (this.needsItemTarget(idx)) {
+            const targets = this.getItemTargets(idx);
+            if (target && !targets.includes(target)) return;
+            if (targets.length === 0) { this.log(`📜 You have nothing to use ${item.name} on.`); return; }
+        }
 
         if (item.category === 'potion') {
             this._usePotion(item);
         } else if (item.category === 'scroll') {
-            this._useScroll(item);
+            this._useScroll(item, target);
+        } else if (item.category === 'food') {
+            if (!this._eat(item)) return;
         } else if (item.category === 'equipment') {
             // Swap with current equipment
-            const slot = item.slot;
+            const slot = RoguelikeGame.slotFor(item, this.state.character.equipment);
             const current = this.state.character.equipment[slot];
+            if (current?.enchantment === 'cursed') {
+                this.log(`☠️ Your ${current.name} is cursed — you cannot take it off!`);
+                return;
+            }
+            if (current && this._sameStack(current, item)) {
+                current.quantity += item.quantity;
+                inv.splice(idx, 1);
+                this.log(`🏹 ${item.quantity} ${item.name} added to your quiver`);
+                this.notifyObservers('inventory_change', {});
+                return;
+            }
             this.state.character.equipment[slot] = item;
 
-            // Reveal bonuses on first equip
+            // Reveal bonuses (and a ring's kind) on first equip
             if (!item.identified) {
-                item.identified = true;
-                if (item.bonus !== 0) {
-                    item.name = `${item.name} (${item.bonus > 0 ? '+' : ''}${item.bonus})`;
-                }
+                this._identifyItem(item);
                 if (item.enchantment === 'cursed') {
                     this.log(`🛡️ You equip ${item.name} — ☠️ It feels cursed!`);
                 } else if (item.enchantment === 'enchanted') {
@@ -959,32 +1826,77 @@ export class RoguelikeGame {
             this._applyGenericItem(item);
         }
 
-        // Remove consumed items (potions/scrolls)
-        if (item.category === 'potion' || item.category === 'scroll') {
-            inv.splice(idx, 1);
+        // Consumed items (potions/scrolls/food) come off their stack; a scroll may have moved others
+        if (item.category === 'potion' || item.category === 'scroll' || item.category === 'food') {
+            this._takeOne(inv.indexOf(item));
         }
         this.notifyObservers('inventory_change', {});
     }
 
-    dropItem(idx) {
+    /** Drop `count` items off an inventory stack (all of it by default) where the player stands. */
+    dropItem(idx, count = Infinity) {
         const inv = this.state.character.inventory;
         if (idx < 0 || idx >= inv.length) return;
-        const item = inv.splice(idx, 1)[0];
+        const burdened = this.getBurden() > 0;
+        const dropped = this._splitStack(inv, idx, count);
+        const n = dropped.quantity || 1;
         const p = this.state.player;
-        item.x = p.x;
-        item.y = p.y;
-        this.state.items.push(item);
-        this.log(`📦 You drop ${item.name}`);
+        this._dropAt(dropped, p.x, p.y);
+        this.log(n > 1 ? `📦 You drop ${n} ${dropped.name}` : `📦 You drop ${dropped.name}`);
+        this._noteBurden(burdened);
         this.notifyObservers('inventory_change', {});
     }
 
+    /** Take one item off an inventory stack, removing the entry with the last of it. */
+    _takeOne(idx) {
+        return this._splitStack(this.state.character.inventory, idx, 1);
+    }
+
+    /** Take `count` items off the stack at `idx` in `list`, removing the entry with the last of it. */
+    _splitStack(list, idx, count) {
+        const item = list[idx];
+        const quantity = item.quantity || 1;
+        const n = Math.min(Math.max(1, count), quantity);
+        if (n < quantity) {
+            item.quantity -= n;
+            return { ...item, quantity: n };
+        }
+        list.splice(idx, 1);
+        return item;
+    }
+
+    // ─── Burden ────────────────────────────────────────────────────
+    /** Pounds carried in the pack and worn, counting every item of a stack. */
+    getCarriedWeight() {
+        const { inventory, equipment } = this.state.character;
+        return [...inventory, ...Object.values(equipment)]
+            .reduce((sum, item) => sum + (item ? (item.weight || 0) * (item.quantity || 1) : 0), 0);
+    }
+
+    /** Pounds the character carries without slowing down. */
+    getCapacity() {
+        return RoguelikeGame.CAPACITY_BASE + this.state.character.stats.str * RoguelikeGame.CAPACITY_PER_STR;
+    }
+
+    /** Speed lost to weight over capacity: one point per BURDEN_STEP pounds or part of them. */
+    getBurden() {
+        const over = this.getCarriedWeight() - this.getCapacity();
+        return over > 0 ? Math.ceil(over / RoguelikeGame.BURDEN_STEP) : 0;
+    }
+
+    /** Log when picking up or dropping things tips the character into or out of being burdened. */
+    _noteBurden(wasBurdened) {
+        const burdened = this.getBurden() > 0;
+        if (burdened && !wasBurdened) this.log('🎒 You are burdened by the weight and slow down.');
+        else if (!burdened && wasBurdened) this.log('🎒 You are no longer burdened.');
+    }
+
     _usePotion(item) {
         const char = this.state.character;
         // Identify on use
         if (!item.identified && item.potionKey) {
-            this.identifiedPotions.add(item.potionKey);
-            const trueName = POTION_TYPES[item.potionKey].name;
-            this.log(`🧪 It was a ${trueName}!`);
+            this._learnFlavour('potion', item.potionKey);
+            this.log(`🧪 It was a ${POTION_TYPES[item.potionKey].name}!`);
         }
 
         switch (item.effect) {
@@ -1009,57 +1921,66 @@ export class RoguelikeGame {
                 this.log(`💨 Your dexterity increases by ${item.value}!`);
                 break;
             case 'poison':
-                char.hp += item.value; // negative
-                this.log(`🤢 Poison! You lose ${-item.value} HP!`);
-                if (char.hp <= 0) this._playerDeath();
+                this._applyStatus(char, 'poisoned', item.value);
                 break;
             case 'speed':
-                char.speed += item.value;
-                this.log(`⚡ You feel faster!`);
+                this._applyStatus(char, 'hasted', item.value);
+                break;
+            case 'resist':
+                this._applyStatus(char, 'resistant', item.value);
                 break;
         }
     }
 
-    _useScroll(item) {
+    /** Read a scroll; `target` is the item a `needsItem` scroll works on, if the player chose one. */
+    _useScroll(item, target = null) {
+        // Reading a scroll teaches what it is
+        if (!item.identified && item.scrollKey) {
+            this._learnFlavour('scroll', item.scrollKey);
+            this.log(`📜 It was a ${SCROLL_TYPES[item.scrollKey].name}!`);
+        }
         switch (item.effect) {
-            case 'identify':
-                this.log('📜 The scroll reveals knowledge...');
-                // Identify all potions in inventory
-                for (const inv of this.state.character.inventory) {
-                    if (inv.category === 'potion' && !inv.identified && inv.potionKey) {
-                        inv.identified = true;
-                        inv.name = POTION_TYPES[inv.potionKey].name;
-                        this.identifiedPotions.add(inv.potionKey);
-                        this.log(`  Identified: ${inv.name}`);
-                    }
-                }
-                // Also identify visible items on ground
-                for (const gi of this.state.items) {
-                    if (gi.category === 'potion' && !gi.identified && gi.potionKey) {
-                        gi.identified = true;
-                        gi.name = POTION_TYPES[gi.potionKey].name;
-                        this.identifiedPotions.add(gi.potionKey);
-                    }
-                }
+            case 'identify': {
+                const found = target ?? this._itemTargets('identify', item)[0];
+                if (!found) { this.log('📜 You have nothing to identify.'); break; }
+                this._identifyItem(found);
+                this.log(`📜 You identify ${found.name}.`);
                 break;
-            case 'teleport': {
-                const pos = this.findRandomFloor();
-                this.state.player.x = pos.x;
-                this.state.player.y = pos.y;
-                this.autoRun.active = false;
+            }
+            case 'teleport':
                 this.log('📜 You are teleported!');
-                this.notifyObservers('teleport', pos);
+                this._teleportPlayer();
+                break;
+            case 'remove_curse':
+            case 'remove_curse_heavy': {
+                const heavy = item.effect === 'remove_curse_heavy';
+                const cursed = Object.values(this.state.character.equipment).filter(e => e?.enchantment === 'cursed');
+                const freed = cursed.filter(e => heavy || !e.heavyCurse);
+                for (const e of freed) this._uncurse(e);
+                if (freed.length > 0) this.log('📜 You feel as if someone is watching over you.');
+                for (const e of cursed.filter(e => !freed.includes(e))) this.log(`☠️ The curse on your ${e.name} is too strong!`);
+                if (cursed.length === 0) this.log('📜 Nothing seems to happen.');
                 break;
             }
             case 'magic_map':
                 this.log('📜 A map materializes in your mind!');
-                for (let y = 0; y < this.height; y++) {
-                    for (let x = 0; x < this.width; x++) {
-                        this.state.explored[y][x] = 1;
-                    }
+                this._magicMap();
+                break;
+            case 'recharge': {
+                const found = target ?? this._itemTargets('recharge', item)[0];
+                if (!found) { this.log('📜 You have nothing to recharge.'); break; }
+                if (this.rng.chance(this.getRechargeBackfireChance(found))) {
+                    const inv = this.state.character.inventory;
+                    inv.splice(inv.indexOf(found), 1);
+                    this.log(`💥 The recharge backfires — your ${found.name} explodes!`);
+                    break;
                 }
-                this.notifyObservers('magic_map', {});
+                const { charges } = DEVICE_TYPES[found.deviceKey];
+                found.charges += Math.max(1, Math.floor(this.rng.range(...charges) / 2));
+                this._nameItem(found);
+                this.log(`📜 Your ${found.name} glows with new energy.`);
                 break;
+            }
             case 'enchant_wep': {
                 const wep = this.state.character.equipment.weapon;
                 if (wep) {
@@ -1077,7 +1998,7 @@ export class RoguelikeGame {
                         .filter(([, m]) => m.minLevel <= this.state.currentLevel && !m.boss)
                         .map(([key, m]) => ({ key, ...m }));
                     if (eligible.length === 0) break;
-                    const type = eligible[Math.floor(Math.random() * eligible.length)];
+                    const type = this.rng.pick(eligible);
                     const pos = this.findRandomFloor();
                     const id = `monster_${this.nextEntityId++}`;
                     this.state.entities[id] = {
@@ -1115,7 +2036,7 @@ export class RoguelikeGame {
         if (stairs && p.x === stairs.x && p.y === stairs.y) {
             if (this.state.currentLevel < this.state.maxLevel) {
                 this.log('📍 You descend deeper...');
-                this.generateLevel(this.state.currentLevel + 1);
+                this.changeLevel(this.state.currentLevel + 1, 'up');
             }
         } else { this.log('There are no stairs here.'); }
     }
@@ -1124,60 +2045,95 @@ export class RoguelikeGame {
         const p = this.state.player;
         const stairs = this.state.stairsUp;
         if (stairs && p.x === stairs.x && p.y === stairs.y) {
-            if (this.state.currentLevel > 1) {
+            if (this.state.currentLevel > 0) {
                 this.log('📍 You ascend upward...');
-                this.generateLevel(this.state.currentLevel - 1);
+                this.changeLevel(this.state.currentLevel - 1, 'down');
             }
         } else { this.log('There are no stairs here.'); }
     }
 
     // ─── Spells ────────────────────────────────────────────────────
+    /** Spell keys a class knows at a character level, in learning order. */
+    static knownSpellsAt(classKey, level) {
+        const book = CLASSES[classKey]?.spells || {};
+        return Object.entries(book)
+            .filter(([, lvl]) => lvl <= level)
+            .sort((a, b) => a[1] - b[1])
+            .map(([key]) => key);
+    }
+
+    /** Add any spells the character has reached the level for. */
+    _learnSpells(silent = false) {
+        const char = this.state.character;
+        for (const key of RoguelikeGame.knownSpellsAt(this.charClass, char.level)) {
+            if (char.spells.includes(key)) continue;
+            char.spells.push(key);
+            char.spellCooldowns[key] = 0;
+            if (!silent) {
+                this.log(`📖 You learn ${SPELLS[key].name}!`);
+                this.notifyObservers('spell_learned', { spell: key });
+            }
+        }
+    }
+
     _castSpell(spellKey) {
         const spell = SPELLS[spellKey];
         if (!spell) return;
         const char = this.state.character;
+        if (!char.spells.includes(spellKey)) { this.log(`You don't know ${spell.name}.`); return; }
         const cd = char.spellCooldowns;
         if (cd[spellKey] > 0) { this.log(`${spell.name} is on cooldown (${cd[spellKey]} turns)`); return; }
         if (char.mp < spell.mpCost) { this.log(`Not enough mana for ${spell.name}!`); return; }
+        if (this._hasStatus(char, 'blinded')) { this.log('🌑 You cannot see to cast!'); return; }
         char.mp -= spell.mpCost;
         cd[spellKey] = spell.cooldown;
         switch (spell.type) {
-            case 'self': this._castHeal(spell); break;
-            case 'aoe': this._castAoE(spell); break;
-            case 'line': this._castLine(spell); break;
-            case 'nova': this._castNova(spell); break;
+            case 'self': this._castHeal(spellKey, spell); break;
+            case 'aoe': this._castAoE(spellKey, spell); break;
+            case 'line': this._castLine(spellKey, spell); break;
+            case 'nova': this._castNova(spellKey, spell); break;
         }
     }
 
-    _castHeal(spell) {
-        const char = this.state.character;
-        const healAmount = spell.healAmount + Math.floor(char.stats.int * 1.5);
-        char.hp = Math.min(char.maxHp, char.hp + healAmount);
-        this.log(`💚 You cast Heal and restore ${healAmount} HP!`);
-        this.notifyObservers('spell_cast', { spell: 'heal', x: this.state.player.x, y: this.state.player.y, color: spell.color });
+    _castHeal(spellKey, spell) {
+        const healAmount = spell.healAmount + Math.floor(this.state.character.stats.int * 1.5);
+        this.log(`${spell.icon} You cast ${spell.name} and restore ${healAmount} HP!`);
+        this._healBy(spellKey, spell, healAmount);
     }
 
-    _castAoE(spell) {
+    /** Burst a ball on the target (or, with nothing targeted, the nearest monster) within range. */
+    _castAoE(spellKey, spell) {
         const player = this.state.player;
-        const target = this._findNearestMonster(player.x, player.y, spell.range);
-        if (!target) {
+        const target = this.getTargetPoint() || this._findNearestMonster(player.x, player.y, spell.range);
+        if (!target || !this._inSpellRange(target.x, target.y, spell)) {
             this.log(`No target in range for ${spell.name}!`);
             this.state.character.mp += spell.mpCost;
-            this.state.character.spellCooldowns.fireball = 0;
+            this.state.character.spellCooldowns[spellKey] = 0;
             return;
         }
         const damage = spell.damage + Math.floor(this.state.character.stats.int * 0.8);
-        this.log(`🔥 You cast ${spell.name}!`);
-        this.notifyObservers('spell_cast', { spell: 'fireball', x: target.x, y: target.y, color: spell.color });
-        const monsters = this._getMonstersInRadius(target.x, target.y, spell.radius);
-        for (const m of monsters) {
-            m.hp -= damage;
-            this.log(`🔥 ${m.name} takes ${damage} fire damage!`);
-            if (m.hp <= 0) this._killMonster(m);
-        }
+        this.log(`${spell.icon} You cast ${spell.name}!`);
+        this._burstAt(spellKey, spell, damage, target);
     }
 
-    _castLine(spell) {
+    /** Send a bolt at the target, in any direction; with nothing in sight it goes the way the player faces. */
+    _castLine(spellKey, spell) {
+        const damage = spell.damage + Math.floor(this.state.character.stats.int);
+        this.log(`${spell.icon} You cast ${spell.name}!`);
+        this._boltAt(spellKey, spell, damage, this._aim() ?? this._facingPoint());
+    }
+
+    _castNova(spellKey, spell) {
+        const damage = spell.damage + Math.floor(this.state.character.stats.int * 0.6);
+        this.log(`${spell.icon} You cast ${spell.name}!`);
+        this._novaAround(spellKey, spell, damage);
+    }
+
+    // The shapes spells and devices take. `magic` is the SPELLS or DEVICE_TYPES
+    // entry, whose element, icon, colour, range and radius apply.
+
+    /** The tile next to the player in the direction they face. */
+    _facingPoint() {
         const player = this.state.player;
         let dx = 0, dy = 0;
         switch (player.rotation) {
@@ -1185,46 +2141,962 @@ export class RoguelikeGame {
             case 180: dy = 1; break; case 270: dx = -1; break;
             default: dy = -1;
         }
-        const damage = spell.damage + Math.floor(this.state.character.stats.int);
-        this.log(`⚡ You cast ${spell.name}!`);
-        const hitTiles = [];
-        let cx = player.x, cy = player.y;
-        for (let i = 0; i < spell.range; i++) {
-            cx += dx; cy += dy;
-            if (cx < 0 || cx >= this.width || cy < 0 || cy >= this.height) break;
-            if (this.state.map[cy][cx] === TILE.WALL) break;
-            hitTiles.push({ x: cx, y: cy });
-            const monster = this._getMonsterAt(cx, cy);
-            if (monster) {
-                monster.hp -= damage;
-                this.log(`⚡ ${monster.name} takes ${damage} lightning damage!`);
-                if (monster.hp <= 0) this._killMonster(monster);
-            }
-        }
-        this.notifyObservers('spell_cast', { spell: 'lightning', tiles: hitTiles, color: spell.color, startX: player.x, startY: player.y, dx, dy });
+        return { x: player.x + dx, y: player.y + dy };
     }
 
-    _castNova(spell) {
+    _healBy(key, magic, amount) {
+        const char = this.state.character;
+        char.hp = Math.min(char.maxHp, char.hp + amount);
+        this.notifyObservers('spell_cast', { spell: key, type: 'self', x: this.state.player.x, y: this.state.player.y, color: magic.color });
+    }
+
+    /** A ball bursting on `target`, hitting every monster within the radius. */
+    _burstAt(key, magic, damage, target) {
+        this.notifyObservers('spell_cast', { spell: key, type: 'aoe', x: target.x, y: target.y, radius: magic.radius, color: magic.color });
+        const monsters = this._getMonstersInRadius(target.x, target.y, magic.radius);
+        for (const m of monsters) this._spellHitMonster(m, magic, damage);
+    }
+
+    /** A bolt flying toward `aim` and on up to its range, hitting every monster on the way. */
+    _boltAt(key, magic, damage, aim) {
         const player = this.state.player;
-        const damage = spell.damage + Math.floor(this.state.character.stats.int * 0.6);
-        this.log(`❄️ You cast ${spell.name}!`);
-        const monsters = this._getMonstersInRadius(player.x, player.y, spell.radius);
-        this.notifyObservers('spell_cast', { spell: 'frostNova', x: player.x, y: player.y, radius: spell.radius, color: spell.color });
-        for (const m of monsters) {
-            m.hp -= damage;
-            this.log(`❄️ ${m.name} takes ${damage} frost damage!`);
-            if (m.hp <= 0) this._killMonster(m);
+        const hitTiles = this._courseToward(aim.x, aim.y, magic.range);
+        for (const tile of hitTiles) {
+            const monster = this._getMonsterAt(tile.x, tile.y);
+            if (monster) this._spellHitMonster(monster, magic, damage);
         }
+        this.notifyObservers('spell_cast', {
+            spell: key, type: 'line', tiles: hitTiles, color: magic.color,
+            startX: player.x, startY: player.y, dx: Math.sign(aim.x - player.x), dy: Math.sign(aim.y - player.y),
+        });
+    }
+
+    /** A burst around the player, hitting every monster within the radius. */
+    _novaAround(key, magic, damage) {
+        const player = this.state.player;
+        const monsters = this._getMonstersInRadius(player.x, player.y, magic.radius);
+        this.notifyObservers('spell_cast', { spell: key, type: 'nova', x: player.x, y: player.y, radius: magic.radius, color: magic.color });
+        for (const m of monsters) this._spellHitMonster(m, magic, damage);
         if (monsters.length === 0) this.log('No enemies nearby...');
     }
 
+    // ─── Magic Devices ─────────────────────────────────────────────
+    /**
+     * Chance (0–1) the character gets a device to work: their class's
+     * `device` skill plus INT and DEX, against the device's level.
+     */
+    getDeviceChance(item) {
+        const { stats } = this.state.character;
+        const skill = CLASSES[this.charClass].device + stats.int * 2 + stats.dex;
+        const chance = 1 - DEVICE_TYPES[item.deviceKey].level / skill;
+        return Math.min(RoguelikeGame.MAX_DEVICE_CHANCE, Math.max(RoguelikeGame.MIN_DEVICE_CHANCE, chance));
+    }
+
+    /** Whether the device at inventory index `idx` is aimed first: wands always, rods that are aimed or not yet known. */
+    deviceNeedsAim(idx) {
+        const item = this.state.character.inventory[idx];
+        if (item?.category !== 'device' || item.device === 'staff') return false;
+        const { type } = DEVICE_TYPES[item.deviceKey];
+        return item.device === 'wand' || !item.identified || type === 'line' || type === 'aoe';
+    }
+
+    /** Chance a Scroll of Recharging blows a device up: worse for deeper devices and ones still holding charges. */
+    getRechargeBackfireChance(item) {
+        const { level } = DEVICE_TYPES[item.deviceKey];
+        return Math.min(0.9, RoguelikeGame.RECHARGE_BACKFIRE + (level + item.charges * 5) / 100);
+    }
+
+    /**
+     * Aim a wand, use a staff or zap a rod from the pack. A wand or staff
+     * spends a charge and a rod starts recharging, unless the attempt fails
+     * or a ball has nothing in range. Using a device teaches what it is.
+     */
+    _useDevice(idx) {
+        const item = this.state.character.inventory[idx];
+        if (item?.category !== 'device') return;
+        const device = DEVICE_TYPES[item.deviceKey];
+        if (device.recharge ? item.timeout > 0 : item.charges <= 0) {
+            this.log(device.recharge ? `⏳ The ${item.name} is still charging.` : `The ${item.name} has no charges left.`);
+            return;
+        }
+        if (!this.rng.chance(this.getDeviceChance(item))) {
+            this.log(`🪄 You failed to use the ${item.name} properly.`);
+            return;
+        }
+        const verb = { wand: 'aim', staff: 'use', rod: 'zap' }[item.device];
+        const player = this.state.player;
+        switch (device.type) {
+            case 'line':
+                this.log(`${device.icon} You ${verb} the ${item.name}.`);
+                this._boltAt(item.deviceKey, device, device.damage, this._aim() ?? this._facingPoint());
+                break;
+            case 'aoe': {
+                const target = this.getTargetPoint() || this._findNearestMonster(player.x, player.y, device.range);
+                if (!target || !this._inSpellRange(target.x, target.y, device)) {
+                    this.log(`No target in range for the ${item.name}!`);
+                    return;
+                }
+                this.log(`${device.icon} You ${verb} the ${item.name}.`);
+                this._burstAt(item.deviceKey, device, device.damage, target);
+                break;
+            }
+            case 'nova':
+                this.log(`${device.icon} You ${verb} the ${item.name}.`);
+                this._novaAround(item.deviceKey, device, device.damage);
+                break;
+            case 'self':
+                this.log(`${device.icon} You ${verb} the ${item.name} and restore ${device.healAmount} HP!`);
+                this._healBy(item.deviceKey, device, device.healAmount);
+                break;
+            case 'teleport':
+                this.log(`${device.icon} You ${verb} the ${item.name} and are teleported!`);
+                this._teleportPlayer();
+                break;
+            case 'map':
+                this.log(`${device.icon} You ${verb} the ${item.name} and a map forms in your mind!`);
+                this._magicMap();
+                break;
+        }
+        if (device.recharge) item.timeout = device.recharge;
+        else item.charges--;
+        if (!item.identified) {
+            this._learnFlavour(item.device, item.deviceKey);
+            this.log(`🪄 It was a ${device.name}!`);
+        }
+        this._nameItem(item);
+        this.notifyObservers('inventory_change', {});
+    }
+
+    /** Rods in the pack recharge a little every game turn. */
+    _tickDevices() {
+        for (const item of this.state.character.inventory) {
+            if (item.category !== 'device' || !(item.timeout > 0)) continue;
+            if (--item.timeout === 0) {
+                this._nameItem(item);
+                this.log(`🔋 Your ${item.name} has recharged.`);
+            }
+        }
+    }
+
+    /** Reveal the whole level's layout. */
+    _magicMap() {
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                this.state.explored[y][x] = 1;
+            }
+        }
+        this.notifyObservers('magic_map', {});
+    }
+
+    _spellHitMonster(monster, spell, damage, byPlayer = true) {
+        damage = this._elementalDamage(monster, damage, spell.element);
+        if (damage === 0) return;
+        monster.hp -= damage;
+        this.log(`${spell.icon} ${monster.name} takes ${damage} ${spell.element} damage!`);
+        if (monster.hp <= 0) this._killMonster(monster, byPlayer);
+        else if (spell.status) this._applyStatus(monster, spell.status.key, spell.status.turns);
+    }
+
+    // ─── Item Specials ─────────────────────────────────────────────
+    /** Whether the character has an ITEM_SPECIALS power, from their race or anything worn. */
+    hasSpecial(key) {
+        if (RACES[this.charRace].specials?.includes(key)) return true;
+        return Object.values(this.state.character.equipment).some(item => item?.specials?.includes(key));
+    }
+
+    /** Regeneration heals a little every game turn. */
+    _regenerate() {
+        const char = this.state.character;
+        if (char.hp < char.maxHp && this.hasSpecial('regen')) {
+            char.hp = Math.min(char.maxHp, char.hp + RoguelikeGame.REGEN_HP);
+        }
+    }
+
+    // ─── Hunger ────────────────────────────────────────────────────
+    /** The HUNGER_STATES key the character's food counter falls in. */
+    getHungerState() {
+        const { food } = this.state.character;
+        return Object.keys(HUNGER_STATES).find(key => food >= HUNGER_STATES[key].min);
+    }
+
+    /** Food the character digests each game turn. */
+    getDigestion() {
+        let rate = RoguelikeGame.DIGEST_RATE;
+        if (this.hasSpecial('regen')) rate *= 2;
+        if (this.hasSpecial('slowDigest')) rate /= 2;
+        return rate;
+    }
+
+    /** Digest a game turn's food, and suffer the hunger state reached. */
+    _tickHunger() {
+        const char = this.state.character;
+        const before = this.getHungerState();
+        char.food = Math.max(0, char.food - this.getDigestion());
+        const state = this.getHungerState();
+        const def = HUNGER_STATES[state];
+        if (state !== before) {
+            if (def.onEnter) this.log(`🍞 ${def.onEnter}`);
+            this.notifyObservers('hunger_change', { state });
+        }
+        if (def.faint && !this._hasStatus(char, 'paralyzed') && this.rng.chance(def.faint)) {
+            this.log('😩 You faint from the lack of food!');
+            this._applyStatus(char, 'paralyzed', RoguelikeGame.FAINT_TURNS);
+        }
+        if (def.damage) {
+            char.hp -= def.damage;
+            if (char.hp <= 0) this._playerDeath();
+        }
+    }
+
+    /**
+     * Eat one of a food item. A corpse that has gone bad, or one of a
+     * poisonous monster, poisons the eater. Returns whether it was eaten:
+     * a full character cannot eat any more.
+     */
+    _eat(item) {
+        const char = this.state.character;
+        if (char.food >= RoguelikeGame.FOOD_MAX) {
+            this.log('🍖 You are too full to eat.');
+            return false;
+        }
+        const before = this.getHungerState();
+        char.food = Math.min(RoguelikeGame.FOOD_MAX, char.food + item.food);
+        this.log(`🍖 You eat the ${item.name}.`);
+        if (item.foodKey === 'corpse') {
+            const turn = Math.floor(this.state.tick / RoguelikeGame.TURN_TICKS);
+            if (turn >= item.rotsAt) {
+                this.log('🤢 It had gone bad!');
+                this._applyStatus(char, 'poisoned', RoguelikeGame.ROTTEN_POISON);
+            } else if (MONSTER_TYPES[item.monsterType]?.ability === 'poison') {
+                this.log('🤢 It was poisonous!');
+                this._applyStatus(char, 'poisoned', RoguelikeGame.ROTTEN_POISON);
+            }
+        }
+        const state = this.getHungerState();
+        if (state !== before) {
+            this.log(`🍖 You are ${HUNGER_STATES[state].name.toLowerCase()}.`);
+            this.notifyObservers('hunger_change', { state });
+        }
+        return true;
+    }
+
+    // ─── Curses ────────────────────────────────────────────────────
+    /** The CURSES on worn items work each game turn. */
+    _tickCurses() {
+        const char = this.state.character;
+        for (const item of Object.values(char.equipment)) {
+            const curse = item?.enchantment === 'cursed' && CURSES[item.curse];
+            if (!curse || (curse.chance && !this.rng.chance(curse.chance))) continue;
+            switch (item.curse) {
+                case 'aggravate': this._aggravateMonsters(); break;
+                case 'teleport':
+                    this.log(`☠️ Your ${item.name} twists space around you!`);
+                    this._teleportPlayer();
+                    break;
+                case 'drainXp': char.xp = Math.max(0, char.xp - RoguelikeGame.DRAIN_XP); break;
+            }
+        }
+    }
+
+    /** Wandering monsters near the character wake up and give chase. */
+    _aggravateMonsters() {
+        const p = this.state.player;
+        for (const e of Object.values(this.state.entities)) {
+            if (e.type !== 'monster' || e.ai !== 'wander') continue;
+            if (Math.abs(e.x - p.x) + Math.abs(e.y - p.y) < RoguelikeGame.AGGRAVATE_RADIUS) e.ai = 'chase';
+        }
+    }
+
+    /** Now and then the character gets a feeling whether an unknown piece of equipment they carry is cursed. */
+    _senseItems() {
+        const { inventory, equipment } = this.state.character;
+        for (const item of [...Object.values(equipment), ...inventory]) {
+            if (item?.category !== 'equipment' || item.identified || item.sensed) continue;
+            if (!this.rng.chance(RoguelikeGame.SENSE_CHANCE)) continue;
+            this.log(item.enchantment === 'cursed'
+                ? `☠️ You feel a curse on your ${item.name}...`
+                : `You feel your ${item.name} is uncursed.`);
+            item.sensed = true;
+            this._nameItem(item);
+        }
+    }
+
+    /** Lift the curse off an item. Its bonus stays what it was. */
+    _uncurse(item) {
+        item.enchantment = item.bonus > 0 ? 'enchanted' : 'normal';
+        delete item.curse;
+        delete item.heavyCurse;
+        this._nameItem(item);
+    }
+
+    /** Move the player to a random floor tile. */
+    _teleportPlayer() {
+        const pos = this.findRandomFloor();
+        this.state.player.x = pos.x;
+        this.state.player.y = pos.y;
+        this.autoRun.active = false;
+        this.notifyObservers('teleport', pos);
+    }
+
+    /** Whether a monster has lost track of an invisible player: they are not close enough to sense. */
+    _playerHiddenFrom(monster) {
+        const p = this.state.player;
+        const dist = Math.max(Math.abs(monster.x - p.x), Math.abs(monster.y - p.y));
+        return dist > RoguelikeGame.INVISIBLE_SENSE_RANGE && this.hasSpecial('invisible');
+    }
+
+    /**
+     * An orc-detecting weapon glows while an orc is near. Notifies
+     * 'weapon_glow' for the renderer whenever that changes.
+     */
+    _updateWeaponGlow() {
+        const weapon = this.state.character.equipment.weapon;
+        const p = this.state.player;
+        const glowing = !!weapon?.specials?.includes('detectOrcs') && Object.values(this.state.entities).some(e =>
+            e.type === 'monster' && MONSTER_TYPES[e.monsterType]?.kind === 'orc'
+            && Math.max(Math.abs(e.x - p.x), Math.abs(e.y - p.y)) <= RoguelikeGame.ORC_DETECT_RADIUS);
+        if (glowing === this.weaponGlow) return;
+        this.weaponGlow = glowing;
+        if (glowing) this.log(`🔵 ${weapon.name} glows blue!`);
+        this.notifyObservers('weapon_glow', { glowing });
+    }
+
+    // ─── Ranged Combat ─────────────────────────────────────────────
+    /** Visible monsters in line of fire, nearest first. */
+    getRangedTargets() {
+        const p = this.state.player;
+        const dist = m => Math.max(Math.abs(m.x - p.x), Math.abs(m.y - p.y));
+        return Object.values(this.state.entities)
+            .filter(e => e.type === 'monster' && this.canSeeMonster(e) && this._hasLineOfSight(p.x, p.y, e.x, e.y))
+            .sort((a, b) => dist(a) - dist(b));
+    }
+
+    /** The current target, while it is alive and in line of fire. */
+    getTarget() {
+        const target = this.state.entities[this.targetId];
+        return target && this.getRangedTargets().includes(target) ? target : null;
+    }
+
+    /**
+     * Move the target on to the next (step 1) or previous (step -1) monster
+     * in line of fire, starting from the nearest. Returns it, or null.
+     */
+    cycleTarget(step = 1) {
+        const targets = this.getRangedTargets();
+        if (targets.length === 0) {
+            this.clearTarget();
+            return null;
+        }
+        const i = targets.findIndex(m => m.id === this.targetId);
+        const next = i === -1 ? targets[0] : targets[(i + step + targets.length) % targets.length];
+        this.targetId = next.id;
+        this.targetTile = null;
+        this.notifyObservers('target_change', { id: next.id, x: next.x, y: next.y });
+        return next;
+    }
+
+    /**
+     * Aim at whatever is at (x, y): a monster in line of fire, or else the
+     * tile itself if it can be seen. Returns the new target point, or null
+     * (leaving the target as it was) if (x, y) cannot be aimed at.
+     */
+    setTargetAt(x, y) {
+        const p = this.state.player;
+        const monster = this.getRangedTargets().find(m => m.x === x && m.y === y);
+        if (monster) {
+            this.targetId = monster.id;
+            this.targetTile = null;
+        } else if (this.state.visibility[y]?.[x] && (x !== p.x || y !== p.y) && this._hasLineOfSight(p.x, p.y, x, y)) {
+            this.targetId = null;
+            this.targetTile = { x, y };
+        } else {
+            return null;
+        }
+        this.notifyObservers('target_change', { id: this.targetId, x, y });
+        return { x, y };
+    }
+
+    /** Where aimed actions go: the target monster, else the target tile while it is in sight. */
+    getTargetPoint() {
+        const target = this.getTarget();
+        if (target) return { x: target.x, y: target.y };
+        const p = this.state.player;
+        const tile = this.targetTile;
+        if (tile && this.state.visibility[tile.y]?.[tile.x] && this._hasLineOfSight(p.x, p.y, tile.x, tile.y)) return { ...tile };
+        return null;
+    }
+
+    clearTarget() {
+        this.targetId = null;
+        this.targetTile = null;
+        this.notifyObservers('target_change', { id: null });
+    }
+
+    /** The point to aim at, picking the nearest monster when nothing is targeted. */
+    _aim() {
+        const point = this.getTargetPoint();
+        if (point) return point;
+        const nearest = this.cycleTarget();
+        return nearest && { x: nearest.x, y: nearest.y };
+    }
+
+    /**
+     * What an aimed action would cover if taken now, for the targeting
+     * preview: the tiles it flies through and the tiles its blast catches.
+     * @param {string} action - 'fire', 'throw_<idx>', 'zap_<idx>' or 'cast_<spell>'
+     * @returns {{path: {x: number, y: number}[], area: {x: number, y: number}[]}}
+     */
+    getTargetPreview(action) {
+        const p = this.state.player;
+        // Spells, and devices whose kind is known, show their own shape
+        const device = action.startsWith('zap_') ? this.state.character.inventory[Number(action.replace('zap_', ''))] : null;
+        const spell = action.startsWith('cast_') ? SPELLS[action.replace('cast_', '')]
+            : device?.identified ? DEVICE_TYPES[device.deviceKey]
+            : null;
+        if (spell?.type === 'self') return { path: [], area: [{ x: p.x, y: p.y }] };
+        if (spell?.type === 'nova') return { path: [], area: this._tilesInRadius(p.x, p.y, spell.radius) };
+        const aim = this.getTargetPoint();
+        if (!aim) return { path: [], area: [] };
+        if (spell?.type === 'aoe') {
+            if (!this._inSpellRange(aim.x, aim.y, spell)) return { path: [], area: [] };
+            return { path: this._lineBetween(p.x, p.y, aim.x, aim.y), area: this._tilesInRadius(aim.x, aim.y, spell.radius) };
+        }
+        const range = spell ? spell.range
+            : action === 'fire' ? this.state.character.equipment.launcher?.range ?? 0
+            : RoguelikeGame.THROW_RANGE;
+        return { path: this._courseToward(aim.x, aim.y, range), area: [] };
+    }
+
+    /** Whether a ball spell can be centred on (x, y): within its range and in line of sight. */
+    _inSpellRange(x, y, spell) {
+        const p = this.state.player;
+        return Math.abs(x - p.x) + Math.abs(y - p.y) <= spell.range && this._hasLineOfSight(p.x, p.y, x, y);
+    }
+
+    /** Open tiles within a blast radius of (cx, cy), measured the way _getMonstersInRadius does. */
+    _tilesInRadius(cx, cy, radius) {
+        const tiles = [];
+        for (let y = cy - radius; y <= cy + radius; y++) {
+            for (let x = cx - radius; x <= cx + radius; x++) {
+                if (Math.abs(x - cx) + Math.abs(y - cy) <= radius && !this._blocksSight(x, y)) tiles.push({ x, y });
+            }
+        }
+        return tiles;
+    }
+
+    /**
+     * Tiles from the player toward (tx, ty), carrying on past it up to
+     * `range` tiles and stopping short of the first wall or closed door.
+     */
+    _courseToward(tx, ty, range) {
+        const p = this.state.player;
+        const dx = tx - p.x, dy = ty - p.y;
+        const course = [];
+        for (let leg = 0; course.length < range && (dx || dy); leg++) {
+            course.push(...this._lineBetween(p.x + dx * leg, p.y + dy * leg, p.x + dx * (leg + 1), p.y + dy * (leg + 1)));
+        }
+        const path = [];
+        for (const tile of course.slice(0, range)) {
+            if (this._blocksSight(tile.x, tile.y)) break;
+            path.push(tile);
+        }
+        return path;
+    }
+
+    /** Shoot one missile from the quiver at the target (or the nearest monster). */
+    _fireMissile() {
+        const char = this.state.character;
+        const launcher = char.equipment.launcher;
+        const ammo = char.equipment.ammo;
+        if (!launcher) { this.log('You have nothing to fire with.'); return; }
+        if (ammo?.ammo !== launcher.ammo) { this.log(`You have no ammunition for your ${launcher.name}.`); return; }
+        const aim = this._aim();
+        if (!aim) { this.log('No target in sight.'); return; }
+
+        const missile = { ...ammo, quantity: 1 };
+        if (--ammo.quantity <= 0) char.equipment.ammo = null;
+        const target = this._getMonsterAt(aim.x, aim.y);
+        this.log(target ? `🏹 You fire at ${target.name}.` : '🏹 You fire.');
+        const shot = this._flyProjectile(aim.x, aim.y, launcher.range, missile);
+        if (shot.monster) {
+            const roll = missile.atk + launcher.atk + this.rng.int(Math.max(1, Math.floor(char.stats.dex / 2)));
+            this._missileHit(shot.monster, roll * launcher.multiplier, missile.element);
+        }
+        // Missiles that survive come to rest where they stopped
+        if (!this.rng.chance(missile.breakChance ?? 0)) this._dropAt(missile, shot.x, shot.y);
+    }
+
+    /** Throw a potion (which shatters) or a throwable weapon at the target (or the nearest monster). */
+    _throwItem(idx) {
+        const char = this.state.character;
+        const item = char.inventory[idx];
+        if (!item) return;
+        if (item.category !== 'potion' && !item.throwable) { this.log(`You cannot throw ${item.name}.`); return; }
+        const aim = this._aim();
+        if (!aim) { this.log('No target in sight.'); return; }
+
+        // A stack gives up one of its items
+        const thrown = this._takeOne(idx);
+        this.notifyObservers('inventory_change', {});
+        const target = this._getMonsterAt(aim.x, aim.y);
+        this.log(target ? `🤾 You throw ${thrown.name} at ${target.name}.` : `🤾 You throw ${thrown.name}.`);
+
+        const shot = this._flyProjectile(aim.x, aim.y, RoguelikeGame.THROW_RANGE, thrown, thrown.category === 'potion');
+        if (thrown.category === 'potion') {
+            this._shatterPotion(thrown, shot.monster);
+            return;
+        }
+        if (shot.monster) {
+            const roll = thrown.atk + this.rng.int(Math.max(1, Math.floor(char.stats.str / 2)));
+            this._missileHit(shot.monster, roll * RoguelikeGame.THROW_MULTIPLIER, thrown.element);
+        }
+        this._dropAt(thrown, shot.x, shot.y);
+    }
+
+    /**
+     * Send a missile from the player along _courseToward(tx, ty, range). It
+     * stops at the first monster it hits; monsters it misses are flown past.
+     * Notifies a 'projectile' event for the renderer.
+     * @returns {{path: {x: number, y: number}[], monster: object|null, x: number, y: number}} where it came to rest
+     */
+    _flyProjectile(tx, ty, range, item, shatter = false) {
+        const p = this.state.player;
+        const path = [];
+        let monster = null;
+        for (const tile of this._courseToward(tx, ty, range)) {
+            path.push(tile);
+            const there = this._getMonsterAt(tile.x, tile.y);
+            if (there && this.rng.chance(this._missileHitChance(there, path.length))) { monster = there; break; }
+        }
+        if (!monster) this.log(`💨 The ${item.name} misses.`);
+        const rest = path.at(-1) || p;
+        this.notifyObservers('projectile', { path, startX: p.x, startY: p.y, color: item.color, shatter });
+        return { path, monster, x: rest.x, y: rest.y };
+    }
+
+    /** Chance a missile strikes a monster in its path: DEX helps, distance and armour hinder. */
+    _missileHitChance(monster, distance) {
+        const dex = this.state.character.stats.dex;
+        return Math.min(0.95, Math.max(0.2, 0.75 + (dex - monster.def) * 0.02 - distance * 0.02));
+    }
+
+    _missileHit(monster, roll, element = 'physical') {
+        const damage = this._elementalDamage(monster, Math.max(1, roll - monster.def), element);
+        // Being shot wakes a wanderer up, even when the hit does nothing
+        if (monster.ai === 'wander') monster.ai = 'chase';
+        if (damage === 0) return;
+        monster.hp -= damage;
+        this.log(`🎯 You hit ${monster.name} for ${damage} damage!`);
+        this.notifyObservers('combat', { type: 'ranged', attacker: 'player', defender: monster.id, damage });
+        if (monster.hp <= 0) this._killMonster(monster);
+    }
+
+    /** A thrown potion breaks where it lands, splashing any monster it hit. */
+    _shatterPotion(potion, monster) {
+        this.log(`💥 The ${potion.name} shatters!`);
+        if (!monster) return;
+        switch (potion.effect) {
+            case 'heal':
+                monster.hp = Math.min(monster.maxHp, monster.hp + potion.value);
+                this.log(`${monster.name} looks healthier.`);
+                break;
+            case 'poison': this._applyStatus(monster, 'poisoned', potion.value); break;
+            case 'speed': this._applyStatus(monster, 'hasted', potion.value); break;
+            default: this.log(`${monster.name} is unaffected.`);
+        }
+    }
+
+    /** Leave an item on the floor, adding it to a matching pile already there. */
+    _dropAt(item, x, y) {
+        const pile = this.state.items.find(i => i.x === x && i.y === y && this._sameStack(i, item));
+        if (pile) {
+            pile.quantity += item.quantity;
+            return;
+        }
+        item.x = x;
+        item.y = y;
+        item.id = `item_${this.nextEntityId++}`;
+        this.state.items.push(item);
+    }
+
+    /** Missiles of the same kind and enchantment, and potions or scrolls of the same kind, share a stack. */
+    _sameStack(a, b) {
+        if (a.category !== b.category) return false;
+        if (a.category === 'potion') return !!a.potionKey && a.potionKey === b.potionKey;
+        if (a.category === 'scroll') return !!a.scrollKey && a.scrollKey === b.scrollKey;
+        if (a.category === 'food') return a.foodKey !== 'corpse' && a.foodKey === b.foodKey;
+        return a.slot === 'ammo' && b.slot === 'ammo' && a.equipKey === b.equipKey && a.bonus === b.bonus;
+    }
+
+    // ─── Gold & Shops ──────────────────────────────────────────────
+    /** A pile of gold for the floor. */
+    _goldItem(amount) {
+        return { category: 'gold', amount, name: `${amount} gold`, symbol: '$', color: 0xffcc33, weight: 0 };
+    }
+
+    /**
+     * What one of an item is worth in gold: its kind's `cost`, plus its
+     * charges for a wand or staff, and its bonus and ego for equipment.
+     * Cursed equipment is worthless.
+     */
+    getItemValue(item) {
+        switch (item.category) {
+            case 'gold': return item.amount;
+            case 'potion': return POTION_TYPES[item.potionKey].cost;
+            case 'scroll': return SCROLL_TYPES[item.scrollKey].cost;
+            // Nobody buys corpses
+            case 'food': return FOOD_TYPES[item.foodKey]?.cost || 0;
+            case 'device': {
+                const { cost } = DEVICE_TYPES[item.deviceKey];
+                return cost + Math.floor(cost / 20) * item.charges;
+            }
+        }
+        if (item.enchantment === 'cursed') return 0;
+        const base = (item.rarity === 'legendary' ? LEGENDARY_ITEMS : EQUIPMENT_TYPES)[item.equipKey];
+        const perBonus = item.slot === 'ammo' ? RoguelikeGame.BONUS_VALUE / 10 : RoguelikeGame.BONUS_VALUE;
+        return Math.max(0, base.cost + (item.bonus || 0) * perBonus + (EGO_ITEMS[item.ego]?.cost || 0));
+    }
+
+    /** What a shop pays for one of an item. */
+    getSellPrice(item) {
+        return Math.floor(this.getItemValue(item) * RoguelikeGame.SELL_RATE);
+    }
+
+    /** Whether the shop deals in items like this one, buying and identifying them. */
+    shopBuys(key, item) {
+        return SHOPS[key].buys.includes(RoguelikeGame.kindOf(item));
+    }
+
+    /** Open the town's shops at the entrances the generator placed, with their first stock. */
+    _openShops(entrances) {
+        const turn = Math.floor(this.state.tick / RoguelikeGame.TURN_TICKS);
+        this.state.shops = {};
+        for (const { key, x, y } of entrances) {
+            this.state.shops[key] = { x, y, stock: [], stockedAt: turn };
+            this._fillShop(key);
+        }
+    }
+
+    /** Each shop restocks once for every RESTOCK_TURNS game turns since it last did. */
+    _restockShops() {
+        const turn = Math.floor(this.state.tick / RoguelikeGame.TURN_TICKS);
+        for (const [key, shop] of Object.entries(this.state.shops || {})) {
+            const due = Math.floor((turn - shop.stockedAt) / RoguelikeGame.RESTOCK_TURNS);
+            if (due <= 0) continue;
+            for (let i = 0; i < Math.min(due, RoguelikeGame.MAX_RESTOCKS); i++) {
+                shop.stock = shop.stock.filter(() => !this.rng.chance(RoguelikeGame.RESTOCK_TURNOVER));
+                this._fillShop(key);
+            }
+            shop.stockedAt = turn;
+        }
+    }
+
+    /** Add new wares from the shop's `sells` until it has SHOP_STOCK entries (fewer if some stack). */
+    _fillShop(key) {
+        const shop = this.state.shops[key];
+        const wares = Object.entries(SHOPS[key].sells).flatMap(([table, keys]) => keys.map(k => [table, k]));
+        for (let n = shop.stock.length; n < RoguelikeGame.SHOP_STOCK; n++) {
+            const [table, ware] = this.rng.pick(wares);
+            this._stockItem(shop, this._shopItem(table, ware));
+        }
+    }
+
+    /** A new item for a shop: potions, scrolls and food a few at a time, ammunition by the bundle. */
+    _shopItem(table, key) {
+        switch (table) {
+            case 'potion': return { ...this._potionItem(key), quantity: this.rng.range(1, 5) };
+            case 'scroll': return { ...this._scrollItem(key), quantity: this.rng.range(1, 5) };
+            case 'device': return this._deviceItem(key);
+            case 'food': return { ...this._foodItem(key), quantity: this.rng.range(2, 6) };
+            default: {
+                const item = this._equipmentItem(key);
+                if (item.slot === 'ammo') item.quantity = this.rng.range(...RoguelikeGame.AMMO_STACK);
+                return item;
+            }
+        }
+    }
+
+    /** Put an item on a shop's shelves, onto a matching stack if there is one. */
+    _stockItem(shop, item) {
+        const stack = shop.stock.find(i => this._sameStack(i, item));
+        if (stack) stack.quantity += item.quantity;
+        else shop.stock.push(item);
+    }
+
+    /** Stepping onto a shop entrance goes in. */
+    _checkShop(x, y) {
+        if (this.state.map[y][x] !== TILE.SHOP) return;
+        const entry = Object.entries(this.state.shops || {}).find(([, shop]) => shop.x === x && shop.y === y);
+        if (entry) this._enterShop(entry[0]);
+    }
+
+    /** Shopkeepers know their wares, so whatever is on the shelves is identified. */
+    _enterShop(key) {
+        this.autoRun.active = false;
+        this.autoPath = [];
+        for (const item of this.state.shops[key].stock) this._identifyItem(item);
+        this.log(`🏪 You enter the ${SHOPS[key].name}.`);
+        this.notifyObservers('shop_enter', { shop: key });
+    }
+
+    /** Buy `count` of the shop's ware at `idx` at full value. Returns whether the sale went through. */
+    buyItem(key, idx, count = 1) {
+        const char = this.state.character;
+        const stock = this.state.shops?.[key]?.stock;
+        const ware = stock?.[idx];
+        if (!ware) return false;
+        const n = Math.min(Math.max(1, count), ware.quantity || 1);
+        const price = this.getItemValue(ware) * n;
+        if (price > char.gold) {
+            this.log(`💰 You cannot afford the ${ware.name}.`);
+            return false;
+        }
+        if (!this._hasRoomFor(ware)) {
+            this.log('🎒 Your pack is full.');
+            return false;
+        }
+        const burdened = this.getBurden() > 0;
+        const item = this._splitStack(stock, idx, n);
+        char.gold -= price;
+        this.log(`💰 You buy ${n > 1 ? `${n} ` : ''}${item.name} for ${price} gold.`);
+        this._addToPack(item);
+        this._noteBurden(burdened);
+        this.notifyObservers('inventory_change', {});
+        return true;
+    }
+
+    /**
+     * Sell `count` of the inventory item at `idx` to a shop that deals in
+     * it. The shopkeeper turns down worthless ones, which stay as unknown as
+     * they were, and identifies the rest. Returns whether the sale went through.
+     */
+    sellItem(key, idx, count = 1) {
+        const char = this.state.character;
+        const shop = this.state.shops?.[key];
+        const item = char.inventory[idx];
+        if (!shop || !item) return false;
+        if (!this.shopBuys(key, item)) {
+            this.log(`🏪 The ${SHOPS[key].name} does not deal in that.`);
+            return false;
+        }
+        const price = this.getSellPrice(item);
+        if (price <= 0) {
+            this.log(`🏪 The ${SHOPS[key].name} has no use for your ${item.name}.`);
+            return false;
+        }
+        const burdened = this.getBurden() > 0;
+        this._identifyItem(item);
+        const sold = this._splitStack(char.inventory, idx, count);
+        const n = sold.quantity || 1;
+        char.gold += price * n;
+        this._stockItem(shop, sold);
+        this.log(`💰 You sell ${n > 1 ? `${n} ` : ''}${sold.name} for ${price * n} gold.`);
+        this._noteBurden(burdened);
+        this.notifyObservers('inventory_change', {});
+        return true;
+    }
+
+    /** Have a shop identify the inventory item at `idx` for IDENTIFY_PRICE. Returns whether it did. */
+    identifyAtShop(key, idx) {
+        const char = this.state.character;
+        const item = char.inventory[idx];
+        if (!this.state.shops?.[key] || !item || item.identified) return false;
+        if (!this.shopBuys(key, item)) {
+            this.log(`🏪 The ${SHOPS[key].name} does not deal in that.`);
+            return false;
+        }
+        if (char.gold < RoguelikeGame.IDENTIFY_PRICE) {
+            this.log('💰 You cannot afford to have that identified.');
+            return false;
+        }
+        char.gold -= RoguelikeGame.IDENTIFY_PRICE;
+        this._identifyItem(item);
+        this.log(`🔍 It is ${item.name}.`);
+        this.notifyObservers('inventory_change', {});
+        return true;
+    }
+
+    // ─── Elements ──────────────────────────────────────────────────
+    /**
+     * How the character or a monster takes damage of an element: 'immune',
+     * 'resist', 'vulnerable' or null. Immunity from any source wins; a
+     * resistance and a vulnerability cancel out.
+     * @param {object} target - this.state.character or a monster entity
+     * @param {string} element - ELEMENTS key
+     */
+    getElementAffinity(target, element) {
+        const found = new Set(this._elementTables(target).map(table => table?.[element]));
+        if (found.has('immune')) return 'immune';
+        if (found.has('resist')) return found.has('vulnerable') ? null : 'resist';
+        return found.has('vulnerable') ? 'vulnerable' : null;
+    }
+
+    /** Every affinity table that applies: race or monster type, worn items, active effects. */
+    _elementTables(target) {
+        const tables = Object.keys(target.effects || {}).map(key => STATUS_EFFECTS[key]?.elements);
+        if (target === this.state.character) {
+            tables.push(RACES[this.charRace].elements);
+            for (const item of Object.values(target.equipment)) tables.push(item?.elements);
+        } else {
+            tables.push(MONSTER_TYPES[target.monsterType]?.elements);
+        }
+        return tables;
+    }
+
+    /** Damage after an affinity: a third when resisted, half again when vulnerable. */
+    static scaleDamage(damage, affinity) {
+        switch (affinity) {
+            case 'immune': return 0;
+            case 'resist': return Math.ceil(damage / RoguelikeGame.RESIST_DIVISOR);
+            case 'vulnerable': return Math.floor(damage * RoguelikeGame.VULNERABLE_MULTIPLIER);
+            default: return damage;
+        }
+    }
+
+    /**
+     * Scale a hit by the target's affinity for its element, say so in the log
+     * and, for monsters, remember it for the tooltip. Returns the damage to deal.
+     */
+    _elementalDamage(target, damage, element) {
+        const affinity = this.getElementAffinity(target, element);
+        if (affinity) this._logAffinity(target, element, affinity);
+        return RoguelikeGame.scaleDamage(damage, affinity);
+    }
+
+    _logAffinity(target, element, affinity) {
+        const isChar = target === this.state.character;
+        const def = ELEMENTS[element];
+        const who = isChar ? 'You' : target.name;
+        switch (affinity) {
+            case 'immune': this.log(`${def.icon} ${who} ${isChar ? 'are' : 'is'} unaffected by ${def.name.toLowerCase()}!`); break;
+            case 'resist': this.log(`${def.icon} ${who} ${isChar ? 'resist' : 'resists'} the ${def.name.toLowerCase()}.`); break;
+            case 'vulnerable': this.log(`${def.icon} ${who} ${isChar ? 'are' : 'is'} ${def.hurt}!`); break;
+        }
+        if (!isChar) {
+            const lore = this.state.monsterLore[target.monsterType] ??= {};
+            lore[element] = affinity;
+        }
+    }
+
+    /**
+     * Affinities the player knows about: all of their own, and for a monster
+     * whatever its kind has shown so far. Returns { element: affinity }.
+     */
+    getKnownAffinities(target) {
+        if (target !== this.state.character) return { ...this.state.monsterLore[target.monsterType] };
+        const known = {};
+        for (const element of Object.keys(ELEMENTS)) {
+            const affinity = this.getElementAffinity(target, element);
+            if (affinity) known[element] = affinity;
+        }
+        return known;
+    }
+
+    // ─── Status Effects ────────────────────────────────────────────
+    _hasStatus(target, key) {
+        return (target.effects?.[key] || 0) > 0;
+    }
+
+    /** Energy gained per tick, including timed speed effects and, for the character, gear and burden. */
+    _speedOf(target) {
+        let speed = target.speed;
+        for (const key in target.effects) speed += STATUS_EFFECTS[key]?.speed || 0;
+        if (target === this.state.character) {
+            speed += HUNGER_STATES[this.getHungerState()].speed || 0;
+            for (const item of Object.values(target.equipment)) speed += item?.speed || 0;
+            speed = Math.max(1, speed - this.getBurden());
+        }
+        return speed;
+    }
+
+    _isImmune(target, key) {
+        const immune = target === this.state.character
+            ? RACES[this.charRace].immune
+            : MONSTER_TYPES[target.monsterType]?.immune;
+        return !!immune?.includes(key);
+    }
+
+    /** True if the target resists or is immune to the element. */
+    _resistsElement(target, element) {
+        const affinity = this.getElementAffinity(target, element);
+        return affinity === 'resist' || affinity === 'immune';
+    }
+
+    /**
+     * Give the character or a monster a timed effect, following the effect's
+     * stacking rule. Returns false if it had no effect.
+     * @param {object} target - this.state.character or a monster entity
+     * @param {string} key - STATUS_EFFECTS key
+     * @param {number} turns - Duration in game turns
+     */
+    _applyStatus(target, key, turns) {
+        const def = STATUS_EFFECTS[key];
+        const isChar = target === this.state.character;
+        if (this._isImmune(target, key)) {
+            this.log(isChar ? 'You are unaffected!' : `${target.name} is unaffected.`);
+            return false;
+        }
+        if (def.resistedBy && this._resistsElement(target, def.resistedBy)) turns = Math.ceil(turns / 2);
+
+        target.effects ||= {};
+        const current = target.effects[key] || 0;
+        if (current > 0 && def.stack === 'none') return false;
+        const next = def.stack === 'add' ? current + turns : Math.max(current, turns);
+        target.effects[key] = Math.min(def.maxTurns, next);
+
+        if (current === 0) {
+            this.log(isChar ? `${def.icon} ${def.onApply}` : `${def.icon} ${target.name} is ${def.name.toLowerCase()}.`);
+        }
+        this.notifyObservers('status_change', { target: isChar ? 'player' : target.id, effect: key, turns: target.effects[key] });
+        return true;
+    }
+
+    /** Advance every timed effect by one game turn. */
+    _tickStatusEffects() {
+        const char = this.state.character;
+        this._tickStatus(char);
+        if (this.state.status !== 'playing') return;
+        for (const m of Object.values(this.state.entities)) {
+            if (m.type === 'monster' && m.effects && this.state.entities[m.id]) this._tickStatus(m);
+            if (this.state.status !== 'playing') return;
+        }
+    }
+
+    _tickStatus(target) {
+        const isChar = target === this.state.character;
+        for (const key of Object.keys(target.effects)) {
+            const def = STATUS_EFFECTS[key];
+            if (def.damage) {
+                target.hp -= def.damage;
+                if (target.hp <= 0) {
+                    if (isChar) this._playerDeath();
+                    else this._killMonster(target);
+                    return;
+                }
+            }
+            target.effects[key]--;
+            if (target.effects[key] <= 0) {
+                delete target.effects[key];
+                if (isChar) this.log(def.onEnd);
+                this.notifyObservers('status_change', { target: isChar ? 'player' : target.id, effect: key, turns: 0 });
+            }
+        }
+    }
+
     // ─── Monster AI ────────────────────────────────────────────────
     _processMonsterAI(monster) {
         if (!monster) return;
+        if (this._hasStatus(monster, 'confused')) { this._monsterStagger(monster); return; }
+        // An invisible player can only be sensed from close by
+        if (this._playerHiddenFrom(monster)) {
+            if (monster.ai !== 'stationary') this._monsterWander(monster);
+            return;
+        }
         const p = this.state.player;
         const dx = p.x - monster.x;
         const dy = p.y - monster.y;
         const dist = Math.abs(dx) + Math.abs(dy);
+        const adjacent = Math.max(Math.abs(dx), Math.abs(dy)) <= 1;
 
         // Wander AI
         if (monster.ai === 'wander') {
@@ -1237,11 +3109,19 @@ export class RoguelikeGame {
             }
         }
 
+        // Badly hurt monsters run, and only fight back once cornered
+        this._checkFlee(monster);
+        if (this._tryMonsterSpell(monster, adjacent)) return;
+        if (monster.ai === 'flee') {
+            if (!this._followFlow(monster, this._playerFlow(), { away: true }) && adjacent) this._monsterAttack(monster);
+            return;
+        }
+
         // Adjacent — attack
-        if (dist <= 1) { this._monsterAttack(monster); return; }
+        if (adjacent) { this._monsterAttack(monster); return; }
 
         // Special abilities at range
-        if (monster.ability === 'teleport' && dist <= 5 && Math.random() < 0.1) {
+        if (monster.ability === 'teleport' && dist <= 5 && this.rng.chance(0.1)) {
             const pos = this.findRandomFloor();
             this.state.player.x = pos.x;
             this.state.player.y = pos.y;
@@ -1249,31 +3129,261 @@ export class RoguelikeGame {
             this.log(`😵 ${monster.name} teleports you away!`);
             return;
         }
-        if (monster.ability === 'summon' && Math.random() < 0.05 && dist <= 8) {
+        if (monster.ability === 'summon' && this.rng.chance(0.05) && dist <= 8) {
             this._monsterSummon(monster);
             return;
         }
 
-        // Chase
-        const stepX = monster.x + Math.sign(dx);
-        const stepY = monster.y + Math.sign(dy);
-        if (this._canMonsterMove(stepX, stepY)) {
-            monster.x = stepX; monster.y = stepY;
-        } else if (dx !== 0 && this._canMonsterMove(monster.x + Math.sign(dx), monster.y)) {
-            monster.x += Math.sign(dx);
-        } else if (dy !== 0 && this._canMonsterMove(monster.x, monster.y + Math.sign(dy))) {
-            monster.y += Math.sign(dy);
-        } else {
+        switch (monster.ai) {
+            case 'stationary': return;
+            case 'guard': this._monsterGuard(monster); return;
+            case 'pack': this._monsterPack(monster); return;
+            default: this._monsterChase(monster);
+        }
+    }
+
+    /**
+     * Distance map toward the player, shared by every monster. Built at most
+     * once per game turn, or again if the player has moved since.
+     */
+    _playerFlow() {
+        const p = this.state.player;
+        const turn = Math.floor(this.state.tick / RoguelikeGame.TURN_TICKS);
+        const f = this._flow;
+        if (f && f.turn === turn && f.x === p.x && f.y === p.y && f.map === this.state.map) return f.dist;
+        const dist = DijkstraMap.compute(this.width, this.height, [p], (x, y) => this._isWalkable(x, y));
+        this._flow = { turn, x: p.x, y: p.y, map: this.state.map, dist };
+        return dist;
+    }
+
+    /**
+     * Step to the free neighbour that goes furthest down a distance map (or up
+     * it, with `away`). With `sidestep`, a move that keeps the distance is
+     * allowed when nothing better is free, so crowds flow round each other.
+     * `penalty(x, y)` breaks ties. Returns false if the monster stayed put.
+     */
+    _followFlow(monster, flow, { away = false, sidestep = false, penalty = () => 0 } = {}) {
+        const here = flow[monster.y][monster.x];
+        if (here === DijkstraMap.UNREACHED) return false;
+        let best = null;
+        for (const n of DijkstraMap.neighbours(flow, monster.x, monster.y)) {
+            const gain = away ? n.d - here : here - n.d;
+            if (gain < 0 || (gain === 0 && !sidestep)) continue;
+            if (!this._canMonsterMove(n.x, n.y)) continue;
+            const score = penalty(n.x, n.y) - gain * 100;
+            if (!best || score < best.score) best = { x: n.x, y: n.y, score };
+        }
+        if (!best) return false;
+        monster.x = best.x;
+        monster.y = best.y;
+        return true;
+    }
+
+    _monsterChase(monster) {
+        if (!this._followFlow(monster, this._playerFlow(), { sidestep: true })) this._monsterWander(monster);
+    }
+
+    _checkFlee(monster) {
+        const fleeAt = MONSTER_TYPES[monster.monsterType]?.fleeAt;
+        if (!fleeAt || monster.boss || monster.ai === 'flee' || monster.hp > monster.maxHp * fleeAt) return;
+        monster.ai = 'flee';
+        if (this.canSeeMonster(monster)) this.log(`😱 ${monster.name} turns to flee!`);
+    }
+
+    /**
+     * Pack hunters spread out to close in from several sides. While the
+     * player holds a corridor they hang back out of sight instead of
+     * queueing up to be fought one at a time.
+     */
+    _monsterPack(monster) {
+        const p = this.state.player;
+        const seen = this.state.visibility[monster.y]?.[monster.x];
+        const exits = RoguelikeGame.DIRECTIONS.filter(([dx, dy]) => this._isWalkable(p.x + dx, p.y + dy)).length;
+        if (!seen && exits <= 2) return;
+
+        const packmates = Object.values(this.state.entities)
+            .filter(e => e.type === 'monster' && e !== monster && e.ai === 'pack');
+        const crowding = (x, y) => packmates.filter(m => Math.max(Math.abs(m.x - x), Math.abs(m.y - y)) <= 1).length;
+        if (!this._followFlow(monster, this._playerFlow(), { sidestep: true, penalty: crowding })) {
             this._monsterWander(monster);
         }
     }
 
+    /** Guards hunt the player only around their post, and otherwise walk back to it. */
+    _monsterGuard(monster) {
+        const home = monster.home;
+        const p = this.state.player;
+        if (!home || this._inGuardZone(home, p.x, p.y)) { this._monsterChase(monster); return; }
+        if (monster.x === home.x && monster.y === home.y) return;
+        this._followFlow(monster, this._postFlow(home), { sidestep: true });
+    }
+
+    /**
+     * Distance map back to a guard post. It depends only on the post and the
+     * level map, so each post's is built once and kept until the level changes.
+     */
+    _postFlow(home) {
+        if (this._postFlows?.map !== this.state.map) this._postFlows = { map: this.state.map, byPost: new Map() };
+        const key = `${home.x},${home.y}`;
+        let dist = this._postFlows.byPost.get(key);
+        if (!dist) {
+            dist = DijkstraMap.compute(this.width, this.height, [home], (x, y) => this._isWalkable(x, y));
+            this._postFlows.byPost.set(key, dist);
+        }
+        return dist;
+    }
+
+    /** Where a guard keeps watch: its spawn tile and the room around it (-1 outside any room). */
+    _guardPost(x, y) {
+        const room = this.rooms.findIndex(r => x >= r.x && x < r.x + r.w && y >= r.y && y < r.y + r.h);
+        return { x, y, room };
+    }
+
+    /** The guarded room including its walls and doorways, or a radius round a post in the open. */
+    _inGuardZone(home, x, y) {
+        const room = this.rooms[home.room];
+        if (room) return x >= room.x - 1 && x <= room.x + room.w && y >= room.y - 1 && y <= room.y + room.h;
+        return Math.max(Math.abs(x - home.x), Math.abs(y - home.y)) <= RoguelikeGame.GUARD_RADIUS;
+    }
+
+    // ─── Monster Spells ────────────────────────────────────────────
+    /**
+     * Maybe cast one of the monster's MONSTER_SPELLS. Cooldowns count down
+     * on the monster's own turns. Returns true if the turn went on a spell.
+     */
+    _tryMonsterSpell(monster, adjacent) {
+        const type = MONSTER_TYPES[monster.monsterType];
+        if (!type?.spells) return false;
+        const cd = monster.spellCooldowns ??= {};
+        for (const key in cd) if (cd[key] > 0) cd[key]--;
+        if (!this.rng.chance(type.spellChance ?? RoguelikeGame.MONSTER_SPELL_CHANCE)) return false;
+
+        const p = this.state.player;
+        const range = Math.max(Math.abs(p.x - monster.x), Math.abs(p.y - monster.y));
+        const inSight = this._hasLineOfSight(monster.x, monster.y, p.x, p.y);
+        const usable = type.spells.filter(key => {
+            const spell = MONSTER_SPELLS[key];
+            if (cd[key] > 0) return false;
+            switch (spell.kind) {
+                case 'heal': return monster.hp < monster.maxHp / 2;
+                case 'blink': return monster.ai === 'flee' || !adjacent;
+                case 'bolt': return !adjacent && inSight && range <= spell.range && this._clearShot(monster, p);
+                case 'breath': return inSight && range <= spell.range;
+                case 'blind': return inSight && range <= spell.range && !this._hasStatus(this.state.character, 'blinded');
+                default: return false;
+            }
+        });
+        if (usable.length === 0) return false;
+        const key = this.rng.pick(usable);
+        cd[key] = MONSTER_SPELLS[key].cooldown;
+        this._castMonsterSpell(monster, key, MONSTER_SPELLS[key]);
+        return true;
+    }
+
+    /** No other monster stands between the caster and the target. */
+    _clearShot(from, to) {
+        return this._lineBetween(from.x, from.y, to.x, to.y).slice(0, -1).every(t => !this._getMonsterAt(t.x, t.y));
+    }
+
+    _castMonsterSpell(monster, key, spell) {
+        const p = this.state.player;
+        const who = this.canSeeMonster(monster) ? monster.name : 'Something';
+        const event = { spell: key, caster: monster.id, color: spell.color };
+        switch (spell.kind) {
+            case 'bolt': {
+                this.log(`${spell.icon} ${who} casts ${spell.name}!`);
+                const tiles = this._lineBetween(monster.x, monster.y, p.x, p.y);
+                this.notifyObservers('spell_cast', { ...event, type: 'line', tiles, startX: monster.x, startY: monster.y });
+                this._spellHitPlayer(monster, spell, spell.damage + this.rng.int(Math.ceil(spell.damage / 2)));
+                break;
+            }
+            case 'breath': {
+                this.log(`${spell.icon} ${who} breathes ${spell.element}!`);
+                const tiles = this._breathCone(monster, p, spell.range);
+                const damage = Math.min(spell.maxDamage, Math.max(1, Math.floor(monster.hp / spell.hpDivisor)));
+                this.notifyObservers('spell_cast', { ...event, type: 'aoe', x: p.x, y: p.y, radius: 1, tiles });
+                // Anything else in the cone gets caught too
+                for (const t of tiles) {
+                    const other = this._getMonsterAt(t.x, t.y);
+                    if (other && other !== monster) this._spellHitMonster(other, spell, damage, false);
+                }
+                this._spellHitPlayer(monster, spell, damage);
+                break;
+            }
+            case 'blink': {
+                const here = Math.max(Math.abs(p.x - monster.x), Math.abs(p.y - monster.y));
+                const spots = [];
+                for (let dy = -spell.range; dy <= spell.range; dy++) {
+                    for (let dx = -spell.range; dx <= spell.range; dx++) {
+                        const x = monster.x + dx, y = monster.y + dy;
+                        if (!this._canMonsterMove(x, y)) continue;
+                        const there = Math.max(Math.abs(p.x - x), Math.abs(p.y - y));
+                        // Away when fleeing, otherwise closer in
+                        if (monster.ai === 'flee' ? there > here : there < here) spots.push({ x, y });
+                    }
+                }
+                if (spots.length === 0) break;
+                const spot = this.rng.pick(spots);
+                this.notifyObservers('spell_cast', { ...event, type: 'self', x: monster.x, y: monster.y });
+                monster.x = spot.x;
+                monster.y = spot.y;
+                this.log(`${spell.icon} ${who} blinks!`);
+                break;
+            }
+            case 'heal': {
+                const amount = Math.max(1, Math.floor(monster.maxHp * spell.healFraction));
+                monster.hp = Math.min(monster.maxHp, monster.hp + amount);
+                this.log(`${spell.icon} ${who} looks healthier.`);
+                this.notifyObservers('spell_cast', { ...event, type: 'self', x: monster.x, y: monster.y });
+                // Healed enough to stop running
+                const type = MONSTER_TYPES[monster.monsterType];
+                if (monster.ai === 'flee' && monster.hp > monster.maxHp * type.fleeAt) monster.ai = type.ai;
+                break;
+            }
+            case 'blind':
+                this.log(`${spell.icon} ${who} casts ${spell.name}!`);
+                this.notifyObservers('spell_cast', { ...event, type: 'self', x: p.x, y: p.y });
+                this._applyStatus(this.state.character, 'blinded', spell.turns);
+                this.updateVisibility();
+                break;
+        }
+    }
+
+    /** Tiles within `range` of `from` in a 60° cone toward `to`, that `from` can see. */
+    _breathCone(from, to, range) {
+        const ax = to.x - from.x, ay = to.y - from.y;
+        const aLen = Math.hypot(ax, ay);
+        const tiles = [];
+        for (let y = from.y - range; y <= from.y + range; y++) {
+            for (let x = from.x - range; x <= from.x + range; x++) {
+                if (x < 0 || y < 0 || x >= this.width || y >= this.height || (x === from.x && y === from.y)) continue;
+                const bx = x - from.x, by = y - from.y;
+                if ((ax * bx + ay * by) / (aLen * Math.hypot(bx, by)) < Math.cos(Math.PI / 6)) continue;
+                if (this._blocksSight(x, y) || !this._hasLineOfSight(from.x, from.y, x, y)) continue;
+                tiles.push({ x, y });
+            }
+        }
+        return tiles;
+    }
+
+    /** Damage from a monster spell, scaled by the character's affinity for its element. */
+    _spellHitPlayer(monster, spell, damage) {
+        const char = this.state.character;
+        damage = this._elementalDamage(char, damage, spell.element);
+        if (damage === 0) return;
+        char.hp -= damage;
+        this.log(`${spell.icon} You take ${damage} ${spell.element} damage!`);
+        this.notifyObservers('combat', { type: 'monster_attack', attacker: monster.id, damage });
+        if (char.hp <= 0) { this._playerDeath(); return; }
+        if (spell.status) this._applyStatus(char, spell.status.key, spell.status.turns);
+    }
+
     _monsterSummon(monster) {
         const eligible = Object.entries(MONSTER_TYPES)
             .filter(([, m]) => m.minLevel <= this.state.currentLevel && !m.boss)
             .map(([key, m]) => ({ key, ...m }));
         if (eligible.length === 0) return;
-        const type = eligible[Math.floor(Math.random() * eligible.length)];
+        const type = this.rng.pick(eligible);
         // Spawn adjacent to summoner
         for (const [ddx, ddy] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
             const sx = monster.x + ddx;
@@ -1296,15 +3406,23 @@ export class RoguelikeGame {
     }
 
     _monsterWander(monster) {
-        if (Math.random() < 0.3) {
+        if (this.rng.chance(0.3)) {
             const dirs = [[0, 1], [0, -1], [1, 0], [-1, 0]];
-            const dir = dirs[Math.floor(Math.random() * dirs.length)];
+            const dir = this.rng.pick(dirs);
             const nx = monster.x + dir[0];
             const ny = monster.y + dir[1];
             if (this._canMonsterMove(nx, ny)) { monster.x = nx; monster.y = ny; }
         }
     }
 
+    /** A confused monster lurches in a random direction. */
+    _monsterStagger(monster) {
+        const [dx, dy] = this.rng.pick(RoguelikeGame.DIRECTIONS);
+        const nx = monster.x + dx;
+        const ny = monster.y + dy;
+        if (this._canMonsterMove(nx, ny)) { monster.x = nx; monster.y = ny; }
+    }
+
     _canMonsterMove(x, y) {
         if (!this._isWalkable(x, y)) return false;
         const p = this.state.player;
@@ -1312,6 +3430,189 @@ export class RoguelikeGame {
         return !Object.values(this.state.entities).some(e => e.type === 'monster' && e.x === x && e.y === y);
     }
 
+    // ─── Save / Load ───────────────────────────────────────────────
+    /**
+     * Snapshot the full game into a plain JSON-safe object.
+     * `state.player` is stored by id, since it is the same object as its entity.
+     */
+    serialize() {
+        const { player, visibility, ...state } = this.state;
+        return JSON.parse(JSON.stringify({
+            version: RoguelikeGame.SAVE_VERSION,
+            savedAt: Date.now(),
+            seed: this.seed,
+            rngState: this.rng.getState(),
+            width: this.width,
+            height: this.height,
+            charRace: this.charRace,
+            charClass: this.charClass,
+            nextEntityId: this.nextEntityId,
+            flavours: this.flavours,
+            knownFlavours: Object.fromEntries(Object.entries(this.knownFlavours).map(([kind, keys]) => [kind, [...keys]])),
+            rooms: this.rooms,
+            traps: this.traps,
+            secretDoors: this.secretDoors,
+            corridors: this.corridors,
+            roomGraph: this.roomGraph,
+            levelCache: this.levelCache,
+            gameLog: this.gameLog,
+            state: { ...state, playerId: player ? player.id : null },
+        }));
+    }
+
+    /**
+     * Rebuild a game from serialize() output (object or JSON string).
+     * @param {object|string} data - Save data
+     * @param {object} [config] - Extra constructor config (e.g. headless options)
+     * @returns {RoguelikeGame}
+     */
+    static deserialize(data, config = {}) {
+        const save = typeof data === 'string' ? JSON.parse(data) : data;
+        if (!save || typeof save.version !== 'number') {
+            throw new Error('Invalid save data: missing version');
+        }
+        if (save.version > RoguelikeGame.SAVE_VERSION) {
+            throw new Error(`Save version ${save.version} is newer than supported (${RoguelikeGame.SAVE_VERSION})`);
+        }
+        // v1 → v2: level cache added
+        if (save.version < 2) save.levelCache = {};
+        // v2 → v3: class spellbooks replace the four universal spells
+        if (save.version < 3) {
+            const char = save.state.character;
+            char.spells = RoguelikeGame.knownSpellsAt(save.charClass, char.level);
+            char.spellCooldowns = Object.fromEntries(char.spells.map(k => [k, 0]));
+        }
+        // v3 → v4: timed status effects; speed potions used to be permanent
+        if (save.version < 4) {
+            save.state.character.effects = {};
+            save.state.character.speed = 10;
+        }
+        // v4 → v5: light radius replaces the fixed sight range
+        if (save.version < 5) delete save.state.sightRange;
+        // v5 → v6: monster element lore
+        if (save.version < 6) save.state.monsterLore = {};
+        // v6 → v7: launcher and quiver slots
+        if (save.version < 7) {
+            const equipment = save.state.character.equipment;
+            equipment.launcher ??= null;
+            equipment.ammo ??= null;
+        }
+        // v7 → v8: helm, shield, cloak, gloves, boots, amulet, second ring and light slots
+        if (save.version < 8) {
+            const char = save.state.character;
+            char.equipment = { ...RoguelikeGame.emptyEquipment(), ...char.equipment };
+        }
+        // v8 → v9: a single `special` becomes a `specials` list, and legendaries gain their slays
+        if (save.version < 9) {
+            const char = save.state.character;
+            const levels = [save.state, ...Object.values(save.levelCache)];
+            const items = [...Object.values(char.equipment), ...char.inventory, ...levels.flatMap(l => l.items)];
+            for (const item of items) {
+                if (!item || item.category !== 'equipment') continue;
+                const base = (item.rarity === 'legendary' ? LEGENDARY_ITEMS : EQUIPMENT_TYPES)[item.equipKey];
+                if (base?.specials) item.specials = base.specials;
+                if (base?.slay) item.slay = base.slay;
+                delete item.special;
+            }
+        }
+
+        // v9 → v10: potions and scrolls stack, and every item has a weight
+        if (save.version < 10) {
+            const char = save.state.character;
+            const levels = [save.state, ...Object.values(save.levelCache)];
+            const items = [...Object.values(char.equipment), ...char.inventory, ...levels.flatMap(l => l.items)];
+            for (const item of items) {
+                if (item?.category === 'potion') {
+                    item.quantity ??= 1;
+                    item.weight = POTION_TYPES[item.potionKey]?.weight;
+                } else if (item?.category === 'scroll') {
+                    item.quantity ??= 1;
+                    item.weight = SCROLL_TYPES[item.scrollKey]?.weight;
+                } else if (item?.category === 'equipment') {
+                    const base = (item.rarity === 'legendary' ? LEGENDARY_ITEMS : EQUIPMENT_TYPES)[item.equipKey];
+                    item.weight = base?.weight || 0;
+                }
+            }
+        }
+
+        // v10 → v11: scrolls and rings get flavours too. Kinds the save already
+        // shows by name stay known; the rest are dealt when the game is made.
+        if (save.version < 11) {
+            const char = save.state.character;
+            const levels = [save.state, ...Object.values(save.levelCache)];
+            const items = [...Object.values(char.equipment), ...char.inventory, ...levels.flatMap(l => l.items)];
+            save.flavours = { potion: save.potionIdentity };
+            save.knownFlavours = {
+                potion: save.identifiedPotions,
+                scroll: [...new Set(items.filter(i => i?.category === 'scroll').map(i => i.scrollKey))],
+                ring: [...new Set(items.filter(i => i?.slot === 'ring' && i.rarity !== 'legendary').map(i => i.equipKey))],
+            };
+            delete save.potionIdentity;
+            delete save.identifiedPotions;
+        }
+
+        // v11 → v12: gold and the town. Depth 1 gets the up staircase it now has.
+        if (save.version < 12) {
+            save.state.character.gold ??= 0;
+            save.state.shops ??= null;
+            if (save.state.currentLevel === 1) {
+                save.state.stairsUp ??= RoguelikeGame._firstFloorIn(save.state.map, save.rooms[0]);
+            } else if (save.levelCache[1]) {
+                const depth1 = save.levelCache[1];
+                depth1.stairsUp ??= RoguelikeGame._firstFloorIn(depth1.map, depth1.rooms[0]);
+            }
+        }
+        // v12 → v13: the food counter
+        if (save.version < 13) save.state.character.food ??= RoguelikeGame.STARTING_FOOD;
+
+        const game = new RoguelikeGame({
+            ...config,
+            width: save.width, height: save.height,
+            race: save.charRace, class: save.charClass, name: save.state.character.name,
+            seed: save.seed, autoStart: false,
+        });
+        game._applySave(save);
+        // Finished runs (dead/won) stay finished
+        if (game.state.status === 'playing') game.startLoop();
+        return game;
+    }
+
+    _applySave(save) {
+        this.rng.setState(save.rngState);
+        this.nextEntityId = save.nextEntityId;
+        // Flavours a save predates keep the ones this game dealt itself, kind by kind:
+        // a version 11 save's wand table is empty, as it had no wands yet
+        for (const kind in this.flavours) this.flavours[kind] = { ...this.flavours[kind], ...save.flavours[kind] };
+        for (const kind in this.knownFlavours) this.knownFlavours[kind] = new Set(save.knownFlavours[kind]);
+        this.rooms = save.rooms;
+        this.traps = save.traps;
+        this.secretDoors = save.secretDoors;
+        this.corridors = save.corridors || [];
+        this.roomGraph = save.roomGraph || [];
+        this.levelCache = save.levelCache;
+        this.gameLog = save.gameLog || [];
+
+        const { playerId, ...state } = save.state;
+        this.state = {
+            ...state,
+            visibility: Array.from({ length: this.height }, () => Array(this.width).fill(0)),
+            player: playerId ? state.entities[playerId] : null,
+        };
+        this.autoRun = { active: false, dx: 0, dy: 0 };
+        this.autoPath = [];
+        this.updateVisibility();
+    }
+
+    /** An up staircase on the first plain floor tile of a room, for saves that predate one. */
+    static _firstFloorIn(map, room) {
+        for (let y = room.y; y < room.y + room.h; y++) {
+            for (let x = room.x; x < room.x + room.w; x++) {
+                if (map[y][x] === TILE.FLOOR) return { x, y, direction: 'up' };
+            }
+        }
+        return null;
+    }
+
     // ─── Utility ───────────────────────────────────────────────────
     _getMonsterAt(x, y) {
         return Object.values(this.state.entities).find(e => e.type === 'monster' && e.x === x && e.y === y);
@@ -1348,6 +3649,10 @@ export class RoguelikeGame {
     static getRaces() { return RACES; }
     static getClasses() { return CLASSES; }
     static getSpells() { return SPELLS; }
+    static getStatusEffects() { return STATUS_EFFECTS; }
+    static getEquipmentSlots() { return EQUIPMENT_SLOTS; }
     static getMonsterTypes() { return MONSTER_TYPES; }
     static getLevelThemes() { return LEVEL_THEMES; }
+    static getShops() { return SHOPS; }
+    static getHungerStates() { return HUNGER_STATES; }
 }
@@ -0,0 +1,113 @@
+/**
+ * SaveManager.js
+ * Browser-side persistence for RoguelikeGame: localStorage slot, autosave,
+ * and JSON file export/import. The engine itself stays DOM-free and only
+ * provides serialize() / RoguelikeGame.deserialize().
+ */
+import { RoguelikeGame } from './RoguelikeGame.js';
+
+export class SaveManager {
+    static STORAGE_KEY = 'tomenet3d.save';
+
+    static hasSave() {
+        try {
+            return localStorage.getItem(SaveManager.STORAGE_KEY) !== null;
+        } catch {
+            return false;
+        }
+    }
+
+    /** Write the game to the localStorage slot. Returns false if storage is unavailable/full. */
+    static save(game) {
+        try {
+            localStorage.setItem(SaveManager.STORAGE_KEY, JSON.stringify(game.serialize()));
+            return true;
+        } catch (err) {
+            console.warn('Save failed:', err);
+            return false;
+        }
+    }
+
+    /** Raw save object from localStorage, or null. */
+    static read() {
+        try {
+            const json = localStorage.getItem(SaveManager.STORAGE_KEY);
+            return json ? JSON.parse(json) : null;
+        } catch (err) {
+            console.warn('Corrupt save discarded:', err);
+            return null;
+        }
+    }
+
+    /**
+     * Restore the saved game, or null if there is none / it cannot be loaded.
+     * @param {object} [config] - Extra RoguelikeGame config
+     */
+    static load(config = {}) {
+        const save = SaveManager.read();
+        if (!save) return null;
+        try {
+            return RoguelikeGame.deserialize(save, config);
+        } catch (err) {
+            console.warn('Save could not be restored:', err);
+            return null;
+        }
+    }
+
+    /** Store already-parsed save data (e.g. from an imported file) in the slot. */
+    static store(save) {
+        localStorage.setItem(SaveManager.STORAGE_KEY, JSON.stringify(save));
+    }
+
+    static clear() {
+        try {
+            localStorage.removeItem(SaveManager.STORAGE_KEY);
+        } catch {
+            // Storage unavailable — nothing to clear
+        }
+    }
+
+    /**
+     * Autosave once the turn that changed level has finished, and drop the
+     * save when the run ends (permadeath).
+     */
+    static attachAutosave(game) {
+        let pending = false;
+        game.subscribe((event) => {
+            if (event === 'level_change') {
+                pending = true;
+            } else if (event === 'tick' && pending) {
+                pending = false;
+                if (SaveManager.save(game)) game.log('💾 Game saved.');
+            } else if (event === 'game_over') {
+                SaveManager.clear();
+            }
+        });
+    }
+
+    /** Download the current game as a JSON file. */
+    static exportToFile(game) {
+        const save = game.serialize();
+        const blob = new Blob([JSON.stringify(save, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `tomenet3d-${save.seed}-depth${save.state.currentLevel}.json`;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Read and validate a save file chosen by the user.
+     * @param {File} file
+     * @returns {Promise<object>} Parsed save data
+     */
+    static async importFromFile(file) {
+        const save = JSON.parse(await file.text());
+        // Throws on bad/unsupported data before we overwrite the current slot
+        RoguelikeGame.deserialize(save, { headless: true });
+        return save;
+    }
+}
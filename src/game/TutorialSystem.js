@@ -40,7 +40,7 @@ export class TutorialSystem {
             spells: {
                 id: 'spells',
                 title: 'Magic',
-                text: 'You can cast spells using number keys <b>1-4</b>. <br><br>1: Fireball (Damage)<br>2: Heal (Restore HP)<br>3: Lightning (Line Attack)<br>4: Frost Nova (Area Slow)',
+                text: 'You can cast spells using number keys <b>1-9</b> or by clicking the spell bar. <br><br>Each class has its own spellbook and learns new spells as it gains levels. Spells cost mana and have a cooldown.',
                 trigger: 'level_2_or_mana_full', // simplified trigger logic
                 action: 'close'
             },
@@ -0,0 +1,138 @@
+/**
+ * vaults.js
+ * Prefab vaults and secret rooms, drawn as ASCII. `glyphs` maps each glyph to
+ * what it stamps; see DungeonGenerator.parsePrefabs() for the vault fields.
+ * Plain data: adding a vault needs no code.
+ */
+export const VAULT_DATA = {
+    glyphs: {
+        '#': 'wall',
+        '.': 'floor',
+        '+': 'door',
+        '%': 'secretDoor',
+        '^': 'trap',
+        '$': 'item',
+        '&': 'guard',
+        ' ': 'keep',
+    },
+    vaults: [
+        {
+            name: 'Lesser Treasury',
+            kind: 'vault',
+            minDepth: 1,
+            maxDepth: 15,
+            rarity: 'common',
+            rows: [
+                '#######',
+                '#$.&.$#',
+                '#.....+',
+                '#$.&.$#',
+                '#######',
+            ],
+        },
+        {
+            name: 'Orc Barracks',
+            kind: 'vault',
+            minDepth: 3,
+            maxDepth: 8,
+            rarity: 'uncommon',
+            monsters: { o: 'hillOrc' },
+            rows: [
+                '#########',
+                '#o.o.o.$#',
+                '+.......#',
+                '#o.o.o.$#',
+                '#########',
+            ],
+        },
+        {
+            name: 'Checkerboard Crypt',
+            kind: 'vault',
+            minDepth: 4,
+            maxDepth: 15,
+            rarity: 'rare',
+            monsters: { w: 'wight' },
+            rows: [
+                '#########',
+                '#$#.#.#$#',
+                '#.w...w.#',
+                '%...$...#',
+                '#.&.^.&.#',
+                '#$#.#.#$#',
+                '#########',
+            ],
+        },
+        {
+            name: 'Inner Sanctum',
+            kind: 'vault',
+            minDepth: 6,
+            maxDepth: 15,
+            rarity: 'rare',
+            rows: [
+                '#########',
+                '#.^.....#',
+                '#.#####.#',
+                '#.#$$$#.#',
+                '#.#$&$#.#',
+                '#.##%##.#',
+                '#...&...#',
+                '####+####',
+            ],
+        },
+        {
+            name: "Dragon's Hoard",
+            kind: 'vault',
+            minDepth: 9,
+            maxDepth: 15,
+            rarity: 'epic',
+            monsters: { D: 'ancientDragon' },
+            rows: [
+                '##########',
+                '#$$.^..$$#',
+                '#$..D...$#',
+                '#$......$#',
+                '####++####',
+            ],
+        },
+        {
+            name: 'Hidden Cache',
+            kind: 'secret',
+            minDepth: 2,
+            maxDepth: 15,
+            rarity: 'common',
+            rows: [
+                '$.$',
+                '...',
+                '$^$',
+            ],
+        },
+        {
+            name: 'Forgotten Shrine',
+            kind: 'secret',
+            minDepth: 3,
+            maxDepth: 15,
+            rarity: 'uncommon',
+            rows: [
+                '.....',
+                '.#$#.',
+                '.$&$.',
+                '.#$#.',
+                '.....',
+            ],
+        },
+        {
+            name: 'Ossuary',
+            kind: 'secret',
+            minDepth: 5,
+            maxDepth: 12,
+            rarity: 'uncommon',
+            monsters: { s: 'skeleton' },
+            rows: [
+                's...s',
+                '.$.$.',
+                '.$.$.',
+                's...s',
+            ],
+        },
+    ],
+};
@@ -1,6 +1,6 @@
 import { test, expect } from '@playwright/test';
 
-test.describe('Olloid\'s Journey - Game Tests', () => {
+test.describe('TomeNet 3D - Game Tests', () => {
 
     test('game page loads without errors', async ({ page }) => {
         const consoleErrors = [];
@@ -33,34 +33,43 @@ test.describe('Olloid\'s Journey - Game Tests', () => {
 
     test('HUD panel is visible with game title', async ({ page }) => {
         await page.goto('/');
-        const title = page.locator('h1');
-        await expect(title).toContainText("Olloid's Journey");
+        const title = page.locator('#game-title');
+        await expect(title).toContainText('TomeNet 3D');
     });
 
-    test('status display updates with tick info', async ({ page }) => {
+    test('character panel shows HP and depth', async ({ page }) => {
         await page.goto('/');
-        const status = page.locator('#status');
-        await expect(status).toBeVisible();
-
-        // Wait for at least one tick (game loop runs every 1 second)
-        await page.waitForTimeout(2000);
-
-        const statusText = await status.textContent();
-        expect(statusText).toContain('Tick:');
+        await expect(page.locator('#char-panel')).toBeVisible();
+        await expect(page.locator('#hp-text')).toContainText('/');
+        await expect(page.locator('#level-indicator .depth')).toHaveText('1');
     });
 
     test('WASD controls queue movement actions', async ({ page }) => {
         await page.goto('/');
-        await page.waitForTimeout(1500); // Wait for game to initialize
+        await page.click('#create-start-btn');
+        await page.waitForFunction(() => window.game && window.tutorial);
+        // Dismiss the intro tutorial, which blocks input
+        await page.evaluate(() => { window.tutorial.currentStep = null; });
 
-        // Press W to move up
+        const tickBefore = await page.evaluate(() => window.game.state.tick);
         await page.keyboard.press('w');
-        await page.waitForTimeout(1200); // Wait for next tick
+        await page.keyboard.press('d');
+        await page.keyboard.press('s');
 
-        const status = page.locator('#status');
-        const statusText = await status.textContent();
-        // Status should show tick count > 0, confirming game is running
-        expect(statusText).toMatch(/Tick: [1-9]/);
+        const tickAfter = await page.evaluate(() => window.game.state.tick);
+        expect(tickAfter).toBeGreaterThan(tickBefore);
+    });
+
+    test('character creation starts the game with the chosen hero', async ({ page }) => {
+        await page.goto('/');
+        await page.fill('#create-name', 'Tester');
+        await page.locator('#create-races .create-option', { hasText: 'Dwarf' }).click();
+        await page.locator('#create-classes .create-option', { hasText: 'Priest' }).click();
+        await page.click('#create-start-btn');
+        await page.waitForFunction(() => window.game);
+
+        await expect(page.locator('#char-name')).toHaveText('Tester');
+        await expect(page.locator('#char-info')).toContainText('Dwarf Priest');
     });
 
     test('game canvas has correct dimensions', async ({ page }) => {
@@ -75,10 +84,10 @@ test.describe('Olloid\'s Journey - Game Tests', () => {
 
     test('controls instructions are visible', async ({ page }) => {
         await page.goto('/');
-        const controls = page.locator('.controls');
+        const controls = page.locator('#controls-help');
         await expect(controls).toBeVisible();
         await expect(controls).toContainText('W');
-        await expect(controls).toContainText('Golden Gomboc');
+        await expect(controls).toContainText('Descend');
     });
 
     test('screenshot - game loaded state', async ({ page }) => {
@@ -0,0 +1,145 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DijkstraMap } from '../../src/game/DijkstraMap.js';
+import { TILE } from '../../src/game/GameData.js';
+import { createGame, makeArena, addMonster, fixRolls } from './helpers.js';
+
+/** Pass `turns` normal-speed game turns by waiting. */
+function waitTurns(game, turns) {
+    for (let i = 0; i < turns && game.state.status === 'playing'; i++) game.queueAction('wait');
+}
+
+function sturdyArena(x, y) {
+    const game = makeArena(createGame({ width: 30, height: 20 }), x, y);
+    const char = game.state.character;
+    char.hp = char.maxHp = 1000;
+    return game;
+}
+
+test('distance maps flow around walls', () => {
+    const walls = ['#####', '#...#', '#.#.#', '#.#.#', '#####'];
+    const dist = DijkstraMap.compute(5, 5, [{ x: 1, y: 3 }], (x, y) => walls[y][x] !== '#');
+    assert.equal(dist[3][1], 0);
+    assert.equal(dist[3][3], 4);
+    assert.equal(dist[2][2], DijkstraMap.UNREACHED);
+    assert.deepEqual(DijkstraMap.neighbours(dist, 3, 3).map(n => n.d), [3]);
+});
+
+test('chasers find their way round a wall instead of sticking to it', () => {
+    const game = sturdyArena(5, 10);
+    // A wall between monster and player, open only at the top
+    for (let y = 4; y < game.height - 1; y++) game.state.map[y][10] = TILE.WALL;
+    const monster = addMonster(game, 15, 10, { atk: 0 });
+    fixRolls(game);
+    waitTurns(game, 20);
+    assert.ok(Math.max(Math.abs(monster.x - 5), Math.abs(monster.y - 10)) <= 1, `stuck at ${monster.x},${monster.y}`);
+});
+
+test('monsters attack from a diagonal', () => {
+    const game = sturdyArena(5, 5);
+    const monster = addMonster(game, 6, 6, { atk: 50 });
+    fixRolls(game, { value: 5 });
+    waitTurns(game, 1);
+    assert.deepEqual([monster.x, monster.y], [6, 6]);
+    assert.ok(game.state.character.hp < 1000);
+});
+
+test('one distance map is shared by every monster in a turn', () => {
+    const game = sturdyArena(5, 5);
+    for (let i = 0; i < 5; i++) addMonster(game, 20 + i, 15);
+    const compute = DijkstraMap.compute;
+    let calls = 0;
+    DijkstraMap.compute = (...args) => { calls++; return compute(...args); };
+    try {
+        waitTurns(game, 1);
+    } finally {
+        DijkstraMap.compute = compute;
+    }
+    assert.equal(calls, 1);
+});
+
+test('badly hurt monsters flee, and fight once cornered', () => {
+    const game = sturdyArena(10, 10);
+    const monster = addMonster(game, 12, 10, { monsterType: 'kobold', hp: 2, maxHp: 20, atk: 50 });
+    fixRolls(game, { value: 5 });
+    waitTurns(game, 3);
+    assert.equal(monster.ai, 'flee');
+    assert.ok(monster.x > 12);
+    assert.equal(game.state.character.hp, 1000);
+
+    // Backed into a corner next to the player
+    const cornered = addMonster(game, 1, 1, { monsterType: 'kobold', hp: 2, maxHp: 20, atk: 50 });
+    game.state.player.x = 2;
+    game.state.player.y = 2;
+    waitTurns(game, 1);
+    assert.deepEqual([cornered.x, cornered.y], [1, 1]);
+    assert.ok(game.state.character.hp < 1000);
+});
+
+test('stationary monsters never move', () => {
+    const game = sturdyArena(5, 5);
+    const eye = addMonster(game, 8, 5, { monsterType: 'floatingEye', ai: 'stationary' });
+    waitTurns(game, 5);
+    assert.deepEqual([eye.x, eye.y], [8, 5]);
+});
+
+test('guards keep to their room and walk back to their post', () => {
+    const game = sturdyArena(3, 10);
+    // Guarded room on the right, joined by a doorway
+    for (let y = 1; y < game.height - 1; y++) game.state.map[y][15] = TILE.WALL;
+    game.state.map[10][15] = TILE.FLOOR;
+    game.rooms = [{ x: 1, y: 1, w: 14, h: 18 }, { x: 16, y: 1, w: 13, h: 18 }];
+    const guard = addMonster(game, 20, 10, { ai: 'guard', home: { x: 22, y: 10, room: 1 } });
+    waitTurns(game, 10);
+    assert.ok(guard.x >= 16, 'stays in its room');
+    assert.deepEqual([guard.x, guard.y], [22, 10], 'goes back to its post');
+
+    // Step into the room and it comes for you
+    game.state.player.x = 17;
+    game.state.player.y = 10;
+    waitTurns(game, 6);
+    assert.ok(Math.max(Math.abs(guard.x - 17), Math.abs(guard.y - 10)) <= 1);
+});
+
+test('a guard walking back reuses the map to its post until the level changes', () => {
+    const game = sturdyArena(3, 10);
+    const home = { x: 22, y: 10, room: -1 };
+    const guard = addMonster(game, 14, 10, { ai: 'guard', home });
+    const compute = DijkstraMap.compute;
+    const flows = [];
+    DijkstraMap.compute = (w, h, sources, ...rest) => {
+        const dist = compute(w, h, sources, ...rest);
+        if (sources[0] === home) flows.push(dist);
+        return dist;
+    };
+    try {
+        waitTurns(game, 2);
+        assert.equal(guard.x, 16, 'moved twice');
+        assert.equal(flows.length, 1);
+        assert.equal(game._postFlow(home), flows[0]);
+        game.generateLevel(2);
+        assert.notEqual(game._postFlow(home), flows[0]);
+    } finally {
+        DijkstraMap.compute = compute;
+    }
+});
+
+test('packs hang back while the player holds a corridor, and close in on open ground', () => {
+    const game = sturdyArena(5, 10);
+    // A corridor: walls above and below the player
+    for (let x = 1; x < 12; x++) {
+        game.state.map[9][x] = TILE.WALL;
+        game.state.map[11][x] = TILE.WALL;
+    }
+    game.updateVisibility();
+    const warg = addMonster(game, 20, 4, { ai: 'pack', monsterType: 'warg' });
+    waitTurns(game, 3);
+    assert.deepEqual([warg.x, warg.y], [20, 4]);
+
+    const open = sturdyArena(15, 10);
+    const a = addMonster(open, 25, 10, { ai: 'pack', monsterType: 'warg', atk: 0 });
+    const b = addMonster(open, 26, 10, { ai: 'pack', monsterType: 'warg', atk: 0 });
+    fixRolls(open);
+    waitTurns(open, 15);
+    for (const m of [a, b]) assert.ok(Math.max(Math.abs(m.x - 15), Math.abs(m.y - 10)) <= 1);
+});
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RoguelikeGame } from '../../src/game/RoguelikeGame.js';
+import { RACES, CLASSES } from '../../src/game/GameData.js';
+import { createGame } from './helpers.js';
+
+test('every race/class combination starts with its derived stats', () => {
+    for (const race of Object.keys(RACES)) {
+        for (const cls of Object.keys(CLASSES)) {
+            const char = createGame({ race, class: cls }).state.character;
+            const stats = RoguelikeGame.deriveStats(race, cls);
+            assert.equal(char.maxHp, stats.hp);
+            assert.equal(char.maxMp, stats.mp);
+            assert.deepEqual(char.stats, { str: stats.str, dex: stats.dex, int: stats.int });
+            assert.equal(char.race, RACES[race].name);
+            assert.equal(char.class, CLASSES[cls].name);
+        }
+    }
+});
+
+test('custom hero name is used and survives a save', () => {
+    const game = createGame({ name: 'Tester' });
+    assert.equal(game.state.character.name, 'Tester');
+    const restored = RoguelikeGame.deserialize(game.serialize(), { headless: true });
+    assert.equal(restored.state.character.name, 'Tester');
+});
+
+test('hero name defaults to Olloid', () => {
+    assert.equal(createGame().state.character.name, 'Olloid');
+});
@@ -0,0 +1,147 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RoguelikeGame } from '../../src/game/RoguelikeGame.js';
+import { XP_TABLE } from '../../src/game/GameData.js';
+import { createGame, makeArena, addMonster, fixRolls } from './helpers.js';
+
+test('melee damage is STR + weapon ATK + roll - monster DEF', () => {
+    const game = makeArena(createGame({ class: 'istar' }));
+    const char = game.state.character;
+    char.equipment.weapon = { name: 'Test Blade', atk: 4 };
+    const monster = addMonster(game, 6, 5, { hp: 100, maxHp: 100, def: 2 });
+    fixRolls(game, { value: 3 });
+
+    game._meleeAttack(game.state.player, monster);
+
+    assert.equal(monster.hp, 100 - (char.stats.str + 4 + 3 - 2));
+});
+
+test('melee always deals at least 1 damage', () => {
+    const game = makeArena(createGame({ class: 'istar' }));
+    const monster = addMonster(game, 6, 5, { hp: 100, maxHp: 100, def: 999 });
+    fixRolls(game);
+
+    game._meleeAttack(game.state.player, monster);
+
+    assert.equal(monster.hp, 99);
+});
+
+test('blows per round grow with STR and DEX and are capped by class', () => {
+    const weak = { str: 4, dex: 4 };
+    const strong = { str: 20, dex: 20 };
+    assert.equal(RoguelikeGame.blowsPerRound('warrior', weak, 13), 1);
+    assert.equal(RoguelikeGame.blowsPerRound('warrior', strong, 13), 6);
+    assert.equal(RoguelikeGame.blowsPerRound('rogue', strong, 1.2), 5);
+    assert.equal(RoguelikeGame.blowsPerRound('istar', strong, 1.2), 1);
+});
+
+test('heavier weapons give fewer blows', () => {
+    const stats = { str: 10, dex: 5 };
+    const light = RoguelikeGame.blowsPerRound('warrior', stats, 1.2);
+    const heavy = RoguelikeGame.blowsPerRound('warrior', stats, 20);
+    assert.ok(light > heavy, `${light} > ${heavy}`);
+});
+
+test('each blow rolls separately and the log sums them', () => {
+    const game = makeArena(createGame({ class: 'warrior' }));
+    const char = game.state.character;
+    char.stats.str = 10;
+    char.stats.dex = 11;
+    char.equipment.weapon = { name: 'Test Dagger', atk: 0, weight: 1.2 };
+    const monster = addMonster(game, 6, 5, { hp: 500, maxHp: 500 });
+    const rolls = [1, 2, 3, 4, 5];
+    game.rng.int = () => rolls.shift();
+    let combat = null;
+    game.subscribe((event, data) => { if (event === 'combat') combat = data; });
+
+    game._meleeAttack(game.state.player, monster);
+
+    assert.equal(game.getBlows(), 5);
+    const total = 5 * 10 + (1 + 2 + 3 + 4 + 5);
+    assert.equal(monster.hp, 500 - total);
+    assert.equal(combat.blows, 5);
+    assert.equal(combat.damage, total);
+    assert.match(game.gameLog.at(-1).message, new RegExp(`5 times for ${total} damage`));
+});
+
+test('blows stop once the target is dead', () => {
+    const game = makeArena(createGame({ class: 'warrior' }));
+    game.state.character.stats.str = 20;
+    game.state.character.stats.dex = 20;
+    const monster = addMonster(game, 6, 5, { hp: 1, xp: 3 });
+    fixRolls(game);
+
+    game._meleeAttack(game.state.player, monster);
+
+    assert.match(game.gameLog.find(e => e.message.includes('You hit')).message, /for \d+ damage/);
+    assert.doesNotMatch(game.gameLog.find(e => e.message.includes('You hit')).message, /times/);
+    assert.equal(game.state.character.xp, 3);
+});
+
+test('monster damage is reduced by DEX, armor and ring', () => {
+    const game = makeArena(createGame());
+    const char = game.state.character;
+    char.hp = char.maxHp = 200;
+    char.stats.dex = 10;
+    char.equipment.armor = { def: 3 };
+    char.equipment.ring = { def: 1 };
+    const monster = addMonster(game, 6, 5, { atk: 20 });
+    fixRolls(game, { value: 2 });
+
+    game._monsterAttack(monster);
+
+    assert.equal(char.hp, 200 - (20 + 2 - 3 - 3 - 1));
+});
+
+test('killing a monster awards XP and removes it', () => {
+    const game = makeArena(createGame());
+    const monster = addMonster(game, 6, 5, { hp: 1, xp: 7 });
+    fixRolls(game);
+
+    game._meleeAttack(game.state.player, monster);
+
+    assert.equal(game.state.entities[monster.id], undefined);
+    assert.equal(game.state.character.xp, 7);
+    assert.equal(game.state.character.kills, 1);
+});
+
+test('_checkLevelUp raises level, restores HP/MP and follows XP_TABLE', () => {
+    const game = createGame();
+    const char = game.state.character;
+    const startMaxHp = char.maxHp;
+    char.hp = 1;
+    char.xp = XP_TABLE[2];
+
+    game._checkLevelUp();
+
+    assert.equal(char.level, 3);
+    assert.ok(char.maxHp > startMaxHp);
+    assert.equal(char.hp, char.maxHp);
+    assert.equal(char.mp, char.maxMp);
+    assert.equal(char.xpToNext, XP_TABLE[3]);
+});
+
+test('_checkLevelUp does nothing below the threshold', () => {
+    const game = createGame();
+    const char = game.state.character;
+    char.xp = char.xpToNext - 1;
+
+    game._checkLevelUp();
+
+    assert.equal(char.level, 1);
+});
+
+test('player death ends the game', () => {
+    const game = makeArena(createGame());
+    const char = game.state.character;
+    char.hp = 1;
+    const monster = addMonster(game, 6, 5, { atk: 50 });
+    let gameOver = null;
+    game.subscribe((event, data) => { if (event === 'game_over') gameOver = data; });
+
+    game._monsterAttack(monster);
+
+    assert.equal(game.state.status, 'dead');
+    assert.equal(gameOver.status, 'dead');
+    assert.equal(gameOver.stats.seed, game.seed);
+});
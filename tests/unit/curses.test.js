@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RoguelikeGame } from '../../src/game/RoguelikeGame.js';
+import { CURSES, SCROLL_TYPES } from '../../src/game/GameData.js';
+import { createGame, makeArena, addMonster } from './helpers.js';
+
+function cursed(game, key, curse = null, heavyCurse = false) {
+    const item = game._equipmentItem(key, -2, 'cursed');
+    if (curse) item.curse = curse;
+    item.heavyCurse = heavyCurse;
+    return item;
+}
+
+function wear(game, item) {
+    game.state.character.inventory.push(item);
+    game.useInventoryItem(game.state.character.inventory.length - 1);
+    return item;
+}
+
+function read(game, key) {
+    const { inventory } = game.state.character;
+    inventory.push({ category: 'scroll', scrollKey: key, effect: SCROLL_TYPES[key].effect, identified: true, name: SCROLL_TYPES[key].name });
+    game.useInventoryItem(inventory.length - 1);
+}
+
+function waitTurns(game, turns) {
+    for (let i = 0; i < turns && game.state.status === 'playing'; i++) game.queueAction('wait');
+}
+
+test('a cursed item cannot be taken off, and shows its curse once worn', () => {
+    const game = createGame({ class: 'warrior' });
+    const char = game.state.character;
+    const helm = wear(game, cursed(game, 'ironHelm', 'drainXp'));
+    assert.equal(helm.name, 'Iron Helm (-2) {cursed: experience drain}');
+    const other = wear(game, game._equipmentItem('leatherCap'));
+    assert.equal(char.equipment.helm, helm);
+    assert.ok(char.inventory.includes(other));
+    assert.match(game.gameLog.at(-1).message, /cannot take it off/);
+});
+
+test('a second ring goes to the hand without a cursed one', () => {
+    const game = createGame();
+    const char = game.state.character;
+    char.equipment.ring = cursed(game, 'ringProtect');
+    char.equipment.ring2 = game._equipmentItem('ringPower');
+    wear(game, game._equipmentItem('ringRegen'));
+    assert.equal(char.equipment.ring2.equipKey, 'ringRegen');
+    assert.equal(char.equipment.ring.equipKey, 'ringProtect');
+});
+
+test('Remove Curse frees light curses, *Remove Curse* heavy ones too', () => {
+    const game = createGame();
+    const { equipment } = game.state.character;
+    const boots = equipment.boots = cursed(game, 'leatherBoots');
+    const helm = equipment.helm = cursed(game, 'ironHelm', null, true);
+    read(game, 'removeCurse');
+    assert.equal(boots.enchantment, 'normal');
+    assert.equal(boots.bonus, -2);
+    assert.equal(helm.enchantment, 'cursed');
+    assert.match(game.gameLog.at(-1).message, /too strong/);
+
+    read(game, 'starRemoveCurse');
+    assert.equal(helm.enchantment, 'normal');
+    assert.equal(helm.heavyCurse, undefined);
+    wear(game, game._equipmentItem('leatherCap'));
+    assert.equal(equipment.helm.equipKey, 'leatherCap');
+});
+
+test('aggravation wakes wanderers, drain takes experience and teleportation moves you', () => {
+    const game = makeArena(createGame(), 5, 10);
+    const char = game.state.character;
+    const wanderer = addMonster(game, 15, 10, { ai: 'wander', atk: 0, speed: 0 });
+    char.equipment.helm = cursed(game, 'ironHelm', 'aggravate');
+    char.equipment.boots = cursed(game, 'leatherBoots', 'drainXp');
+    char.equipment.cloak = cursed(game, 'cloak', 'teleport');
+    char.xp = 10;
+    game.rng.chance = () => true;
+    const { x, y } = game.state.player;
+    waitTurns(game, 1);
+    assert.equal(wanderer.ai, 'chase');
+    assert.equal(char.xp, 10 - RoguelikeGame.DRAIN_XP);
+    assert.notDeepEqual([game.state.player.x, game.state.player.y], [x, y]);
+    assert.match(game.gameLog.map(e => e.message).join('\n'), /twists space/);
+});
+
+test('carrying an unknown item long enough reveals whether it is cursed', () => {
+    const game = makeArena(createGame());
+    const char = game.state.character;
+    const bad = cursed(game, 'dagger');
+    const good = game._equipmentItem('leatherCap', 1, 'enchanted');
+    char.inventory = [bad, good];
+    assert.equal(bad.name, 'Dagger');
+    game.rng.chance = () => true;
+    waitTurns(game, 1);
+    assert.equal(bad.name, 'Dagger {cursed}');
+    assert.equal(good.name, 'Hard Leather Cap {uncursed}');
+    assert.equal(bad.identified, false);
+});
+
+test('cursed finds sometimes carry a curse the depth allows', () => {
+    const game = createGame();
+    const seen = new Set();
+    for (let i = 0; i < 200; i++) {
+        const item = game._applyCurse(game._equipmentItem('dagger', -1, 'cursed'), 1);
+        seen.add(item.curse ?? null);
+    }
+    const shallow = Object.keys(CURSES).filter(key => CURSES[key].minLevel <= 1);
+    assert.deepEqual([...seen].sort(), [null, ...shallow].sort());
+});
@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RoguelikeGame } from '../../src/game/RoguelikeGame.js';
+import { DEVICE_TYPES, SCROLL_TYPES } from '../../src/game/GameData.js';
+import { createGame, makeArena, addMonster } from './helpers.js';
+
+/** A freshly generated device of the given kind, put in the pack. */
+function carry(game, key) {
+    const { pick } = game.rng;
+    game.rng.pick = list => list.find(([k]) => k === key);
+    const item = game._generateDevice(20);
+    game.rng.pick = pick;
+    game.state.character.inventory.push(item);
+    return item;
+}
+
+function zap(game, item) {
+    game.queueAction('zap_' + game.state.character.inventory.indexOf(item));
+}
+
+test('every device kind has a flavour and what it needs to work', () => {
+    const game = createGame();
+    for (const [key, device] of Object.entries(DEVICE_TYPES)) {
+        assert.ok(game.flavours[device.device][key], key);
+        assert.ok(device.weight > 0 && device.level > 0, key);
+        assert.ok(device.recharge ? device.device === 'rod' : device.charges, key);
+    }
+});
+
+test('a wand goes by its wood until aimed, then spends a charge', () => {
+    const game = makeArena(createGame({ class: 'istar' }));
+    const wand = carry(game, 'wandMagicMissile');
+    const orc = addMonster(game, 8, 5, { hp: 1000, maxHp: 1000 });
+    assert.equal(wand.name, `${game.flavours.wand.wandMagicMissile.appearance} Wand`);
+    const charges = wand.charges;
+    game.rng.chance = () => true;
+    zap(game, wand);
+    assert.ok(orc.hp < 1000);
+    assert.equal(wand.charges, charges - 1);
+    assert.ok(game.isFlavourKnown('wand', 'wandMagicMissile'));
+    assert.equal(wand.name, `Wand of Magic Missile (${charges - 1} charges)`);
+});
+
+test('an empty wand does nothing and a failed attempt keeps the charge', () => {
+    const game = makeArena(createGame({ class: 'warrior' }));
+    const wand = carry(game, 'wandFrostBolt');
+    addMonster(game, 8, 5);
+    game.rng.chance = () => false;
+    zap(game, wand);
+    assert.match(game.gameLog.at(-1).message, /failed to use/);
+    assert.equal(wand.identified, false);
+    wand.charges = 0;
+    zap(game, wand);
+    assert.match(game.gameLog.at(-1).message, /no charges left/);
+});
+
+test('skill with devices grows with the class, INT and DEX and falls with device level', () => {
+    const warrior = createGame({ class: 'warrior' });
+    const istar = createGame({ class: 'istar' });
+    const fireBall = carry(warrior, 'wandFireBall');
+    assert.ok(istar.getDeviceChance(fireBall) > warrior.getDeviceChance(fireBall));
+    assert.ok(warrior.getDeviceChance(carry(warrior, 'wandMagicMissile')) > warrior.getDeviceChance(fireBall));
+    warrior.state.character.stats.int = 0;
+    warrior.state.character.stats.dex = 0;
+    assert.equal(warrior.getDeviceChance(fireBall), RoguelikeGame.MIN_DEVICE_CHANCE);
+});
+
+test('a rod needs time to recharge after each zap', () => {
+    const game = makeArena(createGame());
+    const char = game.state.character;
+    const rod = carry(game, 'rodCuring');
+    char.hp = 1;
+    game.rng.chance = () => true;
+    zap(game, rod);
+    assert.equal(char.hp, 1 + DEVICE_TYPES.rodCuring.healAmount);
+    assert.ok(rod.timeout > 0);
+    assert.match(rod.name, /charging/);
+    zap(game, rod);
+    assert.match(game.gameLog.at(-1).message, /still charging/);
+    while (rod.timeout > 0) game.queueAction('wait');
+    assert.equal(rod.name, DEVICE_TYPES.rodCuring.name);
+    assert.match(game.gameLog.map(e => e.message).join('\n'), /has recharged/);
+});
+
+test('wands are aimed first, staffs are not, rods only when unknown or aimed', () => {
+    const game = createGame();
+    const wand = carry(game, 'wandStinkingCloud');
+    const staff = carry(game, 'staffCureLight');
+    const bolt = carry(game, 'rodLightningBolt');
+    const curing = carry(game, 'rodCuring');
+    const idx = item => game.state.character.inventory.indexOf(item);
+    assert.equal(game.deviceNeedsAim(idx(wand)), true);
+    assert.equal(game.deviceNeedsAim(idx(staff)), false);
+    assert.equal(game.deviceNeedsAim(idx(curing)), true);
+    game._learnFlavour('rod', 'rodCuring');
+    assert.equal(game.deviceNeedsAim(idx(curing)), false);
+    game._learnFlavour('rod', 'rodLightningBolt');
+    assert.equal(game.deviceNeedsAim(idx(bolt)), true);
+});
+
+test('recharging adds charges to wands and staffs, or blows them up', () => {
+    const game = createGame();
+    const inv = game.state.character.inventory;
+    const wand = carry(game, 'wandMagicMissile');
+    carry(game, 'rodCuring');
+    inv.push({ category: 'scroll', scrollKey: 'recharge', effect: 'recharge', identified: true, name: SCROLL_TYPES.recharge.name, quantity: 2 });
+    assert.deepEqual(game.getItemTargets(inv.length - 1), [wand]);
+
+    wand.charges = 0;
+    game.rng.chance = () => false;
+    game.useInventoryItem(inv.length - 1, wand);
+    assert.ok(wand.charges >= 1);
+    assert.equal(inv.at(-1).quantity, 1);
+
+    game.rng.chance = () => true;
+    game.useInventoryItem(inv.length - 1, wand);
+    assert.ok(!inv.includes(wand));
+    assert.ok(!inv.some(i => i.scrollKey === 'recharge'));
+    assert.match(game.gameLog.at(-1).message, /explodes/);
+});
+
+test('version 11 saves, with an empty wand table, deal the new device flavours', () => {
+    const game = createGame();
+    const save = game.serialize();
+    save.version = 11;
+    save.flavours.wand = {};
+    delete save.flavours.staff;
+    delete save.flavours.rod;
+    const loaded = RoguelikeGame.deserialize(save, { headless: true });
+    const wand = loaded._deviceItem('wandMagicMissile');
+    assert.equal(wand.name, `${loaded.flavours.wand.wandMagicMissile.appearance} Wand`);
+    assert.ok(loaded._deviceItem('rodCuring').name.endsWith(' Rod'));
+});
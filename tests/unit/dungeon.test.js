@@ -0,0 +1,254 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DungeonGenerator } from '../../src/game/DungeonGenerator.js';
+import { RNG } from '../../src/game/RNG.js';
+import { TILE, LEVEL_THEMES } from '../../src/game/GameData.js';
+import { createGame } from './helpers.js';
+
+const W = 60, H = 40;
+const SEEDS = [1, 2, 3, 42, 1337, 9001];
+
+for (const layout of Object.keys(DungeonGenerator.LAYOUTS)) {
+    for (const seed of SEEDS) {
+        for (const depth of [1, 5, 10, 15]) {
+            test(`${layout} dungeon invariants — seed ${seed}, depth ${depth}`, () => {
+                const { map, rooms, traps, secretDoors, roomGraph, exitRoom } =
+                    DungeonGenerator.generate(W, H, depth, new RNG(seed), { layout });
+
+                assert.equal(map.length, H);
+                assert.ok(map.every(row => row.length === W));
+
+                // Outer border is solid
+                for (let x = 0; x < W; x++) {
+                    assert.equal(map[0][x], TILE.WALL);
+                    assert.equal(map[H - 1][x], TILE.WALL);
+                }
+                for (let y = 0; y < H; y++) {
+                    assert.equal(map[y][0], TILE.WALL);
+                    assert.equal(map[y][W - 1], TILE.WALL);
+                }
+
+                assert.ok(rooms.length > 0);
+                for (const r of rooms) {
+                    assert.ok(r.x >= 1 && r.y >= 1 && r.x + r.w <= W - 1 && r.y + r.h <= H - 1);
+                }
+                for (const t of traps) assert.equal(map[t.y][t.x], TILE.TRAP_HIDDEN);
+                for (const d of secretDoors) assert.equal(map[d.y][d.x], TILE.SECRET_WALL);
+                assert.ok(DungeonGenerator.validate(map, rooms), 'every room is reachable');
+                assert.equal(roomGraph.length, rooms.length);
+                assert.ok(!rooms[exitRoom].secret && !rooms[exitRoom].vault);
+            });
+        }
+    }
+}
+
+test('same seed generates the same dungeon', () => {
+    const a = DungeonGenerator.generate(W, H, 4, new RNG(77));
+    const b = DungeonGenerator.generate(W, H, 4, new RNG(77));
+    assert.deepEqual(a, b);
+});
+
+test('findFloorInRoom returns a floor tile inside the room', () => {
+    const { map, rooms } = DungeonGenerator.generate(W, H, 3, new RNG(5));
+    const rng = new RNG(5);
+    for (const room of rooms.filter(r => !r.secret)) {
+        const pos = DungeonGenerator.findFloorInRoom(map, room, rng);
+        assert.ok(pos.x >= room.x && pos.x < room.x + room.w);
+        assert.ok(pos.y >= room.y && pos.y < room.y + room.h);
+    }
+});
+
+test('split depth bounds the number of rooms', () => {
+    const one = DungeonGenerator.generate(W, H, 1, new RNG(3), { splitDepth: 0 });
+    assert.equal(one.rooms.length, 1);
+    const two = DungeonGenerator.generate(W, H, 1, new RNG(3), { splitDepth: 1 });
+    assert.equal(two.rooms.length, 2);
+    const many = DungeonGenerator.generate(W, H, 1, new RNG(3), { splitDepth: 4 });
+    assert.ok(many.rooms.length > 8 && many.rooms.length <= 16);
+});
+
+test('BSP rooms never overlap', () => {
+    const { rooms } = DungeonGenerator.generate(W, H, 10, new RNG(11));
+    for (let i = 0; i < rooms.length; i++) {
+        for (let j = i + 1; j < rooms.length; j++) {
+            const a = rooms[i], b = rooms[j];
+            const apart = a.x + a.w < b.x || b.x + b.w < a.x || a.y + a.h < b.y || b.y + b.h < a.y;
+            assert.ok(apart, `rooms ${i} and ${j} overlap`);
+        }
+    }
+});
+
+test('room graph and corridor list describe the level', () => {
+    const { map, rooms, corridors, roomGraph, exitRoom } = DungeonGenerator.generate(W, H, 8, new RNG(21));
+    assert.equal(roomGraph.length, rooms.length);
+    for (const c of corridors) {
+        assert.ok(roomGraph[c.from].includes(c.to) && roomGraph[c.to].includes(c.from));
+        for (const t of c.tiles) assert.notEqual(map[t.y][t.x], TILE.WALL);
+    }
+    // The graph alone connects every room to the start
+    const seen = new Set([0]);
+    const queue = [0];
+    while (queue.length) for (const j of roomGraph[queue.shift()]) if (!seen.has(j)) { seen.add(j); queue.push(j); }
+    assert.equal(seen.size, rooms.length);
+    assert.ok(!rooms[exitRoom].secret);
+});
+
+test('validate rejects a level with an unreachable room', () => {
+    const map = Array.from({ length: 10 }, () => Array(20).fill(TILE.WALL));
+    const rooms = [{ x: 1, y: 1, w: 3, h: 3 }, { x: 10, y: 1, w: 3, h: 3 }];
+    for (const r of rooms) for (let y = r.y; y < r.y + r.h; y++) for (let x = r.x; x < r.x + r.w; x++) map[y][x] = TILE.FLOOR;
+    assert.equal(DungeonGenerator.validate(map, rooms), false);
+    for (let x = 2; x <= 11; x++) map[2][x] = TILE.FLOOR;
+    map[2][6] = TILE.DOOR_CLOSED;
+    assert.equal(DungeonGenerator.validate(map, rooms), true);
+});
+
+test('stairs and player start are reachable on generated levels', () => {
+    for (const seed of [1, 8, 64]) {
+        const game = createGame({ seed, width: W, height: H });
+        game.changeLevel(6, 'up');
+        const { player, stairs, stairsUp, map } = game.state;
+        const reach = DungeonGenerator.floodFill(map, player.x, player.y);
+        assert.ok(reach[stairs.y][stairs.x]);
+        assert.ok(reach[stairsUp.y][stairsUp.x]);
+    }
+});
+
+test('every theme names a known layout', () => {
+    for (const theme of LEVEL_THEMES) {
+        assert.ok(DungeonGenerator.LAYOUTS[theme.generator], `${theme.name}: ${theme.generator}`);
+    }
+    assert.throws(() => DungeonGenerator.generate(W, H, 1, new RNG(1), { layout: 'sewer' }), /Unknown dungeon layout/);
+});
+
+test('caves and labyrinths have no corridors and stay dark', () => {
+    for (const layout of ['cave', 'labyrinth']) {
+        const { rooms, corridors } = DungeonGenerator.generate(W, H, 1, new RNG(9), { layout });
+        assert.equal(corridors.length, 0);
+        assert.ok(rooms.length >= 2);
+        assert.ok(rooms.every(r => r.lit === false));
+    }
+});
+
+test('cave parameters change the cave', () => {
+    const open = DungeonGenerator.generate(W, H, 1, new RNG(4), { layout: 'cave', fill: 0.38 });
+    const tight = DungeonGenerator.generate(W, H, 1, new RNG(4), { layout: 'cave', fill: 0.47, minOpen: 0.1 });
+    const floors = ({ map }) => map.flat().filter(t => t !== TILE.WALL).length;
+    assert.ok(floors(open) > floors(tight));
+});
+
+test('a vault can only be entered through its doors', () => {
+    const { map, rooms, vaults } = DungeonGenerator.generate(W, H, 9, new RNG(3), { layout: 'vault', vaults: 2 });
+    const inVaultRooms = vaults.filter(v => rooms[v.room].vault);
+    assert.ok(inVaultRooms.length > 0);
+    for (const vault of inVaultRooms) {
+        assert.ok([TILE.DOOR_CLOSED, TILE.SECRET_WALL].includes(map[vault.door.y][vault.door.x]));
+        for (const spot of vault.itemSpots) {
+            assert.equal(map[spot.y][spot.x], TILE.FLOOR);
+            assert.ok(spot.x > vault.x && spot.x < vault.x + vault.w - 1 && spot.y > vault.y && spot.y < vault.y + vault.h - 1);
+        }
+        assert.ok(vault.guardSpots.length + vault.monsters.length > 0);
+
+        const sealed = map.map(row => [...row]);
+        for (let y = vault.y; y < vault.y + vault.h; y++) {
+            for (let x = vault.x; x < vault.x + vault.w; x++) {
+                if (sealed[y][x] === TILE.DOOR_CLOSED || sealed[y][x] === TILE.SECRET_WALL) sealed[y][x] = TILE.WALL;
+            }
+        }
+        const spot = vault.itemSpots[0];
+        const start = rooms[0];
+        assert.equal(DungeonGenerator.floodFill(sealed, spot.x, spot.y)[start.y][start.x], false);
+    }
+});
+
+test('themes shape their levels and vaults are stocked and guarded', () => {
+    const game = createGame({ seed: 2, width: W, height: H });
+    game.changeLevel(4, 'down');
+    assert.equal(LEVEL_THEMES[3].generator, 'cave');
+    assert.equal(game.corridors.length, 0);
+
+    game.state.entities = { [game.state.player.id]: game.state.player };
+    game.state.items = [];
+    const vault = { itemSpots: [{ x: 3, y: 3 }, { x: 4, y: 3 }], guardSpots: [{ x: 5, y: 3 }] };
+    game.spawnVaults(4, [vault]);
+    assert.equal(game.state.items.length, 2);
+    assert.deepEqual(game.state.items.map(i => [i.x, i.y]), [[3, 3], [4, 3]]);
+    assert.ok(game._getMonsterAt(5, 3));
+
+    game.spawnVaults(4, [{ itemSpots: [], guardSpots: [], monsters: [{ x: 7, y: 3, key: 'wight' }] }]);
+    assert.equal(game._getMonsterAt(7, 3).monsterType, 'wight');
+});
+
+const PREFAB_GLYPHS = { '#': 'wall', '.': 'floor', '+': 'door', '%': 'secretDoor', '^': 'trap', '$': 'item', '&': 'guard', ' ': 'keep' };
+
+test('bundled prefabs all parse', () => {
+    assert.ok(DungeonGenerator.PREFABS.some(p => p.kind === 'vault'));
+    assert.ok(DungeonGenerator.PREFABS.some(p => p.kind === 'secret'));
+});
+
+test('bad prefab data is rejected with the vault name', () => {
+    const vault = { name: 'Broken', kind: 'vault', rarity: 'common', rows: ['#+#', '#.'] };
+    assert.throws(() => DungeonGenerator.parsePrefabs({ glyphs: PREFAB_GLYPHS, vaults: [vault] }), /Broken.*width/);
+    vault.rows = ['#+#', '#Z#'];
+    assert.throws(() => DungeonGenerator.parsePrefabs({ glyphs: PREFAB_GLYPHS, vaults: [vault] }), /unknown glyph 'Z'/);
+    vault.monsters = { Z: 'balrog' };
+    assert.throws(() => DungeonGenerator.parsePrefabs({ glyphs: PREFAB_GLYPHS, vaults: [vault] }), /unknown monster balrog/);
+    vault.rows = ['###', '#.#'];
+    delete vault.monsters;
+    assert.throws(() => DungeonGenerator.parsePrefabs({ glyphs: PREFAB_GLYPHS, vaults: [vault] }), /needs a door/);
+});
+
+test('prefabs are picked by depth, size and rarity', () => {
+    const prefabs = DungeonGenerator.parsePrefabs({
+        glyphs: PREFAB_GLYPHS,
+        vaults: [
+            { name: 'Shallow', kind: 'vault', rarity: 'common', maxDepth: 3, rows: ['+'] },
+            { name: 'Deep', kind: 'vault', rarity: 'legendary', minDepth: 5, rows: ['+'] },
+            { name: 'Wide', kind: 'vault', rarity: 'common', minDepth: 5, rows: ['+....'] },
+        ],
+    });
+    const rng = new RNG(1);
+    assert.equal(DungeonGenerator.pickPrefab('vault', 1, 3, 3, rng, prefabs).name, 'Shallow');
+    assert.equal(DungeonGenerator.pickPrefab('vault', 8, 3, 3, rng, prefabs).name, 'Deep');
+    assert.equal(DungeonGenerator.pickPrefab('vault', 4, 9, 9, rng, prefabs), null);
+    assert.equal(DungeonGenerator.pickPrefab('secret', 1, 9, 9, rng, prefabs), null);
+
+    const counts = { Deep: 0, Wide: 0 };
+    for (let i = 0; i < 600; i++) counts[DungeonGenerator.pickPrefab('vault', 8, 9, 9, rng, prefabs).name]++;
+    assert.ok(counts.Wide > counts.Deep * 10, JSON.stringify(counts));
+});
+
+test('a prefab is stamped glyph by glyph', () => {
+    const [prefab] = DungeonGenerator.parsePrefabs({
+        glyphs: PREFAB_GLYPHS,
+        vaults: [{ name: 'Test', kind: 'vault', rarity: 'common', monsters: { o: 'hillOrc' }, rows: ['#####', '%$&o+', '# ^ #'] }],
+    });
+    const map = Array.from({ length: 7 }, () => Array(9).fill(TILE.FLOOR));
+    const room = { x: 1, y: 1, w: 7, h: 5 };
+    const secretDoors = [], traps = [];
+    const vault = DungeonGenerator._furnishRoom(map, room, 3, prefab, null, secretDoors, traps, new RNG(1));
+    assert.deepEqual([vault.x, vault.y, vault.room, vault.name], [2, 2, 3, 'Test']);
+    assert.equal(map[2][2], TILE.WALL);
+    assert.equal(map[3][2], TILE.SECRET_WALL);
+    assert.deepEqual(secretDoors, [{ x: 2, y: 3 }]);
+    assert.deepEqual(vault.door, { x: 2, y: 3 });
+    assert.equal(map[3][6], TILE.DOOR_CLOSED);
+    assert.deepEqual(vault.itemSpots, [{ x: 3, y: 3 }]);
+    assert.deepEqual(vault.guardSpots, [{ x: 4, y: 3 }]);
+    assert.deepEqual(vault.monsters, [{ x: 5, y: 3, key: 'hillOrc' }]);
+    assert.equal(map[4][3], TILE.FLOOR, 'a blank keeps the tile underneath');
+    assert.equal(map[4][4], TILE.TRAP_HIDDEN);
+    assert.deepEqual(traps.map(t => [t.x, t.y]), [[4, 4]]);
+});
+
+test('secret rooms are furnished from prefabs', () => {
+    let furnished = 0;
+    for (const seed of SEEDS) {
+        const { rooms, vaults } = DungeonGenerator.generate(W, H, 10, new RNG(seed));
+        for (const vault of vaults) {
+            assert.ok(rooms[vault.room].secret);
+            furnished++;
+        }
+    }
+    assert.ok(furnished > 0);
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RoguelikeGame } from '../../src/game/RoguelikeGame.js';
+import { SPELLS, MONSTER_TYPES, ELEMENTS, RACES, EQUIPMENT_TYPES, LEGENDARY_ITEMS, EGO_ITEMS } from '../../src/game/GameData.js';
+import { createGame, makeArena, addMonster, fixRolls } from './helpers.js';
+
+const AFFINITIES = ['resist', 'immune', 'vulnerable'];
+
+function logged(game) {
+    return game.gameLog.map(e => e.message).join('\n');
+}
+
+test('every element and affinity in the data tables exists', () => {
+    const sources = [
+        ...Object.values(RACES), ...Object.values(MONSTER_TYPES),
+        ...Object.values(EQUIPMENT_TYPES), ...Object.values(LEGENDARY_ITEMS), ...Object.values(EGO_ITEMS),
+    ];
+    for (const source of sources) {
+        for (const [element, affinity] of Object.entries(source.elements || {})) {
+            assert.ok(ELEMENTS[element], `${source.name}: ${element}`);
+            assert.ok(AFFINITIES.includes(affinity), `${source.name}: ${affinity}`);
+        }
+        if (source.element) assert.ok(ELEMENTS[source.element], `${source.name}: ${source.element}`);
+    }
+    for (const spell of Object.values(SPELLS)) assert.ok(ELEMENTS[spell.element], spell.name);
+});
+
+test('race, equipment and potions combine into one affinity', () => {
+    const game = createGame({ race: 'halfTroll' });
+    const char = game.state.character;
+    assert.equal(game.getElementAffinity(char, 'fire'), 'vulnerable');
+    // A resistance cancels the vulnerability
+    game._applyStatus(char, 'resistant', 20);
+    assert.equal(game.getElementAffinity(char, 'fire'), null);
+    assert.equal(game.getElementAffinity(char, 'ice'), 'resist');
+    // Immunity beats everything
+    char.equipment.ring = { name: 'Test Ring', slot: 'ring', atk: 0, def: 0, elements: { fire: 'immune' } };
+    assert.equal(game.getElementAffinity(char, 'fire'), 'immune');
+    assert.deepEqual(game.getKnownAffinities(char), { fire: 'immune', ice: 'resist', lightning: 'resist', poison: 'resist' });
+});
+
+test('spells burn the vulnerable and pass over the immune', () => {
+    const game = makeArena(createGame());
+    const imp = addMonster(game, 8, 5, { monsterType: 'demonImp', name: 'Demon Imp', hp: 50, maxHp: 50 });
+    const troll = addMonster(game, 9, 5, { monsterType: 'caveTroll', name: 'Cave Troll', hp: 50, maxHp: 50 });
+    game._spellHitMonster(imp, SPELLS.fireball, 20);
+    game._spellHitMonster(troll, SPELLS.fireball, 20);
+    assert.equal(imp.hp, 50);
+    assert.equal(troll.hp, 50 - 20 * RoguelikeGame.VULNERABLE_MULTIPLIER);
+    assert.match(logged(game), /Demon Imp is unaffected by fire/);
+    assert.match(logged(game), /Cave Troll is badly burned/);
+});
+
+test('melee blows carry the weapon element', () => {
+    const game = makeArena(createGame());
+    const char = game.state.character;
+    char.equipment.weapon = { name: 'Holy Mace', slot: 'weapon', atk: 0, def: 0, weight: 0, element: 'holy' };
+    const skeleton = addMonster(game, 6, 5, { monsterType: 'skeleton', name: 'Skeleton', hp: 1000, maxHp: 1000 });
+    fixRolls(game);
+    game._meleeAttack(game.state.player, skeleton);
+    const perBlow = Math.floor(char.stats.str * RoguelikeGame.VULNERABLE_MULTIPLIER);
+    assert.equal(skeleton.hp, 1000 - perBlow * game.getBlows());
+});
+
+test('a branded weapon burns the vulnerable and is shrugged off by the resistant', () => {
+    const game = makeArena(createGame());
+    const char = game.state.character;
+    char.equipment.weapon = game._applyEgo(game._equipmentItem('dagger'), 'burning');
+    assert.equal(char.equipment.weapon.element, 'fire');
+    const troll = addMonster(game, 6, 5, { monsterType: 'caveTroll', name: 'Cave Troll', hp: 1000, maxHp: 1000 });
+    fixRolls(game);
+    game._meleeAttack(game.state.player, troll);
+    assert.match(logged(game), /Cave Troll is badly burned/);
+
+    char.equipment.weapon = game._applyEgo(game._equipmentItem('dagger'), 'freezing');
+    const wight = addMonster(game, 4, 5, { monsterType: 'wight', name: 'Wight', hp: 1000, maxHp: 1000 });
+    game._meleeAttack(game.state.player, wight);
+    assert.match(logged(game), /Wight resists the ice/);
+});
+
+test('monster blows carry the monster element', () => {
+    const game = makeArena(createGame());
+    const char = game.state.character;
+    char.hp = char.maxHp = 1000;
+    char.stats.dex = 0;
+    game._applyStatus(char, 'resistant', 20);
+    const imp = addMonster(game, 6, 5, { monsterType: 'demonImp', name: 'Demon Imp', atk: 30 });
+    fixRolls(game);
+    game._monsterAttack(imp);
+    assert.equal(char.hp, 1000 - 30 / RoguelikeGame.RESIST_DIVISOR);
+    assert.match(logged(game), /You resist the fire/);
+    assert.match(logged(game), /for 10 fire damage/);
+});
+
+test('affinities are learned per monster kind and kept in saves', () => {
+    const game = makeArena(createGame());
+    const first = addMonster(game, 8, 5, { monsterType: 'demonImp', hp: 50, maxHp: 50 });
+    const second = addMonster(game, 9, 5, { monsterType: 'demonImp', hp: 50, maxHp: 50 });
+    assert.deepEqual(game.getKnownAffinities(second), {});
+    game._spellHitMonster(first, SPELLS.fireball, 20);
+    assert.deepEqual(game.getKnownAffinities(second), { fire: 'immune' });
+
+    const restored = RoguelikeGame.deserialize(game.serialize(), { headless: true });
+    assert.deepEqual(restored.state.monsterLore, { demonImp: { fire: 'immune' } });
+
+    const old = game.serialize();
+    old.version = 5;
+    delete old.state.monsterLore;
+    assert.deepEqual(RoguelikeGame.deserialize(old, { headless: true }).state.monsterLore, {});
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RoguelikeGame } from '../../src/game/RoguelikeGame.js';
+import { EQUIPMENT_TYPES, EQUIPMENT_SLOTS, LEGENDARY_ITEMS } from '../../src/game/GameData.js';
+import { createGame, makeArena, addMonster, fixRolls } from './helpers.js';
+
+test('every equipment item fits a slot', () => {
+    const accepted = new Set(Object.values(EQUIPMENT_SLOTS).map(s => s.accepts));
+    for (const item of [...Object.values(EQUIPMENT_TYPES), ...Object.values(LEGENDARY_ITEMS)]) {
+        assert.ok(accepted.has(item.slot), `${item.name}: ${item.slot}`);
+    }
+    assert.deepEqual(Object.keys(createGame().state.character.equipment), Object.keys(EQUIPMENT_SLOTS));
+});
+
+test('items go to their own slot, and a second ring to the other hand', () => {
+    const game = createGame();
+    const char = game.state.character;
+    char.inventory = ['ironHelm', 'ringProtect', 'ringPower', 'ringRegen'].map(key => game._equipmentItem(key));
+    for (let i = 0; i < 3; i++) game.useInventoryItem(0);
+    assert.equal(char.equipment.helm.equipKey, 'ironHelm');
+    assert.equal(char.equipment.ring.equipKey, 'ringProtect');
+    assert.equal(char.equipment.ring2.equipKey, 'ringPower');
+
+    // With both hands full a new ring swaps out the first
+    game.useInventoryItem(0);
+    assert.equal(char.equipment.ring.equipKey, 'ringRegen');
+    assert.equal(char.inventory[0].equipKey, 'ringProtect');
+});
+
+test('attack and defence add up over every slot but the launcher and quiver', () => {
+    const game = makeArena(createGame({ class: 'archer' }));
+    const char = game.state.character;
+    char.equipment.weapon = { name: 'Blade', atk: 4, def: 0 };
+    char.equipment.gloves = { name: 'Gauntlets', atk: 1, def: 2 };
+    char.equipment.ring2 = { name: 'Ring', atk: 3, def: 0 };
+    char.equipment.helm = { name: 'Helm', atk: 0, def: 3 };
+    char.equipment.boots = { name: 'Boots', atk: 0, def: 1 };
+    assert.equal(game.getEquipmentStat('atk'), 8);
+    assert.equal(game.getEquipmentStat('def'), 6);
+
+    char.hp = char.maxHp = 200;
+    char.stats.dex = 0;
+    const monster = addMonster(game, 6, 5, { atk: 20 });
+    fixRolls(game, { value: 0 });
+    game._monsterAttack(monster);
+    assert.equal(char.hp, 200 - (20 - 6));
+});
+
+test('a light source widens the light radius', () => {
+    const game = createGame({ race: 'human' });
+    const base = game.getLightRadius();
+    game.state.character.inventory = [game._equipmentItem('brassLantern')];
+    game.useInventoryItem(0);
+    assert.equal(game.getLightRadius(), base + EQUIPMENT_TYPES.brassLantern.light);
+});
+
+test('version 7 saves gain the new slots and keep what was worn', () => {
+    const game = createGame({ class: 'archer' });
+    const save = game.serialize();
+    save.version = 7;
+    const { weapon, armor, ring, launcher, ammo } = save.state.character.equipment;
+    save.state.character.equipment = { weapon, armor, ring, launcher, ammo };
+    const { equipment } = RoguelikeGame.deserialize(save, { headless: true }).state.character;
+    assert.deepEqual(Object.keys(equipment), Object.keys(EQUIPMENT_SLOTS));
+    assert.equal(equipment.launcher.equipKey, 'longBow');
+    assert.equal(equipment.helm, null);
+});
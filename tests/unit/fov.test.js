@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FOV } from '../../src/game/FOV.js';
+import { RNG } from '../../src/game/RNG.js';
+import { TILE } from '../../src/game/GameData.js';
+import { createGame, makeArena } from './helpers.js';
+
+/** Parse an ASCII grid ('#' wall, anything else floor). */
+function parse(rows) {
+    return rows.map(r => [...r].map(c => c === '#'));
+}
+
+function visibleFrom(walls, ox, oy, radius = 30) {
+    const seen = new Set();
+    const h = walls.length, w = walls[0].length;
+    const blocking = (x, y) => x < 0 || y < 0 || x >= w || y >= h || walls[y][x];
+    FOV.compute(ox, oy, radius, blocking, (x, y) => seen.add(`${x},${y}`));
+    return seen;
+}
+
+test('an open room is seen completely, with no holes at range', () => {
+    const walls = parse([
+        '###########',
+        '#.........#',
+        '#.........#',
+        '#.........#',
+        '#.........#',
+        '###########',
+    ]);
+    const seen = visibleFrom(walls, 1, 1);
+    for (let y = 0; y < walls.length; y++) {
+        for (let x = 0; x < walls[0].length; x++) assert.ok(seen.has(`${x},${y}`), `${x},${y}`);
+    }
+});
+
+test('walls block sight and pillars cast shadows', () => {
+    const walls = parse([
+        '.......',
+        '...#...',
+        '.......',
+        '...@...',
+    ]);
+    const seen = visibleFrom(walls, 3, 3);
+    assert.ok(seen.has('3,1'), 'the pillar itself is visible');
+    assert.ok(!seen.has('3,0'), 'the tile behind the pillar is hidden');
+    assert.ok(seen.has('0,0'));
+});
+
+test('visibility between floor tiles is symmetric', () => {
+    const rng = new RNG(7);
+    const size = 16;
+    const walls = Array.from({ length: size }, () => Array.from({ length: size }, () => rng.chance(0.3)));
+    const floors = [];
+    for (let y = 0; y < size; y++) for (let x = 0; x < size; x++) if (!walls[y][x]) floors.push([x, y]);
+    const views = new Map(floors.map(([x, y]) => [`${x},${y}`, visibleFrom(walls, x, y)]));
+    for (const [ax, ay] of floors) {
+        for (const [bx, by] of floors) {
+            const ab = views.get(`${ax},${ay}`).has(`${bx},${by}`);
+            const ba = views.get(`${bx},${by}`).has(`${ax},${ay}`);
+            assert.equal(ab, ba, `${ax},${ay} ↔ ${bx},${by}`);
+        }
+    }
+});
+
+test('radius limits how far is seen', () => {
+    const walls = parse(['.'.repeat(15)]);
+    const seen = visibleFrom(walls, 0, 0, 4);
+    assert.ok(seen.has('4,0'));
+    assert.ok(!seen.has('5,0'));
+});
+
+test('dark areas are only seen within the light radius', () => {
+    const game = makeArena(createGame(), 2, 10);
+    const radius = game.getLightRadius();
+    assert.equal(game.state.visibility[10][2 + radius], 1);
+    assert.equal(game.state.visibility[10][2 + radius + 1], 0);
+});
+
+test('lit rooms are visible from afar and mapped on entry', () => {
+    const game = makeArena(createGame(), 2, 10);
+    game.rooms = [{ x: 1, y: 1, w: game.width - 2, h: game.height - 2, lit: true }];
+    game.updateVisibility();
+    assert.equal(game.state.visibility[10][2 + 15], 1);
+    // The far corner is beyond sight but still mapped
+    assert.equal(game.state.visibility[0][game.width - 1], 0);
+    assert.equal(game.state.explored[0][game.width - 1], 1);
+});
+
+test('race infravision and lit equipment add to the light radius', () => {
+    const human = createGame({ race: 'human' });
+    const darkElf = createGame({ race: 'darkElf' });
+    assert.equal(darkElf.getLightRadius(), human.getLightRadius() + 2);
+    human.state.character.equipment.weapon = { name: 'Torchblade', atk: 1, light: 1 };
+    assert.equal(human.getLightRadius(), createGame().getLightRadius() + 1);
+});
+
+test('closed doors block sight', () => {
+    const game = makeArena(createGame(), 2, 10);
+    for (let y = 1; y < game.height - 1; y++) game.state.map[y][4] = TILE.WALL;
+    game.state.map[10][4] = TILE.DOOR_CLOSED;
+    game.updateVisibility();
+    assert.equal(game.state.visibility[10][4], 1);
+    assert.equal(game.state.visibility[10][5], 0);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RoguelikeGame } from '../../src/game/RoguelikeGame.js';
+import { createGame } from './helpers.js';
+
+const ACTIONS = ['move_up', 'move_left', 'search', 'move_down', 'move_right', 'wait', 'auto_explore'];
+
+function play(game, turns) {
+    for (let i = 0; i < turns && game.state.status === 'playing'; i++) {
+        game.queueAction(ACTIONS[i % ACTIONS.length]);
+    }
+    return game;
+}
+
+function snapshot(game) {
+    const save = game.serialize();
+    delete save.savedAt;
+    delete save.gameLog;
+    return save;
+}
+
+test('headless auto-explore walks synchronously', () => {
+    const game = createGame({ width: 40, height: 30 });
+    for (const e of Object.values(game.state.entities)) {
+        if (e.type === 'monster') delete game.state.entities[e.id];
+    }
+    const countExplored = () => game.state.explored.flat().filter(Boolean).length;
+    const before = countExplored();
+    const startTick = game.state.tick;
+
+    game.queueAction('auto_explore');
+
+    assert.ok(game.state.tick - startTick > 1, 'several turns passed in one call');
+    assert.ok(countExplored() > before);
+});
+
+test('same seed and same actions produce the same game', () => {
+    const a = play(createGame({ seed: 2024, width: 40, height: 30 }), 150);
+    const b = play(createGame({ seed: 2024, width: 40, height: 30 }), 150);
+    assert.deepEqual(snapshot(a), snapshot(b));
+});
+
+test('a deserialized game continues identically', () => {
+    const original = play(createGame({ seed: 99, width: 40, height: 30 }), 40);
+    const restored = RoguelikeGame.deserialize(JSON.stringify(original.serialize()), { headless: true });
+
+    play(original, 80);
+    play(restored, 80);
+
+    assert.deepEqual(snapshot(restored), snapshot(original));
+});
+
+test('deserialize rejects saves from a newer version', () => {
+    assert.throws(() => RoguelikeGame.deserialize({ version: RoguelikeGame.SAVE_VERSION + 1 }), /newer/);
+});
@@ -0,0 +1,55 @@
+/**
+ * helpers.js
+ * Shared fixtures for the headless engine unit tests.
+ */
+import { RoguelikeGame } from '../../src/game/RoguelikeGame.js';
+import { TILE } from '../../src/game/GameData.js';
+
+/** A headless, seeded game (no timers). */
+export function createGame(config = {}) {
+    return new RoguelikeGame({ width: 30, height: 20, seed: 1, headless: true, ...config });
+}
+
+/**
+ * Replace the current level with an empty walled room: no monsters, items,
+ * traps or stairs. The player is placed at (x, y).
+ */
+export function makeArena(game, x = 5, y = 5) {
+    const { width, height } = game;
+    game.state.map = Array.from({ length: height }, (_, ty) =>
+        Array.from({ length: width }, (_, tx) =>
+            (tx === 0 || ty === 0 || tx === width - 1 || ty === height - 1) ? TILE.WALL : TILE.FLOOR));
+    game.state.explored = Array.from({ length: height }, () => Array(width).fill(0));
+    game.state.visibility = Array.from({ length: height }, () => Array(width).fill(0));
+    game.state.entities = { [game.state.player.id]: game.state.player };
+    game.state.items = [];
+    game.state.stairs = null;
+    game.state.stairsUp = null;
+    game.traps = [];
+    game.secretDoors = [];
+    game.rooms = [{ x: 1, y: 1, w: width - 2, h: height - 2 }];
+    game.state.player.x = x;
+    game.state.player.y = y;
+    game.updateVisibility();
+    return game;
+}
+
+/** Drop a simple monster into the level. */
+export function addMonster(game, x, y, overrides = {}) {
+    const id = `monster_${game.nextEntityId++}`;
+    const monster = {
+        id, type: 'monster', monsterType: 'kobold', name: 'Test Kobold',
+        x, y, hp: 20, maxHp: 20, atk: 5, def: 0, xp: 10,
+        speed: 10, energy: 0, ai: 'chase', boss: false, rotation: 0,
+        ability: null, symbol: 'k',
+        ...overrides,
+    };
+    game.state.entities[id] = monster;
+    return monster;
+}
+
+/** Force every rng.int() roll to return `value` and every chance() to `hit`. */
+export function fixRolls(game, { value = 0, hit = false } = {}) {
+    game.rng.int = () => value;
+    game.rng.chance = () => hit;
+}
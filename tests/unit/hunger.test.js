@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RoguelikeGame } from '../../src/game/RoguelikeGame.js';
+import { FOOD_TYPES, HUNGER_STATES, MONSTER_TYPES } from '../../src/game/GameData.js';
+import { createGame, makeArena, addMonster } from './helpers.js';
+
+function waitTurns(game, turns) {
+    for (let i = 0; i < turns && game.state.status === 'playing'; i++) game.queueAction('wait');
+}
+
+function eat(game, item) {
+    const { inventory } = game.state.character;
+    inventory.push(item);
+    game.useInventoryItem(inventory.length - 1);
+}
+
+test('food is digested every turn, faster with regeneration and slower with slow digestion', () => {
+    const game = makeArena(createGame({ race: 'human' }));
+    const char = game.state.character;
+    const food = char.food;
+    waitTurns(game, 5);
+    assert.equal(char.food, food - 5 * RoguelikeGame.DIGEST_RATE);
+
+    char.equipment.ring = game._equipmentItem('ringRegen');
+    assert.equal(game.getDigestion(), RoguelikeGame.DIGEST_RATE * 2);
+    char.equipment.amulet = game._equipmentItem('amuletSlowDigest');
+    assert.equal(game.getDigestion(), RoguelikeGame.DIGEST_RATE);
+    char.equipment.ring = null;
+    assert.equal(game.getDigestion(), RoguelikeGame.DIGEST_RATE / 2);
+});
+
+test('a hungry character is told so, and weakness slows them down', () => {
+    const game = makeArena(createGame());
+    const char = game.state.character;
+    const speed = game._speedOf(char);
+    char.food = HUNGER_STATES.fed.min + 1;
+    waitTurns(game, 1);
+    assert.equal(game.getHungerState(), 'hungry');
+    assert.match(game.gameLog.at(-1).message, /getting hungry/);
+    assert.equal(game._speedOf(char), speed);
+    char.food = HUNGER_STATES.weak.min;
+    assert.equal(game._speedOf(char), speed + HUNGER_STATES.weak.speed);
+});
+
+test('a fainting character passes out, and a starving one wastes away', () => {
+    const game = makeArena(createGame());
+    const char = game.state.character;
+    char.food = HUNGER_STATES.weak.min - 1;
+    game.rng.chance = () => true;
+    waitTurns(game, 1);
+    assert.match(game.gameLog.map(e => e.message).join('\n'), /faint from the lack of food/);
+    // The turns spent passed out were digested too
+    assert.ok(char.food < HUNGER_STATES.weak.min - 1 - RoguelikeGame.DIGEST_RATE);
+
+    game.rng.chance = () => false;
+    char.food = 0;
+    char.hp = 2;
+    waitTurns(game, 2);
+    assert.equal(game.getHungerState(), 'starving');
+    assert.equal(game.state.status, 'dead');
+});
+
+test('eating feeds the character and takes one off the stack, until full', () => {
+    const game = createGame();
+    const char = game.state.character;
+    const rations = { ...game._foodItem('ration'), quantity: 3 };
+    const food = char.food;
+    eat(game, rations);
+    assert.equal(char.food, food + FOOD_TYPES.ration.food);
+    assert.equal(rations.quantity, 2);
+    char.food = RoguelikeGame.FOOD_MAX;
+    game.useInventoryItem(char.inventory.indexOf(rations));
+    assert.equal(rations.quantity, 2);
+    assert.match(game.gameLog.at(-1).message, /too full/);
+});
+
+test('slain monsters may leave a corpse to eat, but undead do not', () => {
+    const game = makeArena(createGame());
+    game.rng.chance = () => true;
+    game._killMonster(addMonster(game, 6, 5, { monsterType: 'kobold' }));
+    game._killMonster(addMonster(game, 7, 5, { monsterType: 'skeleton' }));
+    const corpses = game.state.items.filter(i => i.foodKey === 'corpse');
+    assert.deepEqual(corpses.map(c => c.name), [`${MONSTER_TYPES.kobold.name} Corpse`]);
+    assert.equal(corpses[0].food, MONSTER_TYPES.kobold.hp * RoguelikeGame.CORPSE_FOOD_PER_HP);
+    assert.equal(game.getItemValue(corpses[0]), 0);
+});
+
+test('a corpse left too long, or of a poisonous monster, poisons the eater', () => {
+    const game = createGame();
+    const char = game.state.character;
+    const kobold = { monsterType: 'kobold' };
+    eat(game, game._corpseItem(kobold));
+    assert.equal(char.effects.poisoned, undefined);
+
+    const stale = game._corpseItem(kobold);
+    game.state.tick += RoguelikeGame.CORPSE_FRESH_TURNS * RoguelikeGame.TURN_TICKS;
+    eat(game, stale);
+    assert.match(game.gameLog.map(e => e.message).join('\n'), /gone bad/);
+    assert.ok(char.effects.poisoned > 0);
+
+    delete char.effects.poisoned;
+    eat(game, game._corpseItem({ monsterType: 'giantSpider' }));
+    assert.ok(char.effects.poisoned > 0);
+});
+
+test('version 12 saves get the starting food', () => {
+    const game = createGame();
+    const save = game.serialize();
+    save.version = 12;
+    delete save.state.character.food;
+    const loaded = RoguelikeGame.deserialize(save, { headless: true });
+    assert.equal(loaded.state.character.food, RoguelikeGame.STARTING_FOOD);
+    assert.equal(loaded.getHungerState(), 'fed');
+});
@@ -0,0 +1,140 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RoguelikeGame } from '../../src/game/RoguelikeGame.js';
+import { POTION_TYPES, SCROLL_TYPES, EQUIPMENT_TYPES, FLAVOURS } from '../../src/game/GameData.js';
+import { createGame } from './helpers.js';
+
+/** Generate an item of one kind by making rng.pick choose it. */
+function generate(game, make, key) {
+    const { pick } = game.rng;
+    game.rng.pick = (arr) => arr.find(([k]) => k === key);
+    const item = make.call(game, 10);
+    game.rng.pick = pick;
+    return item;
+}
+
+test('each flavoured kind gets a distinct appearance', () => {
+    const game = createGame();
+    for (const kind of Object.keys(FLAVOURS)) {
+        const appearances = Object.values(game.flavours[kind]).map(i => i.appearance);
+        assert.equal(appearances.length, Object.keys(RoguelikeGame.flavourTable(kind)).length);
+        assert.equal(new Set(appearances).size, appearances.length, kind);
+    }
+    assert.equal(Object.keys(game.flavours.potion).length, Object.keys(POTION_TYPES).length);
+    assert.equal(Object.keys(game.flavours.scroll).length, Object.keys(SCROLL_TYPES).length);
+});
+
+test('flavours are shuffled per seed but stable for a seed', () => {
+    const a = createGame({ seed: 10 }).flavours;
+    const b = createGame({ seed: 10 }).flavours;
+    assert.deepEqual(a, b);
+    for (const kind of ['potion', 'scroll', 'ring']) {
+        const differs = [11, 12, 13, 14].some(seed =>
+            JSON.stringify(createGame({ seed }).flavours[kind]) !== JSON.stringify(a[kind]));
+        assert.ok(differs, kind);
+    }
+});
+
+test('drinking an unknown potion identifies its type for later finds', () => {
+    const game = createGame();
+    const potion = generate(game, game._generatePotion, 'healPotion');
+    assert.equal(potion.identified, false);
+    assert.match(potion.name, /Potion$/);
+
+    game.state.character.inventory.push(potion);
+    game.useInventoryItem(0);
+
+    assert.ok(game.isFlavourKnown('potion', 'healPotion'));
+    const next = generate(game, game._generatePotion, 'healPotion');
+    assert.equal(next.identified, true);
+    assert.equal(next.name, POTION_TYPES.healPotion.name);
+});
+
+test('unread scrolls go by a title and reading one teaches every scroll of its kind', () => {
+    const game = createGame();
+    const inv = game.state.character.inventory;
+    const scroll = generate(game, game._generateScroll, 'magicMapping');
+    assert.equal(scroll.identified, false);
+    assert.equal(scroll.name, `Scroll titled "${game.flavours.scroll.magicMapping.appearance}"`);
+    inv.push(scroll, { ...scroll, quantity: 1 });
+    game.useInventoryItem(0);
+    assert.equal(inv.length, 1);
+    assert.equal(inv[0].name, SCROLL_TYPES.magicMapping.name);
+    assert.equal(generate(game, game._generateScroll, 'magicMapping').identified, true);
+});
+
+test('rings go by their material until worn', () => {
+    const game = createGame();
+    const ring = game._equipmentItem('ringProtect', 2, 'enchanted');
+    assert.equal(ring.name, `${game.flavours.ring.ringProtect.appearance} Ring`);
+    game.state.character.inventory.push(ring);
+    game.useInventoryItem(0);
+    assert.equal(ring.name, `${EQUIPMENT_TYPES.ringProtect.name} (+2)`);
+    // The kind is known now, the bonus of the next one is not
+    assert.equal(game._equipmentItem('ringProtect', 1).name, EQUIPMENT_TYPES.ringProtect.name);
+});
+
+test('scroll of identify reveals the one item it is read on', () => {
+    const game = createGame();
+    const inv = game.state.character.inventory;
+    const mana = generate(game, game._generatePotion, 'manaPotion');
+    const heal = generate(game, game._generatePotion, 'healPotion');
+    const blade = game._applyEgo(game._equipmentItem('dagger', 3, 'enchanted'), 'slaying');
+    inv.push(mana, heal, blade, { ...generate(game, game._generateScroll, 'identify'), quantity: 2 });
+    game._learnFlavour('scroll', 'identify');
+    assert.deepEqual(game.getItemTargets(3), [mana, heal, blade]);
+
+    game.useInventoryItem(3, blade);
+    assert.equal(blade.name, 'Dagger of Slaying (+3)');
+    assert.equal(mana.identified, false);
+    game.useInventoryItem(3, heal);
+    assert.equal(heal.name, POTION_TYPES.healPotion.name);
+    assert.equal(inv.length, 3);
+    assert.equal(mana.identified, false);
+});
+
+test('a known identify scroll with nothing to identify is not used up', () => {
+    const game = createGame();
+    const inv = game.state.character.inventory;
+    inv.push(generate(game, game._generateScroll, 'identify'));
+    game._learnFlavour('scroll', 'identify');
+    game.useInventoryItem(0);
+    assert.equal(inv.length, 1);
+    assert.match(game.gameLog.at(-1).message, /nothing to use/);
+});
+
+test('the knowledge list shows each identified flavour beside its appearance', () => {
+    const game = createGame();
+    game._learnFlavour('ring', 'ringRegen');
+    game._learnFlavour('potion', 'speedPotion');
+    const knowledge = Object.fromEntries(game.getKnowledge().map(g => [g.kind, g.entries]));
+    assert.deepEqual(Object.keys(knowledge), Object.keys(FLAVOURS));
+    assert.deepEqual(knowledge.ring, [{ appearance: `${game.flavours.ring.ringRegen.appearance} Ring`, name: EQUIPMENT_TYPES.ringRegen.name }]);
+    assert.equal(knowledge.potion[0].name, POTION_TYPES.speedPotion.name);
+    assert.deepEqual(knowledge.scroll, []);
+});
+
+test('flavours and what is known of them survive a save', () => {
+    const game = createGame();
+    game._learnFlavour('scroll', 'teleport');
+    const loaded = RoguelikeGame.deserialize(JSON.parse(JSON.stringify(game.serialize())), { headless: true });
+    assert.deepEqual(loaded.flavours, game.flavours);
+    assert.ok(loaded.isFlavourKnown('scroll', 'teleport'));
+    assert.ok(!loaded.isFlavourKnown('scroll', 'identify'));
+});
+
+test('version 10 saves keep potion flavours and know the scrolls they carry', () => {
+    const game = createGame();
+    game.state.character.inventory = [{ ...generate(game, game._generateScroll, 'teleport'), identified: true }];
+    const save = game.serialize();
+    save.version = 10;
+    save.potionIdentity = save.flavours.potion;
+    save.identifiedPotions = ['healPotion'];
+    delete save.flavours;
+    delete save.knownFlavours;
+    const loaded = RoguelikeGame.deserialize(save, { headless: true });
+    assert.deepEqual(loaded.flavours.potion, game.flavours.potion);
+    assert.ok(loaded.isFlavourKnown('potion', 'healPotion'));
+    assert.ok(loaded.isFlavourKnown('scroll', 'teleport'));
+    assert.ok(!loaded.isFlavourKnown('scroll', 'identify'));
+});
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RoguelikeGame } from '../../src/game/RoguelikeGame.js';
+import { POTION_TYPES, SCROLL_TYPES, EQUIPMENT_TYPES, LEGENDARY_ITEMS } from '../../src/game/GameData.js';
+import { createGame, makeArena } from './helpers.js';
+
+/** Lay items on the floor at the player's feet. */
+function dropHere(game, ...items) {
+    const p = game.state.player;
+    for (const item of items) game._dropAt(item, p.x, p.y);
+}
+
+/** A freshly generated potion of the given kind. */
+function potion(game, key = 'healPotion') {
+    const { pick } = game.rng;
+    game.rng.pick = list => list.find(([k]) => k === key);
+    const item = game._generatePotion(10);
+    game.rng.pick = pick;
+    return item;
+}
+
+test('every potion, scroll and piece of equipment has a weight', () => {
+    for (const item of [...Object.values(POTION_TYPES), ...Object.values(SCROLL_TYPES),
+        ...Object.values(EQUIPMENT_TYPES), ...Object.values(LEGENDARY_ITEMS)]) {
+        assert.ok(item.weight > 0, item.name);
+    }
+});
+
+test('potions of a kind pile up in one stack and come off it one at a time', () => {
+    const game = makeArena(createGame());
+    const char = game.state.character;
+    char.hp = 1;
+    for (let i = 0; i < 3; i++) {
+        dropHere(game, potion(game));
+        game._pickupItem();
+    }
+    dropHere(game, potion(game, 'manaPotion'));
+    game._pickupItem();
+    assert.deepEqual(char.inventory.map(i => [i.potionKey, i.quantity]), [['healPotion', 3], ['manaPotion', 1]]);
+
+    game.useInventoryItem(0);
+    assert.equal(char.inventory[0].quantity, 2);
+    assert.ok(char.hp > 1);
+});
+
+test('a stack can be dropped in part, and picked up again all at once', () => {
+    const game = makeArena(createGame());
+    const char = game.state.character;
+    char.inventory = [{ ...potion(game), quantity: 5 }, game._equipmentItem('dagger')];
+    game.dropItem(0, 2);
+    assert.equal(char.inventory[0].quantity, 3);
+    game.dropItem(1);
+    assert.equal(game.state.items.length, 2);
+    assert.match(game.gameLog.at(-2).message, /You drop 2 /);
+
+    game.queueAction('pickup_all');
+    assert.equal(game.state.items.length, 0);
+    assert.deepEqual(char.inventory.map(i => i.quantity), [5, undefined]);
+});
+
+test('a full pack leaves new items on the floor but still takes stackable ones', () => {
+    const game = makeArena(createGame());
+    const char = game.state.character;
+    char.inventory = [potion(game)];
+    while (char.inventory.length < RoguelikeGame.PACK_SLOTS) char.inventory.push(game._equipmentItem('leatherCap'));
+    dropHere(game, game._equipmentItem('dagger'), potion(game));
+    game._pickupAll();
+    assert.equal(char.inventory.length, RoguelikeGame.PACK_SLOTS);
+    assert.equal(char.inventory[0].quantity, 2);
+    assert.equal(game.state.items[0].equipKey, 'dagger');
+    assert.match(game.gameLog.at(-1).message, /pack is full/);
+});
+
+test('carrying more than STR allows slows the character down', () => {
+    const game = createGame({ class: 'warrior' });
+    const char = game.state.character;
+    char.inventory = [];
+    for (const slot in char.equipment) char.equipment[slot] = null;
+    assert.equal(game.getCapacity(), RoguelikeGame.CAPACITY_BASE + char.stats.str * RoguelikeGame.CAPACITY_PER_STR);
+    assert.equal(game._speedOf(char), 10);
+
+    const over = 25;
+    const plate = { ...game._equipmentItem('plateMail'), weight: game.getCapacity() + over };
+    char.inventory = [plate];
+    assert.equal(game.getCarriedWeight(), game.getCapacity() + over);
+    assert.equal(game.getBurden(), Math.ceil(over / RoguelikeGame.BURDEN_STEP));
+    assert.equal(game._speedOf(char), 10 - game.getBurden());
+    // Wearing it weighs the same
+    game.useInventoryItem(0);
+    assert.equal(game._speedOf(char), 10 - game.getBurden());
+    char.stats.str += 10;
+    assert.equal(game.getBurden(), 0);
+});
+
+test('version 9 saves give potions, scrolls and armour their quantity and weight', () => {
+    const game = createGame();
+    const heal = potion(game);
+    delete heal.quantity;
+    delete heal.weight;
+    game.state.character.inventory = [heal, { ...game._equipmentItem('chainMail'), weight: 0 }];
+    const save = game.serialize();
+    save.version = 9;
+    const [p, mail] = RoguelikeGame.deserialize(save, { headless: true }).state.character.inventory;
+    assert.equal(p.quantity, 1);
+    assert.equal(p.weight, POTION_TYPES.healPotion.weight);
+    assert.equal(mail.weight, EQUIPMENT_TYPES.chainMail.weight);
+});
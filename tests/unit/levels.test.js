@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGame } from './helpers.js';
+
+/** The parts of a level that should survive leaving it, as plain data. */
+function levelOf(game) {
+    const monsters = Object.values(game.state.entities).filter(e => e.type === 'monster');
+    return JSON.parse(JSON.stringify({
+        map: game.state.map, monsters, items: game.state.items,
+        stairs: game.state.stairs, stairsUp: game.state.stairsUp,
+    }));
+}
+
+function onTile(game, tile) {
+    const p = game.state.player;
+    return p.x === tile.x && p.y === tile.y;
+}
+
+test('a visited level comes back as it was left, with the player on the matching stairs', () => {
+    const game = createGame({ width: 40, height: 30 });
+    const depth1 = levelOf(game);
+    assert.ok(depth1.monsters.length > 0 && depth1.items.length > 0);
+
+    game.changeLevel(2, 'up');
+    assert.equal(game.state.currentLevel, 2);
+    assert.ok(onTile(game, game.state.stairsUp));
+    const depth2 = levelOf(game);
+
+    game.changeLevel(1, 'down');
+    assert.equal(game.state.currentLevel, 1);
+    assert.deepEqual(levelOf(game), depth1);
+    assert.ok(onTile(game, game.state.stairs));
+
+    game.changeLevel(2, 'up');
+    assert.deepEqual(levelOf(game), depth2);
+    assert.ok(onTile(game, game.state.stairsUp));
+});
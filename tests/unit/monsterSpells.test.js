@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MONSTER_TYPES, MONSTER_SPELLS, TILE } from '../../src/game/GameData.js';
+import { createGame, makeArena, addMonster, fixRolls } from './helpers.js';
+
+/** A sturdy player in an empty arena whose monsters always try a spell. */
+function spellArena(x = 5, y = 10, config = {}) {
+    const game = makeArena(createGame(config), x, y);
+    const char = game.state.character;
+    char.hp = char.maxHp = 1000;
+    fixRolls(game, { value: 0, hit: true });
+    return game;
+}
+
+function castsOf(game) {
+    const casts = [];
+    game.subscribe((event, data) => { if (event === 'spell_cast') casts.push(data); });
+    return casts;
+}
+
+function waitTurns(game, turns) {
+    for (let i = 0; i < turns && game.state.status === 'playing'; i++) game.queueAction('wait');
+}
+
+test('every monster spell list names existing MONSTER_SPELLS', () => {
+    for (const [key, type] of Object.entries(MONSTER_TYPES)) {
+        for (const spell of type.spells || []) assert.ok(MONSTER_SPELLS[spell], `${key}: ${spell}`);
+    }
+});
+
+test('a bolt hits the player from range and names its caster', () => {
+    const game = spellArena();
+    const knight = addMonster(game, 11, 10, { monsterType: 'deathKnight', name: 'Death Knight' });
+    const casts = castsOf(game);
+    waitTurns(game, 1);
+    assert.equal(casts.length, 1);
+    assert.equal(casts[0].spell, 'netherBolt');
+    assert.equal(casts[0].type, 'line');
+    assert.equal(casts[0].caster, knight.id);
+    assert.deepEqual(casts[0].tiles.at(-1), { x: 5, y: 10 });
+    assert.equal(game.state.character.hp, 1000 - MONSTER_SPELLS.netherBolt.damage);
+});
+
+test('spells need line of sight', () => {
+    const game = spellArena();
+    for (let y = 1; y < game.height - 1; y++) game.state.map[y][8] = TILE.WALL;
+    addMonster(game, 11, 10, { monsterType: 'deathKnight', speed: 0 });
+    const casts = castsOf(game);
+    waitTurns(game, 3);
+    assert.equal(casts.length, 0);
+});
+
+test('bolts are not fired through other monsters', () => {
+    const game = spellArena();
+    addMonster(game, 11, 10, { monsterType: 'deathKnight', speed: 0 });
+    addMonster(game, 8, 10, { speed: 0 });
+    const casts = castsOf(game);
+    game._processMonsterAI(Object.values(game.state.entities).find(m => m.monsterType === 'deathKnight'));
+    assert.equal(casts.length, 0);
+});
+
+test('a spell is not cast again until its cooldown runs out', () => {
+    const game = spellArena();
+    const knight = addMonster(game, 12, 10, { monsterType: 'deathKnight', speed: 0 });
+    const casts = castsOf(game);
+    const turns = MONSTER_SPELLS.netherBolt.cooldown + 1;
+    for (let i = 0; i < turns; i++) game._processMonsterAI(knight);
+    assert.equal(casts.length, 2);
+});
+
+test('blink jumps a caster closer to the player', () => {
+    const game = spellArena();
+    const vampire = addMonster(game, 15, 10, { monsterType: 'vampire', ability: null });
+    const casts = castsOf(game);
+    game._processMonsterAI(vampire);
+    assert.equal(casts[0].spell, 'blink');
+    assert.equal(casts[0].type, 'self');
+    assert.ok(vampire.x < 15 && vampire.x >= 10);
+});
+
+test('a wounded caster heals itself', () => {
+    const game = spellArena();
+    const vampire = addMonster(game, 6, 10, { monsterType: 'vampire', ability: null, hp: 10, maxHp: 50 });
+    game._processMonsterAI(vampire);
+    assert.equal(vampire.hp, 10 + 50 * MONSTER_SPELLS.healSelf.healFraction);
+});
+
+test('blindness shrinks sight and stops reading and casting', () => {
+    const game = spellArena(5, 10, { class: 'istar' });
+    const shade = addMonster(game, 6, 10, { monsterType: 'shade' });
+    assert.equal(game.state.visibility[10][8], 1);
+    game._processMonsterAI(shade);
+    const char = game.state.character;
+    assert.ok(char.effects.blinded > 0);
+    assert.equal(game.state.visibility[10][8], 0);
+    assert.equal(game.state.visibility[10][6], 1);
+
+    const mp = char.mp;
+    game._castSpell('magicMissile');
+    assert.equal(char.mp, mp);
+    char.inventory = [{ name: 'Scroll of Teleport', category: 'scroll', effect: 'teleport' }];
+    game.useInventoryItem(0);
+    assert.equal(char.inventory.length, 1);
+});
+
+test('a breath scales with the breather, catches monsters in the cone and is resisted', () => {
+    const game = spellArena();
+    const hydra = addMonster(game, 10, 10, { monsterType: 'hydra', hp: 90, maxHp: 90 });
+    const bystander = addMonster(game, 7, 10, { hp: 50, maxHp: 50 });
+    const behind = addMonster(game, 12, 10, { hp: 50, maxHp: 50 });
+    const doomed = addMonster(game, 8, 10, { hp: 1, maxHp: 1 });
+    const char = game.state.character;
+    const { xp, kills } = char;
+    const casts = castsOf(game);
+    game._processMonsterAI(hydra);
+    const damage = 90 / MONSTER_SPELLS.poisonBreath.hpDivisor;
+    assert.equal(casts[0].type, 'aoe');
+    assert.equal(char.hp, 1000 - damage);
+    assert.ok(char.effects.poisoned > 0);
+    assert.equal(bystander.hp, 50 - damage);
+    assert.equal(behind.hp, 50);
+    // A monster slain by another's breath earns the character nothing
+    assert.equal(game.state.entities[doomed.id], undefined);
+    assert.equal(char.xp, xp);
+    assert.equal(char.kills, kills);
+
+    const resistant = spellArena();
+    resistant.state.character.effects.resistant = 20;
+    const other = addMonster(resistant, 10, 10, { monsterType: 'hydra', hp: 90, maxHp: 90 });
+    resistant._processMonsterAI(other);
+    assert.equal(resistant.state.character.hp, 1000 - Math.ceil(damage / 3));
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TILE } from '../../src/game/GameData.js';
+import { createGame, makeArena } from './helpers.js';
+
+test('_bfsPath returns an empty path for the current tile', () => {
+    const game = makeArena(createGame());
+    assert.deepEqual(game._bfsPath(5, 5, 5, 5), []);
+});
+
+test('_bfsPath takes diagonal shortcuts in open rooms', () => {
+    const game = makeArena(createGame());
+    const path = game._bfsPath(2, 2, 7, 5);
+    assert.equal(path.length, 5);
+    assert.deepEqual(path[path.length - 1], { x: 7, y: 5 });
+});
+
+test('_bfsPath steps are adjacent and walk around walls', () => {
+    const game = makeArena(createGame());
+    for (let y = 1; y < 10; y++) game.state.map[y][10] = TILE.WALL;
+
+    const path = game._bfsPath(5, 5, 15, 5);
+
+    let prev = { x: 5, y: 5 };
+    for (const step of path) {
+        assert.ok(Math.max(Math.abs(step.x - prev.x), Math.abs(step.y - prev.y)) === 1);
+        assert.notEqual(game.state.map[step.y][step.x], TILE.WALL);
+        prev = step;
+    }
+    assert.ok(path.some(s => s.x === 10 && s.y >= 10));
+});
+
+test('_bfsPath paths through closed doors', () => {
+    const game = makeArena(createGame());
+    for (let y = 1; y < game.height - 1; y++) game.state.map[y][10] = TILE.WALL;
+    game.state.map[5][10] = TILE.DOOR_CLOSED;
+
+    const path = game._bfsPath(5, 5, 15, 5);
+
+    assert.ok(path.some(s => s.x === 10 && s.y === 5));
+});
+
+test('_bfsPath returns null when the target is sealed off', () => {
+    const game = makeArena(createGame());
+    for (let y = 1; y < game.height - 1; y++) game.state.map[y][10] = TILE.WALL;
+
+    assert.equal(game._bfsPath(5, 5, 15, 5), null);
+});
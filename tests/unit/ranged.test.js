@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RoguelikeGame } from '../../src/game/RoguelikeGame.js';
+import { EQUIPMENT_TYPES, EQUIPMENT_SLOTS, TILE } from '../../src/game/GameData.js';
+import { createGame, makeArena, addMonster } from './helpers.js';
+
+/** An archer in an empty, lit arena whose missiles hit (and don't break) while `hit` holds. */
+function range(x = 5, y = 10, { hit = true } = {}) {
+    const game = makeArena(createGame({ class: 'archer' }), x, y);
+    game.rooms = [{ ...game.rooms[0], lit: true }];
+    game.updateVisibility();
+    game.rng.int = () => 0;
+    game.rng.chance = p => hit && p > 0.5;
+    return game;
+}
+
+test('archers and rangers start with a bow and a quiver of arrows', () => {
+    const { equipment } = createGame({ class: 'archer' }).state.character;
+    assert.equal(equipment.launcher.equipKey, 'longBow');
+    assert.equal(equipment.ammo.equipKey, 'arrow');
+    assert.equal(equipment.ammo.quantity, RoguelikeGame.AMMO_STACK[1]);
+    assert.equal(createGame({ class: 'ranger' }).state.character.equipment.launcher.equipKey, 'shortBow');
+    assert.equal(createGame({ class: 'warrior' }).state.character.equipment.launcher, null);
+});
+
+test('targets cycle through monsters in line of fire, nearest first', () => {
+    const game = range();
+    const far = addMonster(game, 12, 10);
+    const near = addMonster(game, 8, 10);
+    // Hidden behind a wall
+    for (let y = 1; y < 7; y++) game.state.map[y][18] = TILE.WALL;
+    addMonster(game, 20, 3);
+    game.updateVisibility();
+    assert.deepEqual(game.getRangedTargets(), [near, far]);
+    assert.equal(game.cycleTarget(), near);
+    assert.equal(game.cycleTarget(), far);
+    assert.equal(game.cycleTarget(), near);
+    assert.equal(game.cycleTarget(-1), far);
+    assert.equal(game.getTarget(), far);
+});
+
+test('fired arrows hit for ammo damage times the launcher multiplier, and can be picked up again', () => {
+    const game = range();
+    const quiver = game.state.character.equipment.ammo;
+    const monster = addMonster(game, 10, 10, { hp: 100, maxHp: 100 });
+    const shots = [];
+    game.subscribe((event, data) => { if (event === 'projectile') shots.push(data); });
+    game.queueAction('fire');
+    assert.equal(monster.hp, 100 - EQUIPMENT_TYPES.arrow.atk * EQUIPMENT_TYPES.longBow.multiplier);
+    assert.equal(quiver.quantity, RoguelikeGame.AMMO_STACK[1] - 1);
+    assert.deepEqual(shots[0].path.at(-1), { x: 10, y: 10 });
+
+    const arrow = game.state.items.find(i => i.equipKey === 'arrow');
+    assert.deepEqual([arrow.x, arrow.y, arrow.quantity], [10, 10, 1]);
+    delete game.state.entities[monster.id];
+    game.state.player.x = 10;
+    game._pickupItem();
+    assert.equal(quiver.quantity, RoguelikeGame.AMMO_STACK[1]);
+    assert.equal(game.state.character.inventory.length, 0);
+});
+
+test('a missile of an element the target is immune to only says so', () => {
+    const game = range();
+    const skeleton = addMonster(game, 10, 10, { monsterType: 'skeleton', ai: 'wander', hp: 100, maxHp: 100 });
+    game._missileHit(skeleton, 10, 'poison');
+    assert.equal(skeleton.hp, 100);
+    assert.equal(skeleton.ai, 'chase');
+    assert.match(game.gameLog.at(-1).message, /unaffected by poison/);
+    assert.ok(!game.gameLog.some(e => /for 0 damage/.test(e.message)));
+});
+
+test('missiles that miss fly on, and stop short of walls', () => {
+    const game = range(5, 10, { hit: false });
+    const monster = addMonster(game, 8, 10, { hp: 100, maxHp: 100 });
+    for (let y = 1; y < game.height - 1; y++) game.state.map[y][12] = TILE.WALL;
+    game.queueAction('fire');
+    assert.equal(monster.hp, 100);
+    const arrow = game.state.items.find(i => i.equipKey === 'arrow');
+    assert.deepEqual([arrow.x, arrow.y], [11, 10]);
+});
+
+test('firing needs a launcher and matching ammunition', () => {
+    const game = range();
+    addMonster(game, 9, 10);
+    game.state.character.equipment.ammo = game._equipmentItem('ironShot');
+    game.queueAction('fire');
+    assert.match(game.gameLog.at(-1).message, /no ammunition/);
+    game.state.character.equipment.launcher = null;
+    game.queueAction('fire');
+    assert.match(game.gameLog.at(-1).message, /nothing to fire/);
+});
+
+test('thrown daggers hit and land, thrown potions shatter on their target', () => {
+    const game = range();
+    const char = game.state.character;
+    const monster = addMonster(game, 9, 10, { hp: 100, maxHp: 100 });
+    char.inventory = [game._equipmentItem('dagger'), { category: 'potion', name: 'Potion of Poison', effect: 'poison', value: 8, color: 0x33ff66 }];
+    game.queueAction('throw_0');
+    assert.equal(monster.hp, 100 - EQUIPMENT_TYPES.dagger.atk * RoguelikeGame.THROW_MULTIPLIER);
+    assert.ok(game.state.items.some(i => i.equipKey === 'dagger' && i.x === 9 && i.y === 10));
+
+    game.queueAction('throw_0');
+    assert.equal(char.inventory.length, 0);
+    assert.ok(monster.effects.poisoned > 0);
+    assert.ok(!game.state.items.some(i => i.category === 'potion'));
+});
+
+test('armour cannot be thrown', () => {
+    const game = range();
+    addMonster(game, 9, 10);
+    game.state.character.inventory = [game._equipmentItem('leatherArmor')];
+    game.queueAction('throw_0');
+    assert.equal(game.state.character.inventory.length, 1);
+});
+
+test('version 6 saves gain launcher and quiver slots', () => {
+    const save = createGame().serialize();
+    save.version = 6;
+    save.state.character.equipment = { weapon: null, armor: null, ring: null };
+    const { equipment } = RoguelikeGame.deserialize(save, { headless: true }).state.character;
+    assert.deepEqual(Object.keys(equipment), Object.keys(EQUIPMENT_SLOTS));
+    assert.equal(equipment.launcher, null);
+});
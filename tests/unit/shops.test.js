@@ -0,0 +1,159 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RoguelikeGame } from '../../src/game/RoguelikeGame.js';
+import { TILE, SHOPS, POTION_TYPES, EQUIPMENT_TYPES, EGO_ITEMS, DEVICE_TYPES } from '../../src/game/GameData.js';
+import { createGame, makeArena, addMonster } from './helpers.js';
+
+/** A game standing in the town, having come up the stairs from depth 1. */
+function town(config) {
+    const game = createGame(config);
+    const { stairsUp } = game.state;
+    Object.assign(game.state.player, { x: stairsUp.x, y: stairsUp.y });
+    game.queueAction('ascend');
+    return game;
+}
+
+test('the town has an entrance for every shop and no way further up', () => {
+    const game = town();
+    assert.equal(game.state.currentLevel, 0);
+    assert.equal(game.state.stairsUp, null);
+    assert.ok(game.state.stairs);
+    assert.deepEqual(Object.keys(game.state.shops).sort(), Object.keys(SHOPS).sort());
+    for (const shop of Object.values(game.state.shops)) {
+        assert.equal(game.state.map[shop.y][shop.x], TILE.SHOP);
+        assert.ok(shop.stock.length > 0);
+    }
+    assert.equal(Object.values(game.state.entities).filter(e => e.type === 'monster').length, 0);
+});
+
+test('monsters sometimes drop gold, which goes to the purse', () => {
+    const game = makeArena(createGame(), 5, 5);
+    const gold = game.state.character.gold;
+    game.rng.chance = () => true;
+    game._killMonster(addMonster(game, 5, 5));
+    const coins = game.state.items.find(i => i.category === 'gold');
+    assert.ok(coins.amount > 0);
+    game._pickupAll();
+    assert.equal(game.state.character.gold, gold + coins.amount);
+    assert.ok(!game.state.character.inventory.includes(coins));
+});
+
+test('an item is worth its cost plus bonus, ego and charges; cursed ones nothing', () => {
+    const game = createGame();
+    assert.equal(game.getItemValue(game._potionItem('healPotion')), POTION_TYPES.healPotion.cost);
+    const dagger = game._equipmentItem('dagger');
+    assert.equal(game.getItemValue(dagger), EQUIPMENT_TYPES.dagger.cost);
+    const slaying = game._applyEgo(game._equipmentItem('dagger', 2, 'enchanted'), 'slaying');
+    assert.equal(game.getItemValue(slaying),
+        EQUIPMENT_TYPES.dagger.cost + 2 * RoguelikeGame.BONUS_VALUE + EGO_ITEMS.slaying.cost);
+    assert.equal(game.getItemValue(game._equipmentItem('dagger', -2, 'cursed')), 0);
+    const wand = game._deviceItem('wandMagicMissile');
+    const empty = { ...wand, charges: 0 };
+    assert.equal(game.getItemValue(empty), DEVICE_TYPES.wandMagicMissile.cost);
+    assert.ok(game.getItemValue(wand) > game.getItemValue(empty));
+    assert.equal(game.getSellPrice(dagger), Math.floor(EQUIPMENT_TYPES.dagger.cost * RoguelikeGame.SELL_RATE));
+});
+
+test('buying takes gold and puts the ware in the pack; too dear is refused', () => {
+    const game = town();
+    const char = game.state.character;
+    const stock = game.state.shops.alchemist.stock;
+    stock.unshift({ ...game._potionItem('healPotion'), identified: true, quantity: 3 });
+    const price = game.getItemValue(stock[0]);
+    char.gold = price * 2;
+    char.inventory = [];
+    assert.equal(game.buyItem('alchemist', 0, 2), true);
+    assert.equal(char.gold, 0);
+    assert.equal(char.inventory[0].quantity, 2);
+    assert.equal(stock[0].quantity, 1);
+    assert.equal(game.buyItem('alchemist', 0), false);
+    assert.match(game.gameLog.at(-1).message, /cannot afford/);
+});
+
+test('a shop buys only its own kinds of item, and not worthless ones', () => {
+    const game = town();
+    const char = game.state.character;
+    const dagger = game._equipmentItem('dagger');
+    char.inventory = [dagger, game._equipmentItem('dagger', -1, 'cursed'), game._potionItem('healPotion')];
+    char.gold = 0;
+    assert.equal(game.sellItem('alchemist', 0), false);
+    assert.equal(game.sellItem('armoury', 1), false);
+    assert.equal(game.sellItem('armoury', 0), true);
+    assert.equal(char.gold, game.getSellPrice(dagger));
+    assert.ok(game.state.shops.armoury.stock.includes(dagger));
+    assert.equal(char.inventory.length, 2);
+});
+
+test('selling heavy gear lifts the burden', () => {
+    const game = town({ class: 'warrior' });
+    const char = game.state.character;
+    const plate = { ...game._equipmentItem('plateMail'), weight: game.getCapacity() + 5 };
+    char.inventory = [plate];
+    assert.ok(game.getBurden() > 0);
+    assert.equal(game.sellItem('armoury', 0), true);
+    assert.equal(game.getBurden(), 0);
+    assert.match(game.gameLog.at(-1).message, /no longer burdened/);
+});
+
+test('dropping heavy gear lifts the burden', () => {
+    const game = makeArena(createGame({ class: 'warrior' }));
+    const char = game.state.character;
+    char.inventory = [{ ...game._equipmentItem('plateMail'), weight: game.getCapacity() + 5 }];
+    assert.ok(game.getBurden() > 0);
+    game.dropItem(0);
+    assert.equal(game.getBurden(), 0);
+    assert.match(game.gameLog.at(-1).message, /no longer burdened/);
+});
+
+test('a refused item is not identified for free', () => {
+    const game = town();
+    const ring = game._equipmentItem('ringProtect', -2, 'cursed');
+    game.state.character.inventory = [ring];
+    assert.equal(game.sellItem('magic', 0), false);
+    assert.match(game.gameLog.at(-1).message, /has no use for/);
+    assert.equal(ring.identified, false);
+    assert.ok(!game.isFlavourKnown('ring', 'ringProtect'));
+    assert.equal(ring.name, `${game.flavours.ring.ringProtect.appearance} Ring`);
+});
+
+test('shops identify an item for a fee, and know their own wares', () => {
+    const game = town();
+    const char = game.state.character;
+    char.inventory = [game._potionItem('manaPotion')];
+    char.gold = RoguelikeGame.IDENTIFY_PRICE;
+    assert.equal(char.inventory[0].identified, false);
+    assert.equal(game.identifyAtShop('alchemist', 0), true);
+    assert.equal(char.inventory[0].name, POTION_TYPES.manaPotion.name);
+    assert.equal(char.gold, 0);
+
+    const door = game.state.shops.magic;
+    game._enterShop('magic');
+    assert.ok(door.stock.every(i => i.identified));
+});
+
+test('a shop restocks while the character is away', () => {
+    const game = town();
+    const stock = game.state.shops.general.stock;
+    stock.length = 0;
+    const { stairs } = game.state;
+    Object.assign(game.state.player, { x: stairs.x, y: stairs.y });
+    game.queueAction('descend');
+    game.state.tick += RoguelikeGame.RESTOCK_TURNS * RoguelikeGame.TURN_TICKS;
+    const { stairsUp } = game.state;
+    Object.assign(game.state.player, { x: stairsUp.x, y: stairsUp.y });
+    game.queueAction('ascend');
+    assert.ok(game.state.shops.general.stock.length > 0);
+});
+
+test('version 11 saves get a purse and a way up from depth 1', () => {
+    const game = createGame();
+    const save = game.serialize();
+    save.version = 11;
+    delete save.state.character.gold;
+    delete save.state.shops;
+    save.state.stairsUp = null;
+    const loaded = RoguelikeGame.deserialize(save, { headless: true });
+    assert.equal(loaded.state.character.gold, 0);
+    const { stairsUp, map } = loaded.state;
+    assert.equal(map[stairsUp.y][stairsUp.x], TILE.FLOOR);
+});
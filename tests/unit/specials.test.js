@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RoguelikeGame } from '../../src/game/RoguelikeGame.js';
+import { EGO_ITEMS, ITEM_SPECIALS, EQUIPMENT_TYPES, EQUIPMENT_SLOTS, LEGENDARY_ITEMS, RACES, RARITY_WEIGHTS } from '../../src/game/GameData.js';
+import { createGame, makeArena, addMonster, fixRolls } from './helpers.js';
+
+function waitTurns(game, turns) {
+    for (let i = 0; i < turns && game.state.status === 'playing'; i++) game.queueAction('wait');
+}
+
+function wear(game, item) {
+    game.state.character.inventory.push(item);
+    game.useInventoryItem(game.state.character.inventory.length - 1);
+    return item;
+}
+
+test('every special and ego in the data tables exists', () => {
+    const slots = new Set(Object.values(EQUIPMENT_SLOTS).map(s => s.accepts));
+    for (const source of [...Object.values(EQUIPMENT_TYPES), ...Object.values(LEGENDARY_ITEMS), ...Object.values(RACES), ...Object.values(EGO_ITEMS)]) {
+        for (const key of source.specials || []) assert.ok(ITEM_SPECIALS[key], `${source.name}: ${key}`);
+    }
+    for (const ego of Object.values(EGO_ITEMS)) {
+        assert.ok(RARITY_WEIGHTS[ego.rarity], ego.name);
+        for (const slot of ego.slots) assert.ok(slots.has(slot), `${ego.name}: ${slot}`);
+    }
+});
+
+test('an ego adds its powers at once and its name when identified', () => {
+    const game = createGame();
+    const item = game._applyEgo(game._equipmentItem('dagger'), 'slaying');
+    assert.equal(item.atk, EQUIPMENT_TYPES.dagger.atk + EGO_ITEMS.slaying.atk);
+    assert.equal(item.name, 'Dagger');
+    wear(game, item);
+    assert.equal(item.name, 'Dagger of Slaying');
+});
+
+test('slaying weapons hit their kind harder', () => {
+    const game = makeArena(createGame());
+    const char = game.state.character;
+    char.equipment.weapon = game._applyEgo(game._equipmentItem('dagger'), 'slayOrc');
+    const orc = addMonster(game, 6, 5, { monsterType: 'hillOrc', hp: 1000, maxHp: 1000, def: 0 });
+    const kobold = addMonster(game, 4, 5, { hp: 1000, maxHp: 1000, def: 0 });
+    fixRolls(game);
+    game._meleeAttack(game.state.player, orc);
+    game._meleeAttack(game.state.player, kobold);
+    assert.equal(1000 - orc.hp, (1000 - kobold.hp) * EGO_ITEMS.slayOrc.slay.orc);
+});
+
+test('regeneration heals every turn, and speed and light egos add up', () => {
+    const game = makeArena(createGame({ race: 'human' }));
+    const char = game.state.character;
+    char.hp = 1;
+    waitTurns(game, 3);
+    assert.equal(char.hp, 1);
+    wear(game, game._equipmentItem('ringRegen'));
+    waitTurns(game, 3);
+    assert.equal(char.hp, 1 + 3 * RoguelikeGame.REGEN_HP);
+
+    const speed = game._speedOf(char);
+    wear(game, game._applyEgo(game._equipmentItem('leatherBoots'), 'speed'));
+    assert.equal(game._speedOf(char), speed + EGO_ITEMS.speed.speed);
+    const light = game.getLightRadius();
+    wear(game, game._applyEgo(game._equipmentItem('leatherCap'), 'light'));
+    assert.equal(game.getLightRadius(), light + 1);
+});
+
+test('invisible monsters stay hidden without see invisible', () => {
+    const game = makeArena(createGame({ race: 'human' }));
+    const shade = addMonster(game, 6, 5, { monsterType: 'shade', name: 'Shade' });
+    game.updateVisibility();
+    assert.equal(game.canSeeMonster(shade), false);
+    assert.deepEqual(game.getRangedTargets(), []);
+    wear(game, game._applyEgo(game._equipmentItem('leatherCap'), 'seeing'));
+    assert.equal(game.canSeeMonster(shade), true);
+    // High-elves see invisible by birth
+    const elf = makeArena(createGame({ race: 'highElf' }));
+    assert.equal(elf.canSeeMonster(addMonster(elf, 6, 5, { monsterType: 'shade' })), true);
+});
+
+test('monsters lose track of an invisible player until they are close', () => {
+    const game = makeArena(createGame(), 5, 10);
+    game.state.character.equipment.ring = { ...LEGENDARY_ITEMS.oneRing };
+    const far = addMonster(game, 20, 10, { atk: 0 });
+    const near = addMonster(game, 7, 10, { atk: 0 });
+    fixRolls(game);
+    game.rng.chance = () => false; // wanderers stand still
+    waitTurns(game, 1);
+    assert.deepEqual([far.x, far.y], [20, 10]);
+    assert.deepEqual([near.x, near.y], [6, 10]);
+});
+
+test('orc-detecting weapons glow while an orc is near', () => {
+    const game = makeArena(createGame(), 5, 10);
+    game.state.character.equipment.weapon = { ...LEGENDARY_ITEMS.sting, slot: 'weapon' };
+    const glows = [];
+    game.subscribe((event, data) => { if (event === 'weapon_glow') glows.push(data.glowing); });
+    const orc = addMonster(game, 25, 10, { monsterType: 'hillOrc', speed: 0 });
+    waitTurns(game, 1);
+    assert.equal(game.weaponGlow, false);
+    orc.x = 12;
+    waitTurns(game, 1);
+    assert.equal(game.weaponGlow, true);
+    assert.match(game.gameLog.at(-1).message, /glows blue/);
+    delete game.state.entities[orc.id];
+    waitTurns(game, 1);
+    assert.deepEqual(glows, [true, false]);
+});
+
+test('version 8 saves turn a single special into a list', () => {
+    const game = createGame();
+    game.state.character.inventory = [{ ...game._equipmentItem('ringRegen'), specials: undefined, special: 'regen' }];
+    const save = game.serialize();
+    save.version = 8;
+    const [ring] = RoguelikeGame.deserialize(save, { headless: true }).state.character.inventory;
+    assert.deepEqual(ring.specials, ['regen']);
+    assert.equal(ring.special, undefined);
+});
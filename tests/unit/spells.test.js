@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RoguelikeGame } from '../../src/game/RoguelikeGame.js';
+import { SPELLS, CLASSES } from '../../src/game/GameData.js';
+import { createGame, makeArena, addMonster } from './helpers.js';
+
+test('every class spellbook only names existing spells', () => {
+    for (const cls of Object.values(CLASSES)) {
+        for (const key of Object.keys(cls.spells)) assert.ok(SPELLS[key], `${cls.name}: ${key}`);
+    }
+});
+
+test('warriors start without spells, an istar starts with Magic Missile', () => {
+    assert.deepEqual(createGame({ class: 'warrior' }).state.character.spells, []);
+    const istar = createGame({ class: 'istar' }).state.character;
+    assert.deepEqual(istar.spells, ['magicMissile']);
+    assert.deepEqual(istar.spellCooldowns, { magicMissile: 0 });
+});
+
+test('spells are learned on level up', () => {
+    const game = createGame({ class: 'istar' });
+    const learned = [];
+    game.subscribe((event, data) => { if (event === 'spell_learned') learned.push(data.spell); });
+    const char = game.state.character;
+    char.xp = char.xpToNext;
+    game._checkLevelUp();
+    char.xp = char.xpToNext;
+    game._checkLevelUp();
+    assert.equal(char.level, 3);
+    assert.deepEqual(char.spells, ['magicMissile', 'fireball']);
+    assert.deepEqual(learned, ['fireball']);
+});
+
+test('a spell outside the spellbook cannot be cast', () => {
+    const game = makeArena(createGame({ class: 'istar' }));
+    const mp = game.state.character.mp;
+    game._castSpell('heal');
+    assert.equal(game.state.character.mp, mp);
+    assert.equal(game.state.character.spellCooldowns.heal, undefined);
+});
+
+test('a bolt spell damages the first monster in line and reports its shape', () => {
+    const game = makeArena(createGame({ class: 'istar' }), 5, 10);
+    const monster = addMonster(game, 5, 8, { hp: 100, maxHp: 100 });
+    const casts = [];
+    game.subscribe((event, data) => { if (event === 'spell_cast') casts.push(data); });
+    game._castSpell('magicMissile');
+    assert.ok(monster.hp < 100);
+    assert.equal(casts[0].spell, 'magicMissile');
+    assert.equal(casts[0].type, 'line');
+    assert.equal(casts[0].color, SPELLS.magicMissile.color);
+    assert.equal(game.state.character.spellCooldowns.magicMissile, SPELLS.magicMissile.cooldown);
+});
+
+test('version 2 saves get a spellbook for their class and level', () => {
+    const game = createGame({ class: 'priest' });
+    const save = game.serialize();
+    save.version = 2;
+    save.state.character.level = 5;
+    save.state.character.spellCooldowns = { fireball: 0, heal: 0, lightning: 0, frostNova: 0 };
+    delete save.state.character.spells;
+    const restored = RoguelikeGame.deserialize(save, { headless: true }).state.character;
+    assert.deepEqual(restored.spells, ['heal', 'orbOfDraining', 'smite']);
+    assert.deepEqual(Object.keys(restored.spellCooldowns), restored.spells);
+});
@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RoguelikeGame } from '../../src/game/RoguelikeGame.js';
+import { STATUS_EFFECTS, TILE, TRAP_TYPES } from '../../src/game/GameData.js';
+import { createGame, makeArena, addMonster, fixRolls } from './helpers.js';
+
+/** Pass `turns` normal-speed game turns by waiting. */
+function waitTurns(game, turns) {
+    for (let i = 0; i < turns && game.state.status === 'playing'; i++) game.queueAction('wait');
+}
+
+test('poison stacks, deals damage every turn and wears off', () => {
+    const game = makeArena(createGame());
+    const char = game.state.character;
+    char.hp = char.maxHp = 100;
+
+    game._applyStatus(char, 'poisoned', 3);
+    game._applyStatus(char, 'poisoned', 2);
+    assert.equal(char.effects.poisoned, 5);
+
+    waitTurns(game, 5);
+    assert.equal(char.hp, 100 - 5 * STATUS_EFFECTS.poisoned.damage);
+    assert.equal(char.effects.poisoned, undefined);
+    assert.ok(game.gameLog.some(e => e.message === STATUS_EFFECTS.poisoned.onEnd));
+});
+
+test('stacking rules: max keeps the longer duration, none cannot be reapplied', () => {
+    const game = createGame();
+    const char = game.state.character;
+    game._applyStatus(char, 'confused', 8);
+    game._applyStatus(char, 'confused', 3);
+    assert.equal(char.effects.confused, 8);
+
+    assert.equal(game._applyStatus(char, 'paralyzed', 2), true);
+    assert.equal(game._applyStatus(char, 'paralyzed', 4), false);
+    assert.equal(char.effects.paralyzed, 2);
+
+    game._applyStatus(char, 'poisoned', 999);
+    assert.equal(char.effects.poisoned, STATUS_EFFECTS.poisoned.maxTurns);
+});
+
+test('race immunity blocks an effect', () => {
+    const game = createGame({ race: 'gnome' });
+    assert.equal(game._applyStatus(game.state.character, 'paralyzed', 3), false);
+    assert.equal(game.state.character.effects.paralyzed, undefined);
+});
+
+test('resistance halves poison duration and trap damage', () => {
+    const game = makeArena(createGame());
+    const char = game.state.character;
+    char.hp = char.maxHp = 100;
+    game._applyStatus(char, 'resistant', 30);
+    game.traps.push({ x: 6, y: 5, type: 'poison', revealed: false });
+    game.state.map[5][6] = TILE.TRAP_HIDDEN;
+
+    game.queueAction('move_right');
+
+    // The move itself may already have ticked poison once
+    const halved = TRAP_TYPES.poison.duration / 2;
+    const ticked = halved - char.effects.poisoned;
+    assert.ok(ticked === 0 || ticked === 1);
+    assert.equal(char.hp, 100 - Math.ceil(TRAP_TYPES.poison.damage / 3) - ticked);
+});
+
+test('speed potion is temporary', () => {
+    const game = makeArena(createGame());
+    const char = game.state.character;
+    game._usePotion({ effect: 'speed', value: 3, identified: true });
+    assert.equal(game._speedOf(char), char.speed + STATUS_EFFECTS.hasted.speed);
+
+    waitTurns(game, 6);
+    assert.equal(char.effects.hasted, undefined);
+    assert.equal(game._speedOf(char), 10);
+});
+
+test('paralysis makes the player lose turns while monsters act', () => {
+    const game = makeArena(createGame());
+    const char = game.state.character;
+    char.hp = char.maxHp = 200;
+    const monster = addMonster(game, 6, 5, { atk: 3 });
+    fixRolls(game);
+
+    game._applyStatus(char, 'paralyzed', 3);
+    const startTick = game.state.tick;
+    game.queueAction('wait');
+
+    assert.equal(char.effects.paralyzed, undefined);
+    assert.ok(game.state.tick - startTick >= 3 * RoguelikeGame.TURN_TICKS);
+    assert.ok(char.hp < 200, `${monster.name} attacked the helpless player`);
+});
+
+test('confusion trap confuses and confusion scrambles movement', () => {
+    const game = makeArena(createGame(), 10, 10);
+    const char = game.state.character;
+    game.traps.push({ x: 11, y: 10, type: 'confusion', revealed: false });
+    game.state.map[10][11] = TILE.TRAP_HIDDEN;
+
+    game.queueAction('move_right');
+    assert.ok(char.effects.confused > 0);
+
+    // Always stagger, and always pick the first direction (up)
+    game.rng.chance = () => true;
+    game.rng.pick = (arr) => arr[0];
+    game.queueAction('move_right');
+    assert.deepEqual([game.state.player.x, game.state.player.y], [11, 9]);
+});
+
+test('monsters can be poisoned to death by a spell and paralyzed monsters do not act', () => {
+    const game = makeArena(createGame({ class: 'druid' }), 5, 10);
+    const monster = addMonster(game, 5, 8, { hp: 100, maxHp: 100 });
+    game._castSpell('stingingSwarm');
+    assert.equal(monster.effects.poisoned, 5);
+
+    const frozen = addMonster(game, 12, 12);
+    game._applyStatus(frozen, 'paralyzed', 3);
+    waitTurns(game, 2);
+    assert.deepEqual([frozen.x, frozen.y], [12, 12]);
+
+    monster.hp = 1;
+    waitTurns(game, 1);
+    assert.equal(game.state.entities[monster.id], undefined);
+});
+
+test('monster immunities come from MONSTER_TYPES', () => {
+    const game = makeArena(createGame());
+    const skeleton = addMonster(game, 8, 8, { monsterType: 'skeleton', name: 'Skeleton' });
+    assert.equal(game._applyStatus(skeleton, 'poisoned', 5), false);
+});
+
+test('status effects survive a save', () => {
+    const game = createGame();
+    game._applyStatus(game.state.character, 'confused', 7);
+    const restored = RoguelikeGame.deserialize(game.serialize(), { headless: true });
+    assert.equal(restored.state.character.effects.confused, 7);
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SPELLS, TILE } from '../../src/game/GameData.js';
+import { createGame, makeArena, addMonster } from './helpers.js';
+
+/** A caster of the given class in an empty, lit arena with mana to spare. */
+function arena(cls = 'istar', x = 5, y = 10) {
+    const game = makeArena(createGame({ class: cls }), x, y);
+    game.rooms = [{ ...game.rooms[0], lit: true }];
+    game.updateVisibility();
+    const char = game.state.character;
+    char.mp = char.maxMp = 1000;
+    char.spells = Object.keys(SPELLS);
+    for (const key of char.spells) char.spellCooldowns[key] = 0;
+    return game;
+}
+
+test('bolts fly diagonally at the target instead of the way the player faces', () => {
+    const game = arena();
+    const monster = addMonster(game, 8, 13, { hp: 100, maxHp: 100 });
+    game.state.player.rotation = 0;
+    game.setTargetAt(8, 13);
+    game._castSpell('magicMissile');
+    assert.ok(monster.hp < 100);
+});
+
+test('the target can be a monster or any tile in sight, but not a hidden one', () => {
+    const game = arena();
+    const monster = addMonster(game, 9, 10);
+    assert.deepEqual(game.setTargetAt(9, 10), { x: 9, y: 10 });
+    assert.equal(game.getTarget(), monster);
+
+    assert.deepEqual(game.setTargetAt(7, 12), { x: 7, y: 12 });
+    assert.equal(game.getTarget(), null);
+    assert.deepEqual(game.getTargetPoint(), { x: 7, y: 12 });
+
+    for (let y = 1; y < game.height - 1; y++) game.state.map[y][12] = TILE.WALL;
+    game.updateVisibility();
+    assert.equal(game.setTargetAt(15, 10), null);
+    assert.deepEqual(game.getTargetPoint(), { x: 7, y: 12 });
+});
+
+test('balls burst on the chosen spot, not on the nearest monster', () => {
+    const game = arena();
+    const near = addMonster(game, 6, 10, { hp: 100, maxHp: 100 });
+    const far = addMonster(game, 8, 11, { hp: 100, maxHp: 100 });
+    game.setTargetAt(8, 11);
+    game._castSpell('fireball');
+    assert.equal(near.hp, 100);
+    assert.ok(far.hp < 100);
+});
+
+test('a ball aimed out of range fizzles without using mana', () => {
+    const game = arena();
+    addMonster(game, 6, 10);
+    game.setTargetAt(5 + SPELLS.fireball.range + 1, 10);
+    game._castSpell('fireball');
+    assert.equal(game.state.character.mp, 1000);
+    assert.equal(game.state.character.spellCooldowns.fireball, 0);
+    assert.match(game.gameLog.at(-1).message, /No target in range/);
+});
+
+test('the last target is kept from one cast to the next', () => {
+    const game = arena();
+    const near = addMonster(game, 5, 8, { hp: 1000, maxHp: 1000 });
+    const far = addMonster(game, 9, 12, { hp: 1000, maxHp: 1000 });
+    game.setTargetAt(9, 12);
+    game._castSpell('magicMissile');
+    const hit = 1000 - far.hp;
+    assert.ok(hit > 0);
+    game.state.character.spellCooldowns.magicMissile = 0;
+    game._castSpell('magicMissile');
+    assert.equal(far.hp, 1000 - 2 * hit);
+    assert.equal(near.hp, 1000);
+    assert.equal(game.getTarget(), far);
+});
+
+test('the preview shows the flight path up to a wall and the blast area', () => {
+    const game = arena();
+    for (let y = 1; y < game.height - 1; y++) game.state.map[y][9] = TILE.WALL;
+    game.updateVisibility();
+    game.setTargetAt(7, 10);
+
+    const bolt = game.getTargetPreview('cast_magicMissile');
+    assert.deepEqual(bolt.path, [{ x: 6, y: 10 }, { x: 7, y: 10 }, { x: 8, y: 10 }]);
+    assert.deepEqual(bolt.area, []);
+
+    const ball = game.getTargetPreview('cast_fireball');
+    assert.deepEqual(ball.path.at(-1), { x: 7, y: 10 });
+    assert.equal(ball.area.length, 5);
+
+    const nova = game.getTargetPreview('cast_frostNova');
+    assert.deepEqual(nova.path, []);
+    assert.ok(nova.area.some(t => t.x === 5 && t.y === 12));
+});
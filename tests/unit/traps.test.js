@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TILE, TRAP_TYPES } from '../../src/game/GameData.js';
+import { createGame, makeArena, addMonster } from './helpers.js';
+
+function withTrap(game, type, x = 6, y = 5) {
+    game.traps.push({ x, y, type, revealed: false });
+    game.state.map[y][x] = TILE.TRAP_HIDDEN;
+    return game.traps[game.traps.length - 1];
+}
+
+test('pit trap deals its damage and becomes revealed', () => {
+    const game = makeArena(createGame());
+    const char = game.state.character;
+    char.hp = char.maxHp = 100;
+    const trap = withTrap(game, 'pit');
+
+    game.queueAction('move_right');
+
+    assert.equal(char.hp, 100 - TRAP_TYPES.pit.damage);
+    assert.equal(trap.revealed, true);
+    assert.equal(game.state.map[5][6], TILE.TRAP_REVEALED);
+});
+
+test('revealed traps do not trigger again', () => {
+    const game = makeArena(createGame());
+    const char = game.state.character;
+    char.hp = char.maxHp = 100;
+    withTrap(game, 'fire');
+
+    game.queueAction('move_right');
+    game.queueAction('move_left');
+    game.queueAction('move_right');
+
+    assert.equal(char.hp, 100 - TRAP_TYPES.fire.damage);
+});
+
+test('teleport trap moves the player to another floor tile', () => {
+    const game = makeArena(createGame());
+    withTrap(game, 'teleport');
+
+    game.queueAction('move_right');
+
+    const p = game.state.player;
+    assert.ok(game.isValidMove(p.x, p.y));
+});
+
+test('alarm trap turns nearby wanderers into chasers', () => {
+    const game = makeArena(createGame({ width: 40 }));
+    const near = addMonster(game, 12, 5, { ai: 'wander' });
+    const far = addMonster(game, 30, 15, { ai: 'wander' });
+    withTrap(game, 'alarm');
+
+    game._checkTrap(6, 5);
+
+    assert.equal(near.ai, 'chase');
+    assert.equal(far.ai, 'wander');
+});